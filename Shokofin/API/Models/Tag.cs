@@ -62,6 +62,11 @@ public class Tag {
     /// </summary>
     public DateTime? LastUpdated { get; set; }
 
+    /// <summary>
+    /// How many series have the tag. Only set when listing all tags.
+    /// </summary>
+    public int? Size { get; set; }
+
     /// <summary>
     /// Source. AniDB, User, etc.
     /// </summary>
@@ -199,6 +204,7 @@ public class ResolvedTag : Tag {
         IsLocalSpoiler = tag.IsLocalSpoiler ?? parent?.IsLocalSpoiler ?? false;
         Weight = tag.Weight ?? TagWeight.Weightless;
         LastUpdated = tag.LastUpdated;
+        Size = tag.Size;
         Source = tag.Source;
         Namespace = TagNamespaceOverride.TryGetValue(ns + "/" + tag.Name, out var newNs) ? newNs : ns;
         Children = (getChildren(Source, Id) ?? [])
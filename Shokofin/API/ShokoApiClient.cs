@@ -270,6 +270,21 @@ public class ShokoApiClient : IDisposable {
         return result;
     }
 
+    /// <summary>
+    /// Check if the credentials are valid for the Shoko Server at the given
+    /// url, without using or touching the plugin configuration.
+    /// </summary>
+    /// <param name="apiBaseUrl">The base url of the Shoko Server.</param>
+    /// <param name="username">The username.</param>
+    /// <param name="password">The password.</param>
+    /// <returns><c>true</c> if the credentials are valid; <c>false</c> otherwise.</returns>
+    public async Task<bool> CheckCredentials(string apiBaseUrl, string username, string password) {
+        var postData = JsonSerializer.Serialize(new Dictionary<string, string> { {"user", username}, {"pass", password}, {"device", "Shoko Jellyfin Plugin (Shokofin)"} });
+        using var source = new CancellationTokenSource(TimeSpan.FromSeconds(60));
+        using var response = await _httpClient.PostAsync($"{apiBaseUrl}/api/auth", new StringContent(postData, Encoding.UTF8, "application/json"), source.Token).ConfigureAwait(false);
+        return response.StatusCode == HttpStatusCode.OK;
+    }
+
     #endregion
 
     #region Version
@@ -292,6 +307,24 @@ public class ShokoApiClient : IDisposable {
         return null;
     }
 
+    /// <summary>
+    /// Get the version of the Shoko Server at the given url, without using or
+    /// touching the plugin configuration.
+    /// </summary>
+    /// <param name="apiBaseUrl">The base url of the Shoko Server.</param>
+    /// <returns>The server version.</returns>
+    /// <exception cref="HttpRequestException">Thrown if the server cannot be reached or does not respond with a version.</exception>
+    public async Task<ComponentVersion> GetVersionForUrl(string apiBaseUrl) {
+        using var source = new CancellationTokenSource(TimeSpan.FromSeconds(60));
+        using var response = await _httpClient.GetAsync($"{apiBaseUrl}/api/v3/Init/Version", source.Token).ConfigureAwait(false);
+        if (response.StatusCode != HttpStatusCode.OK)
+            throw new HttpRequestException($"Shoko Server responded with status code {(int)response.StatusCode} {response.ReasonPhrase}.", null, response.StatusCode);
+
+        var componentVersionSet = await JsonSerializer.DeserializeAsync<ComponentVersionSet>(await response.Content.ReadAsStreamAsync(source.Token).ConfigureAwait(false), cancellationToken: source.Token).ConfigureAwait(false);
+        return componentVersionSet?.Server
+            ?? throw new HttpRequestException("Shoko Server did not respond with a version.", null, HttpStatusCode.BadGateway);
+    }
+
     private bool? _hasPluginsExposed;
 
     public async Task<bool> HasPluginsExposed(CancellationToken cancellationToken = default)
@@ -433,6 +466,9 @@ public class ShokoApiClient : IDisposable {
     public Task<IReadOnlyList<int>> GetShokoSeriesIdsForFilter(string filter, bool skipCache = true, CancellationToken cancellationToken = default)
         => Post<JsonDocument, IReadOnlyList<int>>($"/api/v3/Filter/Preview/Series/OnlyIDs", HttpMethod.Post, JsonDocument.Parse(filter), skipCache: skipCache, cancellationToken: cancellationToken);
 
+    public Task<ListResult<ShokoSeries>> GetAllShokoSeries(int page = 1, int pageSize = 100)
+        => Get<ListResult<ShokoSeries>>($"/api/v3/Series?pageSize={pageSize}&page={page}&includeMissing=true&includeDataFrom=AniDB");
+
     public Task<ShokoSeries?> GetShokoSeries(string seriesId)
         => GetOrNull<ShokoSeries>($"/api/v3/Series/{seriesId}?includeDataFrom=AniDB");
 
@@ -499,6 +535,17 @@ public class ShokoApiClient : IDisposable {
 
     #endregion
 
+    #region AniDB Tags
+
+    /// <summary>
+    /// Gets a list of all AniDB tags in Shoko, including the unverified tags.
+    /// </summary>
+    /// <returns>A list of AniDB tags.</returns>
+    public async Task<IReadOnlyList<Tag>> GetAllAnidbTags()
+        => (await Get<ListResult<Tag>>($"/api/v3/Tag/AniDB?pageSize=0&onlyVerified=false&excludeDescriptions=true").ConfigureAwait(false))?.List ?? [];
+
+    #endregion
+
     #region TMDB Episode
 
     public Task<TmdbEpisode?> GetTmdbEpisode(string episodeId, bool useDefaultOrdering = false)
@@ -139,6 +139,43 @@ public partial class ShokoApiManager : IDisposable {
         Logger.LogDebug("Cleanup complete.");
     }
 
+    /// <summary>
+    /// Clear the cached data built from the configuration of the given Shoko
+    /// series, leaving the rest of the cache intact. Since the configuration
+    /// affects how the series is merged with the other series in the same
+    /// group, the data for the whole group is cleared.
+    /// </summary>
+    /// <param name="seriesId">Shoko series id.</param>
+    public async Task ClearSeries(string seriesId) {
+        Logger.LogDebug("Clearing data for series… (Series={SeriesId})", seriesId);
+        var seriesIds = new HashSet<string>() { seriesId };
+        if (await ApiClient.GetShokoSeries(seriesId).ConfigureAwait(false) is { } series) {
+            var groupId = series.IDs.ParentGroup.ToString();
+            DataCache.Remove($"show:by-group-id:{groupId}");
+            foreach (var seriesInGroup in await ApiClient.GetShokoSeriesInGroup(groupId).ConfigureAwait(false))
+                seriesIds.Add(seriesInGroup.Id);
+        }
+
+        foreach (var id in seriesIds) {
+            DataCache.Remove($"series-settings-raw:{id}");
+            DataCache.Remove($"series-settings:{id}");
+            DataCache.Remove($"series-linked-tags:{id}:verified");
+            DataCache.Remove($"series-linked-tags:{id}:all");
+            DataCache.Remove($"season-series-ids:{id}");
+            DataCache.Remove($"seasons-by-series-id:{id}");
+            DataCache.Remove($"season:{id}");
+            DataCache.Remove($"show:by-series-id:{id}");
+            SeasonIdToShowIdDictionary.TryRemove(id, out _);
+        }
+        foreach (var (episodeId, seasonId) in EpisodeIdToSeasonIdDictionary)
+            if (seriesIds.Contains(seasonId))
+                EpisodeIdToSeasonIdDictionary.TryRemove(episodeId, out _);
+        foreach (var (path, seasonId) in PathToSeasonIdDictionary)
+            if (seriesIds.Contains(seasonId))
+                PathToSeasonIdDictionary.TryRemove(path, out _);
+        Logger.LogDebug("Cleanup complete. (Series={SeriesId})", seriesId);
+    }
+
     #endregion
 
     #region Series Settings
@@ -242,29 +279,40 @@ public partial class ShokoApiManager : IDisposable {
     private Task<SeriesConfiguration> GetSeriesConfiguration(string id)
         => DataCache.GetOrCreateAsync($"series-settings:{id}", async () => {
             var seriesSettings = await GetInternalSeriesConfiguration(id).ConfigureAwait(false);
-            var config = Plugin.Instance.Configuration;
-            if (seriesSettings.Type is SeriesType.None) {
-                var series = await ApiClient.GetShokoSeries(id).ConfigureAwait(false);
-                seriesSettings.Type = series?.AniDB.Type ?? SeriesType.Other;
-            }
-            if (seriesSettings.StructureType is SeriesStructureType.None) {
-                seriesSettings.StructureType = config.DefaultLibraryStructure;
-            }
-            if (seriesSettings.SeasonOrdering is Ordering.OrderType.None) {
-                seriesSettings.SeasonOrdering = config.DefaultSeasonOrdering;
-            }
-            if (seriesSettings.SpecialsPlacement is Ordering.SpecialOrderType.None) {
-                seriesSettings.SpecialsPlacement = config.DefaultSpecialsPlacement;
-            }
-            if (seriesSettings.SeasonMergingBehavior is SeasonMergingBehavior.None) {
-                seriesSettings.SeasonMergingBehavior = config.SeasonMerging_DefaultBehavior;
-            }
-            if (config.MovieSpecialsAsExtraFeaturettes && seriesSettings.Type is SeriesType.Movie) {
-                seriesSettings.EpisodeConversion = SeriesEpisodeConversion.SpecialsAsExtraFeaturettes;
-            }
-            return seriesSettings;
+            return await ResolveSeriesConfiguration(id, seriesSettings).ConfigureAwait(false);
         });
 
+    /// <summary>
+    /// Resolve the settings which should follow the global settings for the
+    /// given series configuration.
+    /// </summary>
+    /// <param name="id">Shoko series ID.</param>
+    /// <param name="seriesSettings">The series configuration to resolve. Will be modified.</param>
+    /// <returns>The resolved series configuration.</returns>
+    private async Task<SeriesConfiguration> ResolveSeriesConfiguration(string id, SeriesConfiguration seriesSettings) {
+        var config = Plugin.Instance.Configuration;
+        if (seriesSettings.Type is SeriesType.None) {
+            var series = await ApiClient.GetShokoSeries(id).ConfigureAwait(false);
+            seriesSettings.Type = series?.AniDB.Type ?? SeriesType.Other;
+        }
+        if (seriesSettings.StructureType is SeriesStructureType.None) {
+            seriesSettings.StructureType = config.DefaultLibraryStructure;
+        }
+        if (seriesSettings.SeasonOrdering is Ordering.OrderType.None) {
+            seriesSettings.SeasonOrdering = config.DefaultSeasonOrdering;
+        }
+        if (seriesSettings.SpecialsPlacement is Ordering.SpecialOrderType.None) {
+            seriesSettings.SpecialsPlacement = config.DefaultSpecialsPlacement;
+        }
+        if (seriesSettings.SeasonMergingBehavior is SeasonMergingBehavior.None) {
+            seriesSettings.SeasonMergingBehavior = config.SeasonMerging_DefaultBehavior;
+        }
+        if (config.MovieSpecialsAsExtraFeaturettes && seriesSettings.Type is SeriesType.Movie) {
+            seriesSettings.EpisodeConversion = SeriesEpisodeConversion.SpecialsAsExtraFeaturettes;
+        }
+        return seriesSettings;
+    }
+
     private static string NormalizeCustomSeriesType(string seriesType) {
         seriesType = seriesType.ToLowerInvariant().Replace(" ", "");
         if (seriesType[^1] == 's')
@@ -277,125 +325,169 @@ public partial class ShokoApiManager : IDisposable {
     #region Tags, Genres, And Content Ratings
 
     public Task<IReadOnlyDictionary<string, ResolvedTag>> GetNamespacedTagsForSeries(string seriesId)
+        => GetNamespacedTagsForSeries(seriesId, Plugin.Instance.Configuration.HideUnverifiedTags);
+
+    public Task<IReadOnlyDictionary<string, ResolvedTag>> GetNamespacedTagsForSeries(string seriesId, bool hideUnverifiedTags)
         => DataCache.GetOrCreateAsync<IReadOnlyDictionary<string, ResolvedTag>>(
-            $"series-linked-tags:{seriesId}",
+            $"series-linked-tags:{seriesId}:{(hideUnverifiedTags ? "verified" : "all")}",
             async () => {
-                var nextUserTagId = 1;
-                var hasCustomTags = false;
-                var rootTags = new List<Tag>();
-                var tagMap = new Dictionary<string, List<Tag>>();
-                var tags = (await ApiClient.GetTagsForShokoSeries(seriesId).ConfigureAwait(false))
-                    .OrderBy(tag => tag.Source)
-                    .ThenBy(tag => tag.Source == "User" ? tag.Name.Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).Length : 0)
-                    .ToList();
-                foreach (var tag in tags) {
-                    if (Plugin.Instance.Configuration.HideUnverifiedTags && tag.IsVerified.HasValue && !tag.IsVerified.Value)
-                        continue;
+                // The tags are copied since resolving the tags modifies their
+                // names, and the list is shared with the other cached entries
+                // for the series.
+                var tags = await ApiClient.GetTagsForShokoSeries(seriesId).ConfigureAwait(false);
+                return ResolveNamespacedTags(tags.Select(CopyTag), hideUnverifiedTags);
+            }
+        );
 
-                    switch (tag.Source) {
-                        case "AniDB": {
-                            var parentKey = $"{tag.Source}:{tag.ParentId ?? 0}";
-                            if (!tag.ParentId.HasValue) {
-                                rootTags.Add(tag);
-                                continue;
-                            }
-                            if (!tagMap.TryGetValue(parentKey, out var list))
-                                tagMap[parentKey] = list = [];
-                            // Remove comment on tag name itself.
-                            if (tag.Name.Contains(" - "))
-                                tag.Name = tag.Name.Split(" - ").First().Trim();
-                            else if (tag.Name.Contains("--"))
-                                tag.Name = tag.Name.Split("--").First().Trim();
-                            list.Add(tag);
-                            break;
-                        }
-                        case "User": {
-                            if (!hasCustomTags) {
-                                rootTags.Add(new() {
-                                    Id = 0,
-                                    Name = "custom user tags",
-                                    Description = string.Empty,
-                                    IsVerified = true,
-                                    IsGlobalSpoiler = false,
-                                    IsLocalSpoiler = false,
-                                    LastUpdated = DateTime.UnixEpoch,
-                                    Source = "Shokofin",
-                                });
-                                hasCustomTags = true;
-                            }
-                            var parentNames = tag.Name.Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
-                            tag.Name = parentNames.Last();
-                            parentNames.RemoveAt(parentNames.Count - 1);
-                            var customTagsRoot = rootTags.First(tag => tag.Source == "Shokofin" && tag.Id == 0);
-                            var lastParentTag = customTagsRoot;
-                            while (parentNames.Count > 0) {
-                                // Take the first element from the list.
-                                if (!parentNames.TryRemoveAt(0, out var name))
-                                    break;
+    /// <summary>
+    /// Get all AniDB and custom tags known to Shoko, including the unverified
+    /// tags, regardless of which series they're linked to.
+    /// </summary>
+    public Task<IReadOnlyDictionary<string, ResolvedTag>> GetAllNamespacedTags()
+        => DataCache.GetOrCreateAsync<IReadOnlyDictionary<string, ResolvedTag>>(
+            "all-linked-tags",
+            async () => {
+                var anidbTags = await ApiClient.GetAllAnidbTags().ConfigureAwait(false);
+                var customTags = await ApiClient.GetCustomTags().ConfigureAwait(false);
+                // The tags are copied since resolving the tags modifies their
+                // names, and the lists are shared with the custom tag
+                // management and the tags for each series.
+                return ResolveNamespacedTags(anidbTags.Concat(customTags).Select(CopyTag), false);
+            }
+        );
 
-                                // Make sure the parent's children exists in our map.
-                                var parentKey = $"Shokofin:{lastParentTag.Id}";
-                                if (!tagMap!.TryGetValue(parentKey, out var children))
-                                    tagMap[parentKey] = children = [];
-
-                                // Add the child tag to the parent's children if needed.
-                                var childTag = children.Find(t => string.Equals(name, t.Name, StringComparison.InvariantCultureIgnoreCase));
-                                if (childTag is null)
-                                    children.Add(childTag = new() {
-                                        Id = nextUserTagId++,
-                                        ParentId = lastParentTag.Id,
-                                        Name = name.ToLowerInvariant(),
-                                        IsVerified = true,
-                                        Description = string.Empty,
-                                        IsGlobalSpoiler = false,
-                                        IsLocalSpoiler = false,
-                                        LastUpdated = customTagsRoot.LastUpdated,
-                                        Source = "Shokofin",
-                                    });
-
-                                // Switch to the child tag for the next parent name.
-                                lastParentTag = childTag;
-                            };
-
-                            // Same as above, but for the last parent, be it the root or any other layer.
-                            var lastParentKey = $"Shokofin:{lastParentTag.Id}";
-                            if (!tagMap!.TryGetValue(lastParentKey, out var lastChildren))
-                                tagMap[lastParentKey] = lastChildren = [];
-
-                            if (!lastChildren.Any(childTag => string.Equals(childTag.Name, tag.Name, StringComparison.InvariantCultureIgnoreCase)))
-                                lastChildren.Add(new() {
-                                    Id = nextUserTagId++,
-                                    ParentId = lastParentTag.Id,
-                                    Name = tag.Name,
-                                    Description = tag.Description,
-                                    IsVerified = tag.IsVerified,
-                                    IsGlobalSpoiler = tag.IsGlobalSpoiler,
-                                    IsLocalSpoiler = tag.IsLocalSpoiler,
-                                    Weight = tag.Weight,
-                                    LastUpdated = tag.LastUpdated,
-                                    Source = "Shokofin",
-                                });
-                            break;
-                        }
+    private static Tag CopyTag(Tag tag)
+        => new() {
+            Id = tag.Id,
+            ParentId = tag.ParentId,
+            Name = tag.Name,
+            Description = tag.Description,
+            IsVerified = tag.IsVerified,
+            IsGlobalSpoiler = tag.IsGlobalSpoiler,
+            IsLocalSpoiler = tag.IsLocalSpoiler,
+            Weight = tag.Weight,
+            LastUpdated = tag.LastUpdated,
+            Size = tag.Size,
+            Source = tag.Source,
+        };
+
+    private static IReadOnlyDictionary<string, ResolvedTag> ResolveNamespacedTags(IEnumerable<Tag> tags, bool hideUnverifiedTags) {
+        var nextUserTagId = 1;
+        var hasCustomTags = false;
+        var rootTags = new List<Tag>();
+        var tagMap = new Dictionary<string, List<Tag>>();
+        var sortedTags = tags
+            .OrderBy(tag => tag.Source)
+            .ThenBy(tag => tag.Source == "User" ? tag.Name.Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).Length : 0)
+            .ToList();
+        foreach (var tag in sortedTags) {
+            if (hideUnverifiedTags && tag.IsVerified.HasValue && !tag.IsVerified.Value)
+                continue;
+
+            switch (tag.Source) {
+                case "AniDB": {
+                    var parentKey = $"{tag.Source}:{tag.ParentId ?? 0}";
+                    if (!tag.ParentId.HasValue) {
+                        rootTags.Add(tag);
+                        continue;
                     }
+                    if (!tagMap.TryGetValue(parentKey, out var list))
+                        tagMap[parentKey] = list = [];
+                    // Remove comment on tag name itself.
+                    if (tag.Name.Contains(" - "))
+                        tag.Name = tag.Name.Split(" - ").First().Trim();
+                    else if (tag.Name.Contains("--"))
+                        tag.Name = tag.Name.Split("--").First().Trim();
+                    list.Add(tag);
+                    break;
                 }
-                List<Tag>? getChildren(string source, int id) => tagMap.TryGetValue($"{source}:{id}", out var list) ? list : null;
-                var allResolvedTags = rootTags
-                    .Select(tag => new ResolvedTag(tag, null, getChildren))
-                    .SelectMany(tag => tag.RecursiveNamespacedChildren.Values.Prepend(tag))
-                    .ToDictionary(tag => tag.FullName, StringComparer.InvariantCultureIgnoreCase);
-                // We reassign the children because they may have been moved to a different namespace.
-                foreach (var groupBy in allResolvedTags.Values.GroupBy(tag => tag.Namespace).OrderByDescending(pair => pair.Key)) {
-                    if (!allResolvedTags.TryGetValue(groupBy.Key[..^1], out var nsTag))
-                        continue;
-                    nsTag.Children = groupBy.ToDictionary(childTag => childTag.Name, StringComparer.InvariantCultureIgnoreCase);
-                    nsTag.RecursiveNamespacedChildren = nsTag.Children.Values
-                        .SelectMany(childTag => childTag.RecursiveNamespacedChildren.Values.Prepend(childTag))
-                        .ToDictionary(childTag => childTag.FullName[nsTag.FullName.Length..], StringComparer.InvariantCultureIgnoreCase);
+                case "User": {
+                    if (!hasCustomTags) {
+                        rootTags.Add(new() {
+                            Id = 0,
+                            Name = "custom user tags",
+                            Description = string.Empty,
+                            IsVerified = true,
+                            IsGlobalSpoiler = false,
+                            IsLocalSpoiler = false,
+                            LastUpdated = DateTime.UnixEpoch,
+                            Source = "Shokofin",
+                        });
+                        hasCustomTags = true;
+                    }
+                    var parentNames = tag.Name.Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+                    tag.Name = parentNames.Last();
+                    parentNames.RemoveAt(parentNames.Count - 1);
+                    var customTagsRoot = rootTags.First(tag => tag.Source == "Shokofin" && tag.Id == 0);
+                    var lastParentTag = customTagsRoot;
+                    while (parentNames.Count > 0) {
+                        // Take the first element from the list.
+                        if (!parentNames.TryRemoveAt(0, out var name))
+                            break;
+
+                        // Make sure the parent's children exists in our map.
+                        var parentKey = $"Shokofin:{lastParentTag.Id}";
+                        if (!tagMap!.TryGetValue(parentKey, out var children))
+                            tagMap[parentKey] = children = [];
+
+                        // Add the child tag to the parent's children if needed.
+                        var childTag = children.Find(t => string.Equals(name, t.Name, StringComparison.InvariantCultureIgnoreCase));
+                        if (childTag is null)
+                            children.Add(childTag = new() {
+                                Id = nextUserTagId++,
+                                ParentId = lastParentTag.Id,
+                                Name = name.ToLowerInvariant(),
+                                IsVerified = true,
+                                Description = string.Empty,
+                                IsGlobalSpoiler = false,
+                                IsLocalSpoiler = false,
+                                LastUpdated = customTagsRoot.LastUpdated,
+                                Source = "Shokofin",
+                            });
+
+                        // Switch to the child tag for the next parent name.
+                        lastParentTag = childTag;
+                    };
+
+                    // Same as above, but for the last parent, be it the root or any other layer.
+                    var lastParentKey = $"Shokofin:{lastParentTag.Id}";
+                    if (!tagMap!.TryGetValue(lastParentKey, out var lastChildren))
+                        tagMap[lastParentKey] = lastChildren = [];
+
+                    if (!lastChildren.Any(childTag => string.Equals(childTag.Name, tag.Name, StringComparison.InvariantCultureIgnoreCase)))
+                        lastChildren.Add(new() {
+                            Id = nextUserTagId++,
+                            ParentId = lastParentTag.Id,
+                            Name = tag.Name,
+                            Description = tag.Description,
+                            IsVerified = tag.IsVerified,
+                            IsGlobalSpoiler = tag.IsGlobalSpoiler,
+                            IsLocalSpoiler = tag.IsLocalSpoiler,
+                            Weight = tag.Weight,
+                            LastUpdated = tag.LastUpdated,
+                            Size = tag.Size,
+                            Source = "Shokofin",
+                        });
+                    break;
                 }
-                return allResolvedTags;
             }
-        );
+        }
+        List<Tag>? getChildren(string source, int id) => tagMap.TryGetValue($"{source}:{id}", out var list) ? list : null;
+        var allResolvedTags = rootTags
+            .Select(tag => new ResolvedTag(tag, null, getChildren))
+            .SelectMany(tag => tag.RecursiveNamespacedChildren.Values.Prepend(tag))
+            .ToDictionary(tag => tag.FullName, StringComparer.InvariantCultureIgnoreCase);
+        // We reassign the children because they may have been moved to a different namespace.
+        foreach (var groupBy in allResolvedTags.Values.GroupBy(tag => tag.Namespace).OrderByDescending(pair => pair.Key)) {
+            if (!allResolvedTags.TryGetValue(groupBy.Key[..^1], out var nsTag))
+                continue;
+            nsTag.Children = groupBy.ToDictionary(childTag => childTag.Name, StringComparer.InvariantCultureIgnoreCase);
+            nsTag.RecursiveNamespacedChildren = nsTag.Children.Values
+                .SelectMany(childTag => childTag.RecursiveNamespacedChildren.Values.Prepend(childTag))
+                .ToDictionary(childTag => childTag.FullName[nsTag.FullName.Length..], StringComparer.InvariantCultureIgnoreCase);
+        }
+        return allResolvedTags;
+    }
 
     private async Task<string[]> GetTagsForSeries(string seriesId) {
         var tags = await GetNamespacedTagsForSeries(seriesId).ConfigureAwait(false);
@@ -972,48 +1064,50 @@ public partial class ShokoApiManager : IDisposable {
                     return [];
 
                 var seriesConfig = await GetSeriesConfiguration(seriesId).ConfigureAwait(false);
-                if (seriesConfig.StructureType is SeriesStructureType.TMDB_SeriesAndMovies) {
-                    var seasons = new List<SeasonInfo>();
-                    var episodeXrefs = await ApiClient.GetTmdbCrossReferencesForShokoSeries(seriesId).ConfigureAwait(false);
-                    var showIds = episodeXrefs
-                        .GroupBy(x => x.TmdbShowId)
-                        .OrderByDescending(x => x.Count())
-                        .Select(x => x.Key)
-                        .Except([0])
-                        .ToList();
-                    foreach (var showId in showIds) {
-                        var episodes = (await ApiClient.GetTmdbEpisodesInTmdbShow(showId.ToString()).ConfigureAwait(false)).ToDictionary(e => e.Id);
-                        var seasonIds = episodeXrefs
-                            .Where(x => x.TmdbShowId == showId)
-                            .GroupBy(x => episodes.TryGetValue(x.TmdbEpisodeId, out var e) ? e.SeasonId : string.Empty)
-                            .OrderByDescending(x => x.Count())
-                            .Select(x => x.Key)
-                            .Except([string.Empty])
-                            .ToList();
-                        foreach (var seasonId in seasonIds) {
-                            if (await GetSeasonInfo(IdPrefix.TmdbShow + seasonId).ConfigureAwait(false) is not { } seasonInfo)
-                                continue;
+                if (seriesConfig.StructureType is SeriesStructureType.TMDB_SeriesAndMovies)
+                    return await GetTmdbSeasonInfosForShokoSeries(series).ConfigureAwait(false);
 
-                            seasons.Add(seasonInfo);
-                        }
-                    }
-                    foreach (var movieId in series.IDs.TMDB.Movie) {
-                        if (await GetSeasonInfo(IdPrefix.TmdbMovie + movieId.ToString()).ConfigureAwait(false) is not { } seasonInfo)
-                            continue;
+                if (await GetSeasonInfo(seriesId).ConfigureAwait(false) is not { } seasonInfo)
+                    return [];
 
-                        seasons.Add(seasonInfo);
-                    }
+                return [seasonInfo];
+            }
+        );
 
-                    return seasons;
-                }
-                else {
-                    if (await GetSeasonInfo(seriesId).ConfigureAwait(false) is not { } seasonInfo)
-                        return [];
+    private async Task<IReadOnlyList<SeasonInfo>> GetTmdbSeasonInfosForShokoSeries(ShokoSeries series) {
+        var seasons = new List<SeasonInfo>();
+        var episodeXrefs = await ApiClient.GetTmdbCrossReferencesForShokoSeries(series.Id).ConfigureAwait(false);
+        var showIds = episodeXrefs
+            .GroupBy(x => x.TmdbShowId)
+            .OrderByDescending(x => x.Count())
+            .Select(x => x.Key)
+            .Except([0])
+            .ToList();
+        foreach (var showId in showIds) {
+            var episodes = (await ApiClient.GetTmdbEpisodesInTmdbShow(showId.ToString()).ConfigureAwait(false)).ToDictionary(e => e.Id);
+            var seasonIds = episodeXrefs
+                .Where(x => x.TmdbShowId == showId)
+                .GroupBy(x => episodes.TryGetValue(x.TmdbEpisodeId, out var e) ? e.SeasonId : string.Empty)
+                .OrderByDescending(x => x.Count())
+                .Select(x => x.Key)
+                .Except([string.Empty])
+                .ToList();
+            foreach (var seasonId in seasonIds) {
+                if (await GetSeasonInfo(IdPrefix.TmdbShow + seasonId).ConfigureAwait(false) is not { } seasonInfo)
+                    continue;
 
-                    return [seasonInfo];
-                }
+                seasons.Add(seasonInfo);
             }
-        );
+        }
+        foreach (var movieId in series.IDs.TMDB.Movie) {
+            if (await GetSeasonInfo(IdPrefix.TmdbMovie + movieId.ToString()).ConfigureAwait(false) is not { } seasonInfo)
+                continue;
+
+            seasons.Add(seasonInfo);
+        }
+
+        return seasons;
+    }
 
     private Task<SeasonInfo> CreateSeasonInfo(TmdbMovie tmdbMovie)
         => DataCache.GetOrCreateAsync(
@@ -1153,135 +1247,153 @@ public partial class ShokoApiManager : IDisposable {
 
                 Logger.LogTrace("Creating info object for season {SeasonTitle}. (Source=Shoko,Series={SeriesId},ExtraSeries={ExtraIds})", series.Name, primaryId, extraIds);
 
-                var episodes = (await Task.WhenAll(
-                    extraIds.Prepend(primaryId)
-                        .Select(id => ApiClient.GetShokoEpisodesInShokoSeries(id)
-                            .ContinueWith(task => Task.WhenAll(task.Result.Select(CreateEpisodeInfo)))
-                            .Unwrap()
-                        )
-                ).ConfigureAwait(false))
-                    .SelectMany(list => list)
-                    .ToList();
+                var episodes = await CreateEpisodeInfosForSeason(primaryId, extraIds).ConfigureAwait(false);
+                var seasonInfo = await CreateSeasonInfo(series, extraIds, episodes, GetSeriesConfiguration).ConfigureAwait(false);
 
-                ITmdbEntity? tmdbEntity = null;
-                if (series.IDs.TMDB.Show.Count > 0 || series.IDs.TMDB.Movie.Count > 0) {
-                    if (series.IDs.TMDB.Show.Count > 0) {
-                        Logger.LogTrace("Found {TmdbShowCount} TMDB shows for Shoko Series {SeriesTitle} to pick a season to use. (Series={SeriesId})", series.IDs.TMDB.Show.Count, series.Name, primaryId);
-
-                        var episodeXrefs = await ApiClient.GetTmdbCrossReferencesForShokoSeries(primaryId).ConfigureAwait(false);
-                        var showIds = episodeXrefs
-                            .GroupBy(x => x.TmdbShowId)
-                            .OrderByDescending(x => x.Count())
-                            .Select(x => x.Key)
-                            .Except([0])
-                            .ToList();
-                        foreach (var showId in showIds) {
-                            var tmdbEpisodes = (await ApiClient.GetTmdbEpisodesInTmdbShow(showId.ToString()).ConfigureAwait(false)).ToDictionary(e => e.Id);
-                            var seasonIds = episodeXrefs
-                                .Where(x => x.TmdbShowId == showId)
-                                .GroupBy(x => tmdbEpisodes.TryGetValue(x.TmdbEpisodeId, out var e) ? e.SeasonId : string.Empty)
-                                .OrderByDescending(x => x.Count())
-                                .ExceptBy([string.Empty], x => x.Key)
-                                .ToDictionary(x => x.Key, x => x.Count());
-
-                            Logger.LogTrace("Found {TmdbSeasonCount} TMDB seasons to potentially use. (Series={SeriesId},Show={ShowId})", seasonIds.Count, primaryId, showId);
-
-                            var fullyMatchedSeasons = 0;
-                            foreach (var (seasonId, matchedEpisodeCount) in seasonIds) {
-                                if (await ApiClient.GetTmdbSeason(seasonId).ConfigureAwait(false) is { } tmdbSeason) {
-                                    if (tmdbSeason.SeasonNumber is 0) {
-                                        Logger.LogTrace("Found season zero for Shoko Series {SeriesTitle}. Skipping season match. (Series={SeriesId},Season={SeasonId},Show={ShowId})", series.Name, primaryId, tmdbSeason.Id, tmdbSeason.ShowId);
-                                        continue;
-                                    }
-
-                                    tmdbEntity ??= tmdbSeason;
-                                    Logger.LogTrace("Found TMDB season {TmdbSeasonTitle} for Shoko Series {SeriesTitle}. (Series={SeriesId},Season={SeasonId},Show={ShowId})", tmdbSeason.Title, series.Name, primaryId, tmdbSeason.Id, tmdbSeason.ShowId);
-
-                                    // If the Shoko Series is fully matched to more than one TMDB season that's not season zero, then switch to using the show instead.
-                                    if (tmdbSeason.EpisodeCount == matchedEpisodeCount) {
-                                        if (++fullyMatchedSeasons > 1)
-                                            break;
-                                        continue;
-                                    }
+                foreach (var episode in episodes)
+                    EpisodeIdToSeasonIdDictionary.TryAdd(episode.Id, primaryId);
 
-                                    break;
-                                }
-                            }
-                            if (tmdbEntity is not null && fullyMatchedSeasons > 1) {
-                                if (await ApiClient.GetTmdbShowForSeason(((TmdbSeason)tmdbEntity).Id).ConfigureAwait(false) is { } tmdbShow) {
-                                    tmdbEntity = tmdbShow;
-                                    Logger.LogTrace("Found multiple TMDB seasons for Shoko Series {SeriesTitle}, so switched to show {ShowName} instead. (Series={SeriesId})", series.Name, tmdbShow.Title, primaryId);
-                                }
-                            }
+                return seasonInfo;
+            }
+        ).ConfigureAwait(false);
+    }
 
-                            if (tmdbEntity is not null)
-                                break;
-                        }
-                    }
+    private async Task<List<EpisodeInfo>> CreateEpisodeInfosForSeason(string primaryId, List<string> extraIds)
+        => (await Task.WhenAll(
+            extraIds.Prepend(primaryId)
+                .Select(id => ApiClient.GetShokoEpisodesInShokoSeries(id)
+                    .ContinueWith(task => Task.WhenAll(task.Result.Select(CreateEpisodeInfo)))
+                    .Unwrap()
+                )
+        ).ConfigureAwait(false))
+            .SelectMany(list => list)
+            .ToList();
+
+    /// <summary>
+    /// Create a season info for the primary series of a merge group, without
+    /// touching the caches.
+    /// </summary>
+    /// <param name="series">The primary series of the merge group.</param>
+    /// <param name="extraIds">The other series in the merge group.</param>
+    /// <param name="episodes">The episodes of all series in the merge group.</param>
+    /// <param name="getSeriesConfiguration">Resolves the series configuration to use for a series.</param>
+    /// <returns>The season info.</returns>
+    private async Task<SeasonInfo> CreateSeasonInfo(ShokoSeries series, List<string> extraIds, List<EpisodeInfo> episodes, Func<string, Task<SeriesConfiguration>> getSeriesConfiguration) {
+        var primaryId = series.Id;
+        ITmdbEntity? tmdbEntity = null;
+        if (series.IDs.TMDB.Show.Count > 0 || series.IDs.TMDB.Movie.Count > 0) {
+            if (series.IDs.TMDB.Show.Count > 0) {
+                Logger.LogTrace("Found {TmdbShowCount} TMDB shows for Shoko Series {SeriesTitle} to pick a season to use. (Series={SeriesId})", series.IDs.TMDB.Show.Count, series.Name, primaryId);
+
+                var episodeXrefs = await ApiClient.GetTmdbCrossReferencesForShokoSeries(primaryId).ConfigureAwait(false);
+                var showIds = episodeXrefs
+                    .GroupBy(x => x.TmdbShowId)
+                    .OrderByDescending(x => x.Count())
+                    .Select(x => x.Key)
+                    .Except([0])
+                    .ToList();
+                foreach (var showId in showIds) {
+                    var tmdbEpisodes = (await ApiClient.GetTmdbEpisodesInTmdbShow(showId.ToString()).ConfigureAwait(false)).ToDictionary(e => e.Id);
+                    var seasonIds = episodeXrefs
+                        .Where(x => x.TmdbShowId == showId)
+                        .GroupBy(x => tmdbEpisodes.TryGetValue(x.TmdbEpisodeId, out var e) ? e.SeasonId : string.Empty)
+                        .OrderByDescending(x => x.Count())
+                        .ExceptBy([string.Empty], x => x.Key)
+                        .ToDictionary(x => x.Key, x => x.Count());
 
-                    if (tmdbEntity is null && series.IDs.TMDB.Movie.Count > 0) {
-                        Logger.LogTrace("Found {TmdbMovieCount} TMDB movies for Shoko Series {SeriesTitle} to pick a movie collection to use. (Series={SeriesId})", series.IDs.TMDB.Movie.Count, series.Name, primaryId);
+                    Logger.LogTrace("Found {TmdbSeasonCount} TMDB seasons to potentially use. (Series={SeriesId},Show={ShowId})", seasonIds.Count, primaryId, showId);
 
-                        var collectionIds = new List<int>();
-                        foreach (var movieId in series.IDs.TMDB.Movie) {
-                            if (await ApiClient.GetTmdbMovie(movieId.ToString()).ConfigureAwait(false) is not { } tmdbMovie ||
-                                !tmdbMovie.CollectionId.HasValue)
+                    var fullyMatchedSeasons = 0;
+                    foreach (var (seasonId, matchedEpisodeCount) in seasonIds) {
+                        if (await ApiClient.GetTmdbSeason(seasonId).ConfigureAwait(false) is { } tmdbSeason) {
+                            if (tmdbSeason.SeasonNumber is 0) {
+                                Logger.LogTrace("Found season zero for Shoko Series {SeriesTitle}. Skipping season match. (Series={SeriesId},Season={SeasonId},Show={ShowId})", series.Name, primaryId, tmdbSeason.Id, tmdbSeason.ShowId);
                                 continue;
+                            }
 
-                            collectionIds.Add(tmdbMovie.CollectionId.Value);
-                        }
+                            tmdbEntity ??= tmdbSeason;
+                            Logger.LogTrace("Found TMDB season {TmdbSeasonTitle} for Shoko Series {SeriesTitle}. (Series={SeriesId},Season={SeasonId},Show={ShowId})", tmdbSeason.Title, series.Name, primaryId, tmdbSeason.Id, tmdbSeason.ShowId);
 
-                        collectionIds = collectionIds
-                            .GroupBy(x => x)
-                            .OrderByDescending(x => x.Count())
-                            .Select(x => x.Key)
-                            .ToList();
-                        foreach (var collectionId in collectionIds) {
-                            if (await ApiClient.GetTmdbMovieCollection(collectionId.ToString()).ConfigureAwait(false) is { } tmdbCollection) {
-                                tmdbEntity = tmdbCollection;
-                                Logger.LogTrace("Found TMDB movie collection {TmdbCollectionTitle} for Shoko Series {SeriesTitle}. (Series={SeriesId},Collection={CollectionId})", tmdbCollection.Title, series.Name, primaryId, tmdbCollection.Id);
-                                break;
+                            // If the Shoko Series is fully matched to more than one TMDB season that's not season zero, then switch to using the show instead.
+                            if (tmdbSeason.EpisodeCount == matchedEpisodeCount) {
+                                if (++fullyMatchedSeasons > 1)
+                                    break;
+                                continue;
                             }
+
+                            break;
+                        }
+                    }
+                    if (tmdbEntity is not null && fullyMatchedSeasons > 1) {
+                        if (await ApiClient.GetTmdbShowForSeason(((TmdbSeason)tmdbEntity).Id).ConfigureAwait(false) is { } tmdbShow) {
+                            tmdbEntity = tmdbShow;
+                            Logger.LogTrace("Found multiple TMDB seasons for Shoko Series {SeriesTitle}, so switched to show {ShowName} instead. (Series={SeriesId})", series.Name, tmdbShow.Title, primaryId);
                         }
                     }
 
-                    if (tmdbEntity is null)
-                        Logger.LogTrace("Could not find TMDB entity to use for Shoko Series {SeriesTitle}. (Series={SeriesId})", series.Name, primaryId);
+                    if (tmdbEntity is not null)
+                        break;
                 }
+            }
 
-                SeasonInfo seasonInfo;
-                if (extraIds.Count > 0) {
-                    var detailsIds = extraIds.Prepend(primaryId).ToList();
-
-                    // Create the tasks.
-                    var relationsTasks = detailsIds.Select(id => ApiClient.GetRelationsForShokoSeries(id));
-                    var seriesConfigurationsTasks = detailsIds.Select(id => GetSeriesConfiguration(id));
+            if (tmdbEntity is null && series.IDs.TMDB.Movie.Count > 0) {
+                Logger.LogTrace("Found {TmdbMovieCount} TMDB movies for Shoko Series {SeriesTitle} to pick a movie collection to use. (Series={SeriesId})", series.IDs.TMDB.Movie.Count, series.Name, primaryId);
 
-                    // Await the tasks in order.
-                    var relations = (await Task.WhenAll(relationsTasks).ConfigureAwait(false))
-                        .SelectMany(r => r)
-                        .Where(r => r.RelatedIDs.Shoko.HasValue && !detailsIds.Contains(r.RelatedIDs.Shoko.Value.ToString()))
-                        .ToList();
-                    var seriesConfigurations = (await Task.WhenAll(seriesConfigurationsTasks).ConfigureAwait(false))
-                        .Select((t, i) => (t, i))
-                        .ToDictionary(t => detailsIds[t.i], (t) => t.t);
+                var collectionIds = new List<int>();
+                foreach (var movieId in series.IDs.TMDB.Movie) {
+                    if (await ApiClient.GetTmdbMovie(movieId.ToString()).ConfigureAwait(false) is not { } tmdbMovie ||
+                        !tmdbMovie.CollectionId.HasValue)
+                        continue;
 
-                    // Create the season info using the merged details.
-                    seasonInfo = new SeasonInfo(ApiClient, series, extraIds, episodes, relations, tmdbEntity, seriesConfigurations);
+                    collectionIds.Add(tmdbMovie.CollectionId.Value);
                 }
-                else {
-                    var relations = await ApiClient.GetRelationsForShokoSeries(primaryId).ConfigureAwait(false);
-                    var seriesConfigurations = new Dictionary<string, SeriesConfiguration>() { { primaryId, await GetSeriesConfiguration(primaryId).ConfigureAwait(false) },
-                    };
-                    seasonInfo = new SeasonInfo(ApiClient, series, extraIds, episodes, relations, tmdbEntity, seriesConfigurations);
+
+                collectionIds = collectionIds
+                    .GroupBy(x => x)
+                    .OrderByDescending(x => x.Count())
+                    .Select(x => x.Key)
+                    .ToList();
+                foreach (var collectionId in collectionIds) {
+                    if (await ApiClient.GetTmdbMovieCollection(collectionId.ToString()).ConfigureAwait(false) is { } tmdbCollection) {
+                        tmdbEntity = tmdbCollection;
+                        Logger.LogTrace("Found TMDB movie collection {TmdbCollectionTitle} for Shoko Series {SeriesTitle}. (Series={SeriesId},Collection={CollectionId})", tmdbCollection.Title, series.Name, primaryId, tmdbCollection.Id);
+                        break;
+                    }
                 }
+            }
 
-                foreach (var episode in episodes)
-                    EpisodeIdToSeasonIdDictionary.TryAdd(episode.Id, primaryId);
+            if (tmdbEntity is null)
+                Logger.LogTrace("Could not find TMDB entity to use for Shoko Series {SeriesTitle}. (Series={SeriesId})", series.Name, primaryId);
+        }
 
-                return seasonInfo;
-            }
-        ).ConfigureAwait(false);
+        SeasonInfo seasonInfo;
+        if (extraIds.Count > 0) {
+            var detailsIds = extraIds.Prepend(primaryId).ToList();
+
+            // Create the tasks.
+            var relationsTasks = detailsIds.Select(id => ApiClient.GetRelationsForShokoSeries(id));
+            var seriesConfigurationsTasks = detailsIds.Select(id => getSeriesConfiguration(id));
+
+            // Await the tasks in order.
+            var relations = (await Task.WhenAll(relationsTasks).ConfigureAwait(false))
+                .SelectMany(r => r)
+                .Where(r => r.RelatedIDs.Shoko.HasValue && !detailsIds.Contains(r.RelatedIDs.Shoko.Value.ToString()))
+                .ToList();
+            var seriesConfigurations = (await Task.WhenAll(seriesConfigurationsTasks).ConfigureAwait(false))
+                .Select((t, i) => (t, i))
+                .ToDictionary(t => detailsIds[t.i], (t) => t.t);
+
+            // Create the season info using the merged details.
+            seasonInfo = new SeasonInfo(ApiClient, series, extraIds, episodes, relations, tmdbEntity, seriesConfigurations);
+        }
+        else {
+            var relations = await ApiClient.GetRelationsForShokoSeries(primaryId).ConfigureAwait(false);
+            var seriesConfigurations = new Dictionary<string, SeriesConfiguration>() { { primaryId, await getSeriesConfiguration(primaryId).ConfigureAwait(false) },
+            };
+            seasonInfo = new SeasonInfo(ApiClient, series, extraIds, episodes, relations, tmdbEntity, seriesConfigurations);
+        }
+
+        return seasonInfo;
     }
 
     #endregion
@@ -1295,6 +1407,41 @@ public partial class ShokoApiManager : IDisposable {
         return await GetSeriesIdsForSeason(shokoSeries).ConfigureAwait(false);
     }
 
+    /// <summary>
+    /// Preview which season each series in the same Shoko group as the given
+    /// series would be merged into, regardless of whether season merging is
+    /// enabled or not.
+    /// </summary>
+    /// <param name="series">The Shoko series to start from.</param>
+    /// <param name="seriesConfiguration">The series configuration to use for the given series instead of the saved configuration, if any.</param>
+    /// <returns>Each series in the group, with its resolved configuration, relations and the ID of the series used for the season it would be merged into.</returns>
+    public async Task<IReadOnlyList<(ShokoSeries series, SeriesConfiguration seriesConfig, IReadOnlyList<Relation> relations, string primaryId)>> PreviewSeasonMerging(ShokoSeries series, SeriesConfiguration? seriesConfiguration = null) {
+        var overrideConfig = seriesConfiguration is not null
+            ? await ResolveSeriesConfiguration(series.Id, seriesConfiguration).ConfigureAwait(false)
+            : null;
+
+        // Don't touch the cached mappings, since they may not match the
+        // configuration we're previewing.
+        Task<SeriesConfiguration> getSeriesConfiguration(string id)
+            => overrideConfig is not null && id == series.Id ? Task.FromResult(overrideConfig) : GetSeriesConfiguration(id);
+        Task<(string primaryId, List<string> extraIds)> getSeriesIdsForSeason(ShokoSeries currentSeries)
+            => CreateSeriesIdsForSeason(currentSeries, getSeriesConfiguration, getSeriesIdsForSeason);
+
+        var seriesInGroup = (await ApiClient.GetShokoSeriesInGroup(series.IDs.ParentGroup.ToString()).ConfigureAwait(false))
+            .Where(s => s.Id != series.Id)
+            .Prepend(series)
+            .ToList();
+        var results = new List<(ShokoSeries series, SeriesConfiguration seriesConfig, IReadOnlyList<Relation> relations, string primaryId)>();
+        foreach (var currentSeries in seriesInGroup) {
+            var seriesConfig = await getSeriesConfiguration(currentSeries.Id).ConfigureAwait(false);
+            var relations = await ApiClient.GetRelationsForShokoSeries(currentSeries.Id).ConfigureAwait(false);
+            var (primaryId, _) = await getSeriesIdsForSeason(currentSeries).ConfigureAwait(false);
+            results.Add((currentSeries, seriesConfig, relations, primaryId));
+        }
+
+        return results;
+    }
+
     private Task<(string primaryId, List<string> extraIds)> GetSeriesIdsForSeason(ShokoSeries series)
         => DataCache.GetOrCreateAsync(
             $"season-series-ids:{series.Id}",
@@ -1306,248 +1453,256 @@ public partial class ShokoApiManager : IDisposable {
                 Logger.LogTrace("Reusing existing series-to-season mapping for series. (Series={SeriesId},ExtraSeries={ExtraIds})", tuple.primaryId, tuple.extraIds);
             },
             async () => {
-                var primaryId = series.Id;
-                var extraIds = new List<string>();
-                var config = Plugin.Instance.Configuration;
-                if (!config.SeasonMerging_Enabled)
-                    return (primaryId, extraIds);
-
-                Logger.LogTrace("Creating new series-to-season mapping for series. (Series={SeriesId})", primaryId);
-
-                var seriesConfig = await GetSeriesConfiguration(series.Id).ConfigureAwait(false);
-                if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
-                    return (primaryId, extraIds);
-
-                if (seriesConfig.StructureType is not SeriesStructureType.Shoko_Groups)
-                    return (primaryId, extraIds);
-
-                if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(seriesConfig.Type))
-                    return (primaryId, extraIds);
-
-                if (series.AniDB.AirDate is null)
-                    return (primaryId, extraIds);
-
-                // We potentially have a "follow-up" season candidate, so look for the "primary" season candidate, then jump into that.
-                var relations = await ApiClient.GetRelationsForShokoSeries(primaryId).ConfigureAwait(false);
-                var mainTitle = series.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
-                var maxDaysThreshold = config.SeasonMerging_MergeWindowInDays;
-                var adjustedMainTitle = AdjustMainTitle(mainTitle) ?? mainTitle;
-                var currentSeries = series;
-                var currentDate = currentSeries.AniDB.AirDate.Value;
-                var currentRelations = relations;
-                var currentConfig = seriesConfig;
-                var groupId = currentSeries.IDs.ParentGroup;
-                while (currentRelations.Count > 0) {
-                    foreach (
-                        var prequelRelation in currentRelations
-                            .Where(relation => relation.Type is RelationType.Prequel or RelationType.MainStory && relation.RelatedIDs.Shoko.HasValue)
-                            .OrderBy(relation => relation.Type is RelationType.Prequel)
-                            .ThenBy(relation => relation.Type)
-                            .ThenBy(relation => relation.RelatedIDs.AniDB)
-                    ) {
-                        if (await ApiClient.GetShokoSeries(prequelRelation.RelatedIDs.Shoko!.Value.ToString()).ConfigureAwait(false) is not { } prequelSeries)
-                            continue;
+                if (!Plugin.Instance.Configuration.SeasonMerging_Enabled)
+                    return (series.Id, new List<string>());
 
-                        if (prequelSeries.IDs.ParentGroup != groupId)
-                            continue;
-
-                        var prequelConfig = await GetSeriesConfiguration(prequelSeries.Id).ConfigureAwait(false);
-                        if (prequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
-                            continue;
-
-                        if (prequelConfig.StructureType is not SeriesStructureType.Shoko_Groups)
-                            continue;
-
-                        if (prequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(prequelConfig.Type))
-                            continue;
-
-                        if (prequelSeries.AniDB.AirDate is not { } prequelDate)
-                            continue;
+                return await CreateSeriesIdsForSeason(series, GetSeriesConfiguration, GetSeriesIdsForSeason).ConfigureAwait(false);
+            }
+        );
 
-                        var mergeOverride = (
-                            prequelRelation.Type is RelationType.Prequel && (currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeBackward) || prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeForward))
-                        ) || (
-                            prequelRelation.Type is RelationType.MainStory && currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeWithMainStory)
-                        ) || (
-                            currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupASource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget)
-                        ) || (
-                            currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget)
-                        ) || (
-                            currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget)
-                        ) || (
-                            currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget)
-                        );
-                        if (!mergeOverride) {
-                            if (prequelRelation.Type is RelationType.Prequel && prequelDate > currentDate)
-                                continue;
+    private async Task<(string primaryId, List<string> extraIds)> CreateSeriesIdsForSeason(
+        ShokoSeries series,
+        Func<string, Task<SeriesConfiguration>> getSeriesConfiguration,
+        Func<ShokoSeries, Task<(string primaryId, List<string> extraIds)>> getSeriesIdsForSeason
+    ) {
+        var primaryId = series.Id;
+        var extraIds = new List<string>();
+        var config = Plugin.Instance.Configuration;
+        Logger.LogTrace("Creating new series-to-season mapping for series. (Series={SeriesId})", primaryId);
 
-                            if (maxDaysThreshold > 0) {
-                                var deltaDays = (int)Math.Floor((currentDate - prequelDate).TotalDays);
-                                if (deltaDays > maxDaysThreshold)
-                                    continue;
-                            }
-                        }
+        var seriesConfig = await getSeriesConfiguration(series.Id).ConfigureAwait(false);
+        if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
+            return (primaryId, extraIds);
 
-                        var prequelMainTitle = prequelSeries.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
-                        var adjustedPrequelMainTitle = AdjustMainTitle(prequelMainTitle);
-                        if (mergeOverride) {
-                            adjustedMainTitle = adjustedPrequelMainTitle ?? prequelMainTitle;
-                            currentSeries = prequelSeries;
-                            currentDate = prequelDate;
-                            currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
-                            currentConfig = prequelConfig;
-                            goto continuePrequelWhileLoop;
-                        }
+        if (seriesConfig.StructureType is not SeriesStructureType.Shoko_Groups)
+            return (primaryId, extraIds);
+
+        if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(seriesConfig.Type))
+            return (primaryId, extraIds);
+
+        if (series.AniDB.AirDate is null)
+            return (primaryId, extraIds);
+
+        // We potentially have a "follow-up" season candidate, so look for the "primary" season candidate, then jump into that.
+        var relations = await ApiClient.GetRelationsForShokoSeries(primaryId).ConfigureAwait(false);
+        var mainTitle = series.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
+        var maxDaysThreshold = config.SeasonMerging_MergeWindowInDays;
+        var adjustedMainTitle = AdjustMainTitle(mainTitle) ?? mainTitle;
+        var currentSeries = series;
+        var currentDate = currentSeries.AniDB.AirDate.Value;
+        var currentRelations = relations;
+        var currentConfig = seriesConfig;
+        var groupId = currentSeries.IDs.ParentGroup;
+        while (currentRelations.Count > 0) {
+            foreach (
+                var prequelRelation in currentRelations
+                    .Where(relation => relation.Type is RelationType.Prequel or RelationType.MainStory && relation.RelatedIDs.Shoko.HasValue)
+                    .OrderBy(relation => relation.Type is RelationType.Prequel)
+                    .ThenBy(relation => relation.Type)
+                    .ThenBy(relation => relation.RelatedIDs.AniDB)
+            ) {
+                if (await ApiClient.GetShokoSeries(prequelRelation.RelatedIDs.Shoko!.Value.ToString()).ConfigureAwait(false) is not { } prequelSeries)
+                    continue;
+
+                if (prequelSeries.IDs.ParentGroup != groupId)
+                    continue;
+
+                var prequelConfig = await getSeriesConfiguration(prequelSeries.Id).ConfigureAwait(false);
+                if (prequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
+                    continue;
+
+                if (prequelConfig.StructureType is not SeriesStructureType.Shoko_Groups)
+                    continue;
+
+                if (prequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(prequelConfig.Type))
+                    continue;
+
+                if (prequelSeries.AniDB.AirDate is not { } prequelDate)
+                    continue;
+
+                var mergeOverride = (
+                    prequelRelation.Type is RelationType.Prequel && (currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeBackward) || prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeForward))
+                ) || (
+                    prequelRelation.Type is RelationType.MainStory && currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeWithMainStory)
+                ) || (
+                    currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupASource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget)
+                ) || (
+                    currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget)
+                ) || (
+                    currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget)
+                ) || (
+                    currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDSource) && prequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget)
+                );
+                if (!mergeOverride) {
+                    if (prequelRelation.Type is RelationType.Prequel && prequelDate > currentDate)
+                        continue;
 
-                        // We only want to merge main/side stories if the override is set.
-                        if (prequelRelation.Type is RelationType.MainStory)
+                    if (maxDaysThreshold > 0) {
+                        var deltaDays = (int)Math.Floor((currentDate - prequelDate).TotalDays);
+                        if (deltaDays > maxDaysThreshold)
                             continue;
+                    }
+                }
 
-                        if (string.IsNullOrEmpty(adjustedPrequelMainTitle)) {
-                            if (string.Equals(adjustedMainTitle, prequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
-                                currentSeries = prequelSeries;
-                                currentDate = prequelDate;
-                                currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
-                                currentConfig = prequelConfig;
-                                goto breakPrequelWhileLoop;
-                            }
-                            continue;
-                        }
+                var prequelMainTitle = prequelSeries.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
+                var adjustedPrequelMainTitle = AdjustMainTitle(prequelMainTitle);
+                if (mergeOverride) {
+                    adjustedMainTitle = adjustedPrequelMainTitle ?? prequelMainTitle;
+                    currentSeries = prequelSeries;
+                    currentDate = prequelDate;
+                    currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
+                    currentConfig = prequelConfig;
+                    goto continuePrequelWhileLoop;
+                }
 
-                        if (string.Equals(adjustedMainTitle, adjustedPrequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
-                            currentSeries = prequelSeries;
-                            currentDate = prequelDate;
-                            currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
-                            currentConfig = prequelConfig;
-                            goto continuePrequelWhileLoop;
-                        }
+                // We only want to merge main/side stories if the override is set.
+                if (prequelRelation.Type is RelationType.MainStory)
+                    continue;
+
+                if (string.IsNullOrEmpty(adjustedPrequelMainTitle)) {
+                    if (string.Equals(adjustedMainTitle, prequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
+                        currentSeries = prequelSeries;
+                        currentDate = prequelDate;
+                        currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
+                        currentConfig = prequelConfig;
+                        goto breakPrequelWhileLoop;
                     }
-                    breakPrequelWhileLoop: break;
-                    continuePrequelWhileLoop: continue;
+                    continue;
                 }
 
-                // If an earlier candidate was found, use its IDs instead. We re-run the method to
-                // allow it to cache the IDs once for the forward search and re-use them across all
-                // other seasons that perform a backward search.
-                if (currentSeries != series) {
-                    (primaryId, extraIds) = await GetSeriesIdsForSeason(currentSeries).ConfigureAwait(false);
-
-                    // I don't want to duplicate the logging here and to use an else branch with
-                    // more indention for the while loop, so using goto instead.
-                    goto logAndReturn;
+                if (string.Equals(adjustedMainTitle, adjustedPrequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
+                    currentSeries = prequelSeries;
+                    currentDate = prequelDate;
+                    currentRelations = await ApiClient.GetRelationsForShokoSeries(prequelSeries.Id).ConfigureAwait(false);
+                    currentConfig = prequelConfig;
+                    goto continuePrequelWhileLoop;
                 }
+            }
+            breakPrequelWhileLoop: break;
+            continuePrequelWhileLoop: continue;
+        }
 
-                var storyStack = new Stack<(string adjustedMainTitle, DateTime currentDate, SeriesConfiguration currentConfig, IReadOnlyList<Relation> currentRelations, int relationOffset)>([
-                    (adjustedMainTitle, currentDate, currentConfig, currentRelations, 0)
-                ]);
-                while (storyStack.Count > 0) {
-                    (adjustedMainTitle, currentDate, currentConfig, currentRelations, var relationOffset) = storyStack.Pop();
-                    while (currentRelations.Count > 0) {
-                        foreach (
-                            var sequelRelation in currentRelations
-                                .Where(relation => relation.Type is RelationType.Sequel or RelationType.SideStory && relation.RelatedIDs.Shoko.HasValue)
-                                .OrderBy(relation => relation.Type is RelationType.Sequel)
-                                .ThenBy(relation => relation.Type)
-                                .ThenBy(relation => relation.RelatedIDs.AniDB)
-                                .Skip(relationOffset)
-                        ) {
-                            relationOffset++;
-                            if (await ApiClient.GetShokoSeries(sequelRelation.RelatedIDs.Shoko!.Value.ToString()).ConfigureAwait(false) is not { } sequelSeries)
-                                continue;
+        // If an earlier candidate was found, use its IDs instead. We re-run the method to
+        // allow it to cache the IDs once for the forward search and re-use them across all
+        // other seasons that perform a backward search.
+        if (currentSeries != series) {
+            (primaryId, extraIds) = await getSeriesIdsForSeason(currentSeries).ConfigureAwait(false);
 
-                            if (sequelSeries.IDs.ParentGroup != groupId)
-                                continue;
+            // I don't want to duplicate the logging here and to use an else branch with
+            // more indention for the while loop, so using goto instead.
+            goto logAndReturn;
+        }
 
-                            var sequelConfig = await GetSeriesConfiguration(sequelSeries.Id).ConfigureAwait(false);
-                            if (sequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
-                                continue;
+        var storyStack = new Stack<(string adjustedMainTitle, DateTime currentDate, SeriesConfiguration currentConfig, IReadOnlyList<Relation> currentRelations, int relationOffset)>([
+            (adjustedMainTitle, currentDate, currentConfig, currentRelations, 0)
+        ]);
+        while (storyStack.Count > 0) {
+            (adjustedMainTitle, currentDate, currentConfig, currentRelations, var relationOffset) = storyStack.Pop();
+            while (currentRelations.Count > 0) {
+                foreach (
+                    var sequelRelation in currentRelations
+                        .Where(relation => relation.Type is RelationType.Sequel or RelationType.SideStory && relation.RelatedIDs.Shoko.HasValue)
+                        .OrderBy(relation => relation.Type is RelationType.Sequel)
+                        .ThenBy(relation => relation.Type)
+                        .ThenBy(relation => relation.RelatedIDs.AniDB)
+                        .Skip(relationOffset)
+                ) {
+                    relationOffset++;
+                    if (await ApiClient.GetShokoSeries(sequelRelation.RelatedIDs.Shoko!.Value.ToString()).ConfigureAwait(false) is not { } sequelSeries)
+                        continue;
 
-                            if (sequelConfig.StructureType is not SeriesStructureType.Shoko_Groups)
-                                continue;
+                    if (sequelSeries.IDs.ParentGroup != groupId)
+                        continue;
 
-                            if (sequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(sequelConfig.Type))
-                                continue;
+                    var sequelConfig = await getSeriesConfiguration(sequelSeries.Id).ConfigureAwait(false);
+                    if (sequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
+                        continue;
 
-                            if (sequelSeries.AniDB.AirDate is not { } sequelDate)
-                                continue;
+                    if (sequelConfig.StructureType is not SeriesStructureType.Shoko_Groups)
+                        continue;
 
-                            // Fix for older servers with mismatching relations between the series causing weird behavior.
-                            if (sequelRelation.Type is RelationType.SideStory) {
-                                var sequelRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
-                                sequelRelations = sequelRelations
-                                    .Where(relation => relation.Type is RelationType.MainStory && relation.RelatedIDs.Shoko.HasValue)
-                                    .OrderBy(relation => relation.RelatedIDs.AniDB)
-                                    .ToList();
-                                if (sequelRelations.Count == 0 || sequelRelations[0].RelatedIDs.AniDB != sequelRelation.IDs.AniDB)
-                                    continue;
-                            }
+                    if (sequelConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(sequelConfig.Type))
+                        continue;
 
-                            var mergeOverride = (
-                                sequelRelation.Type is RelationType.Sequel && (currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeForward) || sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeBackward))
-                            ) || (
-                                sequelRelation.Type is RelationType.SideStory && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeWithMainStory)
-                            ) || (
-                                currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget)
-                            ) || (
-                                currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget)
-                            ) || (
-                                currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget)
-                            ) || (
-                                currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget)
-                            );
-                            if (!mergeOverride) {
-                                if (sequelRelation.Type is RelationType.Sequel && sequelDate < currentDate)
-                                    continue;
-
-                                if (maxDaysThreshold > 0) {
-                                    var deltaDays = (int)Math.Floor((sequelDate - currentDate).TotalDays);
-                                    if (deltaDays > maxDaysThreshold)
-                                        continue;
-                                }
-                            }
+                    if (sequelSeries.AniDB.AirDate is not { } sequelDate)
+                        continue;
 
-                            var sequelMainTitle = sequelSeries.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
-                            var adjustedSequelMainTitle = AdjustMainTitle(sequelMainTitle);
-                            if (mergeOverride) {
-                                // If we're about to enter a side tangent, so push the main story on the stack at the next relation index.
-                                if (sequelRelation.Type is not RelationType.Sequel)
-                                    storyStack.Push((adjustedMainTitle, currentDate, currentConfig, currentRelations, relationOffset));
-
-                                // Re-focus on the sequel when overriding.
-                                adjustedMainTitle = adjustedSequelMainTitle ?? sequelMainTitle;
-                                extraIds.Add(sequelSeries.Id);
-                                currentDate = sequelDate;
-                                currentRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
-                                currentConfig = sequelConfig;
-                                goto continueSequelWhileLoop;
-                            }
+                    // Fix for older servers with mismatching relations between the series causing weird behavior.
+                    if (sequelRelation.Type is RelationType.SideStory) {
+                        var sequelRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
+                        sequelRelations = sequelRelations
+                            .Where(relation => relation.Type is RelationType.MainStory && relation.RelatedIDs.Shoko.HasValue)
+                            .OrderBy(relation => relation.RelatedIDs.AniDB)
+                            .ToList();
+                        if (sequelRelations.Count == 0 || sequelRelations[0].RelatedIDs.AniDB != sequelRelation.IDs.AniDB)
+                            continue;
+                    }
 
-                            // We only want to merge main/side stories if the override is set.
-                            if (sequelRelation.Type is RelationType.SideStory)
-                                continue;
+                    var mergeOverride = (
+                        sequelRelation.Type is RelationType.Sequel && (currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeForward) || sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeBackward))
+                    ) || (
+                        sequelRelation.Type is RelationType.SideStory && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeWithMainStory)
+                    ) || (
+                        currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupATarget)
+                    ) || (
+                        currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupBTarget)
+                    ) || (
+                        currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupCTarget)
+                    ) || (
+                        currentConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget) && sequelConfig.SeasonMergingBehavior.HasFlag(SeasonMergingBehavior.MergeGroupDTarget)
+                    );
+                    if (!mergeOverride) {
+                        if (sequelRelation.Type is RelationType.Sequel && sequelDate < currentDate)
+                            continue;
 
-                            if (string.IsNullOrEmpty(adjustedSequelMainTitle))
+                        if (maxDaysThreshold > 0) {
+                            var deltaDays = (int)Math.Floor((sequelDate - currentDate).TotalDays);
+                            if (deltaDays > maxDaysThreshold)
                                 continue;
-
-                            if (string.Equals(adjustedMainTitle, adjustedSequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
-                                extraIds.Add(sequelSeries.Id);
-                                currentDate = sequelDate;
-                                currentRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
-                                currentConfig = sequelConfig;
-                                goto continueSequelWhileLoop;
-                            }
                         }
-                        break;
-                        continueSequelWhileLoop: continue;
                     }
-                }
 
-                logAndReturn:
-                Logger.LogTrace("Created new series-to-season mapping for series. (Series={SeriesId},Primary={PrimaryId},ExtraSeries={ExtraIds})", series.Id, primaryId, extraIds);
+                    var sequelMainTitle = sequelSeries.AniDB.Titles.First(title => title.Type == TitleType.Main).Value;
+                    var adjustedSequelMainTitle = AdjustMainTitle(sequelMainTitle);
+                    if (mergeOverride) {
+                        // If we're about to enter a side tangent, so push the main story on the stack at the next relation index.
+                        if (sequelRelation.Type is not RelationType.Sequel)
+                            storyStack.Push((adjustedMainTitle, currentDate, currentConfig, currentRelations, relationOffset));
+
+                        // Re-focus on the sequel when overriding.
+                        adjustedMainTitle = adjustedSequelMainTitle ?? sequelMainTitle;
+                        extraIds.Add(sequelSeries.Id);
+                        currentDate = sequelDate;
+                        currentRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
+                        currentConfig = sequelConfig;
+                        goto continueSequelWhileLoop;
+                    }
 
-                return (primaryId, extraIds);
+                    // We only want to merge main/side stories if the override is set.
+                    if (sequelRelation.Type is RelationType.SideStory)
+                        continue;
+
+                    if (string.IsNullOrEmpty(adjustedSequelMainTitle))
+                        continue;
+
+                    if (string.Equals(adjustedMainTitle, adjustedSequelMainTitle, StringComparison.InvariantCultureIgnoreCase)) {
+                        extraIds.Add(sequelSeries.Id);
+                        currentDate = sequelDate;
+                        currentRelations = await ApiClient.GetRelationsForShokoSeries(sequelSeries.Id).ConfigureAwait(false);
+                        currentConfig = sequelConfig;
+                        goto continueSequelWhileLoop;
+                    }
+                }
+                break;
+                continueSequelWhileLoop: continue;
             }
-        );
+        }
+
+        logAndReturn:
+        Logger.LogTrace("Created new series-to-season mapping for series. (Series={SeriesId},Primary={PrimaryId},ExtraSeries={ExtraIds})", series.Id, primaryId, extraIds);
+
+        return (primaryId, extraIds);
+    }
 
     private string? AdjustMainTitle(string title)
         => YearRegex().Match(title) is { Success: true } result
@@ -1768,6 +1923,80 @@ public partial class ShokoApiManager : IDisposable {
         return await CreateShowInfoForShokoGroup(group, group.Id).ConfigureAwait(false);
     }
 
+    /// <summary>
+    /// Preview the shows the given series would be placed in, without touching
+    /// the caches.
+    /// </summary>
+    /// <param name="series">The Shoko series to preview.</param>
+    /// <param name="seriesConfiguration">The series configuration to use for the given series instead of the saved configuration, if any.</param>
+    /// <returns>The shows the series would be placed in.</returns>
+    public async Task<IReadOnlyList<ShowInfo>> PreviewShowInfosForShokoSeries(ShokoSeries series, SeriesConfiguration? seriesConfiguration = null) {
+        var overrideConfig = seriesConfiguration is not null
+            ? await ResolveSeriesConfiguration(series.Id, seriesConfiguration).ConfigureAwait(false)
+            : null;
+
+        Task<SeriesConfiguration> getSeriesConfiguration(string id)
+            => overrideConfig is not null && id == series.Id ? Task.FromResult(overrideConfig) : GetSeriesConfiguration(id);
+        async Task<(string primaryId, List<string> extraIds)> getSeriesIdsForSeason(ShokoSeries currentSeries)
+            => Plugin.Instance.Configuration.SeasonMerging_Enabled
+                ? await CreateSeriesIdsForSeason(currentSeries, getSeriesConfiguration, getSeriesIdsForSeason).ConfigureAwait(false)
+                : (currentSeries.Id, new List<string>());
+
+        var seasonInfos = new Dictionary<string, SeasonInfo>();
+        async Task<SeasonInfo> createSeasonInfo(ShokoSeries currentSeries) {
+            var (primaryId, extraIds) = await getSeriesIdsForSeason(currentSeries).ConfigureAwait(false);
+            if (seasonInfos.TryGetValue(primaryId, out var existingSeasonInfo))
+                return existingSeasonInfo;
+
+            if (!string.Equals(currentSeries.Id, primaryId, StringComparison.Ordinal))
+                currentSeries = await ApiClient.GetShokoSeries(primaryId).ConfigureAwait(false)
+                    ?? throw new InvalidOperationException("Could not find series with id " + primaryId);
+
+            var episodes = await CreateEpisodeInfosForSeason(primaryId, extraIds).ConfigureAwait(false);
+            return seasonInfos[primaryId] = await CreateSeasonInfo(currentSeries, extraIds, episodes, getSeriesConfiguration).ConfigureAwait(false);
+        }
+
+        // The TMDB structure doesn't depend on the series configuration, so
+        // we can reuse the cached info objects.
+        var seriesConfig = await getSeriesConfiguration(series.Id).ConfigureAwait(false);
+        if (seriesConfig.StructureType is SeriesStructureType.TMDB_SeriesAndMovies) {
+            var seasonInfoList = await GetTmdbSeasonInfosForShokoSeries(series).ConfigureAwait(false);
+            var showInfoList = await Task.WhenAll(seasonInfoList.Select(s => GetShowInfoBySeasonId(s.Id))).ConfigureAwait(false);
+            return showInfoList
+                .OfType<ShowInfo>()
+                .DistinctBy(showInfo => showInfo.Id)
+                .ToList();
+        }
+
+        // Same rules as in GetShowInfoBySeasonId.
+        var seasonInfo = await createSeasonInfo(series).ConfigureAwait(false);
+        if (seasonInfo.StructureType is not SeriesStructureType.Shoko_Groups)
+            return [new ShowInfo(ApiClient, seasonInfo)];
+
+        if (await ApiClient.GetShokoGroupForShokoSeries(seasonInfo.Id).ConfigureAwait(false) is not { } group)
+            return [];
+
+        if (group.Sizes.SubGroups > 0)
+            return [new ShowInfo(ApiClient, seasonInfo)];
+
+        if (seasonInfo.Type == SeriesType.Movie && Plugin.Instance.Configuration.SeparateMovies)
+            return [new ShowInfo(ApiClient, seasonInfo, group.Size > 0 ? group.IDs.ParentGroup?.ToString() : null)];
+
+        // Keep the order of the series in the group, since the default season
+        // ordering relies on it.
+        var seasonList = new List<SeasonInfo>();
+        foreach (var currentSeries in await ApiClient.GetShokoSeriesInGroup(group.Id).ConfigureAwait(false))
+            seasonList.Add(await createSeasonInfo(currentSeries).ConfigureAwait(false));
+
+        seasonList = seasonList
+            .DistinctBy(s => s.Id)
+            .ToList();
+        if (await CreateShowInfoForShokoGroup(group, seasonList).ConfigureAwait(false) is not { } showInfo)
+            return [];
+
+        return [showInfo];
+    }
+
     private Task<ShowInfo> CreateShowInfo(TmdbShow tmdbShow)
         => DataCache.GetOrCreateAsync(
             $"show:by-tmdb-show-id:{tmdbShow.Id}",
@@ -1833,62 +2062,74 @@ public partial class ShokoApiManager : IDisposable {
                 var seasonList = (await Task.WhenAll(seriesInGroup.Select(CreateSeasonInfo)).ConfigureAwait(false))
                     .DistinctBy(seasonInfo => seasonInfo.Id)
                     .ToList();
-                var length = seasonList.Count;
-
-                seasonList = seasonList
-                    .Where(s => s.StructureType is SeriesStructureType.Shoko_Groups)
-                    .ToList();
-
-                if (Plugin.Instance.Configuration.SeparateMovies)
-                    seasonList = seasonList.Where(s => s.Type is not SeriesType.Movie).ToList();
+                if (await CreateShowInfoForShokoGroup(group, seasonList).ConfigureAwait(false) is not { } showInfo)
+                    return null;
 
-                // Return early if no series matched the filter or if the list was empty.
-                if (seasonList.Count == 0) {
-                    Logger.LogWarning("Creating an empty show info for filter! (Source=Shoko,Group={GroupId})", groupId);
+                foreach (var seasonInfo in showInfo.SeasonList)
+                    SeasonIdToShowIdDictionary[seasonInfo.Id] = showInfo.Id;
 
-                    return null;
-                }
+                return showInfo;
+            }
+        );
 
-                var tmdbEntities = new List<ITmdbEntity>();
-                foreach (var seasonInfo in seasonList) {
-                    if (!string.IsNullOrEmpty(seasonInfo.TmdbSeasonId)) {
-                        Logger.LogTrace("Fetching TMDB show for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbSeasonId);
+    /// <summary>
+    /// Create a show info for a Shoko group from the seasons of the series in
+    /// the group, without touching the caches.
+    /// </summary>
+    /// <param name="group">The Shoko group.</param>
+    /// <param name="seasonList">The distinct seasons of the series in the group.</param>
+    /// <returns>The show info, or <c>null</c> if no seasons are left after filtering.</returns>
+    private async Task<ShowInfo?> CreateShowInfoForShokoGroup(ShokoGroup group, List<SeasonInfo> seasonList) {
+        var length = seasonList.Count;
+
+        seasonList = seasonList
+            .Where(s => s.StructureType is SeriesStructureType.Shoko_Groups)
+            .ToList();
 
-                        if (await ApiClient.GetTmdbShowForSeason(seasonInfo.TmdbSeasonId).ConfigureAwait(false) is not { } tmdbShow) {
-                            Logger.LogTrace("Failed to fetch TMDB show for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbSeasonId);
-                            continue;
-                        }
+        if (Plugin.Instance.Configuration.SeparateMovies)
+            seasonList = seasonList.Where(s => s.Type is not SeriesType.Movie).ToList();
 
-                        tmdbEntities.Add(tmdbShow);
-                    }
+        // Return early if no series matched the filter or if the list was empty.
+        if (seasonList.Count == 0) {
+            Logger.LogWarning("Creating an empty show info for filter! (Source=Shoko,Group={GroupId})", group.Id);
 
-                    if (!string.IsNullOrEmpty(seasonInfo.TmdbMovieCollectionId)) {
-                        Logger.LogTrace("Fetching TMDB movie collection for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbMovieCollectionId);
+            return null;
+        }
 
-                        if (await ApiClient.GetTmdbMovieCollection(seasonInfo.TmdbMovieCollectionId).ConfigureAwait(false) is not { } tmdbMovieCollection) {
-                            Logger.LogTrace("Failed to fetch TMDB movie collection for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbMovieCollectionId);
-                            continue;
-                        }
+        var tmdbEntities = new List<ITmdbEntity>();
+        foreach (var seasonInfo in seasonList) {
+            if (!string.IsNullOrEmpty(seasonInfo.TmdbSeasonId)) {
+                Logger.LogTrace("Fetching TMDB show for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbSeasonId);
 
-                        tmdbEntities.Add(tmdbMovieCollection);
-                    }
+                if (await ApiClient.GetTmdbShowForSeason(seasonInfo.TmdbSeasonId).ConfigureAwait(false) is not { } tmdbShow) {
+                    Logger.LogTrace("Failed to fetch TMDB show for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbSeasonId);
+                    continue;
                 }
-                var tmdbEntity = tmdbEntities
-                    .GroupBy(x => (x.Kind, x.Id))
-                    .OrderByDescending(x => x.Count())
-                    .Select(x => x.First())
-                    .FirstOrDefault();
-                if (tmdbEntity is not null)
-                    Logger.LogTrace("Found TMDB show for group {GroupName}. (Group={GroupId},Show={ShowId})", group.Name, groupId, tmdbEntity.Id);
 
-                var showInfo = new ShowInfo(ApiClient, Logger, group, seasonList, tmdbEntity, length != seasonList.Count);
+                tmdbEntities.Add(tmdbShow);
+            }
 
-                foreach (var seasonInfo in seasonList)
-                    SeasonIdToShowIdDictionary[seasonInfo.Id] = showInfo.Id;
+            if (!string.IsNullOrEmpty(seasonInfo.TmdbMovieCollectionId)) {
+                Logger.LogTrace("Fetching TMDB movie collection for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbMovieCollectionId);
 
-                return showInfo;
+                if (await ApiClient.GetTmdbMovieCollection(seasonInfo.TmdbMovieCollectionId).ConfigureAwait(false) is not { } tmdbMovieCollection) {
+                    Logger.LogTrace("Failed to fetch TMDB movie collection for Shoko Series {SeriesName}. (Series={SeriesId},Show={ShowId})", seasonInfo.Title, seasonInfo.Id, seasonInfo.TmdbMovieCollectionId);
+                    continue;
+                }
+
+                tmdbEntities.Add(tmdbMovieCollection);
             }
-        );
+        }
+        var tmdbEntity = tmdbEntities
+            .GroupBy(x => (x.Kind, x.Id))
+            .OrderByDescending(x => x.Count())
+            .Select(x => x.First())
+            .FirstOrDefault();
+        if (tmdbEntity is not null)
+            Logger.LogTrace("Found TMDB show for group {GroupName}. (Group={GroupId},Show={ShowId})", group.Name, group.Id, tmdbEntity.Id);
+
+        return new ShowInfo(ApiClient, Logger, group, seasonList, tmdbEntity, length != seasonList.Count);
+    }
 
     private ShowInfo CreateShowInfoForShokoSeries(SeasonInfo seasonInfo, string? collectionId = null)
         => DataCache.GetOrCreate(
@@ -236,6 +236,16 @@ public class SeriesConfigurationService(ILogger<SeriesConfigurationService> logg
         return await apiManager.GetInternalSeriesConfiguration(shokoSeriesId.ToString());
     }
 
+    /// <summary>
+    /// Get the ids of all Shoko series with at least one of the tags managed by
+    /// Shokofin, including the series type tags.
+    /// </summary>
+    /// <returns>The Shoko series ids.</returns>
+    public async Task<IReadOnlyList<int>> GetSeriesIdsWithOverrides() {
+        var knownTagDict = await CreatOrGetRequiredTags().ConfigureAwait(false);
+        return await apiClient.GetSeriesIdsWithCustomTag(knownTagDict.Values).ConfigureAwait(false);
+    }
+
     public async Task<SeriesConfiguration> UpdateSeriesConfigurationForId(int shokoSeriesId, NullableSeriesConfiguration seriesConfiguration) {
         var config = await GetSeriesConfigurationForId(shokoSeriesId).ConfigureAwait(false) ??
             throw new InvalidOperationException("Series not found.");
@@ -14,6 +14,7 @@ using Shokofin.API;
 using Shokofin.API.Info;
 using Shokofin.Configuration;
 using Shokofin.Events.Interfaces;
+using Shokofin.Events.Stub;
 using Shokofin.Extensions;
 using Shokofin.ExternalIds;
 using Shokofin.Resolvers;
@@ -202,7 +203,7 @@ public class EventDispatchService {
         }
     }
 
-    private async Task ProcessFileEvents(int fileId, List<(UpdateReason Reason, int ManagedFolderId, string Path, IFileEventArgs Event)> changes, Guid trackerId) {
+    private async Task ProcessFileEvents(int fileId, List<(UpdateReason Reason, int ManagedFolderId, string Path, IFileEventArgs Event)> changes, Guid trackerId, bool ignoreFileEventsSetting = false) {
         try {
             if (LibraryScanWatcher.IsScanRunning) {
                 Logger.LogInformation("Skipped processing {EventCount} file change events because a library scan is running. (File={FileId})", changes.Count, fileId);
@@ -215,7 +216,7 @@ public class EventDispatchService {
             var locationsToNotify = new List<string>();
             var mediaFoldersToNotify = new Dictionary<string, (string pathToReport, Folder mediaFolder)>();
             var seriesIds = await GetSeriesIdsForFile(fileId, changes.Select(t => t.Event).LastOrDefault(e => e.HasCrossReferences)).ConfigureAwait(false);
-            var libraries = await ConfigurationService.GetAvailableMediaFoldersForLibraries(c => c.IsFileEventsEnabled).ConfigureAwait(false);
+            var libraries = await ConfigurationService.GetAvailableMediaFoldersForLibraries(c => ignoreFileEventsSetting || c.IsFileEventsEnabled).ConfigureAwait(false);
             var (reason, managedFolderId, relativePath, lastEvent) = changes.Last();
             if (reason is not UpdateReason.Removed) {
                 Logger.LogTrace("Processing file changed. (File={FileId})", fileId);
@@ -760,4 +761,106 @@ public class EventDispatchService {
     }
 
     #endregion
-}
\ No newline at end of file
+
+    #region Series Refresh
+
+    /// <summary>
+    /// Regenerates the VFS links for all files linked to the Shoko series, then
+    /// refreshes the Jellyfin items backed by the series. Used to apply a
+    /// changed series configuration without refreshing the whole library.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <returns>The number of files processed and the number of items refreshed.</returns>
+    public async Task<(int fileCount, int itemCount)> RefreshSeries(string seriesId) {
+        Logger.LogInformation("Refreshing series… (Series={SeriesId})", seriesId);
+
+        // Regenerate the links first, so the new locations are already in
+        // place when the metadata is refreshed.
+        var files = await ApiClient.GetFilesForShokoSeries(seriesId).ConfigureAwait(false);
+        var fileTasks = new List<Task>();
+        foreach (var file in files) {
+            if ((file.Locations.FirstOrDefault(location => location.IsAccessible) ?? file.Locations.FirstOrDefault()) is not { } fileLocation)
+                continue;
+
+            var eventArgs = new FileEventArgsStub(fileLocation, file);
+            var trackerId = Plugin.Instance.Tracker.Add($"Series refresh file event. (Series={seriesId},File={file.Id})");
+            fileTasks.Add(ProcessFileEvents(file.Id, [(UpdateReason.Updated, eventArgs.ManagedFolderId, eventArgs.RelativePath, eventArgs)], trackerId, ignoreFileEventsSetting: true));
+        }
+        await Task.WhenAll(fileTasks).ConfigureAwait(false);
+
+        var itemCount = 0;
+        var seasonInfoList = await ApiManager.GetSeasonInfosForShokoSeries(seriesId).ConfigureAwait(false);
+        var showInfoList = (await Task.WhenAll(seasonInfoList.Select(s => ApiManager.GetShowInfoBySeasonId(s.Id))).ConfigureAwait(false))
+            .OfType<ShowInfo>()
+            .DistinctBy(s => s.Id)
+            .ToList();
+        foreach (var showInfo in showInfoList) {
+            var shows = LibraryManager
+                .GetItemList(new() {
+                    IncludeItemTypes = [BaseItemKind.Series],
+                    SourceTypes = [SourceType.Library],
+                    HasAnyProviderId = new Dictionary<string, string> { { ShokoInternalId.Name, showInfo.InternalId } },
+                    DtoOptions = new(true),
+                })
+                .DistinctBy(s => s.Id)
+                .OfType<TvSeries>()
+                .ToList();
+            foreach (var show in shows) {
+                Logger.LogInformation("Refreshing show {ShowName}. (Show={ShowId},Series={SeriesId})", show.Name, show.Id, showInfo.Id);
+                await MetadataRefreshService.RefreshSeries(show).ConfigureAwait(false);
+                itemCount++;
+            }
+        }
+
+        foreach (var seasonInfo in seasonInfoList) {
+            var seasons = LibraryManager
+                .GetItemList(new() {
+                    IncludeItemTypes = [BaseItemKind.Season],
+                    SourceTypes = [SourceType.Library],
+                    HasAnyProviderId = new Dictionary<string, string> { { ShokoInternalId.Name, seasonInfo.InternalId } },
+                    DtoOptions = new(true),
+                })
+                .DistinctBy(s => s.Id)
+                .OfType<TvSeason>()
+                .ToList();
+            foreach (var season in seasons) {
+                Logger.LogInformation("Refreshing season {SeasonName}. (TvSeason={SeasonId},Season={SeasonId},ExtraSeries={ExtraIds})", season.Name, season.Id, seasonInfo.Id, seasonInfo.ExtraIds);
+                await MetadataRefreshService.RefreshSeason(season).ConfigureAwait(false);
+                itemCount++;
+            }
+
+            var episodeList = seasonInfo.EpisodeList
+                .Concat(seasonInfo.AlternateEpisodesList)
+                .Concat(seasonInfo.SpecialsList)
+                .ToList();
+            foreach (var episodeInfo in episodeList) {
+                var videos = LibraryManager
+                    .GetItemList(new() {
+                        IncludeItemTypes = [BaseItemKind.Episode, BaseItemKind.Movie],
+                        SourceTypes = [SourceType.Library],
+                        HasAnyProviderId = new Dictionary<string, string> { { ProviderNames.ShokoEpisode, episodeInfo.Id } },
+                        DtoOptions = new(true),
+                    })
+                    .DistinctBy(e => e.Id)
+                    .ToList();
+                foreach (var video in videos) {
+                    if (video is TvEpisode episode) {
+                        Logger.LogInformation("Refreshing episode {EpisodeName}. (Episode={EpisodeId},Episode={EpisodeId},Season={SeasonId})", episode.Name, episode.Id, episodeInfo.Id, episodeInfo.SeasonId);
+                        await MetadataRefreshService.RefreshEpisode(episode).ConfigureAwait(false);
+                        itemCount++;
+                    }
+                    else if (video is Movie movie) {
+                        Logger.LogInformation("Refreshing movie {MovieName}. (Movie={MovieId},Episode={EpisodeId},Season={SeasonId},ExtraSeasons={ExtraIds})", movie.Name, movie.Id, episodeInfo.Id, seasonInfo.Id, seasonInfo.ExtraIds);
+                        await MetadataRefreshService.RefreshMovie(movie).ConfigureAwait(false);
+                        itemCount++;
+                    }
+                }
+            }
+        }
+
+        Logger.LogInformation("Refreshed {ItemCount} items and processed {FileCount} files. (Series={SeriesId})", itemCount, fileTasks.Count, seriesId);
+        return (fileTasks.Count, itemCount);
+    }
+
+    #endregion
+}
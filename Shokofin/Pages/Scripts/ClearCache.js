@@ -0,0 +1,87 @@
+export default function (view) {
+let show = false;
+let hide = false;
+view.addEventListener("viewshow", () => show = true);
+view.addEventListener("viewhide", () => hide = true);
+
+/**
+ * @type {import("./Common.js").ApiClientPrototype}
+ */
+const ApiClient = globalThis.ApiClient;
+
+/**
+ * @type {import("./Common.js").DashboardPrototype}
+ */
+const Dashboard = globalThis.Dashboard;
+
+/**
+ * @type {Promise<import("./Common.js")>}
+ */
+const promise = import(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl("Shoko.Common.js")));
+promise.then(({ ShokoApiClient, createControllerFactory, handleError, localizeMessages }) => {
+
+//#region Constants
+
+const Messages = localizeMessages("ClearCache", {
+    ConfirmClearTitle: "Clear Plugin Cache",
+    ConfirmClear: "Are you sure you want to clear the plugin cache? Any metadata will be fetched from Shoko again on the next refresh or library scan.",
+    ClearedCache: "The plugin cache has been cleared.",
+    LibraryScanRunning: "Unable to clear the plugin cache while a library scan is running. Try again after the scan has finished.",
+});
+
+//#endregion
+
+//#region Controller Logic
+
+createControllerFactory({
+    show,
+    hide,
+    initialTab: "utilities",
+    events: {
+        onInit() {
+            const form = this.querySelector("form");
+
+            form.addEventListener("submit", function (event) {
+                event.preventDefault();
+                Dashboard.confirm(Messages.ConfirmClear, Messages.ConfirmClearTitle)
+                    .then(() => {
+                        Dashboard.showLoadingMsg();
+                        return clearCache()
+                            .then(() => Dashboard.hideLoadingMsg())
+                            .catch(handleError);
+                    })
+                    .catch(() => { });
+                return false;
+            });
+        },
+    },
+})(view);
+
+//#endregion
+
+//#region Server Interactions
+
+/**
+ * Clear the plugin cache and report back to the user.
+ *
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    try {
+        await ShokoApiClient.clearPluginCache();
+    }
+    catch (err) {
+        if (err && err.status === 409) {
+            Dashboard.hideLoadingMsg();
+            Dashboard.alert(Messages.LibraryScanRunning);
+            return;
+        }
+        throw err;
+    }
+
+    Dashboard.alert(Messages.ClearedCache);
+}
+
+//#endregion
+
+}); }
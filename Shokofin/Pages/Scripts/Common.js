@@ -100,6 +100,7 @@ export const ApiClient = globalThis.ApiClient;
  * @property {ApiClientGetUsers} getUsers Get the current user.
  * @property {ApiClientGetUrl} getUrl Get an API url.
  * @property {ApiClientFetch} fetch Fetch an API call.
+ * @property {() => string} accessToken Get the access token of the current session.
  * // TODO: Add the rest here if needed.
  */
 
@@ -127,7 +128,7 @@ export const ApiClient = globalThis.ApiClient;
 /**
  * @typedef {Object} ApiClientFetchOptions
  * @property {"json"} dataType The data type of the API call.
- * @property {"GET" | "POST"} [type] The HTTP method of the API call.
+ * @property {"GET" | "POST" | "DELETE"} [type] The HTTP method of the API call.
  * @property {string | FormData | Blob} [data] The data of the API call.
  * @property {Record<string, string>} [headers] The headers of the API call.
  * @property {string} url The url of the API call.
@@ -177,6 +178,101 @@ export const LibraryMenu = globalThis.LibraryMenu;
 
 //#endregion
 
+//#region Localization
+
+/**
+ * A string catalog, mapping the translation keys to the translated strings.
+ *
+ * @typedef {Record<string, string>} LocalizationCatalog
+ */
+
+/**
+ * Load the string catalog for the current UI culture of Jellyfin, falling back
+ * to the base language of the culture if there is no catalog for the full
+ * culture. English is built into the pages themselves, so an empty catalog is
+ * returned if no catalog could be found.
+ *
+ * @returns {Promise<LocalizationCatalog>} The string catalog.
+ */
+async function loadLocalizationCatalog() {
+    const culture = (document.documentElement.lang || navigator.language || "en").toLowerCase();
+    const candidates = [culture, culture.split("-")[0]].filter((value, index, array) => value !== "en" && array.indexOf(value) === index);
+    for (const candidate of candidates) {
+        try {
+            const response = await fetch(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl(`Shoko.Localization.${candidate}.json`)));
+            if (response.ok) {
+                return await response.json();
+            }
+        }
+        catch (err) {
+            console.warn(err, `Unable to load the string catalog for "${candidate}".`);
+        }
+    }
+    return {};
+}
+
+/**
+ * @type {LocalizationCatalog}
+ */
+const LocalizationCatalog = await loadLocalizationCatalog();
+
+/**
+ * Look up the translated string for the given key in the current catalog.
+ *
+ * @param {string} key - The translation key.
+ * @param {string} fallback - The English string to use if the key is not
+ * translated.
+ * @returns {string} The translated string.
+ */
+export function translate(key, fallback) {
+    return Object.prototype.hasOwnProperty.call(LocalizationCatalog, key) ? LocalizationCatalog[key] : fallback;
+}
+
+/**
+ * Translate a messages object, using `<prefix>.<key>` as the translation key
+ * for each message.
+ *
+ * @param {string} prefix - The prefix of the translation keys.
+ * @param {T} messages - The English messages.
+ * @returns {T} The translated messages.
+ * @template {Record<string, string>} T
+ */
+export function localizeMessages(prefix, messages) {
+    return /** @type {T} */ (Object.fromEntries(Object.entries(messages).map(([key, value]) => [key, translate(`${prefix}.${key}`, value)])));
+}
+
+/**
+ * Translate all elements within the view marked with either a `data-i18n`
+ * attribute (the contents of the element) or a `data-i18n-label` attribute
+ * (the label of an `emby-input`).
+ *
+ * @param {HTMLElement} view - The view element.
+ */
+export function localizeView(view) {
+    for (const element of view.querySelectorAll("[data-i18n]")) {
+        const key = element.getAttribute("data-i18n");
+        if (Object.prototype.hasOwnProperty.call(LocalizationCatalog, key)) {
+            element.innerHTML = LocalizationCatalog[key];
+        }
+    }
+
+    for (const element of view.querySelectorAll("[data-i18n-label]")) {
+        const key = element.getAttribute("data-i18n-label");
+        if (Object.prototype.hasOwnProperty.call(LocalizationCatalog, key)) {
+            element.setAttribute("label", LocalizationCatalog[key]);
+
+            // The label element is created when the input is upgraded, which
+            // may already have happened.
+            const label = element.id ? view.querySelector(`label[for="${element.id}"]`) : null;
+            if (label) {
+                label.textContent = LocalizationCatalog[key];
+            }
+        }
+    }
+}
+
+//#endregion
+
 //#region API Client
 
 /**
@@ -184,9 +280,34 @@ export const LibraryMenu = globalThis.LibraryMenu;
  *   IsUsable: boolean;
 *   IsActive: boolean;
 *   State: "Disconnected" | "Connected" | "Connecting" | "Reconnecting";
+*   ConnectedAt: string | null;
+*   LastError: string | null;
+*   LastErrorAt: string | null;
+*   ReconnectAttempt: number;
+*   NextReconnectAt: string | null;
+*   ReconnectIntervals: number[];
 * }} SignalRStatus
 */
 
+/**
+ * @typedef {"FileMatched" | "FileDeleted" | "FileMoved" | "FileRenamed" | "ReleaseSaved" | "EpisodeInfoUpdated" | "SeriesInfoUpdated" | "MovieInfoUpdated"} SignalREventType
+ */
+
+/**
+ * @typedef {"Dispatched" | "ProviderDisabled" | "LibraryScanRunning" | "FileNotFound"} SignalREventOutcome
+ */
+
+/**
+ * @typedef {{
+ *   Id: number;
+ *   Timestamp: string;
+ *   Type: SignalREventType;
+ *   Provider: GenericProvider | null;
+ *   Summary: string;
+ *   Outcome: SignalREventOutcome;
+ * }} SignalREventLogEntry
+ */
+
 /**
 * @typedef {"Shoko" | "AniDB" | "TMDB"} GenericProvider
 */
@@ -306,6 +427,24 @@ export const LibraryMenu = globalThis.LibraryMenu;
 * }} ServerInformation
 */
 
+/**
+ * @typedef {"Skipped" | "Valid" | "Invalid" | "Failed"} ConnectionTestCredentialsStatus
+ */
+
+/**
+ * @typedef {{
+ *   Url: string;
+ *   IsReachable: boolean;
+ *   ResponseTimeInMs: number | null;
+ *   ReachableError: string | null;
+ *   Version: ServerInformation | null;
+ *   IsVersionSupported: boolean;
+ *   MinimumVersion: string;
+ *   CredentialsStatus: ConnectionTestCredentialsStatus;
+ *   CredentialsError: string | null;
+ * }} ConnectionTestResult
+ */
+
 /**
  * @typedef {{
  *   List: TitleProvider[];
@@ -416,6 +555,7 @@ export const LibraryMenu = globalThis.LibraryMenu;
  *   AddCreditsAsThemeVideos: boolean;
  *   AddCreditsAsSpecialFeatures: boolean;
  *   CollectionGrouping: CollectionCreationType;
+ *   CollectionMinSizeOfTwo: boolean;
  *   DefaultLibraryStructure: SeriesStructureType;
  *   DefaultSeasonOrdering: SeasonOrderType;
  *   DefaultSpecialsPlacement: SpecialOrderType;
@@ -425,6 +565,7 @@ export const LibraryMenu = globalThis.LibraryMenu;
  *   VFS_Threads: number;
  *   VFS_AddReleaseGroup: boolean;
  *   VFS_AddResolution: boolean;
+ *   VFS_ResolveLinks: boolean;
  *   VFS_AttachRoot: boolean;
  *   VFS_Location: VirtualRootLocation;
  *   VFS_CustomLocation: string;
@@ -446,15 +587,329 @@ export const LibraryMenu = globalThis.LibraryMenu;
  * }} PluginConfiguration
  */
 
+/**
+ * @typedef {{
+ *   Source: "AniDB" | "TMDB" | "Shoko";
+ *   Type: string;
+ *   Id: number;
+ * }} SimpleImage
+ */
+
 /**
  * @typedef {{
  *   Id: number;
  *   AnidbId: number;
+ *   TmdbShowIds: number[];
+ *   TmdbMovieIds: number[];
  *   Title: string;
  *   DefaultTitle: string;
+ *   Type: SeriesType;
+ *   Year: number | null;
+ *   Poster: SimpleImage | null;
  * }} SimpleSeries
  */
 
+/**
+ * @typedef {{
+ *   Name: string;
+ *   Sources: string[];
+ *   SeriesCount: number | null;
+ * }} SimpleTag
+ */
+
+/**
+ * @typedef {{
+ *   Series: SimpleSeries;
+ *   Configuration: SeriesConfiguration;
+ * }} SeriesConfigurationOverride
+ */
+
+/**
+ * @typedef {{
+ *   Total: number;
+ *   Created: number;
+ *   Fixed: number;
+ *   Skipped: number;
+ *   Removed: number;
+ *   TotalVideos: number;
+ *   CreatedVideos: number;
+ *   FixedVideos: number;
+ *   SkippedVideos: number;
+ *   RemovedVideos: number;
+ *   TotalExternalFiles: number;
+ *   CreatedExternalFiles: number;
+ *   FixedExternalFiles: number;
+ *   SkippedExternalFiles: number;
+ *   RemovedExternalFiles: number;
+ *   RemovedNfos: number;
+ * }} VfsLibraryPreviewStats
+ */
+
+/**
+ * @typedef {{
+ *   LibraryId: string;
+ *   LibraryName: string;
+ *   CollectionType: string;
+ *   VfsRoot: string;
+ *   IsSuccess: boolean;
+ *   FilesBeforeChanges: string[];
+ *   FilesAfterChanges: string[];
+ *   Stats: VfsLibraryPreviewStats;
+ * }} VfsLibraryPreview
+ */
+
+/**
+ * @typedef {{
+ *   Title: string | null;
+ *   Provider: TitleProvider | null;
+ * }} TitlePreviewEntry
+ */
+
+/**
+ * @typedef {{
+ *   MetadataLanguage: string | null;
+ *   MainTitle: TitlePreviewEntry;
+ *   AlternateTitles: TitlePreviewEntry[];
+ *   AlternateTitle: string | null;
+ * }} TitlePreview
+ */
+
+/**
+ * @typedef {"Included" | "NoSource" | "SourceNotEnabled" | "Unverified" | "DepthAboveMaximum" | "LocalSpoiler" | "GlobalSpoiler" | "Abstract" | "Weightless" | "Weighted" | "Parent" | "Child" | "WeightBelowMinimum" | "ExcludedByList"} TagFilterReason
+ */
+
+/**
+ * @typedef {{
+ *   HideUnverifiedTags: boolean;
+ *   TagSources: string;
+ *   TagIncludeFilters: string;
+ *   TagMinimumWeight: TagWeight;
+ *   TagMaximumDepth: number;
+ *   TagExcludeList: string[];
+ *   GenreSources: string;
+ *   GenreIncludeFilters: string;
+ *   GenreMinimumWeight: TagWeight;
+ *   GenreMaximumDepth: number;
+ *   GenreExcludeList: string[];
+ * }} TagFilterPreviewConfiguration
+ */
+
+/**
+ * @typedef {{
+ *   Reason: TagFilterReason;
+ *   Source: TagSource | null;
+ *   Depth: number | null;
+ * }} TagFilterPreviewResult
+ */
+
+/**
+ * @typedef {{
+ *   Name: string;
+ *   FullName: string;
+ *   Weight: TagWeight | number;
+ *   IsWeightless: boolean;
+ *   IsVerified: boolean | null;
+ *   Tag: TagFilterPreviewResult;
+ *   Genre: TagFilterPreviewResult;
+ * }} TagFilterPreviewEntry
+ */
+
+/**
+ * @typedef {{
+ *   Tags: string[];
+ *   Genres: string[];
+ *   Entries: TagFilterPreviewEntry[];
+ * }} TagFilterPreview
+ */
+
+/**
+ * @typedef {{
+ *   Source: "AniDB" | "TMDB" | "Shoko";
+ *   Type: string;
+ *   Id: number;
+ *   LanguageCode: string | null;
+ *   LanguageType: ImageLanguageType | "Unknown";
+ *   IsPreferred: boolean;
+ *   IsAvailable: boolean;
+ *   Width: number | null;
+ *   Height: number | null;
+ *   CommunityRating: number | null;
+ *   Position: number | null;
+ * }} ImagePreviewEntry
+ */
+
+/**
+ * @typedef {{
+ *   Provider: DescriptionProvider;
+ *   LanguageCode: string | null;
+ *   Raw: string | null;
+ *   IsAvailable: boolean;
+ *   IsConverted: boolean;
+ *   Converted: Record<DescriptionConversionMode, string>;
+ * }} DescriptionPreviewEntry
+ */
+
+/**
+ * @typedef {{
+ *   MetadataLanguage: string | null;
+ *   ConversionMode: DescriptionConversionMode;
+ *   SelectedProvider: DescriptionProvider | null;
+ *   Providers: DescriptionPreviewEntry[];
+ * }} DescriptionPreview
+ */
+
+/**
+ * @typedef {{
+ *   MetadataLanguage: string | null;
+ *   Posters: ImagePreviewEntry[];
+ *   Logos: ImagePreviewEntry[];
+ *   Backdrops: ImagePreviewEntry[];
+ * }} ImagePreview
+ */
+
+/**
+ * @typedef {"NoMerge" | "StructureType" | "SeriesType" | "MissingAirDate"} SeasonMergingIneligibleReason
+ */
+
+/**
+ * @typedef {"MultipleTargets" | "MissingTarget" | "IneligibleMember" | "NotMerged"} SeasonMergingConflictType
+ */
+
+/**
+ * @typedef {{
+ *   Group: "A" | "B" | "C" | "D";
+ *   Role: "Target" | "Source";
+ * }} SeasonMergingPreviewGroup
+ */
+
+/**
+ * @typedef {{
+ *   Id: number;
+ *   AnidbId: number;
+ *   Title: string;
+ *   Type: SeriesType;
+ *   AirDate: string | null;
+ *   Behavior: string;
+ *   IneligibleReasons: SeasonMergingIneligibleReason[];
+ *   MergeGroups: SeasonMergingPreviewGroup[];
+ *   SeasonId: number;
+ * }} SeasonMergingPreviewSeries
+ */
+
+/**
+ * @typedef {{
+ *   FromId: number;
+ *   ToId: number;
+ *   Type: "Sequel" | "SideStory";
+ *   DaysApart: number | null;
+ *   IsWithinMergeWindow: boolean;
+ *   IsMerged: boolean;
+ * }} SeasonMergingPreviewRelation
+ */
+
+/**
+ * @typedef {{
+ *   Type: SeasonMergingConflictType;
+ *   Group: "A" | "B" | "C" | "D";
+ *   SeriesIds: number[];
+ * }} SeasonMergingPreviewConflict
+ */
+
+/**
+ * @typedef {{
+ *   IsEnabled: boolean;
+ *   MergeWindowInDays: number;
+ *   SeriesTypes: SeriesType[];
+ *   Series: SeasonMergingPreviewSeries[];
+ *   Relations: SeasonMergingPreviewRelation[];
+ *   Conflicts: SeasonMergingPreviewConflict[];
+ * }} SeasonMergingPreview
+ */
+
+/**
+ * @typedef {"None" | "EpisodeAsSpecial" | "SpecialAsEpisode" | "SpecialAsExtra"} SeriesStructureEpisodeConversion
+ */
+
+/**
+ * @typedef {{
+ *   Id: string;
+ *   SeasonId: string;
+ *   Title: string;
+ *   Type: string;
+ *   Number: number;
+ *   EpisodeNumber: number;
+ *   AirDate: string | null;
+ *   IsAvailable: boolean;
+ *   Conversion: SeriesStructureEpisodeConversion;
+ *   ExtraType: string | null;
+ *   AirsBeforeSeasonNumber: number | null;
+ *   AirsBeforeEpisodeNumber: number | null;
+ *   AirsAfterSeasonNumber: number | null;
+ * }} SeriesStructurePreviewEpisode
+ */
+
+/**
+ * @typedef {{
+ *   SeasonNumber: number;
+ *   Title: string | null;
+ *   SeasonId: string | null;
+ *   ExtraIds: string[];
+ *   IsAlternate: boolean;
+ *   Episodes: SeriesStructurePreviewEpisode[];
+ * }} SeriesStructurePreviewSeason
+ */
+
+/**
+ * @typedef {{
+ *   Id: string;
+ *   Title: string;
+ *   IsStandalone: boolean;
+ *   Seasons: SeriesStructurePreviewSeason[];
+ *   Extras: SeriesStructurePreviewEpisode[];
+ * }} SeriesStructurePreviewShow
+ */
+
+/**
+ * @typedef {{
+ *   Saved: SeriesStructurePreviewShow[];
+ *   Preview: SeriesStructurePreviewShow[];
+ * }} SeriesStructurePreview
+ */
+
+/**
+ * @typedef {{
+ *   FileCount: number;
+ *   ItemCount: number;
+ * }} SeriesRefreshResult
+ */
+
+/**
+ * @typedef {{
+ *   StartTimeUtc: string;
+ *   EndTimeUtc: string;
+ *   Status: "Completed" | "Failed" | "Cancelled" | "Aborted";
+ *   Name: string;
+ *   Key: string;
+ *   Id: string;
+ *   ErrorMessage: string | null;
+ *   LongErrorMessage: string | null;
+ * }} ScheduledTaskResult
+ */
+
+/**
+ * @typedef {{
+ *   Name: string;
+ *   State: "Idle" | "Cancelling" | "Running";
+ *   CurrentProgressPercentage: number | null;
+ *   Id: string;
+ *   LastExecutionResult: ScheduledTaskResult | null;
+ *   Description: string;
+ *   Category: string;
+ *   IsHidden: boolean;
+ *   Key: string;
+ * }} ScheduledTaskInfo
+ */
+
 /**
 * Shoko API client.
 */
@@ -514,20 +969,121 @@ export const ShokoApiClient = {
         });
     },
 
+    /**
+     * Test the connection to a Shoko Server, as seen from the Jellyfin server,
+     * without saving anything to the plugin configuration.
+     *
+     * @public
+     * @param {string} url - The url of the Shoko Server.
+     * @param {string} username - The username, or an empty string to skip checking the credentials.
+     * @param {string} password - The password.
+     * @returns {Promise<ConnectionTestResult>} The result of each step of the test.
+     */
+    testConnection(url, username, password) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify({
+                url,
+                username,
+                password,
+            }),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl("Shokofin/Host/TestConnection"),
+        });
+    },
+
+    /**
+     * Get the version of the connected Shoko Server, as seen from the Jellyfin
+     * server.
+     *
+     * @public
+     * @returns {Promise<ServerInformation>} The server version.
+     */
+    getServerVersion() {
+        return ApiClient.fetch({
+            dataType: "json",
+            type: "GET",
+            url: ApiClient.getUrl("Shokofin/Host/Version"),
+        });
+    },
+
+    /**
+     * Forcefully clear the plugin cache. Will be rejected while a library scan
+     * is running.
+     *
+     * @public
+     * @returns {Promise<void>}
+     */
+    clearPluginCache() {
+        return ApiClient.fetch({
+            type: "POST",
+            url: ApiClient.getUrl("Shokofin/Utility/Cache/Clear"),
+        });
+    },
+
     /**
      * Get the list of series.
      *
      * @public
      * @param {string} query - The query to search for.
+     * @param {AbortSignal} [signal] - Optional. A signal to cancel the request with.
      * @returns {Promise<SimpleSeries[]>} The list of series.
      */
-    getSeriesList(query = "") {
+    async getSeriesList(query = "", signal = undefined) {
+        const url = query.trim()
+            ? ApiClient.getUrl(`Shokofin/Utility/Series?query=${encodeURIComponent(query.trim())}`)
+            : ApiClient.getUrl("Shokofin/Utility/Series");
+        if (!signal) {
+            return ApiClient.fetch({
+                dataType: "json",
+                type: "GET",
+                url,
+            });
+        }
+
+        // The API client can't cancel requests, so use fetch directly when
+        // the caller wants to be able to.
+        const response = await fetch(url, {
+            headers: {
+                "Accept": "application/json",
+                "X-Emby-Token": ApiClient.accessToken(),
+            },
+            signal,
+        });
+        if (!response.ok) throw response;
+        return response.json();
+    },
+
+    /**
+     * Get the names of all tags known to Shoko, to use in the tag and genre
+     * exclusion lists.
+     *
+     * @public
+     * @returns {Promise<SimpleTag[]>} The list of tags.
+     */
+    getTagList() {
+        return ApiClient.fetch({
+            dataType: "json",
+            type: "GET",
+            url: ApiClient.getUrl("Shokofin/Utility/Tags"),
+        });
+    },
+
+    /**
+     * Get all series with one or more per series configuration overrides.
+     *
+     * @public
+     * @returns {Promise<SeriesConfigurationOverride[]>} The series with overrides.
+     */
+    getSeriesOverrides() {
         return ApiClient.fetch({
             dataType: "json",
             type: "GET",
-            url: query.trim()
-                ? ApiClient.getUrl(`Shokofin/Utility/Series?query=${query}`)
-                : ApiClient.getUrl("Shokofin/Utility/Series"),
+            url: ApiClient.getUrl("Shokofin/Utility/Series/Overrides"),
         });
     },
 
@@ -568,10 +1124,240 @@ export const ShokoApiClient = {
     },
 
     /**
-     * Check the status of the SignalR connection.
+     * Preview the changes the next library scan will make to the VFS of a
+     * library, using the currently saved configuration.
      *
-     * @private
-     * @returns {Promise<SignalRStatus>} The SignalR status.
+     * @public
+     * @param {string} libraryId - The library ID.
+     * @returns {Promise<VfsLibraryPreview>} The VFS preview.
+     */
+    previewVFS(libraryId) {
+        return ApiClient.fetch({
+            dataType: "json",
+            headers: {
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/VFS/Library/${libraryId}/Preview`),
+        });
+    },
+
+    /**
+     * Preview the main and alternate titles of a series using the given
+     * titles configuration instead of the saved configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {TitlesConfiguration} titlesConfiguration - The titles configuration to preview.
+     * @returns {Promise<TitlePreview>} The title preview.
+     */
+    previewSeriesTitles(seriesId, titlesConfiguration) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(titlesConfiguration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Titles/Preview`),
+        });
+    },
+
+    /**
+     * Preview the tags and genres of a series using the given tag and genre
+     * settings instead of the saved configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {TagFilterPreviewConfiguration} configuration - The tag and genre settings to preview.
+     * @returns {Promise<TagFilterPreview>} The tag preview.
+     */
+    previewSeriesTags(seriesId, configuration) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(configuration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Tags/Preview`),
+        });
+    },
+
+    /**
+     * Preview the description from each provider of a series, and which
+     * provider would be selected using the given description configuration and
+     * conversion mode instead of the saved configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {DescriptionConfiguration} descriptionConfiguration - The description configuration to preview.
+     * @param {DescriptionConversionMode} conversionMode - The conversion mode to preview.
+     * @returns {Promise<DescriptionPreview>} The description preview.
+     */
+    previewSeriesDescriptions(seriesId, descriptionConfiguration, conversionMode) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(descriptionConfiguration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Descriptions/Preview?conversionMode=${conversionMode}`),
+        });
+    },
+
+    /**
+     * Preview which posters, logos and backdrops would be picked for a series
+     * using the given image configuration instead of the saved configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {ImageConfiguration} imageConfiguration - The image configuration to preview.
+     * @returns {Promise<ImagePreview>} The image preview.
+     */
+    previewSeriesImages(seriesId, imageConfiguration) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(imageConfiguration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Images/Preview`),
+        });
+    },
+
+    /**
+     * Preview how the series in the same Shoko group as a series would be
+     * merged into seasons, using the given series configuration for the series
+     * instead of the saved configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {SeriesConfiguration} seriesConfiguration - The series configuration to preview.
+     * @returns {Promise<SeasonMergingPreview>} The season merging preview.
+     */
+    previewSeasonMerging(seriesId, seriesConfiguration) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(seriesConfiguration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/SeasonMerging/Preview`),
+        });
+    },
+
+    /**
+     * Preview the Jellyfin show, season and episode structure a series would
+     * be placed in, using both the saved series configuration and the given
+     * series configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @param {SeriesConfiguration} seriesConfiguration - The series configuration to preview.
+     * @returns {Promise<SeriesStructurePreview>} The structure preview.
+     */
+    previewSeriesStructure(seriesId, seriesConfiguration) {
+        return ApiClient.fetch({
+            dataType: "json",
+            data: JSON.stringify(seriesConfiguration),
+            headers: {
+                "Content-Type": "application/json",
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Structure/Preview`),
+        });
+    },
+
+    /**
+     * Regenerate the VFS links and refresh the metadata for the Jellyfin items
+     * backed by a series, using the saved series configuration.
+     *
+     * @public
+     * @param {string} seriesId - The series ID.
+     * @returns {Promise<SeriesRefreshResult>} The refresh result.
+     */
+    refreshSeries(seriesId) {
+        return ApiClient.fetch({
+            dataType: "json",
+            headers: {
+                "Accept": "application/json",
+            },
+            type: "POST",
+            url: ApiClient.getUrl(`Shokofin/Utility/Series/${seriesId}/Refresh`),
+        });
+    },
+
+    /**
+     * Get the URL of an image served through the plugin.
+     *
+     * @public
+     * @param {ImagePreviewEntry | SimpleImage} image - The image.
+     * @returns {string} The image URL.
+     */
+    getImageUrl(image) {
+        return ApiClient.getUrl(`Shokofin/Host/Image/${image.Source}/${image.Type}/${image.Id}`);
+    },
+
+    /**
+     * Get the visible scheduled tasks provided by the plugin, through the
+     * Jellyfin task API.
+     *
+     * @public
+     * @returns {Promise<ScheduledTaskInfo[]>} The scheduled tasks.
+     */
+    async getScheduledTasks() {
+        /** @type {ScheduledTaskInfo[]} */
+        const tasks = await ApiClient.fetch({
+            dataType: "json",
+            type: "GET",
+            url: ApiClient.getUrl("ScheduledTasks?isHidden=false"),
+        });
+        return tasks.filter((task) => task.Category === "Shokofin");
+    },
+
+    /**
+     * Start a scheduled task.
+     *
+     * @public
+     * @param {string} taskId - The task ID.
+     * @returns {Promise<void>}
+     */
+    startScheduledTask(taskId) {
+        return ApiClient.fetch({
+            type: "POST",
+            url: ApiClient.getUrl(`ScheduledTasks/Running/${taskId}`),
+        });
+    },
+
+    /**
+     * Cancel a running scheduled task.
+     *
+     * @public
+     * @param {string} taskId - The task ID.
+     * @returns {Promise<void>}
+     */
+    stopScheduledTask(taskId) {
+        return ApiClient.fetch({
+            type: "DELETE",
+            url: ApiClient.getUrl(`ScheduledTasks/Running/${taskId}`),
+        });
+    },
+
+    /**
+     * Check the status of the SignalR connection.
+     *
+     * @private
+     * @returns {Promise<SignalRStatus>} The SignalR status.
      */
     getSignalrStatus() {
         return ApiClient.fetch({
@@ -581,6 +1367,21 @@ export const ShokoApiClient = {
         });
     },
 
+    /**
+     * Get the most recently received SignalR events, oldest first.
+     *
+     * @public
+     * @param {number} after - Only include events with an id greater than this.
+     * @returns {Promise<SignalREventLogEntry[]>} The events.
+     */
+    getSignalrEvents(after = 0) {
+        return ApiClient.fetch({
+            dataType: "json",
+            type: "GET",
+            url: ApiClient.getUrl(`Shokofin/SignalR/Events?after=${after}`),
+        });
+    },
+
     /**
      * Connects to the SignalR stream on the server.
      *
@@ -618,10 +1419,12 @@ globalThis.ShokoApiClient = ShokoApiClient;
 /**
  * @type {{
  *   config: PluginConfiguration | null;
+ *   savedConfig: string | null;
+ *   discardChanges: boolean;
+ *   dirtyTabs: TabType[];
  *   seriesId: string;
  *   seriesQuery: string;
  *   seriesList: SimpleSeries[] | null;
- *   seriesTimeout: number | null;
  *   currentTab: TabType;
  *   clickCounter: number;
  *   advancedMode: boolean;
@@ -632,10 +1435,12 @@ globalThis.ShokoApiClient = ShokoApiClient;
  */
 export const State = window["SHOKO_STATE_OBJECT"] || (window["SHOKO_STATE_OBJECT"] = {
    config: null,
+   savedConfig: null,
+   discardChanges: false,
+   dirtyTabs: [],
    seriesId: "",
    seriesQuery: "",
    seriesList: null,
-   seriesTimeout: null,
    currentTab: "connection",
    clickCounter: 0,
    advancedMode: false,
@@ -724,15 +1529,27 @@ const Tabs = [
         connected: true,
         advancedMode: true,
     },
-    // {
-    //     id: "utilities",
-    //     href: getConfigurationPageUrl("Shoko.Settings", "utilities"),
-    //     helpHref: "https://docs.shokoanime.com/jellyfin/utilities",
-    //     name: "Utilities",
-    //     advancedMode: true,
-    // },
+    {
+        id: "utilities",
+        href: getConfigurationPageUrl("Shoko.Settings", "utilities"),
+        helpHref: "https://docs.shokoanime.com/jellyfin/utilities",
+        name: "Utilities",
+        advancedMode: true,
+    },
 ];
 
+/**
+ * Get the tabs which should be shown for the current state, with their names
+ * translated.
+ *
+ * @returns {ShokoTab[]} The visible tabs.
+ */
+export function getVisibleTabs() {
+    return Tabs
+        .filter(tab => tab.id === State.currentTab || (tab.connected === undefined || tab.connected === State.connected) && (tab.advancedMode === undefined || tab.advancedMode === State.advancedMode))
+        .map((tab) => ({ ...tab, name: translate(`Common.Tab.${tab.id}`, tab.name) }));
+}
+
 /**
  * Responsible for updating the tabs at the top of the page.
  *
@@ -744,13 +1561,13 @@ export function updateTabs(view, tabName) {
         State.currentTab = tabName;
     }
 
-    const tabs = Tabs.filter(tab => tab.id === State.currentTab || (tab.connected === undefined || tab.connected === State.connected) && (tab.advancedMode === undefined || tab.advancedMode === State.advancedMode));
+    const tabs = getVisibleTabs();
     let index = tabs.findIndex((tab => tab.id === State.currentTab));
     if (index === -1) {
         index = 0;
     }
 
-    LibraryMenu.setTabs("shoko", index, () => tabs);
+    LibraryMenu.setTabs("shoko", index, () => tabs.map((tab) => State.dirtyTabs.includes(tab.id) ? { ...tab, name: `${tab.name} *` } : tab));
 
     const helpLink = view.querySelector(".sectionTitleContainer > a.headerHelpButton");
     if (helpLink) {
@@ -768,9 +1585,33 @@ export function updateTabs(view, tabName) {
 
 //#region Constants
 
-const Messages = {
+const Messages = localizeMessages("Common", {
     UnableToRender: "There was an error loading the page, please refresh once to see if that will fix it, and if it doesn't, then reach out to support or debug it yourself. Your call.",
-};
+    ScheduledTaskRunning: "Running… <progress>%",
+    ScheduledTaskCancelling: "Cancelling…",
+    ScheduledTaskLastRun: "Last run <time>: <status>",
+    ScheduledTaskNeverRun: "Never run.",
+    ScheduledTaskRun: "Run",
+    ScheduledTaskCancel: "Cancel",
+    ChipInputRemove: "Remove <value>",
+    VfsPreviewSummary: "<added> link(s) will be added, <removed> removed, and <unchanged> kept as-is for <library>.",
+    VfsPreviewUnavailable: "Unable to preview the VFS for the selected library. Either a library scan is running or the library is not using the VFS.",
+    SeriesPickerPlaceholder: "Search by title, or look up an ID like a69, s123 or tmdb:tv:1234",
+    SeriesPickerHint: "Start typing to search for a series.",
+    SeriesPickerSearching: "Searching…",
+    SeriesPickerNoResults: "No series found.",
+    SeriesPickerFailed: "Failed to search for series!",
+    SeriesPickerMoreResults: "Showing <shown> of <total> series. Refine the search to see the rest.",
+    SeriesPickerClear: "Clear selection",
+    SeriesTypeUnknown: "Unknown",
+    SeriesTypeOther: "Other",
+    SeriesTypeTV: "TV Series",
+    SeriesTypeTVSpecial: "TV Special",
+    SeriesTypeWeb: "Web",
+    SeriesTypeMovie: "Movie",
+    SeriesTypeOVA: "OVA",
+    SeriesTypeMusicVideo: "Music Video",
+});
 
 //#endregion
 
@@ -930,7 +1771,7 @@ export function setupEvents(view, events, initialTab = "connection", hide = fals
 
                 // Set the current tab if the current view supports tabs.
                 if (view.classList.contains("withTabs")) {
-                    State.currentTab = new URLSearchParams(window.location.href.split("#").slice(1).join("#").split("?").slice(1).join("?")).get("tab") || initialTab;
+                    State.currentTab = getViewParams().get("tab") || initialTab;
 
                     // And update the tabs if the state is already initialised.
                     if (State.config) {
@@ -967,9 +1808,13 @@ export function setupEvents(view, events, initialTab = "connection", hide = fals
         });
     }
 
+    // Remember if the last hide was cancelled, so the state is kept for the
+    // view if the hide goes through anyway.
+    let hideCancelled = false;
     if (events.onBeforeHide) {
         view.addEventListener("viewbeforehide", events.onBeforeHide.bind(view));
     }
+    view.addEventListener("viewbeforehide", (event) => hideCancelled = event.defaultPrevented);
 
     if (events.onHide) {
         view.addEventListener("viewhide", (event) => {
@@ -982,10 +1827,18 @@ export function setupEvents(view, events, initialTab = "connection", hide = fals
             // Hide the view.
             events.onHide.call(view, event);
 
+            if (hideCancelled) {
+                hideCancelled = false;
+                return;
+            }
+
             // Reset the state after the view is hidden if we're not switching
             // to another view.
             State.timeout = setTimeout(() => {
                 State.config = null;
+                State.savedConfig = null;
+                State.dirtyTabs = [];
+                State.discardChanges = false;
                 State.currentTab = initialTab;
                 State.clickCounter = 0;
                 State.advancedMode = false;
@@ -1000,6 +1853,9 @@ export function setupEvents(view, events, initialTab = "connection", hide = fals
         view.addEventListener("viewdestroy", events.onDestroy.bind(view));
     }
 
+    // Translate the view before anything else gets a chance to copy from it.
+    localizeView(view);
+
     // Override any links with link redirection set.
     view.querySelectorAll("a.link-redirection").forEach(overrideLink);
 
@@ -1022,7 +1878,7 @@ export function setupEvents(view, events, initialTab = "connection", hide = fals
                 /** @type {FullDetails} */
                 detail: {
                     type: view.getAttribute("data-type") || null,
-                    params: Object.fromEntries(new URLSearchParams(window.location.hash.split("#").slice(1).join("#").split("?").slice(1).join("?"))),
+                    params: Object.fromEntries(getViewParams()),
                     properties: (view.getAttribute("data-properties") || "").split(","),
                     isRestored: undefined,
                     state: null,
@@ -1119,7 +1975,7 @@ export function handleError(err) {
  * @param {string} [tab]
  * @returns {string}
  */
-function getConfigurationPageUrl(page, tab = "") {
+export function getConfigurationPageUrl(page, tab = "") {
     const urlSearch = new URLSearchParams();
     urlSearch.set("name", page);
     if (tab) {
@@ -1130,13 +1986,14 @@ function getConfigurationPageUrl(page, tab = "") {
 
 /**
  * Redirect a link to the configuration page through React instead of the
- * browser.
+ * browser. Reads the page from the link itself, since the click may land on
+ * an element within it.
  *
- * @param {HTMLAnchorElement} event
+ * @param {MouseEvent & { currentTarget: HTMLAnchorElement }} event
  */
 function onLinkRedirectClick(event) {
     event.preventDefault();
-    Dashboard.navigate(getConfigurationPageUrl(event.target.dataset.href));
+    Dashboard.navigate(getConfigurationPageUrl(event.currentTarget.dataset.page));
 }
 
 /**
@@ -1153,6 +2010,51 @@ function overrideLink(target) {
 
 //#endregion
 
+//#region Helpers - View Parameters
+
+/**
+ * Get the search query parameters of the current view, from the React
+ * router's POV.
+ *
+ * @returns {URLSearchParams} The search query parameters.
+ */
+export function getViewParams() {
+    return new URLSearchParams(window.location.href.split("#").slice(1).join("#").split("?").slice(1).join("?"));
+}
+
+/**
+ * Update the search query parameters of the current view in place, without
+ * navigating, so the current url can be shared and will open the view in the
+ * same state.
+ *
+ * @param {Record<string, string | null>} changes - The parameters to set, or
+ * `null` to remove a parameter.
+ * @returns {void} Void.
+ */
+export function updateViewParams(changes) {
+    const [base, ...hash] = window.location.href.split("#");
+    if (!hash.length) return;
+
+    const [path, ...search] = hash.join("#").split("?");
+    const params = new URLSearchParams(search.join("?"));
+    for (const [key, value] of Object.entries(changes)) {
+        if (value) {
+            params.set(key, value);
+        }
+        else {
+            params.delete(key);
+        }
+    }
+
+    const query = params.toString();
+    const url = `${base}#${path}${query ? `?${query}` : ""}`;
+    if (url !== window.location.href) {
+        window.history.replaceState(window.history.state, "", url);
+    }
+}
+
+//#endregion
+
 //#region Helpers - Readonly List
 
 /**
@@ -1239,6 +2141,9 @@ function onSortableContainerClick(event) {
     for (const option of list.querySelectorAll(".sortableOption")) {
         adjustSortableListElement(option, index++);
     }
+
+    // Let any listeners know the order changed.
+    list.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
 /**
@@ -1349,4 +2254,1084 @@ export function retrieveSortableCheckboxList(view, name) {
 
 //#endregion
 
+//#region Helpers - Chip Input
+
+/**
+ * @typedef {Object} ChipInputSuggestion
+ * @property {string} value The value to add when the suggestion is picked.
+ * @property {string} [detail] Optional. Extra details to show next to the value.
+ */
+
+/**
+ * @typedef {Object} ChipInputChip
+ * @property {string} [detail] Optional. Extra details to show next to the value.
+ * @property {string} [title] Optional. The tooltip of the chip.
+ * @property {boolean} [unknown] Optional. Flag the value as unknown.
+ */
+
+/**
+ * @typedef {Object} ChipInputOptions
+ * @property {(query: string, values: string[]) => ChipInputSuggestion[]} [getSuggestions] Optional. Get the suggestions for the text entered so far, excluding the values already added.
+ * @property {(value: string) => ChipInputChip} [describeChip] Optional. Describe how a value is shown as a chip.
+ * @property {number} [maxSuggestions] Optional. How many suggestions to show at most. Defaults to 10.
+ */
+
+/**
+ * The options of each overridden chip input.
+ *
+ * @type {WeakMap<HTMLInputElement, ChipInputOptions>}
+ */
+const chipInputOptions = new WeakMap();
+
+/**
+ * Split the value of a comma separated input into its entries.
+ *
+ * @param {string} value - The input value.
+ * @returns {string[]} The entries.
+ */
+function splitChipInputValue(value) {
+    return value.split(",").map((entry) => entry.trim()).filter((entry) => entry);
+}
+
+/**
+ * Update the comma separated input and let any listeners know it changed.
+ *
+ * @param {HTMLInputElement} input - The comma separated input.
+ * @param {string[]} values - The new entries.
+ */
+function setChipInputValues(input, values) {
+    input.value = values.join(", ");
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    renderChipInput(input);
+}
+
+/**
+ * Add the given entries to a chip input, skipping any already added.
+ *
+ * @param {HTMLInputElement} input - The comma separated input.
+ * @param {string} text - The comma separated entries to add.
+ */
+function addChipInputValues(input, text) {
+    const values = splitChipInputValue(input.value);
+    const lowerValues = values.map((value) => value.toLowerCase());
+    for (const value of splitChipInputValue(text)) {
+        if (lowerValues.includes(value.toLowerCase()))
+            continue;
+        values.push(value);
+        lowerValues.push(value.toLowerCase());
+    }
+    setChipInputValues(input, values);
+}
+
+/**
+ * Render the suggestions for the text currently entered in a chip input.
+ *
+ * @param {HTMLInputElement} input - The comma separated input.
+ */
+function renderChipInputSuggestions(input) {
+    const options = chipInputOptions.get(input);
+    const container = input.nextElementSibling;
+    const entry = container.querySelector(".chipInput-entry");
+    const list = container.querySelector(".chipInput-suggestions");
+    const query = entry.value.trim();
+    const suggestions = query && options.getSuggestions && document.activeElement === entry
+        ? options.getSuggestions(query, splitChipInputValue(input.value)).slice(0, options.maxSuggestions || 10)
+        : [];
+    if (!suggestions.length) {
+        list.innerHTML = "";
+        list.setAttribute("hidden", "");
+        return;
+    }
+
+    list.innerHTML = suggestions
+        .map((suggestion, index) => `<div class="listItem chipInput-suggestion${index === 0 ? " chipInput-suggestion-active" : ""}" data-value="${escapeHtml(suggestion.value)}"><div class="listItemBody"><span class="listItemBodyText">${escapeHtml(suggestion.value)}</span>${suggestion.detail ? ` <span class="listItemBodyText secondary">${escapeHtml(suggestion.detail)}</span>` : ""}</div></div>`)
+        .join("");
+    list.removeAttribute("hidden");
+}
+
+/**
+ * Move the active suggestion of a chip input up or down.
+ *
+ * @param {HTMLElement} list - The suggestion list.
+ * @param {number} offset - How many suggestions to move.
+ */
+function moveChipInputSuggestion(list, offset) {
+    const suggestions = Array.from(list.querySelectorAll(".chipInput-suggestion"));
+    if (!suggestions.length) return;
+
+    const index = suggestions.findIndex((suggestion) => suggestion.classList.contains("chipInput-suggestion-active"));
+    const nextIndex = (index + offset + suggestions.length) % suggestions.length;
+    suggestions[index]?.classList.remove("chipInput-suggestion-active");
+    suggestions[nextIndex].classList.add("chipInput-suggestion-active");
+}
+
+/**
+ * Turn a comma separated text input into a chip input, where each entry is
+ * shown as a removable chip and new entries can be picked from a list of
+ * suggestions. The original input is hidden and kept as the source of truth,
+ * so it can still be read and written like any other input, as long as
+ * {@link renderChipInput} is called after writing to it.
+ *
+ * @param {HTMLInputElement} input - The comma separated input.
+ * @param {ChipInputOptions} [options] - The chip input options.
+ */
+export function overrideChipInput(input, options = {}) {
+    chipInputOptions.set(input, options);
+    if (input.nextElementSibling?.classList.contains("chipInput")) {
+        renderChipInput(input);
+        return;
+    }
+
+    const container = document.createElement("div");
+    container.className = "chipInput";
+    container.setAttribute("data-untracked", "");
+    container.innerHTML = `<div class="chipInput-field"><div class="chipInput-chips"></div><input type="text" class="chipInput-entry" autocomplete="off" /></div><div class="chipInput-suggestions paperList" hidden></div>`;
+    input.setAttribute("hidden", "");
+    input.after(container);
+
+    const entry = container.querySelector(".chipInput-entry");
+    const list = container.querySelector(".chipInput-suggestions");
+    entry.setAttribute("aria-label", input.getAttribute("label") || "");
+    container.querySelector(".chipInput-field").addEventListener("click", (event) => {
+        if (event.target === event.currentTarget || event.target.classList.contains("chipInput-chips"))
+            entry.focus();
+    });
+    container.querySelector(".chipInput-chips").addEventListener("click", (event) => {
+        const button = event.target.closest(".chipInput-remove");
+        if (!button) return;
+
+        const value = button.closest(".chipInput-chip").dataset.value;
+        setChipInputValues(input, splitChipInputValue(input.value).filter((item) => item !== value));
+        entry.focus();
+    });
+    // Prevent the entry from losing focus before the click is handled.
+    list.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+    });
+    list.addEventListener("click", (event) => {
+        const suggestion = event.target.closest(".chipInput-suggestion");
+        if (!suggestion) return;
+
+        entry.value = "";
+        addChipInputValues(input, suggestion.dataset.value);
+        renderChipInputSuggestions(input);
+    });
+    entry.addEventListener("input", (event) => {
+        // Keep the change from bubbling up to the form until the entry is added.
+        event.stopPropagation();
+        if (entry.value.includes(",")) {
+            const text = entry.value;
+            entry.value = "";
+            addChipInputValues(input, text);
+        }
+        renderChipInputSuggestions(input);
+    });
+    entry.addEventListener("change", (event) => {
+        event.stopPropagation();
+    });
+    entry.addEventListener("keydown", (event) => {
+        switch (event.key) {
+            case "Enter": {
+                // Don't submit the form.
+                event.preventDefault();
+                const active = list.hidden ? null : list.querySelector(".chipInput-suggestion-active");
+                const text = active ? active.dataset.value : entry.value;
+                entry.value = "";
+                if (text.trim())
+                    addChipInputValues(input, text);
+                renderChipInputSuggestions(input);
+                break;
+            }
+            case "Backspace":
+                if (!entry.value) {
+                    const values = splitChipInputValue(input.value);
+                    if (values.length)
+                        setChipInputValues(input, values.slice(0, -1));
+                }
+                break;
+            case "ArrowDown":
+            case "ArrowUp":
+                if (!list.hidden) {
+                    event.preventDefault();
+                    moveChipInputSuggestion(list, event.key === "ArrowDown" ? 1 : -1);
+                }
+                break;
+            case "Escape":
+                if (!list.hidden) {
+                    event.preventDefault();
+                    list.setAttribute("hidden", "");
+                }
+                break;
+        }
+    });
+    entry.addEventListener("blur", () => {
+        // Add whatever was left in the entry, so it's not lost when saving.
+        if (entry.value.trim()) {
+            const text = entry.value;
+            entry.value = "";
+            addChipInputValues(input, text);
+        }
+        renderChipInputSuggestions(input);
+    });
+
+    renderChipInput(input);
+}
+
+/**
+ * Render the chips of a chip input from the current value of the comma
+ * separated input.
+ *
+ * @param {HTMLInputElement} input - The comma separated input.
+ */
+export function renderChipInput(input) {
+    const options = chipInputOptions.get(input);
+    const container = input.nextElementSibling;
+    if (!options || !container?.classList.contains("chipInput")) return;
+
+    container.querySelector(".chipInput-chips").innerHTML = splitChipInputValue(input.value)
+        .map((value) => {
+            const chip = options.describeChip ? options.describeChip(value) : {};
+            return `<span class="chipInput-chip${chip.unknown ? " chipInput-chip-unknown" : ""}" data-value="${escapeHtml(value)}"${chip.title ? ` title="${escapeHtml(chip.title)}"` : ""}><span class="chipInput-chipText">${escapeHtml(value)}</span>${chip.detail ? `<span class="chipInput-chipDetail">${escapeHtml(chip.detail)}</span>` : ""}<button type="button" class="chipInput-remove" title="${escapeHtml(Messages.ChipInputRemove.replace("<value>", value))}"><span class="material-icons close" aria-hidden="true"></span></button></span>`;
+        })
+        .join("");
+}
+
+//#endregion
+
+//#region Helpers - Series Picker
+
+/**
+ * @typedef {Object} SeriesPickerOptions
+ * @property {boolean} [searchOnEmpty] Optional. List every series when the search is cleared, instead of clearing the results.
+ * @property {(series: SimpleSeries[] | null, query: string) => void} [onResults] Optional. Called with the results of each search, or `null` if the search failed.
+ * @property {number} [maxResults] Optional. How many results to show at most. Defaults to 50.
+ */
+
+/**
+ * @typedef {Object} SeriesPickerState
+ * @property {SeriesPickerOptions} options The picker options.
+ * @property {string} query The last query searched for.
+ * @property {SimpleSeries[] | null} results The results of the last search, or `null` if nothing was searched for yet.
+ * @property {boolean} failed Whether the last search failed.
+ * @property {SimpleSeries | null} selected The selected series.
+ * @property {number | null} timeout The pending search, if any.
+ * @property {AbortController | null} controller The running search, if any.
+ * @property {boolean} open Whether the results are shown.
+ * @property {number} activeIndex The index of the active result.
+ */
+
+/**
+ * The state of each overridden series picker.
+ *
+ * @type {WeakMap<HTMLSelectElement, SeriesPickerState>}
+ */
+const seriesPickerStates = new WeakMap();
+
+/**
+ * Matches the queries the server treats as exact ID lookups. A lookup with a
+ * single result is selected right away.
+ */
+const SeriesPickerLookupRegex = /^\s*(?:a\d+|s\d+|tmdb:(?:(?:tv|show|movie):)?\d+)\s*$/i;
+
+/**
+ * The styles of the series picker, shared by every page using a picker.
+ */
+const SeriesPickerStyles = `
+.seriesPicker {
+  position: relative;
+}
+.seriesPicker .seriesPicker-entry {
+  box-sizing: border-box;
+  width: 100%;
+  padding: 0.6em;
+  border: 0;
+  border-radius: 0.2em;
+  background: rgba(255, 255, 255, 0.1);
+  color: inherit;
+  font: inherit;
+}
+.seriesPicker .seriesPicker-results {
+  position: absolute;
+  z-index: 10;
+  left: 0;
+  right: 0;
+  max-height: 24em;
+  overflow-y: auto;
+  background: #202020;
+}
+.seriesPicker .seriesPicker-result {
+  cursor: pointer;
+}
+.seriesPicker .seriesPicker-result-active {
+  background: rgba(0, 164, 220, 0.35);
+}
+.seriesPicker .listItemBodyText {
+  white-space: normal;
+}
+.seriesPicker .seriesPicker-poster {
+  flex: 0 0 auto;
+  width: 3em;
+  height: 4.5em;
+  margin-inline-end: 1em;
+  border-radius: 0.2em;
+  object-fit: cover;
+}
+.seriesPicker .seriesPicker-poster-missing {
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(255, 255, 255, 0.1);
+}
+.seriesPicker .seriesPicker-status {
+  padding: 0.5em 1em;
+}
+.seriesPicker .seriesPicker-selected {
+  margin-top: 0.5em;
+}
+.seriesPicker .seriesPicker-clear {
+  display: inline-flex;
+  padding: 0.4em;
+  border: 0;
+  background: none;
+  color: inherit;
+  cursor: pointer;
+}
+`;
+
+/**
+ * Add the styles of the series picker to the document, unless another page
+ * already did.
+ */
+function addSeriesPickerStyles() {
+    if (document.getElementById("ShokoSeriesPickerStyles")) return;
+
+    const style = document.createElement("style");
+    style.id = "ShokoSeriesPickerStyles";
+    style.textContent = SeriesPickerStyles;
+    document.head.appendChild(style);
+}
+
+/**
+ * Render a series as a poster thumbnail followed by its titles, type, year
+ * and IDs.
+ *
+ * @param {SimpleSeries} series - The series.
+ * @returns {string} The rendered series.
+ */
+function renderSeriesPickerSeries(series) {
+    const poster = series.Poster
+        ? `<img class="seriesPicker-poster" src="${escapeHtml(ShokoApiClient.getImageUrl(series.Poster))}" alt="" loading="lazy" />`
+        : `<span class="seriesPicker-poster seriesPicker-poster-missing material-icons tv" aria-hidden="true"></span>`;
+    const details = [
+        Messages[`SeriesType${series.Type}`] || series.Type,
+        series.Year,
+        `a${series.AnidbId}`,
+        `s${series.Id}`,
+        ...series.TmdbShowIds.map((id) => `tmdb:tv:${id}`),
+        ...series.TmdbMovieIds.map((id) => `tmdb:movie:${id}`),
+    ].filter((value) => value).join(" · ");
+    return [
+        poster,
+        `<div class="listItemBody">`,
+        `<div class="listItemBodyText">${escapeHtml(series.Title)}</div>`,
+        series.DefaultTitle && series.DefaultTitle !== series.Title ? `<div class="listItemBodyText secondary">${escapeHtml(series.DefaultTitle)}</div>` : "",
+        `<div class="listItemBodyText secondary">${escapeHtml(details)}</div>`,
+        `</div>`,
+    ].join("");
+}
+
+/**
+ * Rebuild the options of the select from the search results, keeping the
+ * selected series even if it's not part of the results.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ */
+function updateSeriesPickerOptions(select) {
+    const state = seriesPickerStates.get(select);
+    const seriesList = state.results ? [...state.results] : [];
+    if (state.selected && !seriesList.some((series) => series.Id === state.selected.Id))
+        seriesList.unshift(state.selected);
+
+    const value = state.selected ? state.selected.Id.toString() : select.value;
+    select.innerHTML = `<option value=""></option>` + seriesList
+        .map((series) => `<option value="${series.Id}">${escapeHtml(series.Title)}</option>`)
+        .join("");
+    select.value = value;
+}
+
+/**
+ * Render the search results of a series picker, or hide them if the picker
+ * is closed.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ */
+function renderSeriesPickerResults(select) {
+    const state = seriesPickerStates.get(select);
+    const container = select.nextElementSibling;
+    const entry = container.querySelector(".seriesPicker-entry");
+    const list = container.querySelector(".seriesPicker-results");
+    if (!state.open) {
+        list.innerHTML = "";
+        list.setAttribute("hidden", "");
+        entry.setAttribute("aria-expanded", "false");
+        entry.removeAttribute("aria-activedescendant");
+        return;
+    }
+
+    const results = state.results ? state.results.slice(0, state.options.maxResults || 50) : [];
+    const status = state.timeout || state.controller
+        ? Messages.SeriesPickerSearching
+        : state.failed
+        ? Messages.SeriesPickerFailed
+        : !state.results
+        ? Messages.SeriesPickerHint
+        : !results.length
+        ? (state.query ? Messages.SeriesPickerNoResults : Messages.SeriesPickerHint)
+        : results.length < state.results.length
+        ? Messages.SeriesPickerMoreResults.replace("<shown>", results.length.toString()).replace("<total>", state.results.length.toString())
+        : "";
+    list.innerHTML = results
+        .map((series, index) => `<div id="${select.id}Result${series.Id}" class="listItem seriesPicker-result${index === state.activeIndex ? " seriesPicker-result-active" : ""}" role="option" aria-selected="${index === state.activeIndex}" data-series-id="${series.Id}">${renderSeriesPickerSeries(series)}</div>`)
+        .join("") + (status ? `<div class="seriesPicker-status fieldDescription">${escapeHtml(status)}</div>` : "");
+    list.removeAttribute("hidden");
+    entry.setAttribute("aria-expanded", "true");
+
+    const active = list.querySelector(".seriesPicker-result-active");
+    if (active) {
+        entry.setAttribute("aria-activedescendant", active.id);
+        active.scrollIntoView({ block: "nearest" });
+    }
+    else {
+        entry.removeAttribute("aria-activedescendant");
+    }
+}
+
+/**
+ * Open or close the search results of a series picker.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ * @param {boolean} open - Whether to show the results.
+ */
+function toggleSeriesPickerResults(select, open) {
+    const state = seriesPickerStates.get(select);
+    if (state.open === open) return;
+
+    state.open = open;
+    state.activeIndex = 0;
+    renderSeriesPickerResults(select);
+}
+
+/**
+ * Select a series in a series picker and let any listeners know the select
+ * changed.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ * @param {SimpleSeries | null} series - The series to select, or `null` to clear the selection.
+ */
+function selectSeriesPickerSeries(select, series) {
+    const state = seriesPickerStates.get(select);
+    state.selected = series;
+    updateSeriesPickerOptions(select);
+    select.value = series ? series.Id.toString() : "";
+    toggleSeriesPickerResults(select, false);
+    renderSeriesPicker(select);
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Search for series using the text in the entry of a series picker,
+ * cancelling any search still running.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ * @returns {Promise<SimpleSeries[] | null>} The results, or `null` if the search failed or was replaced by a newer search.
+ */
+async function runSeriesPickerSearch(select) {
+    const state = seriesPickerStates.get(select);
+    const entry = select.nextElementSibling.querySelector(".seriesPicker-entry");
+    const query = entry.value.trim();
+    if (state.timeout) {
+        clearTimeout(state.timeout);
+        state.timeout = null;
+    }
+    if (state.controller) {
+        state.controller.abort();
+        state.controller = null;
+    }
+
+    state.query = query;
+    state.activeIndex = 0;
+    if (!query && !state.options.searchOnEmpty) {
+        state.results = [];
+        state.failed = false;
+        updateSeriesPickerOptions(select);
+        renderSeriesPickerResults(select);
+        state.options.onResults?.(state.results, query);
+        return state.results;
+    }
+
+    const controller = state.controller = new AbortController();
+    renderSeriesPickerResults(select);
+
+    /** @type {SimpleSeries[] | null} */
+    let results = null;
+    try {
+        results = await ShokoApiClient.getSeriesList(query, controller.signal);
+    }
+    catch (err) {
+        if (!controller.signal.aborted)
+            console.error(err, "Got an error attempting to search for series.");
+    }
+
+    // A newer search replaced this one while we were waiting.
+    if (state.controller !== controller) return null;
+
+    state.controller = null;
+    state.results = results || [];
+    state.failed = !results;
+    updateSeriesPickerOptions(select);
+    renderSeriesPickerResults(select);
+    state.options.onResults?.(results, query);
+    if (results && results.length === 1 && SeriesPickerLookupRegex.test(query))
+        selectSeriesPickerSeries(select, results[0]);
+    return results;
+}
+
+/**
+ * Turn a series select into a series picker, where series are searched for
+ * by title or looked up by their AniDB (`a69`), Shoko (`s123`) or TMDB
+ * (`tmdb:tv:1234`) ID, and picked from a list showing their posters, titles,
+ * type and year. The original select is hidden and kept as the source of
+ * truth, so it can still be read and written like any other select, as long
+ * as {@link renderSeriesPicker} is called after writing to it.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ * @param {SeriesPickerOptions} [options] - The series picker options.
+ */
+export function overrideSeriesPicker(select, options = {}) {
+    const existingState = seriesPickerStates.get(select);
+    if (existingState && select.nextElementSibling?.classList.contains("seriesPicker")) {
+        existingState.options = options;
+        renderSeriesPicker(select);
+        return;
+    }
+
+    /** @type {SeriesPickerState} */
+    const state = {
+        options,
+        query: "",
+        results: null,
+        failed: false,
+        selected: null,
+        timeout: null,
+        controller: null,
+        open: false,
+        activeIndex: 0,
+    };
+    seriesPickerStates.set(select, state);
+
+    addSeriesPickerStyles();
+    const container = document.createElement("div");
+    container.className = "seriesPicker";
+    container.setAttribute("data-untracked", "");
+    container.innerHTML = `<input type="text" id="${select.id}Search" class="seriesPicker-entry" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${select.id}Results" /><div id="${select.id}Results" class="seriesPicker-results paperList" role="listbox" hidden></div><div class="seriesPicker-selected" hidden></div>`;
+    select.setAttribute("hidden", "");
+    select.after(container);
+
+    const entry = container.querySelector(".seriesPicker-entry");
+    const list = container.querySelector(".seriesPicker-results");
+    entry.setAttribute("placeholder", Messages.SeriesPickerPlaceholder);
+    // Let the label of the select focus the entry instead.
+    select.parentElement.querySelector(`label[for="${select.id}"]`)?.setAttribute("for", entry.id);
+    container.querySelector(".seriesPicker-selected").addEventListener("click", (event) => {
+        if (!event.target.closest(".seriesPicker-clear")) return;
+
+        selectSeriesPickerSeries(select, null);
+        entry.focus();
+    });
+    // Prevent the entry from losing focus before the click is handled.
+    list.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+    });
+    list.addEventListener("click", (event) => {
+        const result = event.target.closest(".seriesPicker-result");
+        if (!result) return;
+
+        const series = state.results?.find((series) => series.Id.toString() === result.dataset.seriesId);
+        if (series)
+            selectSeriesPickerSeries(select, series);
+    });
+    entry.addEventListener("input", (event) => {
+        // Keep the search from bubbling up to the form, only picking a series
+        // should change the form.
+        event.stopPropagation();
+        if (state.timeout)
+            clearTimeout(state.timeout);
+        // Cancel the running search right away, its results are stale now.
+        if (state.controller) {
+            state.controller.abort();
+            state.controller = null;
+        }
+        state.timeout = setTimeout(() => runSeriesPickerSearch(select), 250);
+        state.open = true;
+        renderSeriesPickerResults(select);
+    });
+    entry.addEventListener("change", (event) => {
+        event.stopPropagation();
+    });
+    entry.addEventListener("focus", () => {
+        if (state.results?.length || state.failed)
+            toggleSeriesPickerResults(select, true);
+    });
+    entry.addEventListener("blur", () => {
+        toggleSeriesPickerResults(select, false);
+    });
+    entry.addEventListener("keydown", (event) => {
+        switch (event.key) {
+            case "Enter": {
+                // Don't submit the form.
+                event.preventDefault();
+                if (state.timeout) {
+                    runSeriesPickerSearch(select);
+                    break;
+                }
+                const series = state.open ? state.results?.[state.activeIndex] : null;
+                if (series)
+                    selectSeriesPickerSeries(select, series);
+                break;
+            }
+            case "ArrowDown":
+            case "ArrowUp": {
+                event.preventDefault();
+                if (!state.open) {
+                    toggleSeriesPickerResults(select, true);
+                    break;
+                }
+                const count = Math.min(state.results?.length || 0, state.options.maxResults || 50);
+                if (!count) break;
+                state.activeIndex = (state.activeIndex + (event.key === "ArrowDown" ? 1 : -1) + count) % count;
+                renderSeriesPickerResults(select);
+                break;
+            }
+            case "Escape":
+                if (state.open) {
+                    event.preventDefault();
+                    toggleSeriesPickerResults(select, false);
+                }
+                break;
+        }
+    });
+
+    renderSeriesPicker(select);
+}
+
+/**
+ * Search for series in a series picker, as if the query was typed into it.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ * @param {string} query - The query to search for.
+ * @returns {Promise<SimpleSeries[] | null>} The results, or `null` if the search failed or was replaced by a newer search.
+ */
+export function searchSeriesPicker(select, query) {
+    if (!seriesPickerStates.has(select)) return Promise.resolve(null);
+
+    select.nextElementSibling.querySelector(".seriesPicker-entry").value = query;
+    return runSeriesPickerSearch(select);
+}
+
+/**
+ * Render the selected series of a series picker from the current value of
+ * the select.
+ *
+ * @param {HTMLSelectElement} select - The series select.
+ */
+export function renderSeriesPicker(select) {
+    const state = seriesPickerStates.get(select);
+    const container = select.nextElementSibling;
+    if (!state || !container?.classList.contains("seriesPicker")) return;
+
+    const seriesId = select.value;
+    if (!seriesId)
+        state.selected = null;
+    else if (state.selected?.Id.toString() !== seriesId)
+        state.selected = state.results?.find((series) => series.Id.toString() === seriesId) || null;
+
+    const selected = container.querySelector(".seriesPicker-selected");
+    if (!state.selected) {
+        selected.innerHTML = "";
+        selected.setAttribute("hidden", "");
+        return;
+    }
+
+    selected.innerHTML = `<div class="listItem">${renderSeriesPickerSeries(state.selected)}<button type="button" class="seriesPicker-clear" title="${escapeHtml(Messages.SeriesPickerClear)}"><span class="material-icons close" aria-hidden="true"></span></button></div>`;
+    selected.removeAttribute("hidden");
+}
+
+//#endregion
+
+//#region Helpers - Escape HTML
+
+/**
+ * Escape a string for safe use within HTML markup.
+ *
+ * @param {string} value - The value to escape.
+ * @returns {string} The escaped value.
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+//#endregion
+
+//#region Helpers - Diagnostics
+
+/**
+ * @typedef {"ok" | "warning" | "error"} DiagnosticStatus
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {DiagnosticStatus} status The outcome of the check.
+ * @property {string} title The name of the check.
+ * @property {string} details Human readable details about the outcome.
+ */
+
+/**
+ * @type {Record<DiagnosticStatus, string>}
+ */
+const DiagnosticStatusIcons = {
+    ok: "check_circle",
+    warning: "warning",
+    error: "error",
+};
+
+/**
+ * Render a list of diagnostics and show the container.
+ *
+ * @param {HTMLElement} container - The container with a `.checkboxList` to render the diagnostics in.
+ * @param {Diagnostic[]} diagnostics - The diagnostics to render.
+ */
+export function renderDiagnostics(container, diagnostics) {
+    container.querySelector(".checkboxList").innerHTML = diagnostics
+        .map(({ status, title, details }) => `<div class="listItem diagnostic-${status}"><span class="material-icons listItemIcon ${DiagnosticStatusIcons[status]}" aria-hidden="true"></span><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(title)}</h3><div class="listItemBodyText secondary">${escapeHtml(details)}</div></div></div>`)
+        .join("");
+    container.removeAttribute("hidden");
+}
+
+//#endregion
+
+//#region Helpers - VFS Preview
+
+/**
+ * @typedef {"added" | "removed" | "unchanged" | "changed"} VfsPreviewStatus
+ */
+
+/**
+ * The styles of the VFS preview tree, shared by every page showing a preview.
+ */
+const VfsPreviewStyles = `
+.vfsPreviewTree {
+  font-family: monospace;
+  max-height: 60vh;
+  overflow: auto;
+  margin-block: 1em 2em;
+}
+.vfsPreviewTree ul {
+  list-style: none;
+  margin: 0;
+  padding-inline-start: 1.25em;
+}
+.vfsPreviewTree > ul {
+  padding-inline-start: 0;
+}
+.vfsPreviewTree summary {
+  cursor: pointer;
+}
+.vfsPreviewTree .vfsPreview-added {
+  color: #52b54b;
+}
+.vfsPreviewTree .vfsPreview-removed {
+  color: #dd4444;
+}
+.vfsPreviewTree .vfsPreview-changed {
+  color: #e5a00d;
+}
+.vfsPreviewTree .vfsPreview-unchanged {
+  color: inherit;
+  opacity: 0.6;
+}
+.vfsPreviewTree .vfsPreviewCounts {
+  opacity: 0.8;
+}
+.vfsPreviewTree:not(.show-unchanged) .vfsPreview-unchanged {
+  display: none;
+}
+`;
+
+/**
+ * @typedef {Object} VfsPreviewNode
+ * @property {string} name The name of the folder.
+ * @property {Map<string, VfsPreviewNode>} folders The child folders.
+ * @property {{ name: string; status: VfsPreviewStatus; }[]} files The files directly within the folder.
+ * @property {{ added: number; removed: number; unchanged: number; }} counts The number of links per status within the folder, recursively.
+ */
+
+/**
+ * Create an empty node for the VFS preview tree.
+ *
+ * @param {string} name - The name of the folder.
+ * @returns {VfsPreviewNode}
+ */
+function createVfsPreviewNode(name) {
+    return { name, folders: new Map(), files: [], counts: { added: 0, removed: 0, unchanged: 0 } };
+}
+
+/**
+ * Get the combined status of a folder in the VFS preview tree.
+ *
+ * @param {VfsPreviewNode} node - The folder node.
+ * @returns {VfsPreviewStatus}
+ */
+function getVfsPreviewNodeStatus(node) {
+    const { added, removed, unchanged } = node.counts;
+    if (added && !removed && !unchanged)
+        return "added";
+    if (removed && !added && !unchanged)
+        return "removed";
+    if (!added && !removed)
+        return "unchanged";
+    return "changed";
+}
+
+/**
+ * Render a folder node and its children in the VFS preview tree.
+ *
+ * @param {VfsPreviewNode} node - The folder node.
+ * @returns {string} The rendered list items.
+ */
+function renderVfsPreviewNode(node) {
+    const folders = Array.from(node.folders.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((folder) => {
+            const status = getVfsPreviewNodeStatus(folder);
+            const counts = [
+                folder.counts.added ? `+${folder.counts.added}` : "",
+                folder.counts.removed ? `−${folder.counts.removed}` : "",
+            ].filter(s => s).join(" ");
+            return `<li class="vfsPreview-${status}"><details${status !== "unchanged" ? " open" : ""}><summary>${escapeHtml(folder.name)}/${counts ? ` <span class="vfsPreviewCounts">(${counts})</span>` : ""}</summary><ul>${renderVfsPreviewNode(folder)}</ul></details></li>`;
+        });
+    const files = node.files
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((file) => `<li class="vfsPreview-${file.status}">${file.status === "added" ? "+" : file.status === "removed" ? "−" : "&nbsp;"} ${escapeHtml(file.name)}</li>`);
+    return folders.concat(files).join("");
+}
+
+/**
+ * Add the styles of the VFS preview tree to the document, unless another page
+ * already did.
+ */
+function addVfsPreviewStyles() {
+    if (document.getElementById("ShokoVfsPreviewStyles")) return;
+
+    const style = document.createElement("style");
+    style.id = "ShokoVfsPreviewStyles";
+    style.textContent = VfsPreviewStyles;
+    document.head.appendChild(style);
+}
+
+/**
+ * Render a diff-style tree of the links added, removed and kept by a VFS
+ * preview.
+ *
+ * @param {HTMLElement} container - The element to render the tree in.
+ * @param {VfsLibraryPreview} preview - The VFS preview.
+ * @returns {{ added: number; removed: number; unchanged: number; }} The number of links per status.
+ */
+function renderVfsPreview(container, preview) {
+    const before = new Set(preview.FilesBeforeChanges);
+    const after = new Set(preview.FilesAfterChanges);
+    const root = createVfsPreviewNode("");
+    for (const path of new Set([...before, ...after])) {
+        /** @type {VfsPreviewStatus} */
+        const status = before.has(path) ? after.has(path) ? "unchanged" : "removed" : "added";
+        const segments = path.split("/").filter(s => s);
+        let node = root;
+        node.counts[status]++;
+        for (const segment of segments.slice(0, -1)) {
+            let child = node.folders.get(segment);
+            if (!child) {
+                child = createVfsPreviewNode(segment);
+                node.folders.set(segment, child);
+            }
+            node = child;
+            node.counts[status]++;
+        }
+        node.files.push({ name: segments[segments.length - 1], status });
+    }
+
+    container.innerHTML = `<ul>${renderVfsPreviewNode(root)}</ul>`;
+    return { ...root.counts };
+}
+
+/**
+ * Preview the VFS changes for a library and render the summary and tree in
+ * the `.vfsPreviewSummary` and `.vfsPreviewTree` elements of the container,
+ * or hide the container if no library is selected or the preview is
+ * unavailable.
+ *
+ * @param {HTMLElement} container - The preview container.
+ * @param {string} libraryId - The library ID.
+ * @returns {Promise<void>}
+ */
+export async function previewVfs(container, libraryId) {
+    if (!libraryId) {
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    const preview = await ShokoApiClient.previewVFS(libraryId);
+    if (!preview.IsSuccess) {
+        container.setAttribute("hidden", "");
+        Dashboard.alert(Messages.VfsPreviewUnavailable);
+        return;
+    }
+
+    addVfsPreviewStyles();
+    const { added, removed, unchanged } = renderVfsPreview(container.querySelector(".vfsPreviewTree"), preview);
+    container.querySelector(".vfsPreviewSummary").textContent = Messages.VfsPreviewSummary
+        .replace("<added>", added.toString())
+        .replace("<removed>", removed.toString())
+        .replace("<unchanged>", unchanged.toString())
+        .replace("<library>", preview.LibraryName);
+    container.removeAttribute("hidden");
+}
+
+//#endregion
+
+//#region Helpers - Scheduled Tasks
+
+/**
+ * Render a single scheduled task as a list item.
+ *
+ * @param {ScheduledTaskInfo} task - The task to render.
+ * @returns {string} The rendered HTML.
+ */
+function renderScheduledTask(task) {
+    const isRunning = task.State !== "Idle";
+    let details;
+    if (task.State === "Running") {
+        details = Messages.ScheduledTaskRunning.replace("<progress>", Math.floor(task.CurrentProgressPercentage || 0).toString());
+    }
+    else if (task.State === "Cancelling") {
+        details = Messages.ScheduledTaskCancelling;
+    }
+    else if (task.LastExecutionResult) {
+        const result = task.LastExecutionResult;
+        details = Messages.ScheduledTaskLastRun.replace("<time>", new Date(result.EndTimeUtc).toLocaleString()).replace("<status>", result.Status);
+        if (result.ErrorMessage) {
+            details += ` — ${result.ErrorMessage}`;
+        }
+    }
+    else {
+        details = Messages.ScheduledTaskNeverRun;
+    }
+
+    const lastStatus = task.LastExecutionResult ? task.LastExecutionResult.Status : "None";
+    return `<div class="listItem scheduledTask" data-task-state="${task.State}" data-task-status="${lastStatus}"><div class="listItemBody two-line"><h3 class="listItemBodyText" title="${escapeHtml(task.Description)}">${escapeHtml(task.Name)}</h3><div class="listItemBodyText secondary">${escapeHtml(details)}</div>${isRunning ? `<progress class="scheduledTaskProgress" max="100" value="${task.CurrentProgressPercentage || 0}"></progress>` : ""}</div><button type="button" is="paper-icon-button-light" class="scheduledTaskButton" data-task-id="${task.Id}" data-task-action="${isRunning ? "stop" : "start"}" title="${isRunning ? Messages.ScheduledTaskCancel : Messages.ScheduledTaskRun}"${task.State === "Cancelling" ? " disabled" : ""}><span class="material-icons ${isRunning ? "stop" : "play_arrow"}" aria-hidden="true"></span></button></div>`;
+}
+
+/**
+ * Render the scheduled tasks into every task list in the view. A task list is
+ * any element with a `data-scheduled-tasks` attribute containing a space
+ * separated list of task keys, or `*` for all tasks. Lists with no visible
+ * tasks are hidden.
+ *
+ * @param {HTMLElement} view - The view element.
+ * @param {ScheduledTaskInfo[]} tasks - The scheduled tasks.
+ * @returns {void} Void.
+ */
+export function renderScheduledTasks(view, tasks) {
+    for (const container of view.querySelectorAll("[data-scheduled-tasks]")) {
+        const keys = container.dataset.scheduledTasks.split(" ").filter(s => s);
+        const selectedTasks = keys.includes("*")
+            ? tasks
+            : keys.map((key) => tasks.find((task) => task.Key === key)).filter(task => task);
+        if (!selectedTasks.length) {
+            container.setAttribute("hidden", "");
+            continue;
+        }
+
+        container.querySelector(".checkboxList").innerHTML = selectedTasks.map(renderScheduledTask).join("");
+        container.removeAttribute("hidden");
+    }
+}
+
+/**
+ * Fetch and render the scheduled tasks, and keep them updated until the
+ * returned stop function is called. Polls faster while a task is running.
+ * Also handles starting and cancelling tasks from the rendered lists.
+ *
+ * @param {HTMLElement} view - The view element.
+ * @returns {() => void} A function to stop polling.
+ */
+export function watchScheduledTasks(view) {
+    /** @type {number | null} */
+    let timeout = null;
+    let stopped = false;
+
+    async function refresh() {
+        if (timeout) {
+            clearTimeout(timeout);
+            timeout = null;
+        }
+
+        let tasks = [];
+        try {
+            tasks = await ShokoApiClient.getScheduledTasks();
+        }
+        catch (err) {
+            console.error("Failed to get the scheduled tasks.", err);
+        }
+        if (stopped)
+            return;
+
+        renderScheduledTasks(view, tasks);
+        timeout = setTimeout(refresh, tasks.some((task) => task.State !== "Idle") ? 1000 : 10000);
+    }
+
+    /**
+     * @param {MouseEvent} event
+     */
+    function onClick(event) {
+        /** @type {HTMLButtonElement | null} */
+        const button = event.target.closest("[data-task-action]");
+        if (!button) return;
+
+        button.disabled = true;
+        const { taskId, taskAction } = button.dataset;
+        (taskAction === "stop" ? ShokoApiClient.stopScheduledTask(taskId) : ShokoApiClient.startScheduledTask(taskId))
+            .then(() => refresh())
+            .catch(handleError);
+    }
+
+    view.addEventListener("click", onClick);
+    refresh();
+
+    return () => {
+        stopped = true;
+        view.removeEventListener("click", onClick);
+        if (timeout) {
+            clearTimeout(timeout);
+            timeout = null;
+        }
+    };
+}
+
+//#endregion
+
 //#endregion
\ No newline at end of file
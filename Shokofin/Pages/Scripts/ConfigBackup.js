@@ -0,0 +1,465 @@
+export default function (view) {
+let show = false;
+let hide = false;
+view.addEventListener("viewshow", () => show = true);
+view.addEventListener("viewhide", () => hide = true);
+
+/**
+ * @type {import("./Common.js").ApiClientPrototype}
+ */
+const ApiClient = globalThis.ApiClient;
+
+/**
+ * @type {import("./Common.js").DashboardPrototype}
+ */
+const Dashboard = globalThis.Dashboard;
+
+/**
+ * @type {Promise<import("./Common.js")>}
+ */
+const promise = import(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl("Shoko.Common.js")));
+promise.then(({ ShokoApiClient, State, createControllerFactory, escapeHtml, handleError, localizeMessages }) => {
+
+//#region Constants
+
+/**
+ * Settings tied to the instance the configuration was read from, which are
+ * never imported.
+ *
+ * @type {readonly string[]}
+ */
+const InstanceSpecificKeys = ["CanCreateSymbolicLinks", "ServerVersion"];
+
+/**
+ * Settings which are allowed to be `null`. Any other setting must have a value
+ * if it's present in the imported file.
+ *
+ * @type {readonly string[]}
+ */
+const NullableKeys = [
+    "ServerVersion",
+    "MainTitle",
+    "AlternateTitles",
+    "TitleMainList",
+    "TitleMainOrder",
+    "TitleAlternateList",
+    "TitleAlternateOrder",
+    "TitleAllowAny",
+    "DescriptionSourceList",
+    "DescriptionSourceOrder",
+    "RespectPreferredImage",
+    "VFS_Legacy_Enabled",
+    "VFS_CustomLocation",
+    "SignalR_ReplaceImagesDuringRefresh",
+    "LibraryName",
+    "ManagedFolderName",
+    "LegacyVirtualFileSystemEnabled",
+];
+
+const Messages = localizeMessages("ConfigBackup", {
+    InvalidFile: "The selected file is not a valid JSON file.",
+    NoFileSelected: "Please select a settings file to import.",
+    NoChanges: "The file contains no changes compared to the current settings.",
+    ChangeCount: "<count> setting(s) will be changed.",
+    SkippedUserCount: "<count> user(s) in the file are not linked on this server and will be skipped.",
+    SkippedUser: "Not linked on this server. The user settings can't be imported without the secrets, so they will be skipped.",
+    ImportApplied: "The settings have been imported.",
+    ConfirmImport: "Are you sure you want to apply the imported settings? The current settings will be overwritten.",
+    ConfirmImportTitle: "Import Settings",
+    RootPath: "(root)",
+    NotSet: "(not set)",
+    ExpectedValue: "Expected a value, but got null.",
+    ExpectedList: "Expected a list.",
+    ExpectedObject: "Expected an object.",
+    ExpectedType: "Expected a <expected>, but got a <actual>.",
+    UnknownSetting: "Unknown setting.",
+});
+
+/**
+ * The reviewed configuration waiting to be applied.
+ *
+ * @type {import("./Common.js").PluginConfiguration | null}
+ */
+let pendingConfig = null;
+
+//#endregion
+
+//#region Controller Logic
+
+createControllerFactory({
+    show,
+    hide,
+    initialTab: "utilities",
+    events: {
+        onInit() {
+            const form = this.querySelector("form");
+
+            const resetReview = () => {
+                pendingConfig = null;
+                form.querySelector("#ImportReview").setAttribute("hidden", "");
+                form.querySelector("button[name=\"apply-import\"]").disabled = true;
+            };
+            form.querySelector("#ImportFile").addEventListener("change", resetReview);
+            form.querySelector("#ImportSecrets").addEventListener("change", resetReview);
+            form.querySelector("#ImportMediaFolders").addEventListener("change", resetReview);
+
+            form.addEventListener("submit", function (event) {
+                event.preventDefault();
+                if (!event.submitter) return;
+                switch (event.submitter.name) {
+                    case "export-config":
+                        Dashboard.showLoadingMsg();
+                        exportConfig(form)
+                            .then(() => Dashboard.hideLoadingMsg())
+                            .catch(handleError);
+                        break;
+                    case "review-import":
+                        Dashboard.showLoadingMsg();
+                        reviewImport(form)
+                            .then(() => Dashboard.hideLoadingMsg())
+                            .catch(handleError);
+                        break;
+                    case "apply-import":
+                        Dashboard.confirm(Messages.ConfirmImport, Messages.ConfirmImportTitle)
+                            .then(() => {
+                                Dashboard.showLoadingMsg();
+                                return applyImport(form)
+                                    .then(() => Dashboard.hideLoadingMsg())
+                                    .catch(handleError);
+                            })
+                            .catch(() => { });
+                        break;
+                }
+                return false;
+            });
+        },
+
+        onHide() {
+            const form = this.querySelector("form");
+            pendingConfig = null;
+            form.querySelector("#ImportFile").value = "";
+            form.querySelector("#ImportReview").setAttribute("hidden", "");
+        },
+    },
+})(view);
+
+//#endregion
+
+//#region Export
+
+/**
+ * Download the saved configuration as a JSON file.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function exportConfig(form) {
+    const config = await ShokoApiClient.getConfiguration();
+    if (!form.querySelector("#ExportSecrets").checked) {
+        config.ApiKey = "";
+        for (const userConfig of config.UserList) {
+            userConfig.Token = "";
+        }
+    }
+
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `shokofin-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+//#endregion
+
+//#region Import
+
+/**
+ * Read, validate and diff the selected file against the saved configuration,
+ * and render the result for review.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function reviewImport(form) {
+    pendingConfig = null;
+    form.querySelector("button[name=\"apply-import\"]").disabled = true;
+
+    const file = form.querySelector("#ImportFile").files[0];
+    if (!file) {
+        form.querySelector("#ImportReview").setAttribute("hidden", "");
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert(Messages.NoFileSelected);
+        return;
+    }
+
+    let imported;
+    try {
+        imported = JSON.parse(await file.text());
+    }
+    catch (err) {
+        form.querySelector("#ImportReview").setAttribute("hidden", "");
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert(Messages.InvalidFile);
+        return;
+    }
+
+    const current = await ShokoApiClient.getConfiguration();
+    const errors = [];
+    validateValue("", imported, current, errors, false);
+    if (errors.length) {
+        renderList(form, "ImportErrors", errors.map((error) => [error.path || Messages.RootPath, error.message]));
+        form.querySelector("#ImportErrors").removeAttribute("hidden");
+        form.querySelector("#ImportChanges").setAttribute("hidden", "");
+        form.querySelector("#ImportReview").removeAttribute("hidden");
+        return;
+    }
+
+    const { config, skippedUsers } = mergeConfig(current, imported, {
+        includeSecrets: form.querySelector("#ImportSecrets").checked,
+        includeMediaFolders: form.querySelector("#ImportMediaFolders").checked,
+    });
+    const changes = diffConfig(current, config);
+
+    form.querySelector("#ImportErrors").setAttribute("hidden", "");
+    form.querySelector("#ImportChanges").removeAttribute("hidden");
+    renderList(form, "ImportChanges", [
+        ...changes.map(({ path, before, after }) => [
+            path,
+            `<span class="configDiff-removed">${escapeHtml(formatValue(path, before))}</span> → <span class="configDiff-added">${escapeHtml(formatValue(path, after))}</span>`,
+        ]),
+        ...skippedUsers.map((userConfig) => [
+            `UserList.${userConfig.UserId}`,
+            `<span class="configDiff-removed">${escapeHtml(Messages.SkippedUser)}</span>`,
+        ]),
+    ], true);
+    form.querySelector("#ImportSummary").textContent = [
+        changes.length ? Messages.ChangeCount.replace("<count>", changes.length.toString()) : Messages.NoChanges,
+        skippedUsers.length ? Messages.SkippedUserCount.replace("<count>", skippedUsers.length.toString()) : "",
+    ].filter((text) => text).join(" ");
+    form.querySelector("#ImportReview").removeAttribute("hidden");
+
+    if (changes.length) {
+        pendingConfig = config;
+        form.querySelector("button[name=\"apply-import\"]").disabled = false;
+    }
+}
+
+/**
+ * Apply the reviewed configuration.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function applyImport(form) {
+    if (!pendingConfig) return;
+
+    const config = pendingConfig;
+    await ShokoApiClient.updateConfiguration(config);
+    Dashboard.processPluginConfigurationUpdateResult();
+
+    // Replace any unsaved changes in the settings page with the imported
+    // settings.
+    State.config = config;
+    State.savedConfig = JSON.stringify(config);
+    State.dirtyTabs = [];
+    State.advancedMode = config.AdvancedMode;
+    State.debugMode = config.DebugMode;
+    State.connected = Boolean(config.ApiKey);
+
+    pendingConfig = null;
+    form.querySelector("#ImportFile").value = "";
+    form.querySelector("#ImportReview").setAttribute("hidden", "");
+    Dashboard.alert(Messages.ImportApplied);
+}
+
+/**
+ * Validate an imported value against the matching value in the current
+ * configuration, which follows the `PluginConfiguration` typedef. Unknown
+ * keys and mismatched types are reported, while missing keys are allowed.
+ *
+ * @param {string} path - The path to the value.
+ * @param {any} value - The imported value.
+ * @param {any} expected - The current value.
+ * @param {{ path: string; message: string; }[]} errors - The list to add any errors to.
+ * @param {boolean} [isNullable] - Whether the value is allowed to be `null`.
+ */
+function validateValue(path, value, expected, errors, isNullable = true) {
+    if (value === null) {
+        if (!isNullable) {
+            errors.push({ path, message: Messages.ExpectedValue });
+        }
+        return;
+    }
+
+    // Nullable values can't be checked any further.
+    if (expected === null || expected === undefined) {
+        return;
+    }
+
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(value)) {
+            errors.push({ path, message: Messages.ExpectedList });
+            return;
+        }
+        if (expected.length) {
+            value.forEach((item, index) => validateValue(`${path}[${index}]`, item, expected[0], errors, false));
+        }
+        return;
+    }
+
+    if (typeof expected === "object") {
+        if (typeof value !== "object" || Array.isArray(value)) {
+            errors.push({ path, message: Messages.ExpectedObject });
+            return;
+        }
+        for (const key of Object.keys(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (!(key in expected)) {
+                errors.push({ path: childPath, message: Messages.UnknownSetting });
+                continue;
+            }
+            validateValue(childPath, value[key], expected[key], errors, NullableKeys.includes(key));
+        }
+        return;
+    }
+
+    if (typeof value !== typeof expected) {
+        errors.push({ path, message: Messages.ExpectedType.replace("<expected>", typeof expected).replace("<actual>", typeof value) });
+    }
+}
+
+/**
+ * Merge the imported configuration on top of the current configuration.
+ *
+ * Without the secrets, the imported users can't be linked, so only the users
+ * already linked on this server are kept, with the settings from the file
+ * applied on top of their local credentials. Any other users in the file are
+ * returned as skipped. With the secrets, any secrets left empty in the file,
+ * e.g. because it was exported without them, keep their local values.
+ *
+ * @param {import("./Common.js").PluginConfiguration} current - The current configuration.
+ * @param {Partial<import("./Common.js").PluginConfiguration>} imported - The imported configuration.
+ * @param {{ includeSecrets: boolean; includeMediaFolders: boolean; }} options - The import options.
+ * @returns {{ config: import("./Common.js").PluginConfiguration; skippedUsers: import("./Common.js").UserConfig[]; }} The merged configuration and the skipped users.
+ */
+function mergeConfig(current, imported, { includeSecrets, includeMediaFolders }) {
+    const config = structuredClone(current);
+    /** @type {import("./Common.js").UserConfig[]} */
+    const skippedUsers = [];
+    for (const [key, value] of Object.entries(imported)) {
+        if (InstanceSpecificKeys.includes(key))
+            continue;
+        if (key === "MediaFolders" && !includeMediaFolders)
+            continue;
+        if (key === "ApiKey" && (!includeSecrets || !value))
+            continue;
+
+        if (key === "UserList" && !includeSecrets) {
+            config.UserList = current.UserList.map((currentUserConfig) => {
+                const userConfig = value.find((c) => c.UserId === currentUserConfig.UserId);
+                if (!userConfig) return structuredClone(currentUserConfig);
+
+                return {
+                    ...structuredClone(userConfig),
+                    Username: currentUserConfig.Username,
+                    Token: currentUserConfig.Token,
+                };
+            });
+            skippedUsers.push(...value.filter((userConfig) => !current.UserList.some((c) => c.UserId === userConfig.UserId)));
+            continue;
+        }
+
+        if (key === "UserList") {
+            config.UserList = value.map((userConfig) => {
+                const currentUserConfig = current.UserList.find((c) => c.UserId === userConfig.UserId);
+                if (userConfig.Token || !currentUserConfig) return structuredClone(userConfig);
+
+                return {
+                    ...structuredClone(userConfig),
+                    Username: currentUserConfig.Username,
+                    Token: currentUserConfig.Token,
+                };
+            });
+            continue;
+        }
+
+        config[key] = structuredClone(value);
+    }
+    return { config, skippedUsers };
+}
+
+/**
+ * Flatten a configuration object into a map of paths to values. Lists are
+ * kept as a single value.
+ *
+ * @param {any} value - The value to flatten.
+ * @param {string} [path] - The path to the value.
+ * @param {Map<string, any>} [result] - The map to add the values to.
+ * @returns {Map<string, any>} The flattened values.
+ */
+function flattenConfig(value, path = "", result = new Map()) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            flattenConfig(child, path ? `${path}.${key}` : key, result);
+        }
+    }
+    else {
+        result.set(path, value);
+    }
+    return result;
+}
+
+/**
+ * Get the settings that differ between two configurations.
+ *
+ * @param {import("./Common.js").PluginConfiguration} before - The current configuration.
+ * @param {import("./Common.js").PluginConfiguration} after - The new configuration.
+ * @returns {{ path: string; before: any; after: any; }[]} The changed settings.
+ */
+function diffConfig(before, after) {
+    const beforeValues = flattenConfig(before);
+    const afterValues = flattenConfig(after);
+    const paths = new Set([...beforeValues.keys(), ...afterValues.keys()]);
+    return Array.from(paths)
+        .filter((path) => JSON.stringify(beforeValues.get(path)) !== JSON.stringify(afterValues.get(path)))
+        .map((path) => ({ path, before: beforeValues.get(path), after: afterValues.get(path) }));
+}
+
+//#endregion
+
+//#region Render
+
+/**
+ * Format a configuration value for display, hiding any secrets.
+ *
+ * @param {string} path - The path to the value.
+ * @param {any} value - The value to format.
+ * @returns {string} The formatted value.
+ */
+function formatValue(path, value) {
+    if (value === undefined) return Messages.NotSet;
+    if (path === "ApiKey" && value) return "********";
+    return JSON.stringify(value, (key, child) => (key === "ApiKey" || key === "Token") && child ? "********" : child);
+}
+
+/**
+ * Render a list of titled entries.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {string} name - The list container ID.
+ * @param {[string, string][]} entries - The title and details for each entry.
+ * @param {boolean} [isHtml] - Whether the details are already HTML.
+ */
+function renderList(form, name, entries, isHtml = false) {
+    form.querySelector(`#${name} .checkboxList`).innerHTML = entries
+        .map(([title, details]) => `<div class="listItem"><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(title)}</h3><div class="listItemBodyText secondary" style="white-space: normal; word-break: break-word;">${isHtml ? details : escapeHtml(details)}</div></div></div>`)
+        .join("");
+}
+
+//#endregion
+
+}); }
@@ -0,0 +1,152 @@
+export default function (view) {
+let show = false;
+let hide = false;
+view.addEventListener("viewshow", () => show = true);
+view.addEventListener("viewhide", () => hide = true);
+
+/**
+ * @type {import("./Common.js").ApiClientPrototype}
+ */
+const ApiClient = globalThis.ApiClient;
+
+/**
+ * @type {import("./Common.js").DashboardPrototype}
+ */
+const Dashboard = globalThis.Dashboard;
+
+/**
+ * @type {Promise<import("./Common.js")>}
+ */
+const promise = import(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl("Shoko.Common.js")));
+promise.then(({ ShokoApiClient, State, createControllerFactory, handleError, localizeMessages, renderDiagnostics }) => {
+
+//#region Constants
+
+const Messages = localizeMessages("ConnectionDiagnostics", {
+    ConnectionUrl: "Connection URL",
+    ConnectionUrlPublic: "<url> (public: <publicUrl>)",
+    ConnectionUrlMissing: "No connection URL has been set.",
+    Authentication: "Authentication",
+    AuthenticatedAs: "Authenticated as <username>.",
+    AuthenticatedWithApiKey: "An API key is set.",
+    NotAuthenticated: "Not authenticated with Shoko Server.",
+    ShokoServer: "Shoko Server",
+    ShokoServerReachable: "Reachable in <elapsed>ms, running version <version>.",
+    ShokoServerReachableWithChannel: "Reachable in <elapsed>ms, running version <version> (<channel>).",
+    ShokoServerUnreachable: "Unable to reach Shoko Server from the Jellyfin server.",
+    SignalrConnection: "SignalR Connection",
+    SignalrNotUsable: "Not usable. The plugin is not connected to Shoko Server.",
+    SignalrStatusFailed: "Unable to get the SignalR status.",
+    SymbolicLinks: "Symbolic Links",
+    SymbolicLinksSupported: "The Jellyfin server can create symbolic links.",
+    SymbolicLinksUnsupported: "The Jellyfin server cannot create symbolic links. The VFS will not work.",
+    MediaFolders: "Media Folders",
+    MediaFoldersUnmapped: "<count> media folder(s) are not mapped to a managed folder in Shoko: <folders>",
+    MediaFoldersMapped: "All media folders are mapped to a managed folder in Shoko.",
+});
+
+//#endregion
+
+//#region Controller Logic
+
+createControllerFactory({
+    show,
+    hide,
+    initialTab: "utilities",
+    events: {
+        onInit() {
+            const form = this.querySelector("form");
+
+            form.addEventListener("submit", function (event) {
+                event.preventDefault();
+                Dashboard.showLoadingMsg();
+                runDiagnostics(form)
+                    .then(() => Dashboard.hideLoadingMsg())
+                    .catch(handleError);
+                return false;
+            });
+        },
+
+        onHide() {
+            const form = this.querySelector("form");
+            form.querySelector("#Diagnostics").setAttribute("hidden", "");
+            form.querySelector("#Diagnostics .checkboxList").innerHTML = "";
+        },
+    },
+})(view);
+
+//#endregion
+
+//#region Diagnostics
+
+/**
+ * Run all the diagnostics and render the results in the view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function runDiagnostics(form) {
+    // Always use a fresh configuration, since the diagnostics should reflect
+    // the current state on the server.
+    const config = State.config = await ShokoApiClient.getConfiguration();
+
+    /** @type {import("./Common.js").Diagnostic[]} */
+    const diagnostics = [];
+
+    diagnostics.push(config.Url
+        ? { status: "ok", title: Messages.ConnectionUrl, details: config.PublicUrl && config.PublicUrl !== config.Url ? Messages.ConnectionUrlPublic.replace("<url>", config.Url).replace("<publicUrl>", config.PublicUrl) : config.Url }
+        : { status: "error", title: Messages.ConnectionUrl, details: Messages.ConnectionUrlMissing }
+    );
+
+    diagnostics.push(config.ApiKey
+        ? { status: "ok", title: Messages.Authentication, details: config.Username ? Messages.AuthenticatedAs.replace("<username>", config.Username) : Messages.AuthenticatedWithApiKey }
+        : { status: "error", title: Messages.Authentication, details: Messages.NotAuthenticated }
+    );
+
+    if (config.Url) {
+        const start = performance.now();
+        try {
+            const version = await ShokoApiClient.getServerVersion();
+            const elapsed = Math.round(performance.now() - start);
+            const details = (version.ReleaseChannel ? Messages.ShokoServerReachableWithChannel : Messages.ShokoServerReachable)
+                .replace("<elapsed>", elapsed.toString())
+                .replace("<version>", version.Version)
+                .replace("<channel>", version.ReleaseChannel);
+            diagnostics.push({ status: "ok", title: Messages.ShokoServer, details });
+        }
+        catch (err) {
+            console.error("Failed to reach Shoko Server.", err);
+            diagnostics.push({ status: "error", title: Messages.ShokoServer, details: Messages.ShokoServerUnreachable });
+        }
+    }
+
+    try {
+        const signalr = await ShokoApiClient.getSignalrStatus();
+        diagnostics.push({
+            status: signalr.IsActive ? "ok" : signalr.IsUsable ? "warning" : "error",
+            title: Messages.SignalrConnection,
+            details: signalr.IsUsable ? signalr.State : Messages.SignalrNotUsable,
+        });
+    }
+    catch (err) {
+        console.error("Failed to get the SignalR status.", err);
+        diagnostics.push({ status: "error", title: Messages.SignalrConnection, details: Messages.SignalrStatusFailed });
+    }
+
+    diagnostics.push(config.CanCreateSymbolicLinks
+        ? { status: "ok", title: Messages.SymbolicLinks, details: Messages.SymbolicLinksSupported }
+        : { status: "error", title: Messages.SymbolicLinks, details: Messages.SymbolicLinksUnsupported }
+    );
+
+    const unmappedFolders = config.MediaFolders.filter((mediaFolder) => !mediaFolder.IsVirtualRoot && !mediaFolder.IsMapped);
+    diagnostics.push(unmappedFolders.length
+        ? { status: "warning", title: Messages.MediaFolders, details: Messages.MediaFoldersUnmapped.replace("<count>", unmappedFolders.length.toString()).replace("<folders>", unmappedFolders.map((mediaFolder) => mediaFolder.MediaFolderPath).join(", ")) }
+        : { status: "ok", title: Messages.MediaFolders, details: Messages.MediaFoldersMapped }
+    );
+
+    renderDiagnostics(form.querySelector("#Diagnostics"), diagnostics);
+}
+
+//#endregion
+
+}); }
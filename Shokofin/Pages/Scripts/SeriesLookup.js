@@ -0,0 +1,121 @@
+export default function (view) {
+let show = false;
+let hide = false;
+view.addEventListener("viewshow", () => show = true);
+view.addEventListener("viewhide", () => hide = true);
+
+/**
+ * @type {import("./Common.js").ApiClientPrototype}
+ */
+const ApiClient = globalThis.ApiClient;
+
+/**
+ * @type {import("./Common.js").DashboardPrototype}
+ */
+const Dashboard = globalThis.Dashboard;
+
+/**
+ * @type {Promise<import("./Common.js")>}
+ */
+const promise = import(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl("Shoko.Common.js")));
+promise.then(({ ShokoApiClient, State, createControllerFactory, escapeHtml, handleError, localizeMessages, overrideSeriesPicker }) => {
+
+//#region Constants
+
+const Messages = localizeMessages("SeriesLookup", {
+    FollowGlobalSettings: "Follow Global Settings",
+    ShokoSeriesId: "Shoko Series ID",
+    AnidbAnimeId: "AniDB Anime ID",
+    PreferredTitle: "Preferred Title",
+    DefaultTitle: "Default Title",
+    SeriesType: "Series Type",
+    StructureType: "Library Structure Mode",
+    SeasonOrdering: "Season Ordering",
+    SpecialsPlacement: "Specials Placement",
+    SeasonMergingBehavior: "Season Merging Behavior",
+    EpisodeConversion: "Episode Conversion",
+    NoConversion: "No Conversion",
+    OrderByAirdate: "Order Episodes by Airdate",
+    Yes: "Yes",
+    No: "No",
+});
+
+//#endregion
+
+//#region Controller Logic
+
+createControllerFactory({
+    show,
+    hide,
+    initialTab: "utilities",
+    events: {
+        onInit() {
+            const form = this.querySelector("form");
+
+            overrideSeriesPicker(form.querySelector("#SeriesSelector"));
+            form.querySelector("#SeriesSelector").addEventListener("change", function () {
+                Dashboard.showLoadingMsg();
+                applySeriesToForm(form, this.value)
+                    .then(() => Dashboard.hideLoadingMsg())
+                    .catch(handleError);
+            });
+
+            form.addEventListener("submit", function (event) {
+                event.preventDefault();
+                return false;
+            });
+        },
+    },
+})(view);
+
+//#endregion
+
+//#region Render
+
+/**
+ * Render the details of the given series.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {string} seriesId - The series ID, or an empty string to hide the details.
+ * @returns {Promise<void>}
+ */
+async function applySeriesToForm(form, seriesId) {
+    if (!seriesId) {
+        form.querySelector("#SeriesDetailsContainer").setAttribute("hidden", "");
+        return;
+    }
+
+    const [series] = await ShokoApiClient.getSeriesList(`s${seriesId}`);
+    const seriesConfig = await ShokoApiClient.getSeriesConfiguration(seriesId);
+    if (!series || !seriesConfig) {
+        form.querySelector("#SeriesDetailsContainer").setAttribute("hidden", "");
+        return;
+    }
+
+    const displayValue = (value) => !value || value === "None" ? Messages.FollowGlobalSettings : value;
+    const rows = [
+        [Messages.ShokoSeriesId, series.Id],
+        [Messages.AnidbAnimeId, series.AnidbId],
+        [Messages.PreferredTitle, series.Title],
+        [Messages.DefaultTitle, series.DefaultTitle],
+        [Messages.SeriesType, displayValue(seriesConfig.Type)],
+        [Messages.StructureType, displayValue(seriesConfig.StructureType)],
+        [Messages.SeasonOrdering, displayValue(seriesConfig.SeasonOrdering)],
+        [Messages.SpecialsPlacement, displayValue(seriesConfig.SpecialsPlacement)],
+        [Messages.SeasonMergingBehavior, displayValue(seriesConfig.SeasonMergingBehavior)],
+        [Messages.EpisodeConversion, seriesConfig.EpisodeConversion === "None" ? Messages.NoConversion : seriesConfig.EpisodeConversion],
+        [Messages.OrderByAirdate, seriesConfig.OrderByAirdate ? Messages.Yes : Messages.No],
+    ];
+    form.querySelector("#SeriesDetails .checkboxList").innerHTML = rows
+        .map(([label, value]) => `<div class="listItem"><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(label)}</h3><div class="listItemBodyText secondary">${escapeHtml(value)}</div></div></div>`)
+        .join("");
+
+    const baseUrl = State.config.PublicUrl || State.config.Url;
+    form.querySelector("#SeriesShokoLink").href = `${baseUrl}/webui/collection/series/${series.Id}`;
+    form.querySelector("#SeriesAnidbLink").href = `https://anidb.net/anime/${series.AnidbId}`;
+    form.querySelector("#SeriesDetailsContainer").removeAttribute("hidden");
+}
+
+//#endregion
+
+}); }
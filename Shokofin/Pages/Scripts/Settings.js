@@ -22,20 +22,34 @@ promise.then(({
     ShokoApiClient,
     State,
     createControllerFactory,
+    escapeHtml,
+    getConfigurationPageUrl,
+    getViewParams,
+    getVisibleTabs,
     handleError,
+    localizeMessages,
+    overrideChipInput,
+    overrideSeriesPicker,
     overrideSortableCheckboxList,
+    previewVfs,
     renderCheckboxList,
+    renderChipInput,
+    renderDiagnostics,
     renderReadonlyList,
+    renderSeriesPicker,
     renderSortableCheckboxList,
     retrieveCheckboxList,
     retrieveSortableCheckboxList,
+    searchSeriesPicker,
     updateTabs,
+    updateViewParams,
+    watchScheduledTasks,
 }) => {
 
 //#region Constants
 
 /**
- * @typedef {"Connection" | "Metadata_Title" | "Metadata_Description" | "Metadata_TagGenre" | "Metadata_Image" | "Metadata_Misc" | "Metadata_ThirdPartyIntegration" | "Library_Basic" | "Library_Collection" | "Library_MultipleVersions" | "Library_MediaFolder" | "Library_SeasonMerging" | "VFS_Basic" | "VFS_Location" | "User" | "Series" | "SignalR_Connection" | "SignalR_Basic" | "SignalR_Library_New" | "SignalR_Library_Existing" | "Misc" | "Utilities"} SectionType
+ * @typedef {"Connection" | "Metadata_Title" | "Metadata_Description" | "Metadata_TagGenre" | "Metadata_Image" | "Metadata_Misc" | "Metadata_ThirdPartyIntegration" | "Library_Basic" | "Library_Collection" | "Library_MultipleVersions" | "Library_MediaFolder" | "Library_SeasonMerging" | "VFS_Basic" | "VFS_Location" | "VFS_Preview" | "User" | "Series" | "Series_Overrides" | "Series_Bulk" | "SignalR_Connection" | "SignalR_Basic" | "SignalR_Library_New" | "SignalR_Library_Existing" | "SignalR_Events" | "Misc" | "Utilities"} SectionType
  */
 
 const MaxDebugPresses = 7;
@@ -58,18 +72,58 @@ const Sections = [
     "Library_SeasonMerging",
     "VFS_Basic",
     "VFS_Location",
+    "VFS_Preview",
     "User",
     "Series",
+    "Series_Overrides",
+    "Series_Bulk",
     "SignalR_Connection",
     "SignalR_Basic",
     "SignalR_Library_New",
     "SignalR_Library_Existing",
+    "SignalR_Events",
     "Misc",
     "Utilities",
 ];
 
-const Messages = {
+/**
+ * The tab each section is shown in.
+ *
+ * @type {Record<SectionType, import("./Common.js").TabType>}
+ */
+const SectionTabs = {
+    Connection: "connection",
+    Metadata_Title: "metadata",
+    Metadata_Description: "metadata",
+    Metadata_TagGenre: "metadata",
+    Metadata_Image: "metadata",
+    Metadata_Misc: "metadata",
+    Metadata_ThirdPartyIntegration: "metadata",
+    Library_Basic: "library",
+    Library_Collection: "library",
+    Library_MultipleVersions: "library",
+    Library_MediaFolder: "library",
+    Library_SeasonMerging: "library",
+    VFS_Basic: "vfs",
+    VFS_Location: "vfs",
+    VFS_Preview: "vfs",
+    User: "users",
+    Series: "series",
+    Series_Overrides: "series",
+    Series_Bulk: "series",
+    SignalR_Connection: "signalr",
+    SignalR_Basic: "signalr",
+    SignalR_Library_New: "signalr",
+    SignalR_Library_Existing: "signalr",
+    SignalR_Events: "signalr",
+    Misc: "misc",
+    Utilities: "utilities",
+};
+
+const Messages = localizeMessages("Settings", {
     ViewModeCountdown: "Press <count> more times to <toggle> view mode.",
+    ViewModeEnable: "enable",
+    ViewModeDisable: "disable",
     ExpertModeEnabled: "Advanced mode enabled.",
     ExpertModeDisabled: "Advanced mode disabled.",
     DebugModeEnabled: "Debug mode enabled.",
@@ -78,10 +132,573 @@ const Messages = {
     ConnectedToShoko: "Connection established.",
     DisconnectedToShoko: "Connection has been reset.",
     InvalidCredentials: "An error occurred while trying to authenticating the user using the provided credentials.",
+    ConnectionTestConfirm: "All checks passed. Do you want to save the connection settings and connect to Shoko?",
+    ConnectionTestConfirmTitle: "Test Connection",
+    ResetConnectionConfirm: "This disconnects the plugin from Shoko and forgets the API key. Metadata lookups, file events and the scheduled tasks will stop working until a new connection is established. Stop any tasks using the plugin before you continue.",
+    ResetConnectionConfirmTitle: "Reset Connection",
+    RemoveLibraryConfirm: "This deletes the saved settings and resets the mapping for \"<library>\", covering <count> media folder(s). The library will fall back to the default settings the next time it's scanned.",
+    RemoveLibraryConfirmTitle: "Remove Library Settings",
+    RemoveLibraryUndo: "Removed the settings for \"<library>\".",
+    UnlinkUserConfirm: "This deletes the saved settings for \"<user>\", including the Shoko credentials. Watch data will no longer be synchronized for the user until they're linked again.",
+    UnlinkUserConfirmTitle: "Unlink User",
+    UnlinkUserUndo: "Unlinked \"<user>\".",
+    UndoUnavailable: "The change can no longer be undone, since the settings have changed in the meantime.",
+    UnsavedChanges: "You have unsaved changes. Do you want to discard them and leave the page?",
+    UnsavedChangesTitle: "Unsaved Changes",
+    ValidationFailed: "Please fix the highlighted settings before saving.",
+    ValidationServerFailed: "The server rejected the settings; <errors>",
+    ValidationWholeNumber: "Must be a whole number.",
+    ValidationNumberMin: "Must be <min> or higher.",
+    ValidationNumberRange: "Must be between <min> and <max>.",
+    ValidationReconnectIntervals: "Invalid interval(s): <values>. Use whole numbers of seconds greater than 0, separated by commas.",
+    ValidationEmptyEntry: "Remove the empty entry between the commas.",
+    ValidationDuplicateEntries: "Duplicate entries: <values>.",
+    ValidationFolderNames: "Folder names cannot contain slashes: <values>.",
+    ValidationCustomLocation: "A custom location is required when the VFS root location is set to custom.",
+    SeriesBulkNoResults: "No series found.",
+    SeriesBulkSearchFailed: "Failed to load series!",
+    SeriesBulkNoSelection: "No series selected.",
+    SeriesBulkSelection: "<count> series selected.",
+    SeriesBulkSelectSeries: "Select at least one series to apply the settings to.",
+    SeriesBulkSelectSettings: "Select at least one setting to change.",
+    SeriesBulkConfirm: "Are you sure you want to apply the selected settings to <count> series?",
+    SeriesBulkConfirmTitle: "Bulk Edit Series Settings",
+    SeriesBulkProgress: "Updated <done> of <total> series.",
+    SeriesBulkCompleted: "Applied the settings to <count> series.",
+    SeriesBulkCompletedWithFailures: "Applied the settings to <count> series. <failed> series failed to update.",
+    SeriesOverridesLoading: "Loading series…",
+    SeriesOverridesLoadFailed: "Failed to load the series with overrides!",
+    SeriesOverridesNoResults: "No series with overrides found.",
+    SeriesOverridesSummary: "Showing <shown> of <total> series with overrides.",
+    SeriesOverridesReset: "Are you sure you want to reset all settings for \"<title>\" to follow the global settings?",
+    SeriesOverridesResetTitle: "Reset Series Settings",
+    SignalREventsEmpty: "No events received yet.",
+    SignalREventsNoMatches: "No events match the selected filters.",
+    SignalREventsSummary: "Showing <shown> of <total> event(s).",
+    SignalREventsPaused: "Paused. New events will show up once resumed.",
+    SignalRNextRetry: "Attempt <attempt> in <time>",
+    SignalRRetrying: "Attempt <attempt> in progress",
+    SignalRRetryIntervals: "Reconnect attempts are made after <intervals> second(s), repeating the last interval until connected.",
+    SignalRLastErrorAt: "Occurred at <time>.",
+    TitlePreviewMainTitle: "Main Title",
+    TitlePreviewAlternateTitle: "<number>. Alternate/Original Title",
+    TitlePreviewJoinedTitle: "Alternate/Original Title as Saved",
+    TitlePreviewNoTitle: "No title found",
+    TitlePreviewProvider: "From <provider>",
+    TitlePreviewNoProvider: "None of the selected title sources had a title",
+    TitlePreviewMetadataLanguage: "Using the metadata language \"<language>\".",
+    TitlePreviewFailed: "Failed to preview the titles!",
+    TagPreviewTags: "Tags: <list>",
+    TagPreviewGenres: "Genres: <list>",
+    TagPreviewNone: "None",
+    TagPreviewAsTag: "Tag: <result>",
+    TagPreviewAsGenre: "Genre: <result>",
+    TagPreviewWeightless: "Weightless",
+    TagPreviewWeight: "Weight <weight>",
+    TagPreviewEmpty: "The series has no tags.",
+    TagPreviewNoMatches: "No tags match the selected filter.",
+    TagPreviewFailed: "Failed to preview the tags!",
+    DescriptionPreviewSelected: "The description will be taken from <provider>.",
+    DescriptionPreviewNoneSelected: "None of the selected description sources had a description.",
+    DescriptionPreviewMetadataLanguage: "Using the metadata language \"<language>\".",
+    DescriptionPreviewUsed: "Used",
+    DescriptionPreviewNotSelected: "Not selected",
+    DescriptionPreviewUnused: "Available, but a provider higher in the list is used",
+    DescriptionPreviewUnavailable: "No description in the metadata language",
+    DescriptionPreviewRaw: "Raw",
+    DescriptionPreviewNotConverted: "Only AniDB descriptions are converted, so this description is used as is.",
+    DescriptionPreviewEmpty: "Empty",
+    DescriptionPreviewFailed: "Failed to preview the descriptions!",
+    ImagePreviewPosters: "Posters",
+    ImagePreviewLogos: "Logos",
+    ImagePreviewBackdrops: "Backdrops",
+    ImagePreviewGroup: "<language> (<count>)",
+    ImagePreviewOtherLanguages: "Other languages",
+    ImagePreviewNoImages: "The series has no images of this type.",
+    ImagePreviewUnfiltered: "No languages are selected, so Jellyfin orders these images by itself. The highlighted image is only an approximation.",
+    ImagePreviewNoLanguage: "No language",
+    ImagePreviewRating: "Rating <rating>",
+    ImagePreviewPreferred: "Preferred",
+    ImagePreviewSelected: "Selected",
+    ImagePreviewExcluded: "Filtered out",
+    ImagePreviewUnavailable: "Not available",
+    ImagePreviewMetadataLanguage: "Using the metadata language \"<language>\".",
+    ImagePreviewFailed: "Failed to preview the images!",
+    SeasonMergingPreviewDisabled: "Season merging is disabled in the library settings, so no series will be merged until it's enabled. The preview shows how the series would be merged once it is.",
+    SeasonMergingPreviewSettings: "Merge window: <window>. Series types merged without an override: <types>.",
+    SeasonMergingPreviewWindow: "<days> days",
+    SeasonMergingPreviewNoWindow: "ignoring release dates",
+    SeasonMergingPreviewNone: "None",
+    SeasonMergingPreviewSeason: "Season of <title>",
+    SeasonMergingPreviewStandalone: "Not merged with any other series",
+    SeasonMergingPreviewGroupTarget: "Group <group> target",
+    SeasonMergingPreviewGroupSource: "Group <group> source",
+    SeasonMergingPreviewNoAirDate: "No release date",
+    SeasonMergingPreviewMergeForward: "Merge with sequel",
+    SeasonMergingPreviewMergeBackward: "Merge with prequel",
+    SeasonMergingPreviewMergeWithMainStory: "Merge with main story",
+    SeasonMergingPreviewIneligible: "Can't be merged: <reasons>",
+    SeasonMergingPreviewReasonNoMerge: "set to not merge with any other series",
+    SeasonMergingPreviewReasonStructureType: "not using the Shoko group structure",
+    SeasonMergingPreviewReasonSeriesType: "series type is not merged without an override",
+    SeasonMergingPreviewReasonMissingAirDate: "no release date",
+    SeasonMergingPreviewSequel: "Sequel: <title>",
+    SeasonMergingPreviewSideStory: "Side story: <title>",
+    SeasonMergingPreviewDaysApart: "<days> days apart",
+    SeasonMergingPreviewOutsideWindow: "Outside the merge window",
+    SeasonMergingPreviewMerged: "Merged",
+    SeasonMergingPreviewNotMerged: "Not merged",
+    SeasonMergingPreviewConflictMultipleTargets: "Merge group <group> has more than one target: <series>.",
+    SeasonMergingPreviewConflictMissingTarget: "Merge group <group> has no target, so <series> won't be merged by the group.",
+    SeasonMergingPreviewConflictIneligibleMember: "Merge group <group> includes series which can't be merged: <series>.",
+    SeasonMergingPreviewConflictNotMerged: "In merge group <group>, <series> won't end up in the same season as the target.",
+    SeasonMergingPreviewFailed: "Failed to preview the season merging!",
+    SeriesStructurePreviewSaved: "Saved settings",
+    SeriesStructurePreviewUnsaved: "Settings above",
+    SeriesStructurePreviewUnchanged: "Same structure as with the saved settings.",
+    SeriesStructurePreviewEmpty: "The series won't be placed in any show.",
+    SeriesStructurePreviewStandalone: "Single series",
+    SeriesStructurePreviewSeason: "Season <number>: <title>",
+    SeriesStructurePreviewAlternate: "<title> (alternate episodes)",
+    SeriesStructurePreviewSpecials: "Specials",
+    SeriesStructurePreviewExtras: "Extras",
+    SeriesStructurePreviewEpisodeCount: "<count> episodes",
+    SeriesStructurePreviewMerged: "Merged with <count> other series",
+    SeriesStructurePreviewAirsBeforeEpisode: "Airs before <episode>",
+    SeriesStructurePreviewAirsBeforeSeason: "Airs before season <season>",
+    SeriesStructurePreviewAirsAfterSeason: "Airs after season <season>",
+    SeriesStructurePreviewSpecialsOnly: "Only in the specials season",
+    SeriesStructurePreviewConversionEpisodeAsSpecial: "Converted from a normal episode",
+    SeriesStructurePreviewConversionSpecialAsEpisode: "Converted from a special",
+    SeriesStructurePreviewConversionSpecialAsExtra: "Converted to an extra",
+    SeriesStructurePreviewMissing: "No files",
+    SeriesStructurePreviewChanged: "Placed differently than with the saved settings",
+    SeriesRefreshSaving: "Saving the settings…",
+    SeriesRefreshRunning: "Regenerating the VFS links and refreshing the metadata for the series… This might take a while for series with many files.",
+    SeriesRefreshCompleted: "Regenerated the VFS links for <files> file(s) and refreshed <items> item(s) in Jellyfin.",
+    SeriesRefreshSaveFailed: "Failed to save the settings. Nothing was refreshed.",
+    SeriesRefreshFailed: "The settings were saved, but the series could not be refreshed. The changes will be applied on the next library scan.",
+    SeriesRefreshScanRunning: "The settings were saved, but the series can't be refreshed while a library scan is running. The changes will be applied by the running scan or the next one.",
+    TagListSeriesCount: "<count> series",
+    TagListSources: "Tag sources: <sources>",
+    TagListNoSources: "Not part of any tag source.",
+    TagListUnknown: "Shoko doesn't know any tag with this name.",
+    SettingsSearchNoResults: "No settings found.",
+    SettingsSearchLocation: "<tab> › <section>",
+    SignalREventsPause: "Pause",
+    SignalREventsResume: "Resume",
+    SelectLibrary: "Click here to select a library",
+    SelectUser: "Click here to select a user",
+    SeriesOverridesResetButton: "Reset to default",
+    ConnectionTestUrl: "Connection URL",
+    ConnectionTestUrlInvalid: "The private host url is not a valid url.",
+    ConnectionTestUrlUnreachable: "Unable to reach <url> from the Jellyfin server. <error>",
+    ConnectionTestUrlReachable: "Reachable from the Jellyfin server in <time>ms.",
+    ConnectionTestVersion: "Server Version",
+    ConnectionTestVersionSupported: "Running version <version>.",
+    ConnectionTestVersionUnsupported: "Version <version> is not supported. Version <minimum> or later is required.",
+    ConnectionTestCredentials: "Credentials",
+    ConnectionTestCredentialsValid: "Authenticated as <username>.",
+    ConnectionTestCredentialsInvalid: "The username or password is incorrect.",
+    ConnectionTestCredentialsFailed: "Unable to check the credentials. <error>",
+    ConnectionTestCredentialsSkipped: "Not checked, since Shoko could not be reached.",
+    ConnectionTestCredentialsMissing: "No username has been provided.",
+    ConnectionTestImages: "Images",
+    ConnectionTestImagesReachable: "<url> is reachable from your browser.",
+    ConnectionTestImagesUnreachable: "Unable to reach <url> from your browser. Images sent to clients may fail to load. Set a public host url if Shoko is only reachable from the Jellyfin server.",
+});
+
+/**
+ * How often to check the SignalR status while connected or disconnected, in
+ * seconds. The status is checked every second while (re-)connecting.
+ */
+const SignalRStatusPollInterval = 5;
+
+/**
+ * How often to check for new SignalR events, in milliseconds.
+ */
+const SignalREventsPollInterval = 2000;
+
+/**
+ * The maximum number of SignalR events to keep in the log.
+ */
+const MaxSignalREvents = 250;
+
+/**
+ * @type {Record<import("./Common.js").SignalREventType, string>}
+ */
+const SignalREventTypeLabels = localizeMessages("Settings.SignalREventType", {
+    FileMatched: "File Matched",
+    FileDeleted: "File Deleted",
+    FileMoved: "File Moved",
+    FileRenamed: "File Renamed",
+    ReleaseSaved: "Release Saved",
+    EpisodeInfoUpdated: "Episode Info Updated",
+    SeriesInfoUpdated: "Series Info Updated",
+    MovieInfoUpdated: "Movie Info Updated",
+});
+
+/**
+ * @type {Record<import("./Common.js").SignalREventOutcome, string>}
+ */
+const SignalREventOutcomeLabels = localizeMessages("Settings.SignalREventOutcome", {
+    Dispatched: "Dispatched",
+    ProviderDisabled: "Skipped, source not enabled",
+    LibraryScanRunning: "Skipped, library scan running",
+    FileNotFound: "Skipped, file not found",
+});
+
+/**
+ * Why a tag was or wasn't used as a tag or genre in the tag preview.
+ *
+ * @type {Record<import("./Common.js").TagFilterReason, string>}
+ */
+const TagFilterReasonLabels = localizeMessages("Settings.TagFilterReason", {
+    Included: "Included",
+    NoSource: "Not part of any tag source",
+    SourceNotEnabled: "Source <source> not enabled",
+    Unverified: "Unverified",
+    DepthAboveMaximum: "Depth <depth> > max <max>",
+    LocalSpoiler: "Local spoilers not included",
+    GlobalSpoiler: "Global spoilers not included",
+    Abstract: "Abstract tags not included",
+    Weightless: "Weightless tags not included",
+    Weighted: "Weighted tags not included",
+    Parent: "Parent tags not included",
+    Child: "Child tags not included",
+    WeightBelowMinimum: "Weight <weight> below <minimum>",
+    ExcludedByList: "Excluded by list",
+});
+
+/**
+ * The labels of the per series settings which can be overridden.
+ *
+ * @type {Record<keyof import("./Common.js").SeriesConfiguration, string>}
+ */
+const SeriesOverrideLabels = localizeMessages("Settings.SeriesOverride", {
+    Type: "Series Type",
+    StructureType: "Library Structure",
+    SeasonOrdering: "Season Ordering",
+    SpecialsPlacement: "Specials Placement",
+    SeasonMergingBehavior: "Season Merging",
+    EpisodeConversion: "Episode Conversion",
+    OrderByAirdate: "Order by Airdate",
+});
+
+/**
+ * A per series configuration with no overrides.
+ *
+ * @type {import("./Common.js").SeriesConfiguration}
+ */
+const DefaultSeriesConfiguration = {
+    Type: "None",
+    StructureType: "None",
+    SeasonOrdering: "None",
+    SpecialsPlacement: "None",
+    SeasonMergingBehavior: "None",
+    EpisodeConversion: "None",
+    OrderByAirdate: false,
 };
 
+/**
+ * @typedef {"checkbox" | "select" | "text" | "number" | "checkbox-list" | "sortable-list" | "comma-list" | "tag-list"} SettingsFieldType
+ */
+
+/**
+ * @typedef {Object} SettingsField
+ * @property {string} id The id of the input, or the name of the (sortable) checkbox list.
+ * @property {SettingsFieldType} type How the value is read from and written to the form.
+ * @property {string} path Dot separated path to the value in the configuration.
+ * @property {string} [orderPath] Dot separated path to the order of a sortable list in the configuration.
+ * @property {(value: any) => any} [toForm] Optional. Convert the configuration value before it's written to the form.
+ * @property {(value: any) => any} [toConfig] Optional. Convert the form value before it's written to the configuration. Comma lists receive the raw input value.
+ * @property {number} [min] Optional. The lowest value allowed for numbers.
+ * @property {number} [max] Optional. The highest value allowed for numbers.
+ * @property {(value: string, form: HTMLFormElement) => string | null} [validate] Optional. Validate the raw input value before saving, returning an error message if it's invalid.
+ */
+
+/**
+ * The settings bound to the plugin configuration, per tab. Everything that
+ * cannot be expressed as a one-to-one binding, e.g. the alternate titles and
+ * the per library settings, is still handled by hand.
+ *
+ * @type {Partial<Record<import("./Common.js").TabType, SettingsField[]>>}
+ */
+const SettingsSchema = {
+    metadata: [
+        { id: "MarkSpecialsWhenGrouped", type: "checkbox", path: "MarkSpecialsWhenGrouped" },
+        { id: "RemoveDuplicateTitles", type: "checkbox", path: "Title.Default.RemoveDuplicates" },
+        { id: "TitleMainList", type: "sortable-list", path: "Title.Default.MainTitle.List", orderPath: "Title.Default.MainTitle.Order" },
+        { id: "TitleMainAllowAny", type: "checkbox", path: "Title.Default.MainTitle.AllowAny" },
+        { id: "DescriptionSourceList", type: "sortable-list", path: "Description.Default.List", orderPath: "Description.Default.Order" },
+        { id: "DescriptionConversionMode", type: "select", path: "DescriptionConversionMode" },
+        { id: "HideUnverifiedTags", type: "checkbox", path: "HideUnverifiedTags" },
+        { id: "TagSources", type: "checkbox-list", path: "TagSources", toForm: splitFlags, toConfig: joinFlags },
+        { id: "TagIncludeFilters", type: "checkbox-list", path: "TagIncludeFilters", toForm: splitFlags, toConfig: joinFlags },
+        { id: "TagMinimumWeight", type: "select", path: "TagMinimumWeight" },
+        { id: "TagMaximumDepth", type: "select", path: "TagMaximumDepth", toConfig: (value) => parseInt(value, 10) },
+        { id: "TagExcludeList", type: "tag-list", path: "TagExcludeList", toConfig: filterTags, validate: validateCommaList },
+        { id: "GenreSources", type: "checkbox-list", path: "GenreSources", toForm: splitFlags, toConfig: joinFlags },
+        { id: "GenreIncludeFilters", type: "checkbox-list", path: "GenreIncludeFilters", toForm: splitFlags, toConfig: joinFlags },
+        { id: "GenreMinimumWeight", type: "select", path: "GenreMinimumWeight" },
+        { id: "GenreMaximumDepth", type: "select", path: "GenreMaximumDepth", toConfig: (value) => parseInt(value, 10) },
+        { id: "GenreExcludeList", type: "tag-list", path: "GenreExcludeList", toConfig: filterTags, validate: validateCommaList },
+        { id: "Image_UsePreferred", type: "checkbox", path: "Image.Default.UsePreferred" },
+        { id: "Image_UseCommunityRating", type: "checkbox", path: "Image.Default.UseCommunityRating" },
+        { id: "Image_PosterList", type: "sortable-list", path: "Image.Default.PosterList", orderPath: "Image.Default.PosterOrder" },
+        { id: "Image_LogoList", type: "sortable-list", path: "Image.Default.LogoList", orderPath: "Image.Default.LogoOrder" },
+        { id: "Image_BackdropList", type: "sortable-list", path: "Image.Default.BackdropList", orderPath: "Image.Default.BackdropOrder" },
+        { id: "Image_DebugMode", type: "checkbox", path: "Image.DebugMode" },
+        { id: "Metadata_StudioOnlyAnimationWorks", type: "checkbox", path: "Metadata_StudioOnlyAnimationWorks" },
+        { id: "ContentRatingList", type: "sortable-list", path: "ContentRatingList", orderPath: "ContentRatingOrder" },
+        { id: "ProductionLocationList", type: "sortable-list", path: "ProductionLocationList", orderPath: "ProductionLocationOrder" },
+        { id: "ThirdPartyIdProviderList", type: "checkbox-list", path: "ThirdPartyIdProviderList", toForm: (list) => list.map(s => s.trim()).filter(s => s) },
+    ],
+    library: [
+        { id: "DefaultLibraryStructure", type: "select", path: "DefaultLibraryStructure" },
+        { id: "DefaultSeasonOrdering", type: "select", path: "DefaultSeasonOrdering" },
+        { id: "SeparateMovies", type: "checkbox", path: "SeparateMovies" },
+        { id: "DisableFilterMovieLibraries", type: "checkbox", path: "FilterMovieLibraries", toForm: (value) => !value, toConfig: (value) => !value },
+        { id: "DefaultSpecialsPlacement", type: "select", path: "DefaultSpecialsPlacement", toForm: (value) => value === "Default" ? "Excluded" : value },
+        { id: "MovieSpecialsAsExtraFeaturettes", type: "checkbox", path: "MovieSpecialsAsExtraFeaturettes" },
+        { id: "AddMissingMetadata", type: "checkbox", path: "AddMissingMetadata" },
+        { id: "CollectionGrouping", type: "select", path: "CollectionGrouping" },
+        { id: "CollectionMinSizeOfTwo", type: "checkbox", path: "CollectionMinSizeOfTwo" },
+        { id: "AutoMergeVersions", type: "checkbox", path: "AutoMergeVersions" },
+        { id: "MergeVersionSortSelectorList", type: "sortable-list", path: "MergeVersionSortSelectorList", orderPath: "MergeVersionSortSelectorOrder" },
+        { id: "DefaultLibraryOperationMode", type: "select", path: "DefaultLibraryOperationMode" },
+        { id: "SeasonMerging_Enabled", type: "checkbox", path: "SeasonMerging_Enabled" },
+        { id: "SeasonMerging_AutoMerge", type: "checkbox", path: "SeasonMerging_DefaultBehavior", toForm: (value) => value === "None", toConfig: (value) => value ? "None" : "NoMerge" },
+        { id: "SeasonMerging_SeriesTypes", type: "checkbox-list", path: "SeasonMerging_SeriesTypes" },
+        { id: "SeasonMerging_MergeWindowInDays", type: "number", path: "SeasonMerging_MergeWindowInDays", min: 0, validate: validateNumber },
+    ],
+    vfs: [
+        { id: "AddTrailers", type: "checkbox", path: "AddTrailers" },
+        { id: "AddCreditsAsThemeVideos", type: "checkbox", path: "AddCreditsAsThemeVideos" },
+        { id: "AddCreditsAsSpecialFeatures", type: "checkbox", path: "AddCreditsAsSpecialFeatures" },
+        { id: "VFS_AddReleaseGroup", type: "checkbox", path: "VFS_AddReleaseGroup" },
+        { id: "VFS_AddResolution", type: "checkbox", path: "VFS_AddResolution" },
+        { id: "VFS_ResolveLinks", type: "checkbox", path: "VFS_ResolveLinks" },
+        { id: "VFS_AttachRoot", type: "checkbox", path: "VFS_AttachRoot" },
+        { id: "VFS_IterativeFileChecks", type: "checkbox", path: "VFS_IterativeFileChecks" },
+        { id: "VFS_Location", type: "select", path: "VFS_Location" },
+        { id: "VFS_CustomLocation", type: "text", path: "VFS_CustomLocation", toConfig: (value) => value.trim() || null, validate: validateCustomLocation },
+    ],
+    signalr: [
+        { id: "SignalRAutoConnect", type: "checkbox", path: "SignalR_AutoConnectEnabled" },
+        { id: "SignalRAutoReconnectIntervals", type: "comma-list", path: "SignalR_AutoReconnectInSeconds", toConfig: filterReconnectIntervals, validate: validateReconnectIntervals },
+        { id: "SignalREventSources", type: "checkbox-list", path: "SignalR_EventSources" },
+        { id: "SignalRDefaultFileEvents", type: "checkbox", path: "SignalR_FileEvents" },
+        { id: "SignalRDefaultRefreshEvents", type: "checkbox", path: "SignalR_RefreshEnabled" },
+    ],
+    misc: [
+        { id: "Misc_ShowInMenu", type: "checkbox", path: "Misc_ShowInMenu" },
+        { id: "UsageTracker_StalledTimeInSeconds", type: "number", path: "UsageTracker_StalledTimeInSeconds", min: 1, max: 10800, validate: validateNumber },
+        { id: "IgnoredFolders", type: "comma-list", path: "IgnoredFolders", toConfig: filterIgnoredFolders, validate: validateFolderNames },
+    ],
+};
+
+/**
+ * The settings bound to the selected user's configuration. The synchronization
+ * toggle must come first, since it enables or disables the rest.
+ *
+ * @type {SettingsField[]}
+ */
+const UserSettingsSchema = [
+    { id: "UserEnableSynchronization", type: "checkbox", path: "EnableSynchronization" },
+    { id: "SyncUserDataOnImport", type: "checkbox", path: "SyncUserDataOnImport" },
+    { id: "SyncUserDataAfterPlayback", type: "checkbox", path: "SyncUserDataAfterPlayback" },
+    { id: "SyncUserDataUnderPlayback", type: "checkbox", path: "SyncUserDataUnderPlayback" },
+    { id: "SyncUserDataUnderPlaybackLive", type: "checkbox", path: "SyncUserDataUnderPlaybackLive" },
+    { id: "SyncUserDataInitialSkipEventCount", type: "checkbox", path: "SyncUserDataInitialSkipEventCount", toForm: (value) => value === 2, toConfig: (value) => value ? 2 : 0 },
+    { id: "SyncRestrictedVideos", type: "checkbox", path: "SyncRestrictedVideos" },
+];
+
+/**
+ * The settings bound to the selected series' configuration.
+ *
+ * @type {SettingsField[]}
+ */
+const SeriesSettingsSchema = [
+    { id: "SeriesType", type: "select", path: "Type" },
+    { id: "SeriesLibraryStructure", type: "select", path: "StructureType" },
+    { id: "SeriesSeasonOrdering", type: "select", path: "SeasonOrdering" },
+    { id: "SeriesSpecialsPlacement", type: "select", path: "SpecialsPlacement" },
+    { id: "SeriesSeasonMergingBehavior", type: "checkbox-list", path: "SeasonMergingBehavior", toForm: (value) => splitFlags(value).filter(s => s !== "None"), toConfig: (list) => list.join(",") || "None" },
+    { id: "SeriesEpisodeConversion", type: "select", path: "EpisodeConversion" },
+    { id: "SeriesOrderByAirdate", type: "checkbox", path: "OrderByAirdate" },
+];
+
+/**
+ * The settings bound to each media folder in the selected library.
+ *
+ * @type {SettingsField[]}
+ */
+const LibrarySettingsSchema = [
+    { id: "MediaFolderLibraryOperationMode", type: "select", path: "LibraryOperationMode" },
+];
+
+/**
+ * The SignalR settings bound to each media folder in the selected library.
+ *
+ * @type {SettingsField[]}
+ */
+const SignalRLibrarySettingsSchema = [
+    { id: "SignalRFileEvents", type: "checkbox", path: "IsFileEventsEnabled" },
+    { id: "SignalRRefreshEvents", type: "checkbox", path: "IsRefreshEventsEnabled" },
+];
+
+/**
+ * How long the undo notice is shown after a destructive action, in seconds.
+ */
+const UndoGracePeriodInSeconds = 15;
+
+/**
+ * The containers of the form fields to track changes for. Containers within an
+ * element with the `data-untracked` attribute are ignored.
+ */
+const TrackedFieldSelector = ".checkboxContainer, .inputContainer, .selectContainer, [is=\"checkbox-list\"], [is=\"sortable-checkbox-list\"]";
+
 let alternateTitleListTemplate = "";
 
+/**
+ * Stops polling the scheduled tasks while the view is hidden.
+ *
+ * @type {(() => void) | null}
+ */
+let stopWatchingScheduledTasks = null;
+
+/**
+ * The state of each tracked field container when it was last rendered from the
+ * saved configuration.
+ *
+ * @type {WeakMap<HTMLElement, string>}
+ */
+const fieldBaselines = new WeakMap();
+
+/**
+ * The series selected in the bulk editor, kept between searches.
+ *
+ * @type {Map<string, import("./Common.js").SimpleSeries>}
+ */
+const bulkSeriesSelection = new Map();
+
+/**
+ * The series with per series configuration overrides, or null if not loaded.
+ *
+ * @type {import("./Common.js").SeriesConfigurationOverride[] | null}
+ */
+let seriesOverrides = null;
+
+/**
+ * The tags known to Shoko by their lower case name, or null if not loaded.
+ *
+ * @type {Map<string, import("./Common.js").SimpleTag> | null}
+ */
+let tagList = null;
+
+/**
+ * Whether the tags known to Shoko are currently being loaded.
+ */
+let tagListLoading = false;
+
+/**
+ * The last SignalR status received from the server.
+ *
+ * @type {import("./Common.js").SignalRStatus | null}
+ */
+let signalrStatus = null;
+
+/**
+ * The interval for updating the SignalR status, if watching.
+ *
+ * @type {number | null}
+ */
+let signalrStatusInterval = null;
+
+/**
+ * The received SignalR events, newest first.
+ *
+ * @type {import("./Common.js").SignalREventLogEntry[]}
+ */
+let signalrEvents = [];
+
+/**
+ * The id of the last SignalR event received from the server.
+ */
+let lastSignalrEventId = 0;
+
+/**
+ * Whether the SignalR event log is paused.
+ */
+let signalrEventsPaused = false;
+
+/**
+ * The timeout for the next SignalR event poll, if polling.
+ *
+ * @type {number | null}
+ */
+let signalrEventsTimeout = null;
+
+/**
+ * The searchable settings, built when the search box is focused so it follows
+ * the current labels.
+ *
+ * @type {SettingsSearchEntry[] | null}
+ */
+let settingsSearchIndex = null;
+
+/**
+ * The timeout for the next title preview refresh, if pending.
+ *
+ * @type {number | null}
+ */
+let titlePreviewTimeout = null;
+
+/**
+ * The timeout for the next description preview refresh, if pending.
+ *
+ * @type {number | null}
+ */
+let descriptionPreviewTimeout = null;
+
+/**
+ * The timeout for the next image preview refresh, if pending.
+ *
+ * @type {number | null}
+ */
+let imagePreviewTimeout = null;
+
+/**
+ * The timeout for the next season merging preview refresh, if pending.
+ *
+ * @type {number | null}
+ */
+let seasonMergingPreviewTimeout = null;
+
+/**
+ * The timeout for the next tag preview refresh, if pending.
+ *
+ * @type {number | null}
+ */
+let tagPreviewTimeout = null;
+
+/**
+ * The last tag preview received from the server, kept to re-render it when
+ * the filter changes.
+ *
+ * @type {import("./Common.js").TagFilterPreview | null}
+ */
+let tagPreview = null;
+
+/**
+ * The last destructive action, kept for the grace period of the undo notice so
+ * it can be reverted.
+ *
+ * @type {{ restore: (config: import("./Common.js").PluginConfiguration) => boolean; params: Record<string, string>; timeout: number; } | null}
+ */
+let pendingUndo = null;
+
 //#endregion
 
 //#region Controller Logic
@@ -105,11 +722,11 @@ createControllerFactory({
                     State.advancedMode = !State.advancedMode;
                     State.debugMode = false;
                     const config = await toggleExpertMode(State.advancedMode, State.debugMode);
-                    await updateView(view, form, config);
+                    await updateView(view, form, markConfigAsSaved(form, config));
                     return;
                 }
                 if (State.clickCounter >= 3)
-                    Dashboard.alert(Messages.ViewModeCountdown.replace("<count>", MaxDebugPresses - State.clickCounter).replace("<toggle>", State.advancedMode ? "disable" : "enable"));
+                    Dashboard.alert(Messages.ViewModeCountdown.replace("<count>", MaxDebugPresses - State.clickCounter).replace("<toggle>", State.advancedMode ? Messages.ViewModeDisable : Messages.ViewModeEnable));
             });
 
             form.querySelector(".sectionTitleContainer > a").addEventListener("click", async function(event) {
@@ -120,66 +737,158 @@ createControllerFactory({
                     State.advancedMode = !State.advancedMode;
                     State.debugMode = State.advancedMode;
                     const config = await toggleExpertMode(State.advancedMode, State.debugMode);
-                    await updateView(view, form, config);
+                    await updateView(view, form, markConfigAsSaved(form, config));
                     return;
                 }
             });
 
-            form.querySelector("#UserSelector").addEventListener("change", function () {
-                applyUserConfigToForm(form, this.value);
+            form.querySelector("#SettingsSearch").addEventListener("focus", function () {
+                settingsSearchIndex = null;
             });
 
-            form.querySelector("#SeriesSearch").addEventListener("input", function () {
-                const value = this.value.trim();
-                if (State.seriesQuery === value && State.seriesTimeout) {
-                    return;
-                }
+            form.querySelector("#SettingsSearch").addEventListener("input", function () {
+                renderSettingsSearchResults(form, this.value);
+            });
 
-                if (State.seriesTimeout) {
-                    clearTimeout(State.seriesTimeout);
+            form.querySelector("#SettingsSearch").addEventListener("keydown", function (event) {
+                if (event.key === "Enter") {
+                    // Don't let the search box submit the form.
+                    event.preventDefault();
+                    const item = form.querySelector("#SettingsSearchResults [data-search-index]");
+                    if (item) {
+                        item.click();
+                    }
+                }
+                else if (event.key === "Escape") {
+                    this.value = "";
+                    renderSettingsSearchResults(form, "");
                 }
+            });
 
-                const timeout = State.seriesTimeout = setTimeout(async () => {
-                    if (State.seriesTimeout !== timeout) {
-                        return;
-                    }
+            form.querySelector("#SettingsSearchResults").addEventListener("click", function (event) {
+                const item = event.target.closest("[data-search-index]");
+                if (!item) return;
 
-                    console.log("Series Search: " + value);
-                    State.seriesQuery = value;
-                    applySeriesConfigToForm(form, "");
-                    form.querySelector("#SeriesSelector").setAttribute("disabled", "");
-                    try {
-                        State.seriesList = await ShokoApiClient.getSeriesList(value);
-                    }
-                    catch (error) {
-                        console.log(error, "Got an error attempting to search for a series.");
-                        form.querySelector("#SeriesSelector").value = "";
-                        form.querySelector("#SeriesSelector").innerHTML = `<option value="">Failed to load series!</option>`;
-                        form.querySelector("#SeriesSelector").removeAttribute("disabled");
-                        return;
-                    }
+                jumpToSettingsSearchEntry(view, form, settingsSearchIndex[parseInt(item.dataset.searchIndex, 10)])
+                    .catch(handleError);
+            });
 
-                    if (State.seriesTimeout !== timeout) {
-                        console.log("Returned too late for series search: " + value);
-                        return;
-                    }
+            overrideTagListInputs(form);
 
-                    const series = State.seriesList;
-                    const seriesId = value && series.length > 0 ? series[0].Id.toString() : "";
-                    State.seriesTimeout = null;
-                    form.querySelector("#SeriesSelector").innerHTML =
-                        `<option value="">Click here to select a series</option>` +
-                        series.map((s) => `<option value="${s.Id}">${s.Title.length >= 50 ? `${s.Title.substring(0, 47)}...` : s.Title} (a${s.AnidbId})</option>`).join("");
-                    form.querySelector("#SeriesSelector").removeAttribute("disabled");
-                    form.querySelector("#SeriesSelector").value = seriesId;
-                    applySeriesConfigToForm(form, seriesId);
-                }, 250);
+            overrideSeriesPicker(form.querySelector("#TitlePreviewSeries"));
+            form.querySelector("#TitlePreviewSeries").addEventListener("change", function () {
+                scheduleTitlePreview(form, 0);
+            });
+
+            overrideSeriesPicker(form.querySelector("#TagPreviewSeries"));
+            form.querySelector("#TagPreviewSeries").addEventListener("change", function () {
+                scheduleTagPreview(form, 0);
+            });
+
+            overrideSeriesPicker(form.querySelector("#ImagePreviewSeries"));
+            form.querySelector("#ImagePreviewSeries").addEventListener("change", function () {
+                scheduleImagePreview(form, 0);
+            });
+
+            overrideSeriesPicker(form.querySelector("#DescriptionPreviewSeries"));
+            form.querySelector("#DescriptionPreviewSeries").addEventListener("change", function () {
+                scheduleDescriptionPreview(form, 0);
+            });
+
+            form.querySelector("#TagPreviewFilter").addEventListener("change", function () {
+                renderTagPreview(form);
+            });
+
+            form.querySelector("#Metadata_TagGenre_Section").addEventListener("change", function (event) {
+                if (event.target.closest("#TagPreviewContainer")) return;
+
+                scheduleTagPreview(form);
+            });
+
+            form.querySelector("#Metadata_Description_Section").addEventListener("change", function (event) {
+                if (event.target.closest("#DescriptionPreviewContainer")) return;
+
+                scheduleDescriptionPreview(form);
+            });
+
+            form.querySelector("#Metadata_Image_Section").addEventListener("change", function (event) {
+                if (event.target.closest("#ImagePreviewContainer")) return;
+
+                scheduleImagePreview(form);
+            });
+
+            form.querySelector("#Metadata_Title_Section").addEventListener("change", function (event) {
+                if (event.target.closest("#TitlePreviewContainer")) return;
+
+                scheduleTitlePreview(form);
+            });
+
+            form.querySelector("#UserSelector").addEventListener("change", function () {
+                applyUserConfigToForm(form, this.value);
+            });
+
+            overrideSeriesPicker(form.querySelector("#SeriesSelector"), {
+                searchOnEmpty: true,
+                onResults(seriesList, query) {
+                    State.seriesQuery = query;
+                    State.seriesList = seriesList;
+                    renderSeriesBulkResults(form, seriesList);
+                },
             });
 
             form.querySelector("#SeriesSelector").addEventListener("change", function () {
                 applySeriesConfigToForm(form, this.value);
             });
 
+            form.querySelector("#SeriesBulkResults").addEventListener("change", function (event) {
+                const input = event.target.closest("input[data-series-id]");
+                if (!input) return;
+
+                const seriesId = input.dataset.seriesId;
+                if (input.checked) {
+                    const series = (State.seriesList || []).find((s) => s.Id.toString() === seriesId);
+                    if (series) {
+                        bulkSeriesSelection.set(seriesId, series);
+                    }
+                }
+                else {
+                    bulkSeriesSelection.delete(seriesId);
+                }
+                updateSeriesBulkSelection(form);
+            });
+
+            form.querySelector("#SeriesBulkClearSelection").addEventListener("click", function () {
+                bulkSeriesSelection.clear();
+                form.querySelectorAll("#SeriesBulkResults input[data-series-id]").forEach((input) => input.checked = false);
+                updateSeriesBulkSelection(form);
+            });
+
+            form.querySelector("#SeriesOverridesFilter").addEventListener("change", function () {
+                renderSeriesOverrides(form);
+            });
+
+            form.querySelector("#SeriesOverridesSort").addEventListener("change", function () {
+                renderSeriesOverrides(form);
+            });
+
+            form.querySelector("#SeriesOverridesList").addEventListener("click", function (event) {
+                const button = event.target.closest("button[data-reset-series-id]");
+                if (!button) return;
+
+                resetSeriesOverride(form, button.dataset.resetSeriesId)
+                    .catch(handleError);
+            });
+
+            form.querySelector("#SeriesSettingsContainer").addEventListener("change", function (event) {
+                if (event.target.closest("#SeasonMergingPreviewContainer, #SeriesStructurePreviewContainer")) return;
+
+                scheduleSeasonMergingPreview(form);
+
+                // The structure preview is only refreshed on request, so hide
+                // it instead of showing an outdated structure.
+                renderSeriesStructurePreview(form, null);
+            });
+
             form.querySelectorAll("#SeriesSeasonMergingBehavior input").forEach(input => input.addEventListener("change", onSeasonMergingBehaviorChange));
 
             function onSeasonMergingBehaviorChange() {
@@ -220,13 +929,27 @@ createControllerFactory({
                 applySignalrLibraryConfigToForm(form, this.value);
             });
 
+            form.querySelector("#SignalREventTypeFilter").addEventListener("change", function () {
+                renderSignalrEvents(form);
+            });
+
+            form.querySelector("#SignalREventProviderFilter").addEventListener("change", function () {
+                renderSignalrEvents(form);
+            });
+
+            form.querySelector("#SignalREventLogPause").addEventListener("click", function () {
+                signalrEventsPaused = !signalrEventsPaused;
+                this.querySelector("span").textContent = signalrEventsPaused ? Messages.SignalREventsResume : Messages.SignalREventsPause;
+                renderSignalrEvents(form);
+            });
+
+            form.querySelector("#SignalREventLogClear").addEventListener("click", function () {
+                signalrEvents = [];
+                renderSignalrEvents(form);
+            });
+
             form.querySelector("#UserEnableSynchronization").addEventListener("change", function () {
-                const disabled = !this.checked;
-                form.querySelector("#SyncUserDataOnImport").disabled = disabled;
-                form.querySelector("#SyncUserDataAfterPlayback").disabled = disabled;
-                form.querySelector("#SyncUserDataUnderPlayback").disabled = disabled;
-                form.querySelector("#SyncUserDataUnderPlaybackLive").disabled = disabled;
-                form.querySelector("#SyncUserDataInitialSkipEventCount").disabled = disabled;
+                updateUserSynchronizationFields(form);
             });
 
             form.querySelector("#VFS_Location").addEventListener("change", function () {
@@ -239,34 +962,77 @@ createControllerFactory({
                 }
             });
 
+            form.querySelector("#VFSPreviewShowUnchanged").addEventListener("change", function () {
+                if (this.checked) {
+                    form.querySelector("#VFSPreviewTree").classList.add("show-unchanged");
+                }
+                else {
+                    form.querySelector("#VFSPreviewTree").classList.remove("show-unchanged");
+                }
+            });
+
+            form.addEventListener("change", function () {
+                updateDirtyState(view, form);
+            });
+
+            form.addEventListener("input", function (event) {
+                const container = event.target.closest(".field-invalid");
+                if (container) {
+                    setFieldError(container, null);
+                }
+            });
+
             form.addEventListener("submit", function (event) {
                 event.preventDefault();
                 if (!event.submitter) return;
                 switch (event.submitter.name) {
                     case "settings":
+                        if (!validateForm(form)) break;
                         Dashboard.showLoadingMsg();
                         syncSettings(form)
-                            .then((config) => updateView(view, form, config))
-                            .catch(handleError);
+                            .then((config) => updateView(view, form, markConfigAsSaved(form, config)))
+                            .catch((err) => applyServerValidationErrors(form, err).then((handled) => handled ? Dashboard.hideLoadingMsg() : handleError(err)));
                         break;
                     case "remove-library":
                         removeLibraryConfig(form)
-                            .then((config) => updateView(view, form, config))
+                            .then((config) => config && updateView(view, form, markConfigAsSaved(form, config)))
                             .catch(handleError);
                         break;
                     case "unlink-user":
                         removeUserConfig(form)
-                            .then((config) => updateView(view, form, config))
+                            .then((config) => config && updateView(view, form, markConfigAsSaved(form, config)))
+                            .catch(handleError);
+                        break;
+                    case "undo":
+                        undoLastAction(view, form)
                             .catch(handleError);
                         break;
                     case "remove-alternate-title":
                         removeAlternateTitle(form, parseInt(event.submitter.dataset.index, 10))
                             .then((config) => updateView(view, form, config))
+                            .then(() => scheduleTitlePreview(form))
                             .catch(handleError);
                         break;
                     case "add-alternate-title":
                         addAlternateTitle(form)
                             .then((config) => updateView(view, form, config))
+                            .then(() => scheduleTitlePreview(form))
+                            .catch(handleError);
+                        break;
+                    case "preview-vfs":
+                        Dashboard.showLoadingMsg();
+                        previewVfs(form.querySelector("#VFSPreviewContainer"), form.querySelector("#VFSPreviewLibrarySelector").value)
+                            .then(() => Dashboard.hideLoadingMsg())
+                            .catch(handleError);
+                        break;
+                    case "apply-and-refresh":
+                        applyAndRefreshSeries(view, form)
+                            .catch(handleError);
+                        break;
+                    case "preview-structure":
+                        Dashboard.showLoadingMsg();
+                        previewSeriesStructure(form)
+                            .then(() => Dashboard.hideLoadingMsg())
                             .catch(handleError);
                         break;
                     case "signalr-connect":
@@ -279,17 +1045,31 @@ createControllerFactory({
                             .then((status) => updateSignalrStatus(form, status))
                             .catch(handleError);
                         break;
+                    case "series-bulk-apply":
+                        applySeriesBulkConfig(form)
+                            .catch(handleError);
+                        break;
+                    case "series-overrides-refresh":
+                        loadSeriesOverrides(form)
+                            .catch(handleError);
+                        break;
                     case "reset-connection":
-                        Dashboard.showLoadingMsg();
                         resetConnection(form)
-                            .then((config) => updateView(view, form, config))
+                            .then((config) => config && updateView(view, form, markConfigAsSaved(form, config)))
+                            .catch(handleError);
+                        break;
+                    case "test-connection":
+                        Dashboard.showLoadingMsg();
+                        testConnection(form)
+                            .then((config) => config && updateView(view, form, markConfigAsSaved(form, config)))
                             .catch(handleError);
                         break;
                     default:
                     case "establish-connection":
+                        if (!validateForm(form)) break;
                         Dashboard.showLoadingMsg();
                         defaultSubmit(form)
-                            .then((config) => updateView(view, form, config))
+                            .then((config) => updateView(view, form, markConfigAsSaved(form, config)))
                             .catch(handleError);
                         break;
                 }
@@ -301,25 +1081,221 @@ createControllerFactory({
             const view = this;
             const form = view.querySelector("form");
 
-            // Apply the configuration to the form.
-            await applyConfigToForm(form, State.config);
+            // Read the deep link parameters before rendering the tab, since
+            // rendering writes the current selections back to the url.
+            const params = getViewParams();
+            const section = resolveSectionFromViewParams(params);
 
-            // Update the view.
-            await updateView(view, form, State.config);
+            // Snapshot the saved configuration the first time the page is
+            // shown.
+            State.discardChanges = false;
+            if (!State.savedConfig) {
+                State.savedConfig = JSON.stringify(State.config);
+            }
 
-            // Show the alert if we're not connected.
-            if (!State.connected) {
-                Dashboard.alert(Messages.ConnectToShoko);
+            // Switch to the tab of the linked section or selection.
+            if (section) {
+                updateTabs(view, SectionTabs[section]);
+            }
+            else if (!params.get("tab")) {
+                const tabName = params.get("series") ? "series" : params.get("user") ? "users" : params.get("library") ? "library" : null;
+                if (tabName) {
+                    updateTabs(view, tabName);
+                }
             }
-        },
 
-        onHide() {
+            // Render the current tab.
+            await showTab(view, form);
+
+            // Apply the linked selections and scroll to the linked section.
+            await applyViewParamsToForm(form, params);
+            if (section) {
+                form.querySelector(`#${section}_Section`).scrollIntoView({ block: "start" });
+            }
+
+            // Start polling the scheduled tasks.
+            if (stopWatchingScheduledTasks) {
+                stopWatchingScheduledTasks();
+            }
+            stopWatchingScheduledTasks = watchScheduledTasks(view);
+
+            // Show the alert if we're not connected.
+            if (!State.connected) {
+                Dashboard.alert(Messages.ConnectToShoko);
+            }
+        },
+
+        onBeforeHide(event) {
+            const view = this;
+            const form = view.querySelector("form");
+            if (State.discardChanges) return;
+
+            updateDirtyState(view, form);
+            if (!State.dirtyTabs.length) return;
+
+            // Switching between the tabs keeps the unsaved changes in the state.
+            if (getViewParams().get("name") === "Shoko.Settings") return;
+
+            // Stay on the page until the user has confirmed to discard the
+            // unsaved changes. The state is kept if the hide goes through
+            // anyway, so staying can still restore the changes.
+            event.preventDefault();
+            const currentTab = State.currentTab;
+            const destination = window.location.hash.replace(/^#\/?/, "");
+            Dashboard.confirm(Messages.UnsavedChanges, Messages.UnsavedChangesTitle)
+                .then(() => {
+                    State.config = null;
+                    State.savedConfig = null;
+                    State.dirtyTabs = [];
+                    State.discardChanges = true;
+                    Dashboard.navigate(destination);
+                })
+                .catch(() => {
+                    Dashboard.navigate(getConfigurationPageUrl("Shoko.Settings", currentTab));
+                });
+        },
+
+        onHide() {
             const form = this.querySelector("form");
-            applyFormToConfig(form, State.config);
+            if (stopWatchingScheduledTasks) {
+                stopWatchingScheduledTasks();
+                stopWatchingScheduledTasks = null;
+            }
+            stopWatchingSignalrStatus();
+            stopWatchingSignalrEvents();
+            hideUndoNotice(form);
+            if (State.config) {
+                applyFormToConfig(form, State.config);
+            }
+        },
+
+        onDestroy() {
+            if (stopWatchingScheduledTasks) {
+                stopWatchingScheduledTasks();
+                stopWatchingScheduledTasks = null;
+            }
+            stopWatchingSignalrStatus();
+            stopWatchingSignalrEvents();
         },
     }
 })(view);
 
+/**
+ * Render the current tab, applying the configuration to its fields and
+ * starting any polling the tab needs.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function showTab(view, form) {
+    // Render the saved configuration first if the tab has unsaved
+    // changes, so the changed fields can be marked.
+    if (State.dirtyTabs.includes(State.currentTab)) {
+        await applyConfigToForm(form, JSON.parse(State.savedConfig));
+        snapshotFields(form);
+    }
+
+    // Apply the configuration to the form.
+    await applyConfigToForm(form, State.config);
+    if (!State.dirtyTabs.includes(State.currentTab)) {
+        snapshotFields(form);
+    }
+
+    // Update the view.
+    await updateView(view, form, State.config);
+    updateDirtyState(view, form);
+
+    // Start polling the SignalR status and events.
+    stopWatchingSignalrStatus();
+    stopWatchingSignalrEvents();
+    if (State.currentTab === "signalr") {
+        watchSignalrStatus(form);
+        watchSignalrEvents(form);
+    }
+}
+
+/**
+ * Switch to another tab without leaving the page, keeping any unsaved changes
+ * made in the current tab.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").TabType} tabName - The tab to switch to.
+ * @returns {Promise<void>}
+ */
+async function switchTab(view, form, tabName) {
+    updateDirtyState(view, form);
+    applyFormToConfig(form, State.config);
+    updateTabs(view, tabName);
+    updateViewParams({ tab: tabName, section: null, series: null, user: null, library: null });
+    await showTab(view, form);
+}
+
+/**
+ * Find the section linked to in the url of the view, if any.
+ *
+ * @param {URLSearchParams} params - The search query parameters of the view.
+ * @returns {SectionType | null} The linked section.
+ */
+function resolveSectionFromViewParams(params) {
+    const section = (params.get("section") || "").toLowerCase();
+    if (!section) return null;
+    return Sections.find((sectionName) => sectionName.toLowerCase() === section || `${sectionName}_section` === section) || null;
+}
+
+/**
+ * Select the series, user and library linked to in the url of the view, if
+ * they're available on the current tab.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {URLSearchParams} params - The search query parameters of the view.
+ * @returns {Promise<void>}
+ */
+async function applyViewParamsToForm(form, params) {
+    const userId = params.get("user");
+    if (userId && selectOption(form.querySelector("#UserSelector"), userId)) {
+        await applyUserConfigToForm(form, userId);
+    }
+
+    const libraryId = params.get("library");
+    if (libraryId && selectOption(form.querySelector("#MediaFolderSelector"), libraryId)) {
+        await applyLibraryConfigToForm(form, libraryId);
+    }
+    if (libraryId && selectOption(form.querySelector("#SignalRMediaFolderSelector"), libraryId)) {
+        await applySignalrLibraryConfigToForm(form, libraryId);
+    }
+
+    const seriesId = params.get("series");
+    if (seriesId && State.currentTab === "series") {
+        // Select the series now if it's in the current results, otherwise look
+        // it up by its Shoko ID, which selects it once found.
+        const select = form.querySelector("#SeriesSelector");
+        if (selectOption(select, seriesId)) {
+            renderSeriesPicker(select);
+            await applySeriesConfigToForm(form, seriesId);
+        }
+        else {
+            await searchSeriesPicker(select, `s${seriesId}`);
+        }
+    }
+}
+
+/**
+ * Select the option with the given value, if the select element has it.
+ *
+ * @param {HTMLSelectElement} select - The select element.
+ * @param {string} value - The value of the option to select.
+ * @returns {boolean} True if the option was selected.
+ */
+function selectOption(select, value) {
+    if (!Array.from(select.options).some((option) => option.value === value))
+        return false;
+
+    select.value = value;
+    return true;
+}
+
 /**
  * Update the view to reflect the current state.
  *
@@ -362,14 +1338,8 @@ async function updateView(view, form, config) {
         form.querySelector("#Username").setAttribute("required", "");
     }
 
-    /**
-     * @type {SectionType[]}
-     */
-    const activeSections = [];
     switch (State.currentTab) {
         case "connection":
-            activeSections.push("Connection");
-
             if (config.ServerVersion) {
                 let version = `Version ${config.ServerVersion.Version}`;
                 const extraDetails = [
@@ -406,55 +1376,47 @@ async function updateView(view, form, config) {
             break;
 
         case "metadata":
-            activeSections.push("Metadata_Title", "Metadata_Description", "Metadata_TagGenre", "Metadata_Image", "Metadata_Misc", "Metadata_ThirdPartyIntegration");
             if (form.querySelectorAll("#TitleAlternateListContainer > fieldset").length >= 5) {
                 form.querySelector("button[name=\"add-alternate-title\"]").setAttribute("disabled", "");
             }
             else {
                 form.querySelector("button[name=\"add-alternate-title\"]").removeAttribute("disabled");
             }
+
+            if (State.connected && !tagList && !tagListLoading) {
+                loadTagList(form)
+                    .catch(handleError);
+            }
             break;
 
         case "library":
-            activeSections.push("Library_Basic", "Library_Collection", "Library_MultipleVersions", "Library_MediaFolder", "Library_SeasonMerging");
-
             await applyLibraryConfigToForm(form, form.querySelector("#MediaFolderSelector").value, config);
             break;
 
-        case "vfs":
-            activeSections.push("VFS_Basic", "VFS_Location");
-            break;
-
         case "users":
-            activeSections.push("User");
-
             await applyUserConfigToForm(form, form.querySelector("#UserSelector").value, config);
             break;
 
         case "series":
-            activeSections.push("Series");
+            if (seriesOverrides) {
+                renderSeriesOverrides(form);
+            }
+            else {
+                loadSeriesOverrides(form)
+                    .catch(handleError);
+            }
 
             await applySeriesConfigToForm(form, form.querySelector("#SeriesSelector").value, config);
             break;
 
         case "signalr":
-            activeSections.push("SignalR_Connection", "SignalR_Basic", "SignalR_Library_New", "SignalR_Library_Existing");
-
             await applySignalrLibraryConfigToForm(form, form.querySelector("#SignalRMediaFolderSelector").value, config);
             break;
-
-        case "misc":
-            activeSections.push("Misc");
-            break;
-
-        case "utilities":
-            activeSections.push("Utilities");
-            break;
     }
 
     for (const sectionName of Sections) {
         const id = `#${sectionName}_Section`;
-        const active = activeSections.includes(sectionName);
+        const active = SectionTabs[sectionName] === State.currentTab;
         if (active) {
             form.querySelector(id).removeAttribute("hidden");
         }
@@ -473,6 +1435,7 @@ async function updateView(view, form, config) {
  * @param {SignalRStatus} status - The SignalR status.
  */
 function updateSignalrStatus(form, status) {
+    signalrStatus = status;
     form.querySelector("#SignalRStatus").value = status.IsActive ? `Enabled, ${status.State}` : status.IsUsable ? "Disabled" : "Unavailable";
     if (status.IsUsable) {
         form.querySelector("#SignalRConnectButton").removeAttribute("disabled");
@@ -488,6 +1451,77 @@ function updateSignalrStatus(form, status) {
         form.querySelector("#SignalRConnectContainer").removeAttribute("hidden");
         form.querySelector("#SignalRDisconnectContainer").setAttribute("hidden", "");
     }
+    renderSignalrStatusDetails(form);
+}
+
+/**
+ * Render the uptime, next reconnect attempt and last error of the last
+ * received SignalR status.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function renderSignalrStatusDetails(form) {
+    const status = signalrStatus;
+    if (!status) return;
+
+    const now = Date.now();
+    if (status.State === "Connected" && status.ConnectedAt) {
+        form.querySelector("#SignalRUptime").value = formatDuration(now - new Date(status.ConnectedAt).getTime());
+        form.querySelector("#SignalRUptimeContainer").removeAttribute("hidden");
+    }
+    else {
+        form.querySelector("#SignalRUptimeContainer").setAttribute("hidden", "");
+    }
+
+    if (status.State === "Reconnecting" && status.NextReconnectAt) {
+        const remaining = new Date(status.NextReconnectAt).getTime() - now;
+        form.querySelector("#SignalRNextRetry").value = remaining > 0 ?
+            Messages.SignalRNextRetry.replace("<attempt>", status.ReconnectAttempt).replace("<time>", formatDuration(remaining)) :
+            Messages.SignalRRetrying.replace("<attempt>", status.ReconnectAttempt);
+        form.querySelector("#SignalRNextRetryDescription").textContent = Messages.SignalRRetryIntervals.replace("<intervals>", status.ReconnectIntervals.join(", "));
+        form.querySelector("#SignalRNextRetryContainer").removeAttribute("hidden");
+    }
+    else {
+        form.querySelector("#SignalRNextRetryContainer").setAttribute("hidden", "");
+    }
+
+    if (status.LastError) {
+        form.querySelector("#SignalRLastError").value = status.LastError;
+        form.querySelector("#SignalRLastErrorDescription").textContent = Messages.SignalRLastErrorAt.replace("<time>", new Date(status.LastErrorAt).toLocaleString());
+        form.querySelector("#SignalRLastErrorContainer").removeAttribute("hidden");
+    }
+    else {
+        form.querySelector("#SignalRLastErrorContainer").setAttribute("hidden", "");
+    }
+}
+
+/**
+ * Render the received SignalR events, filtered as selected in the view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function renderSignalrEvents(form) {
+    const list = form.querySelector("#SignalREventLog .checkboxList");
+    const summary = form.querySelector("#SignalREventLogSummary");
+    const type = form.querySelector("#SignalREventTypeFilter").value;
+    const provider = form.querySelector("#SignalREventProviderFilter").value;
+    const entries = signalrEvents.filter((entry) => (!type || entry.Type === type) && (!provider || entry.Provider === provider));
+    summary.textContent = signalrEventsPaused ? Messages.SignalREventsPaused : signalrEvents.length ?
+        Messages.SignalREventsSummary.replace("<shown>", entries.length).replace("<total>", signalrEvents.length) : "";
+    if (!entries.length) {
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${signalrEvents.length ? Messages.SignalREventsNoMatches : Messages.SignalREventsEmpty}</h3></div></div>`;
+        return;
+    }
+
+    list.innerHTML = entries
+        .map((entry) => {
+            const details = [
+                new Date(entry.Timestamp).toLocaleTimeString(),
+                entry.Provider || "",
+            ].filter(s => s).join(" | ");
+            return `<div class="listItem signalrEvent" data-event-outcome="${entry.Outcome}"><div class="listItemBody two-line"><h3 class="listItemBodyText">${SignalREventTypeLabels[entry.Type] || escapeHtml(entry.Type)}: ${escapeHtml(entry.Summary)}</h3><div class="listItemBodyText secondary">${escapeHtml(details)} | <span class="signalrEventOutcome">${SignalREventOutcomeLabels[entry.Outcome] || escapeHtml(entry.Outcome)}</span></div></div></div>`;
+        })
+        .join("");
 }
 
 //#endregion
@@ -501,13 +1535,13 @@ function updateSignalrStatus(form, status) {
  * @param {import("./Common.js").PluginConfiguration} config - The plugin configuration.
  */
 function applyFormToConfig(form, config) {
+    const fields = SettingsSchema[State.currentTab];
+    if (fields) {
+        applyFieldsToConfig(form, fields, config);
+    }
+
     switch (State.currentTab) {
         case "metadata": {
-            config.MarkSpecialsWhenGrouped = form.querySelector("#MarkSpecialsWhenGrouped").checked;
-            config.Title.Default.RemoveDuplicates = form.querySelector("#RemoveDuplicateTitles").checked;
-            ([config.Title.Default.MainTitle.List, config.Title.Default.MainTitle.Order] = retrieveSortableCheckboxList(form, "TitleMainList"));
-            config.Title.Default.MainTitle.AllowAny = form.querySelector("#TitleMainAllowAny").checked;
-
             const alternateTitles = form.querySelectorAll("#TitleAlternateListContainer > fieldset");
             config.Title.Default.AlternateTitles = [];
             for (let i = 1; i <= alternateTitles.length; i++) {
@@ -518,88 +1552,17 @@ function applyFormToConfig(form, config) {
                     AllowAny: form.querySelector(`#TitleAlternateAllowAny_${i}`).checked,
                 });
             }
-
-            const tagExcludeList = filterTags(form.querySelector("#TagExcludeList").value);
-            const genreExcludeList = filterTags(form.querySelector("#GenreExcludeList").value);
-            ([config.Description.Default.List, config.Description.Default.Order] = retrieveSortableCheckboxList(form, "DescriptionSourceList"));
-            config.DescriptionConversionMode = form.querySelector("#DescriptionConversionMode").value;
-
-            config.HideUnverifiedTags = form.querySelector("#HideUnverifiedTags").checked;
-            config.TagSources = retrieveCheckboxList(form, "TagSources").join(", ");
-            config.TagIncludeFilters = retrieveCheckboxList(form, "TagIncludeFilters").join(", ");
-            config.TagMinimumWeight = form.querySelector("#TagMinimumWeight").value;
-            config.TagMaximumDepth = parseInt(form.querySelector("#TagMaximumDepth").value, 10);
-            config.TagExcludeList = tagExcludeList;
-            form.querySelector("#TagExcludeList").value = tagExcludeList.join(", ");
-
-            config.GenreSources = retrieveCheckboxList(form, "GenreSources").join(", ");
-            config.GenreIncludeFilters = retrieveCheckboxList(form, "GenreIncludeFilters").join(", ");
-            config.GenreMinimumWeight = form.querySelector("#GenreMinimumWeight").value;
-            config.GenreMaximumDepth = parseInt(form.querySelector("#GenreMaximumDepth").value, 10);
-            config.GenreExcludeList = genreExcludeList;
-            form.querySelector("#GenreExcludeList").value = genreExcludeList.join(", ");
-
-            config.Image.Default.UsePreferred = form.querySelector("#Image_UsePreferred").checked;
-            config.Image.Default.UseCommunityRating = form.querySelector("#Image_UseCommunityRating").checked;
-            ([config.Image.Default.PosterList, config.Image.Default.PosterOrder] = retrieveSortableCheckboxList(form, "Image_PosterList"));
-            ([config.Image.Default.LogoList, config.Image.Default.LogoOrder] = retrieveSortableCheckboxList(form, "Image_LogoList"));
-            ([config.Image.Default.BackdropList, config.Image.Default.BackdropOrder] = retrieveSortableCheckboxList(form, "Image_BackdropList"));
-            config.Image.DebugMode = form.querySelector("#Image_DebugMode").checked;
-
-            config.Metadata_StudioOnlyAnimationWorks = form.querySelector("#Metadata_StudioOnlyAnimationWorks").checked;
-            ([config.ContentRatingList, config.ContentRatingOrder] = retrieveSortableCheckboxList(form, "ContentRatingList"));
-            ([config.ProductionLocationList, config.ProductionLocationOrder] = retrieveSortableCheckboxList(form, "ProductionLocationList"));
-
-            config.ThirdPartyIdProviderList = retrieveCheckboxList(form, "ThirdPartyIdProviderList");
             break;
         }
 
         case "library": {
             const libraryId = form.querySelector("#MediaFolderSelector").value;
             const mediaFolders = libraryId ? config.MediaFolders.filter((m) => m.LibraryId === libraryId) : undefined;
-            const seasonMergeWindow = sanitizeNumber(form.querySelector("#SeasonMerging_MergeWindowInDays").value);
-
-            config.DefaultLibraryStructure = form.querySelector("#DefaultLibraryStructure").value;
-            config.DefaultSeasonOrdering = form.querySelector("#DefaultSeasonOrdering").value;
-            config.SeparateMovies = form.querySelector("#SeparateMovies").checked;
-            config.FilterMovieLibraries = !form.querySelector("#DisableFilterMovieLibraries").checked;
-            config.DefaultSpecialsPlacement = form.querySelector("#DefaultSpecialsPlacement").value;
-            config.MovieSpecialsAsExtraFeaturettes = form.querySelector("#MovieSpecialsAsExtraFeaturettes").checked;
-            config.AddMissingMetadata = form.querySelector("#AddMissingMetadata").checked;
-
-            config.CollectionGrouping = form.querySelector("#CollectionGrouping").value;
-            config.CollectionMinSizeOfTwo = form.querySelector("#CollectionMinSizeOfTwo").checked;
-
-            config.AutoMergeVersions = form.querySelector("#AutoMergeVersions").checked;
-            ([config.MergeVersionSortSelectorList, config.MergeVersionSortSelectorOrder] = retrieveSortableCheckboxList(form, "MergeVersionSortSelectorList"));
-
-            config.DefaultLibraryOperationMode = form.querySelector("#DefaultLibraryOperationMode").value;
             if (mediaFolders) {
                 for (const c of mediaFolders) {
-                    c.LibraryOperationMode = form.querySelector("#MediaFolderLibraryOperationMode").value;
+                    applyFieldsToConfig(form, LibrarySettingsSchema, c);
                 }
             }
-
-            config.SeasonMerging_Enabled = form.querySelector("#SeasonMerging_Enabled").checked;
-            config.SeasonMerging_DefaultBehavior = form.querySelector("#SeasonMerging_AutoMerge").checked ? "None" : "NoMerge";
-            config.SeasonMerging_SeriesTypes = retrieveCheckboxList(form, "SeasonMerging_SeriesTypes");
-            config.SeasonMerging_MergeWindowInDays = seasonMergeWindow;
-            form.querySelector("#SeasonMerging_MergeWindowInDays").value = seasonMergeWindow;
-            break;
-        }
-
-        case "vfs": {
-            config.AddTrailers = form.querySelector("#AddTrailers").checked;
-            config.AddCreditsAsThemeVideos = form.querySelector("#AddCreditsAsThemeVideos").checked;
-            config.AddCreditsAsSpecialFeatures = form.querySelector("#AddCreditsAsSpecialFeatures").checked;
-            config.VFS_AddReleaseGroup = form.querySelector("#VFS_AddReleaseGroup").checked;
-            config.VFS_AddResolution = form.querySelector("#VFS_AddResolution").checked;
-
-            config.VFS_ResolveLinks = form.querySelector("#VFS_ResolveLinks").checked;
-            config.VFS_AttachRoot = form.querySelector("#VFS_AttachRoot").checked;
-            config.VFS_IterativeFileChecks = form.querySelector("#VFS_IterativeFileChecks").checked;
-            config.VFS_Location = form.querySelector("#VFS_Location").value;
-            config.VFS_CustomLocation = form.querySelector("#VFS_CustomLocation").value.trim() || null;
             break;
         }
 
@@ -612,15 +1575,9 @@ function applyFormToConfig(form, config) {
                     config.UserList.push(userConfig);
                 }
 
-                userConfig.EnableSynchronization = form.querySelector("#UserEnableSynchronization").checked;
-                userConfig.SyncUserDataOnImport = form.querySelector("#SyncUserDataOnImport").checked;
-                userConfig.SyncUserDataAfterPlayback = form.querySelector("#SyncUserDataAfterPlayback").checked;
-                userConfig.SyncUserDataUnderPlayback = form.querySelector("#SyncUserDataUnderPlayback").checked;
-                userConfig.SyncUserDataUnderPlaybackLive = form.querySelector("#SyncUserDataUnderPlaybackLive").checked;
-                userConfig.SyncUserDataInitialSkipEventCount = form.querySelector("#SyncUserDataInitialSkipEventCount").checked ? 2 : 0;
+                applyFieldsToConfig(form, UserSettingsSchema, userConfig);
                 userConfig.SyncUserDataUnderPlaybackAtEveryXTicks = 6;
                 userConfig.SyncUserDataUnderPlaybackLiveThreshold = 125000000; // 12.5s
-                userConfig.SyncRestrictedVideos = form.querySelector("#SyncRestrictedVideos").checked;
                 if (!userConfig.Token) {
                     const username = form.querySelector("#UserUsername").value;
                     userConfig.Username = username;
@@ -628,38 +1585,56 @@ function applyFormToConfig(form, config) {
             }
             break;
         }
+
         case "signalr": {
-            const reconnectIntervals = filterReconnectIntervals(form.querySelector("#SignalRAutoReconnectIntervals").value);
             const libraryId = form.querySelector("#SignalRMediaFolderSelector").value;
             const mediaFolders = libraryId ? config.MediaFolders.filter((m) => m.LibraryId === libraryId) : undefined;
-
-            config.SignalR_AutoConnectEnabled = form.querySelector("#SignalRAutoConnect").checked;
-            config.SignalR_AutoReconnectInSeconds = reconnectIntervals;
-            form.querySelector("#SignalRAutoReconnectIntervals").value = reconnectIntervals.join(", ");
-            config.SignalR_EventSources = retrieveCheckboxList(form, "SignalREventSources");
-
-            config.SignalR_FileEvents = form.querySelector("#SignalRDefaultFileEvents").checked;
-            config.SignalR_RefreshEnabled = form.querySelector("#SignalRDefaultRefreshEvents").checked;
-
             if (mediaFolders) {
                 for (const c of mediaFolders) {
-                    c.IsFileEventsEnabled = form.querySelector("#SignalRFileEvents").checked;
-                    c.IsRefreshEventsEnabled = form.querySelector("#SignalRRefreshEvents").checked;
+                    applyFieldsToConfig(form, SignalRLibrarySettingsSchema, c);
                 }
             }
             break;
         }
+    }
+}
+
+/**
+ * Apply the given fields from the form to a configuration object. Comma lists
+ * and numbers are written back to the form after they've been sanitized.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {SettingsField[]} fields - The fields to apply.
+ * @param {object} target - The configuration object to apply the fields to.
+ */
+function applyFieldsToConfig(form, fields, target) {
+    for (const field of fields) {
+        if (field.type === "sortable-list") {
+            const [list, order] = retrieveSortableCheckboxList(form, field.id);
+            setConfigValue(target, field.path, field.toConfig ? field.toConfig(list) : list);
+            setConfigValue(target, field.orderPath, order);
+            continue;
+        }
 
-        case "misc": {
-            const ignoredFolders = filterIgnoredFolders(form.querySelector("#IgnoredFolders").value);
-            const stallTime = sanitizeNumber(form.querySelector("#UsageTracker_StalledTimeInSeconds").value);
+        let value;
+        switch (field.type) {
+            case "checkbox":
+                value = form.querySelector(`#${field.id}`).checked;
+                break;
+            case "checkbox-list":
+                value = retrieveCheckboxList(form, field.id);
+                break;
+            case "number":
+                value = sanitizeNumber(form.querySelector(`#${field.id}`).value, field.min, field.max);
+                break;
+            default:
+                value = form.querySelector(`#${field.id}`).value;
+                break;
+        }
 
-            config.Misc_ShowInMenu = form.querySelector("#Misc_ShowInMenu").checked;
-            config.UsageTracker_StalledTimeInSeconds = stallTime;
-            form.querySelector("#UsageTracker_StalledTimeInSeconds").value = stallTime;
-            config.IgnoredFolders = ignoredFolders;
-            form.querySelector("#IgnoredFolders").value = ignoredFolders.join(", ");
-            break;
+        setConfigValue(target, field.path, field.toConfig ? field.toConfig(value) : value);
+        if (field.type === "number" || field.type === "comma-list" || field.type === "tag-list") {
+            applyFieldsToForm(form, [field], target);
         }
     }
 }
@@ -675,6 +1650,11 @@ function applyFormToConfig(form, config) {
  * @param {import("./Common.js").PluginConfiguration} config - The plugin configuration.
  */
 async function applyConfigToForm(form, config) {
+    const fields = SettingsSchema[State.currentTab];
+    if (fields) {
+        applyFieldsToForm(form, fields, config);
+    }
+
     switch (State.currentTab) {
         case "connection": {
             form.querySelector("#Url").value = config.Url;
@@ -685,46 +1665,12 @@ async function applyConfigToForm(form, config) {
         }
 
         case "metadata": {
-            form.querySelector("#MarkSpecialsWhenGrouped").checked = config.MarkSpecialsWhenGrouped;
-            form.querySelector("#RemoveDuplicateTitles").checked = config.Title.Default.RemoveDuplicates;
-            renderSortableCheckboxList(form, "TitleMainList", config.Title.Default.MainTitle.List, config.Title.Default.MainTitle.Order);
-            form.querySelector("#TitleMainAllowAny").checked = config.Title.Default.MainTitle.AllowAny;
-
             const configAlternateTitles = [...config.Title.Default.AlternateTitles];
             if (configAlternateTitles.length === 0) {
                 configAlternateTitles.push({ List: [], Order: [], AllowAny: false });
             }
 
             renderAlternateTitles(form, configAlternateTitles);
-
-            renderSortableCheckboxList(form, "DescriptionSourceList", config.Description.Default.List, config.Description.Default.Order);
-            form.querySelector("#DescriptionConversionMode").value = config.DescriptionConversionMode;
-
-            form.querySelector("#HideUnverifiedTags").checked = config.HideUnverifiedTags;
-            renderCheckboxList(form, "TagSources", config.TagSources.split(",").map(s => s.trim()).filter(s => s));
-            renderCheckboxList(form, "TagIncludeFilters", config.TagIncludeFilters.split(",").map(s => s.trim()).filter(s => s));
-            form.querySelector("#TagMinimumWeight").value = config.TagMinimumWeight;
-            form.querySelector("#TagMaximumDepth").value = config.TagMaximumDepth.toString();
-            form.querySelector("#TagExcludeList").value = config.TagExcludeList.join(", ");
-
-            renderCheckboxList(form, "GenreSources", config.GenreSources.split(",").map(s => s.trim()).filter(s => s));
-            renderCheckboxList(form, "GenreIncludeFilters", config.GenreIncludeFilters.split(",").map(s => s.trim()).filter(s => s));
-            form.querySelector("#GenreMinimumWeight").value = config.GenreMinimumWeight;
-            form.querySelector("#GenreMaximumDepth").value = config.GenreMaximumDepth.toString();
-            form.querySelector("#GenreExcludeList").value = config.GenreExcludeList.join(", ");
-
-            form.querySelector("#Image_UsePreferred").checked = config.Image.Default.UsePreferred;
-            form.querySelector("#Image_UseCommunityRating").checked = config.Image.Default.UseCommunityRating;
-            renderSortableCheckboxList(form, "Image_PosterList", config.Image.Default.PosterList, config.Image.Default.PosterOrder);
-            renderSortableCheckboxList(form, "Image_LogoList", config.Image.Default.LogoList, config.Image.Default.LogoOrder);
-            renderSortableCheckboxList(form, "Image_BackdropList", config.Image.Default.BackdropList, config.Image.Default.BackdropOrder);
-            form.querySelector("#Image_DebugMode").checked = config.Image.DebugMode;
-
-            form.querySelector("#Metadata_StudioOnlyAnimationWorks").checked = config.Metadata_StudioOnlyAnimationWorks;
-            renderSortableCheckboxList(form, "ContentRatingList", config.ContentRatingList, config.ContentRatingOrder);
-            renderSortableCheckboxList(form, "ProductionLocationList", config.ProductionLocationList, config.ProductionLocationOrder);
-
-            renderCheckboxList(form, "ThirdPartyIdProviderList", config.ThirdPartyIdProviderList.map(s => s.trim()).filter(s => s));
             break;
         }
 
@@ -741,44 +1687,13 @@ async function applyConfigToForm(form, config) {
                     return acc;
                 }, []);
 
-            form.querySelector("#DefaultLibraryStructure").value = config.DefaultLibraryStructure;
-            form.querySelector("#DefaultSeasonOrdering").value = config.DefaultSeasonOrdering;
-            form.querySelector("#SeparateMovies").checked = config.SeparateMovies;
-            form.querySelector("#DisableFilterMovieLibraries").checked = !config.FilterMovieLibraries;
-            form.querySelector("#DefaultSpecialsPlacement").value = config.DefaultSpecialsPlacement === "Default" ? "Excluded" : config.DefaultSpecialsPlacement;
-            form.querySelector("#MovieSpecialsAsExtraFeaturettes").checked = config.MovieSpecialsAsExtraFeaturettes;
-            form.querySelector("#AddMissingMetadata").checked = config.AddMissingMetadata;
-
-            form.querySelector("#CollectionGrouping").value = config.CollectionGrouping;
-            form.querySelector("#CollectionMinSizeOfTwo").checked = config.CollectionMinSizeOfTwo;
-
-            form.querySelector("#AutoMergeVersions").checked = config.AutoMergeVersions || false;
-            renderSortableCheckboxList(form, "MergeVersionSortSelectorList", config.MergeVersionSortSelectorList, config.MergeVersionSortSelectorOrder);
-
-            form.querySelector("#DefaultLibraryOperationMode").value = config.DefaultLibraryOperationMode;
-            form.querySelector("#MediaFolderSelector").innerHTML = `<option value="">Click here to select a library</option>` + libraries
+            form.querySelector("#MediaFolderSelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
                 .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}${State.advancedMode ? ` (${library.LibraryId})` : ""}</option>`)
                 .join("");
-
-            form.querySelector("#SeasonMerging_Enabled").checked = config.SeasonMerging_Enabled;
-            form.querySelector("#SeasonMerging_AutoMerge").checked = config.SeasonMerging_DefaultBehavior === "None";
-            renderCheckboxList(form, "SeasonMerging_SeriesTypes", config.SeasonMerging_SeriesTypes);
-            form.querySelector("#SeasonMerging_MergeWindowInDays").value = config.SeasonMerging_MergeWindowInDays;
             break;
         }
 
         case "vfs": {
-            form.querySelector("#AddTrailers").checked = config.AddTrailers;
-            form.querySelector("#AddCreditsAsThemeVideos").checked = config.AddCreditsAsThemeVideos;
-            form.querySelector("#AddCreditsAsSpecialFeatures").checked = config.AddCreditsAsSpecialFeatures;
-            form.querySelector("#VFS_AddReleaseGroup").checked = config.VFS_AddReleaseGroup;
-            form.querySelector("#VFS_AddResolution").checked = config.VFS_AddResolution;
-
-            form.querySelector("#VFS_ResolveLinks").checked = config.VFS_ResolveLinks;
-            form.querySelector("#VFS_AttachRoot").checked = config.VFS_AttachRoot;
-            form.querySelector("#VFS_IterativeFileChecks").checked = config.VFS_IterativeFileChecks;
-            form.querySelector("#VFS_Location").value = config.VFS_Location;
-            form.querySelector("#VFS_CustomLocation").value = config.VFS_CustomLocation || "";
             form.querySelector("#VFS_CustomLocation").disabled = config.VFS_Location !== "Custom";
             if (config.VFS_Location === "Custom") {
                 form.querySelector("#VFS_CustomLocationContainer").removeAttribute("hidden");
@@ -786,6 +1701,25 @@ async function applyConfigToForm(form, config) {
             else {
                 form.querySelector("#VFS_CustomLocationContainer").setAttribute("hidden", "");
             }
+
+            const libraryId = form.querySelector("#VFSPreviewLibrarySelector").value;
+            const libraries = config.MediaFolders
+                .reduce((acc, mediaFolder) => {
+                    if (mediaFolder.IsVirtualRoot || mediaFolder.LibraryOperationMode !== "VFS")
+                        return acc;
+
+                    if (acc.find((m) => m.LibraryId === mediaFolder.LibraryId))
+                        return acc;
+
+                    acc.push(mediaFolder);
+                    return acc;
+                }, []);
+            form.querySelector("#VFSPreviewLibrarySelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
+                .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}${State.advancedMode ? ` (${library.LibraryId})` : ""}</option>`)
+                .join("");
+            if (libraries.some((library) => library.LibraryId === libraryId)) {
+                form.querySelector("#VFSPreviewLibrarySelector").value = libraryId;
+            }
             break;
         }
 
@@ -806,14 +1740,7 @@ async function applyConfigToForm(form, config) {
 
             updateSignalrStatus(form, signalrStatus);
 
-            form.querySelector("#SignalRAutoConnect").checked = config.SignalR_AutoConnectEnabled;
-            form.querySelector("#SignalRAutoReconnectIntervals").value = config.SignalR_AutoReconnectInSeconds.join(", ");
-            renderCheckboxList(form, "SignalREventSources", config.SignalR_EventSources);
-
-            form.querySelector("#SignalRDefaultFileEvents").checked = config.SignalR_FileEvents;
-            form.querySelector("#SignalRDefaultRefreshEvents").checked = config.SignalR_RefreshEnabled;
-
-            form.querySelector("#SignalRMediaFolderSelector").innerHTML = `<option value="">Click here to select a library</option>` + libraries
+            form.querySelector("#SignalRMediaFolderSelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
                 .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}${State.advancedMode ? ` (${library.LibraryId})` : ""}</option>`)
                 .join("");
             break;
@@ -823,35 +1750,62 @@ async function applyConfigToForm(form, config) {
             Dashboard.showLoadingMsg();
             const users = await ApiClient.getUsers();
             form.querySelector("#UserSelector").innerHTML =
-                `<option value="">Click here to select a user</option>` +
+                `<option value="">${Messages.SelectUser}</option>` +
                 users.map((user) => `<option value="${user.Id}">${user.Name}</option>`).join("");
             break;
         }
 
         case "series": {
-            const series = State.seriesList || [];
-            form.querySelector("#SeriesSelector").innerHTML =
-                `<option value="">${State.seriesList ? "Click here to select a series" : "Loading series list"}</option>` +
-                series.map((s) => `<option value="${s.Id}">${s.Title.length >= 50 ? `${s.Title.substring(0, 47)}...` : s.Title} (a${s.AnidbId})</option>`).join("");
-            form.querySelector("#SeriesSearch").value = State.seriesQuery;
-            if (State.seriesList && !State.seriesTimeout) {
-                form.querySelector("#SeriesSelector").disabled = false;
-                if (State.seriesId) {
-                    form.querySelector("#SeriesSelector").value = State.seriesId;
-                    form.querySelector("#SeriesSelector").dispatchEvent(new Event("change"));
-                }
+            // The picker only keeps the results for as long as the view
+            // lives, so search again if they're missing.
+            const select = form.querySelector("#SeriesSelector");
+            if (State.seriesList && select.options.length > 1) {
+                renderSeriesBulkResults(form, State.seriesList);
             }
-            else {
-                form.querySelector("#SeriesSearch").dispatchEvent(new Event("input"));
+            else if (!await searchSeriesPicker(select, State.seriesQuery)) {
+                break;
+            }
+
+            if (State.seriesId && selectOption(select, State.seriesId)) {
+                renderSeriesPicker(select);
+                select.dispatchEvent(new Event("change"));
             }
             break;
         }
+    }
+}
 
-        case "misc": {
-            form.querySelector("#Misc_ShowInMenu").checked = config.Misc_ShowInMenu;
-            form.querySelector("#UsageTracker_StalledTimeInSeconds").value = config.UsageTracker_StalledTimeInSeconds;
-            form.querySelector("#IgnoredFolders").value = config.IgnoredFolders.join();
-            break;
+/**
+ * Apply the given fields from a configuration object to the form.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {SettingsField[]} fields - The fields to apply.
+ * @param {object} source - The configuration object to read the fields from.
+ */
+function applyFieldsToForm(form, fields, source) {
+    for (const field of fields) {
+        const rawValue = getConfigValue(source, field.path);
+        const value = field.toForm ? field.toForm(rawValue) : rawValue;
+        switch (field.type) {
+            case "checkbox":
+                form.querySelector(`#${field.id}`).checked = Boolean(value);
+                break;
+            case "checkbox-list":
+                renderCheckboxList(form, field.id, value || []);
+                break;
+            case "sortable-list":
+                renderSortableCheckboxList(form, field.id, value || [], getConfigValue(source, field.orderPath) || []);
+                break;
+            case "comma-list":
+                form.querySelector(`#${field.id}`).value = (value || []).join(", ");
+                break;
+            case "tag-list":
+                form.querySelector(`#${field.id}`).value = (value || []).join(", ");
+                renderChipInput(form.querySelector(`#${field.id}`));
+                break;
+            default:
+                form.querySelector(`#${field.id}`).value = value ?? "";
+                break;
         }
     }
 }
@@ -865,6 +1819,7 @@ async function applyConfigToForm(form, config) {
  * @returns
  */
 async function applyUserConfigToForm(form, userId, config = null) {
+    updateViewParams({ user: userId || null });
     if (!userId) {
         form.querySelector("#UserSettingsContainer").setAttribute("hidden", "");
         form.querySelector("#UserUsername").removeAttribute("required");
@@ -886,13 +1841,8 @@ async function applyUserConfigToForm(form, userId, config = null) {
 
     // Configure the elements within the user container
     const userConfig = config.UserList.find((c) => userId === c.UserId) || { UserId: userId };
-    form.querySelector("#UserEnableSynchronization").checked = userConfig.EnableSynchronization || false;
-    form.querySelector("#SyncUserDataOnImport").checked = userConfig.SyncUserDataOnImport || false;
-    form.querySelector("#SyncUserDataAfterPlayback").checked = userConfig.SyncUserDataAfterPlayback || false;
-    form.querySelector("#SyncUserDataUnderPlayback").checked = userConfig.SyncUserDataUnderPlayback || false;
-    form.querySelector("#SyncUserDataUnderPlaybackLive").checked = userConfig.SyncUserDataUnderPlaybackLive || false;
-    form.querySelector("#SyncUserDataInitialSkipEventCount").checked = userConfig.SyncUserDataInitialSkipEventCount === 2;
-    form.querySelector("#SyncRestrictedVideos").checked = userConfig.SyncRestrictedVideos || false;
+    applyFieldsToForm(form, UserSettingsSchema, userConfig);
+    updateUserSynchronizationFields(form);
     form.querySelector("#UserUsername").value = userConfig.Username || "";
     form.querySelector("#UserPassword").value = "";
 
@@ -912,6 +1862,7 @@ async function applyUserConfigToForm(form, userId, config = null) {
 
     // Show the user settings now if it was previously hidden.
     form.querySelector("#UserSettingsContainer").removeAttribute("hidden");
+    snapshotFields(form.querySelector("#UserSettingsContainer"));
 
     if (shouldHide) {
         Dashboard.hideLoadingMsg();
@@ -927,9 +1878,17 @@ async function applyUserConfigToForm(form, userId, config = null) {
  * @returns {Promise<void>}
  */
 async function applySeriesConfigToForm(form, seriesId, config = null) {
+    // Hide the refresh progress of the previously selected series.
+    if (State.seriesId !== seriesId) {
+        form.querySelector("#SeriesRefreshProgressContainer").setAttribute("hidden", "");
+    }
+
     State.seriesId = seriesId;
+    updateViewParams({ series: seriesId || null });
     if (!seriesId) {
         form.querySelector("#SeriesSettingsContainer").setAttribute("hidden", "");
+        scheduleSeasonMergingPreview(form, 0);
+        renderSeriesStructurePreview(form, null);
         return;
     }
 
@@ -946,21 +1905,126 @@ async function applySeriesConfigToForm(form, seriesId, config = null) {
     }
 
     const seriesConfig = await ShokoApiClient.getSeriesConfiguration(seriesId);
-    form.querySelector("#SeriesType").value = seriesConfig.Type;
-    form.querySelector("#SeriesLibraryStructure").value = seriesConfig.StructureType;
-    form.querySelector("#SeriesSeasonOrdering").value = seriesConfig.SeasonOrdering;
-    form.querySelector("#SeriesSpecialsPlacement").value = seriesConfig.SpecialsPlacement;
-    renderCheckboxList(form, "SeriesSeasonMergingBehavior", seriesConfig.SeasonMergingBehavior.split(",").map(s => s.trim()).filter(s => s && s !== "None"));
-    form.querySelector("#SeriesEpisodeConversion").value = seriesConfig.EpisodeConversion;
-    form.querySelector("#SeriesOrderByAirdate").checked = seriesConfig.OrderByAirdate;
+    applyFieldsToForm(form, SeriesSettingsSchema, seriesConfig);
 
     form.querySelector("#SeriesSettingsContainer").removeAttribute("hidden");
+    snapshotFields(form.querySelector("#SeriesSettingsContainer"));
+    scheduleSeasonMergingPreview(form, 0);
+    renderSeriesStructurePreview(form, null);
 
     if (shouldHide) {
         Dashboard.hideLoadingMsg();
     }
 }
 
+/**
+ * Render the series search results for the bulk editor.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").SimpleSeries[] | null} seriesList - The search results, or null if the search failed.
+ */
+function renderSeriesBulkResults(form, seriesList) {
+    const list = form.querySelector("#SeriesBulkResults .checkboxList");
+    if (!seriesList || !seriesList.length) {
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${seriesList ? Messages.SeriesBulkNoResults : Messages.SeriesBulkSearchFailed}</h3></div></div>`;
+    }
+    else {
+        list.innerHTML = seriesList
+            .map((s) => `<div class="listItem"><label class="listItemCheckboxContainer"><input is="emby-checkbox" type="checkbox" data-series-id="${s.Id}"${bulkSeriesSelection.has(s.Id.toString()) ? " checked" : ""}><span></span></label><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(s.Title)}</h3><div class="listItemBodyText secondary">Shoko ${s.Id} | AniDB ${s.AnidbId}</div></div></div>`)
+            .join("");
+    }
+    updateSeriesBulkSelection(form);
+}
+
+/**
+ * Update the summary of the series selected in the bulk editor.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function updateSeriesBulkSelection(form) {
+    form.querySelector("#SeriesBulkSelectionSummary").textContent = bulkSeriesSelection.size ?
+        Messages.SeriesBulkSelection.replace("<count>", bulkSeriesSelection.size) :
+        Messages.SeriesBulkNoSelection;
+    form.querySelector("#SeriesBulkClearSelection").disabled = !bulkSeriesSelection.size;
+}
+
+/**
+ * Get the kinds of overrides set in a per series configuration.
+ *
+ * @param {import("./Common.js").SeriesConfiguration} seriesConfig - The per series configuration.
+ * @returns {(keyof import("./Common.js").SeriesConfiguration)[]} The overridden settings.
+ */
+function getSeriesOverrideKinds(seriesConfig) {
+    return Object.keys(SeriesOverrideLabels)
+        .filter((key) => seriesConfig[key] !== DefaultSeriesConfiguration[key]);
+}
+
+/**
+ * Update the overrides of a series in the loaded list of series with
+ * overrides, adding or removing the series as needed.
+ *
+ * @param {import("./Common.js").SimpleSeries} series - The series.
+ * @param {import("./Common.js").SeriesConfiguration} seriesConfig - The updated per series configuration.
+ */
+function updateSeriesOverride(series, seriesConfig) {
+    if (!seriesOverrides) return;
+
+    seriesOverrides = seriesOverrides.filter((o) => o.Series.Id !== series.Id);
+    if (getSeriesOverrideKinds(seriesConfig).length) {
+        seriesOverrides.push({ Series: series, Configuration: seriesConfig });
+    }
+}
+
+/**
+ * Render the series with per series configuration overrides, filtered and
+ * sorted as selected in the view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function renderSeriesOverrides(form) {
+    const list = form.querySelector("#SeriesOverridesList .checkboxList");
+    const summary = form.querySelector("#SeriesOverridesSummary");
+    if (!seriesOverrides || !seriesOverrides.length) {
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${seriesOverrides ? Messages.SeriesOverridesNoResults : Messages.SeriesOverridesLoading}</h3></div></div>`;
+        summary.textContent = "";
+        return;
+    }
+
+    const filter = form.querySelector("#SeriesOverridesFilter").value;
+    const sort = form.querySelector("#SeriesOverridesSort").value;
+    const entries = seriesOverrides
+        .map((entry) => ({ ...entry, kinds: getSeriesOverrideKinds(entry.Configuration) }))
+        .filter((entry) => entry.kinds.length && (!filter || entry.kinds.includes(filter)));
+    switch (sort) {
+        case "AnidbId":
+            entries.sort((a, b) => a.Series.AnidbId - b.Series.AnidbId);
+            break;
+        case "Count":
+            entries.sort((a, b) => b.kinds.length - a.kinds.length || a.Series.Title.localeCompare(b.Series.Title));
+            break;
+        default:
+            entries.sort((a, b) => a.Series.Title.localeCompare(b.Series.Title));
+            break;
+    }
+
+    summary.textContent = Messages.SeriesOverridesSummary
+        .replace("<shown>", entries.length)
+        .replace("<total>", seriesOverrides.length);
+    if (!entries.length) {
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.SeriesOverridesNoResults}</h3></div></div>`;
+        return;
+    }
+
+    list.innerHTML = entries
+        .map(({ Series: series, Configuration: seriesConfig, kinds }) => {
+            const details = kinds
+                .map((key) => `${SeriesOverrideLabels[key]}: ${key === "OrderByAirdate" ? "Yes" : seriesConfig[key]}`)
+                .join(", ");
+            return `<div class="listItem seriesOverride"><div class="listItemBody three-line"><h3 class="listItemBodyText">${escapeHtml(series.Title)}</h3><div class="listItemBodyText secondary">Shoko ${series.Id} | AniDB ${series.AnidbId}</div><div class="listItemBodyText secondary seriesOverrideDetails">${escapeHtml(details)}</div></div><button type="button" is="paper-icon-button-light" data-reset-series-id="${series.Id}" title="${Messages.SeriesOverridesResetButton}"><span class="material-icons restart_alt" aria-hidden="true"></span></button></div>`;
+        })
+        .join("");
+}
+
 /**
  * Load the VFS library configuration for the given library.
  *
@@ -970,6 +2034,7 @@ async function applySeriesConfigToForm(form, seriesId, config = null) {
  * @returns {Promise<void>}
  */
 async function applyLibraryConfigToForm(form, libraryId, config = null) {
+    updateViewParams({ library: libraryId || null });
     if (!libraryId) {
         form.querySelector("#MediaFolderPerFolderSettingsContainer").setAttribute("hidden", "");
         return;
@@ -1006,11 +2071,11 @@ async function applyLibraryConfigToForm(form, libraryId, config = null) {
     ));
 
     // Configure the elements within the media folder container
-    const libraryConfig = mediaFolders[0];
-    form.querySelector("#MediaFolderLibraryOperationMode").value = libraryConfig.LibraryOperationMode;
+    applyFieldsToForm(form, LibrarySettingsSchema, mediaFolders[0]);
 
     // Show the media folder settings now if it was previously hidden.
     form.querySelector("#MediaFolderPerFolderSettingsContainer").removeAttribute("hidden");
+    snapshotFields(form.querySelector("#MediaFolderPerFolderSettingsContainer"));
 
     if (shouldHide) {
         Dashboard.hideLoadingMsg();
@@ -1026,6 +2091,7 @@ async function applyLibraryConfigToForm(form, libraryId, config = null) {
  * @returns {Promise<void>}
  */
 async function applySignalrLibraryConfigToForm(form, libraryId, config = null) {
+    updateViewParams({ library: libraryId || null });
     if (!libraryId) {
         form.querySelector("#SignalRMediaFolderPerFolderSettingsContainer").setAttribute("hidden", "");
         return;
@@ -1054,11 +2120,11 @@ async function applySignalrLibraryConfigToForm(form, libraryId, config = null) {
     }
 
     // Configure the elements within the user container
-    form.querySelector("#SignalRFileEvents").checked = libraryConfig.IsFileEventsEnabled;
-    form.querySelector("#SignalRRefreshEvents").checked = libraryConfig.IsRefreshEventsEnabled;
+    applyFieldsToForm(form, SignalRLibrarySettingsSchema, libraryConfig);
 
     // Show the user settings now if it was previously hidden.
     form.querySelector("#SignalRMediaFolderPerFolderSettingsContainer").removeAttribute("hidden");
+    snapshotFields(form.querySelector("#SignalRMediaFolderPerFolderSettingsContainer"));
 
     if (shouldHide) {
         Dashboard.hideLoadingMsg();
@@ -1084,28 +2150,7 @@ async function defaultSubmit(form) {
     }
 
     // Connection settings
-    let url = form.querySelector("#Url").value;
-    if (!url) {
-        url = "http://localhost:8111";
-    }
-    else {
-        try {
-            let actualUrl = new URL(url);
-            url = actualUrl.href;
-        }
-        catch (err) {
-            try {
-                let actualUrl = new URL(`http://${url}:8111`);
-                url = actualUrl.href;
-            }
-            catch (err2) {
-                throw err;
-            }
-        }
-    }
-    if (url.endsWith("/")) {
-        url = url.slice(0, -1);
-    }
+    const url = normalizeUrl(form.querySelector("#Url").value);
     let publicUrl = form.querySelector("#PublicUrl").value;
     if (publicUrl.endsWith("/")) {
         publicUrl = publicUrl.slice(0, -1);
@@ -1143,24 +2188,178 @@ async function defaultSubmit(form) {
 }
 
 /**
- * Reset the connection to Shoko.
+ * Normalize the connection url entered by the user, falling back to the
+ * default port if only a host name is given.
  *
- * @param {HTMLFormElement} form - The form element.
- * @returns {Promise<PluginConfiguration>} The updated plugin configuration.
+ * @param {string} url - The url entered by the user.
+ * @returns {string} The normalized url, without a trailing slash.
  */
-async function resetConnection(form) {
-    const config = State.config || await ShokoApiClient.getConfiguration();
-    form.querySelector("#Username").value = config.Username;
-    form.querySelector("#Password").value = "";
-
-    // Connection settings
-    config.ApiKey = "";
-    config.ServerVersion = null;
-
-    await ShokoApiClient.updateConfiguration(config);
-
+function normalizeUrl(url) {
+    if (!url) {
+        url = "http://localhost:8111";
+    }
+    else {
+        try {
+            let actualUrl = new URL(url);
+            url = actualUrl.href;
+        }
+        catch (err) {
+            try {
+                let actualUrl = new URL(`http://${url}:8111`);
+                url = actualUrl.href;
+            }
+            catch (err2) {
+                throw err;
+            }
+        }
+    }
+    if (url.endsWith("/")) {
+        url = url.slice(0, -1);
+    }
+    return url;
+}
+
+/**
+ * Check if Shoko can be reached from the browser, the same way clients will
+ * load the images from the plugin.
+ *
+ * @param {string} url - The url of the Shoko Server.
+ * @returns {Promise<boolean>} Whether the server responded in time.
+ */
+async function isReachableFromBrowser(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+    try {
+        // An opaque response is enough to know the server is reachable.
+        await fetch(`${url}/api/v3/Init/Version`, { mode: "no-cors", signal: controller.signal });
+        return true;
+    }
+    catch (err) {
+        console.warn(err, `Unable to reach ${url} from the browser.`);
+        return false;
+    }
+    finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Test the connection settings step by step and render the results. Nothing is
+ * saved unless every check passes and the user confirms it afterwards.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<PluginConfiguration | null>} The updated plugin configuration, or null if nothing was saved.
+ */
+async function testConnection(form) {
+    const container = form.querySelector("#ConnectionTestResults");
+    /** @type {import("./Common.js").Diagnostic[]} */
+    const diagnostics = [];
+
+    let url;
+    try {
+        url = normalizeUrl(form.querySelector("#Url").value);
+    }
+    catch (err) {
+        diagnostics.push({ status: "error", title: Messages.ConnectionTestUrl, details: Messages.ConnectionTestUrlInvalid });
+        renderDiagnostics(container, diagnostics);
+        Dashboard.hideLoadingMsg();
+        return null;
+    }
+
+    const username = form.querySelector("#Username").value;
+    const password = form.querySelector("#Password").value;
+    const result = await ShokoApiClient.testConnection(url, username, password);
+    if (!result.IsReachable) {
+        diagnostics.push({ status: "error", title: Messages.ConnectionTestUrl, details: Messages.ConnectionTestUrlUnreachable.replace("<url>", url).replace("<error>", result.ReachableError || "").trim() });
+    }
+    else {
+        const { Version, ReleaseChannel } = result.Version;
+        diagnostics.push({ status: "ok", title: Messages.ConnectionTestUrl, details: Messages.ConnectionTestUrlReachable.replace("<time>", result.ResponseTimeInMs.toString()) });
+        diagnostics.push(result.IsVersionSupported
+            ? { status: "ok", title: Messages.ConnectionTestVersion, details: Messages.ConnectionTestVersionSupported.replace("<version>", ReleaseChannel ? `${Version} (${ReleaseChannel})` : Version) }
+            : { status: "error", title: Messages.ConnectionTestVersion, details: Messages.ConnectionTestVersionUnsupported.replace("<version>", Version).replace("<minimum>", result.MinimumVersion) }
+        );
+    }
+
+    switch (result.CredentialsStatus) {
+        case "Valid":
+            diagnostics.push({ status: "ok", title: Messages.ConnectionTestCredentials, details: Messages.ConnectionTestCredentialsValid.replace("<username>", username) });
+            break;
+        case "Invalid":
+            diagnostics.push({ status: "error", title: Messages.ConnectionTestCredentials, details: Messages.ConnectionTestCredentialsInvalid });
+            break;
+        case "Failed":
+            diagnostics.push({ status: "error", title: Messages.ConnectionTestCredentials, details: Messages.ConnectionTestCredentialsFailed.replace("<error>", result.CredentialsError || "").trim() });
+            break;
+        default:
+            diagnostics.push(username
+                ? { status: "warning", title: Messages.ConnectionTestCredentials, details: Messages.ConnectionTestCredentialsSkipped }
+                : { status: "error", title: Messages.ConnectionTestCredentials, details: Messages.ConnectionTestCredentialsMissing }
+            );
+            break;
+    }
+
+    let publicUrl = form.querySelector("#PublicUrl").value;
+    if (publicUrl.endsWith("/")) {
+        publicUrl = publicUrl.slice(0, -1);
+    }
+    const imageUrl = publicUrl || url;
+    diagnostics.push(await isReachableFromBrowser(imageUrl)
+        ? { status: "ok", title: Messages.ConnectionTestImages, details: Messages.ConnectionTestImagesReachable.replace("<url>", imageUrl) }
+        : { status: "warning", title: Messages.ConnectionTestImages, details: Messages.ConnectionTestImagesUnreachable.replace("<url>", imageUrl) }
+    );
+
+    renderDiagnostics(container, diagnostics);
+    Dashboard.hideLoadingMsg();
+    if (diagnostics.some((diagnostic) => diagnostic.status === "error"))
+        return null;
+
+    const confirmed = await Dashboard.confirm(Messages.ConnectionTestConfirm, Messages.ConnectionTestConfirmTitle).then(() => true, () => false);
+    if (!confirmed)
+        return null;
+
+    Dashboard.showLoadingMsg();
+    return defaultSubmit(form);
+}
+
+/**
+ * Reset the connection to Shoko once confirmed, and offer to restore the
+ * previous connection for a short while afterwards.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<PluginConfiguration | null>} The updated plugin configuration, or null if the reset was cancelled.
+ */
+async function resetConnection(form) {
+    const confirmed = await Dashboard.confirm(Messages.ResetConnectionConfirm, Messages.ResetConnectionConfirmTitle).then(() => true, () => false);
+    if (!confirmed)
+        return null;
+
+    Dashboard.showLoadingMsg();
+    const config = State.config || await ShokoApiClient.getConfiguration();
+    const { ApiKey: apiKey, ServerVersion: serverVersion } = config;
+    form.querySelector("#Username").value = config.Username;
+    form.querySelector("#Password").value = "";
+    form.querySelector("#ConnectionTestResults").setAttribute("hidden", "");
+
+    // Connection settings
+    config.ApiKey = "";
+    config.ServerVersion = null;
+
+    await ShokoApiClient.updateConfiguration(config);
+
     Dashboard.hideLoadingMsg();
-    Dashboard.alert(Messages.DisconnectedToShoko);
+    showUndoNotice(form, Messages.DisconnectedToShoko, {
+        restore(config) {
+            // A new connection has been established since.
+            if (config.ApiKey)
+                return false;
+
+            config.ApiKey = apiKey;
+            config.ServerVersion = serverVersion;
+            return true;
+        },
+        params: {},
+    });
 
     return config;
 }
@@ -1210,90 +2409,1397 @@ async function syncSettings(form, config) {
     if (seriesId) {
         let seriesConfig = await ShokoApiClient.getSeriesConfiguration(seriesId);
         if (seriesConfig) {
-            seriesConfig.SeriesType = form.querySelector("#SeriesType").value;
-            seriesConfig.StructureType = form.querySelector("#SeriesLibraryStructure").value;
-            seriesConfig.SeasonOrdering = form.querySelector("#SeriesSeasonOrdering").value;
-            seriesConfig.SpecialsPlacement = form.querySelector("#SeriesSpecialsPlacement").value;
-            seriesConfig.SeasonMergingBehavior = retrieveCheckboxList(form, "SeriesSeasonMergingBehavior").join(",") || "None";
-            seriesConfig.EpisodeConversion = form.querySelector("#SeriesEpisodeConversion").value;
-            seriesConfig.OrderByAirdate = form.querySelector("#SeriesOrderByAirdate").checked;
+            applyFieldsToConfig(form, SeriesSettingsSchema, seriesConfig);
+
+            seriesConfig = await ShokoApiClient.updateSeriesConfiguration(seriesId, seriesConfig);
+            const series = (State.seriesList || []).find((s) => s.Id.toString() === seriesId);
+            if (series) {
+                updateSeriesOverride(series, seriesConfig);
+            }
+        }
+    }
+
+    config.UserList = config.UserList.filter((c) => c.Token);
+
+    await ShokoApiClient.updateConfiguration(config);
+    Dashboard.processPluginConfigurationUpdateResult();
+
+    return config;
+}
+
+/**
+ * Save the settings, then regenerate the VFS links and refresh the metadata
+ * for only the Jellyfin items backed by the selected series, and report the
+ * progress in the view.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function applyAndRefreshSeries(view, form) {
+    const seriesId = form.querySelector("#SeriesSelector").value;
+    if (!seriesId || !validateForm(form)) return;
+
+    const container = form.querySelector("#SeriesRefreshProgressContainer");
+    const progress = form.querySelector("#SeriesRefreshProgress");
+    const summary = form.querySelector("#SeriesRefreshProgressSummary");
+    const submitButton = form.querySelector("button[name=\"apply-and-refresh\"]");
+    progress.value = 0;
+    summary.textContent = Messages.SeriesRefreshSaving;
+    container.removeAttribute("hidden");
+    submitButton.disabled = true;
+    try {
+        try {
+            const config = await syncSettings(form);
+            await updateView(view, form, markConfigAsSaved(form, config));
+        }
+        catch (err) {
+            summary.textContent = Messages.SeriesRefreshSaveFailed;
+            if (!await applyServerValidationErrors(form, err)) throw err;
+            return;
+        }
+
+        progress.value = 1;
+        summary.textContent = Messages.SeriesRefreshRunning;
+
+        /** @type {import("./Common.js").SeriesRefreshResult} */
+        let result;
+        try {
+            result = await ShokoApiClient.refreshSeries(seriesId);
+        }
+        catch (err) {
+            if (err instanceof Response && err.status === 409) {
+                summary.textContent = Messages.SeriesRefreshScanRunning;
+                return;
+            }
+            summary.textContent = Messages.SeriesRefreshFailed;
+            throw err;
+        }
+
+        progress.value = 2;
+        summary.textContent = Messages.SeriesRefreshCompleted.replace("<files>", result.FileCount).replace("<items>", result.ItemCount);
+    }
+    finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Apply the settings chosen in the bulk editor to all selected series, one
+ * series at a time, and report the progress and any failures in the view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function applySeriesBulkConfig(form) {
+    const seriesList = Array.from(bulkSeriesSelection.values());
+    if (!seriesList.length) {
+        Dashboard.alert(Messages.SeriesBulkSelectSeries);
+        return;
+    }
+
+    /**
+     * @type {Partial<import("./Common.js").SeriesConfiguration>}
+     */
+    const partialConfig = {};
+    const fields = [
+        ["Type", "#SeriesBulkType"],
+        ["StructureType", "#SeriesBulkLibraryStructure"],
+        ["SeasonOrdering", "#SeriesBulkSeasonOrdering"],
+        ["SpecialsPlacement", "#SeriesBulkSpecialsPlacement"],
+        ["SeasonMergingBehavior", "#SeriesBulkSeasonMergingBehavior"],
+        ["EpisodeConversion", "#SeriesBulkEpisodeConversion"],
+    ];
+    for (const [key, selector] of fields) {
+        const value = form.querySelector(selector).value;
+        if (value) {
+            partialConfig[key] = value;
+        }
+    }
+    const orderByAirdate = form.querySelector("#SeriesBulkOrderByAirdate").value;
+    if (orderByAirdate) {
+        partialConfig.OrderByAirdate = orderByAirdate === "true";
+    }
+    if (!Object.keys(partialConfig).length) {
+        Dashboard.alert(Messages.SeriesBulkSelectSettings);
+        return;
+    }
+
+    const confirmed = await Dashboard.confirm(Messages.SeriesBulkConfirm.replace("<count>", seriesList.length), Messages.SeriesBulkConfirmTitle)
+        .then(() => true, () => false);
+    if (!confirmed) return;
+
+    const progress = form.querySelector("#SeriesBulkProgress");
+    const summary = form.querySelector("#SeriesBulkProgressSummary");
+    const failuresContainer = form.querySelector("#SeriesBulkFailures");
+    const failuresList = failuresContainer.querySelector(".checkboxList");
+    const submitButton = form.querySelector("button[name=\"series-bulk-apply\"]");
+    progress.max = seriesList.length;
+    progress.value = 0;
+    summary.textContent = Messages.SeriesBulkProgress.replace("<done>", 0).replace("<total>", seriesList.length);
+    failuresList.innerHTML = "";
+    failuresContainer.setAttribute("hidden", "");
+    form.querySelector("#SeriesBulkProgressContainer").removeAttribute("hidden");
+    submitButton.disabled = true;
+
+    /**
+     * @type {{ series: import("./Common.js").SimpleSeries; error: any; }[]}
+     */
+    const failures = [];
+    try {
+        for (const [index, series] of seriesList.entries()) {
+            try {
+                const seriesConfig = await ShokoApiClient.updateSeriesConfiguration(series.Id.toString(), partialConfig);
+                updateSeriesOverride(series, seriesConfig);
+            }
+            catch (error) {
+                console.error(error, `Failed to update the configuration for series ${series.Id}.`);
+                failures.push({ series, error });
+            }
+            progress.value = index + 1;
+            summary.textContent = Messages.SeriesBulkProgress.replace("<done>", index + 1).replace("<total>", seriesList.length);
+        }
+    }
+    finally {
+        submitButton.disabled = false;
+    }
+
+    const updated = seriesList.length - failures.length;
+    if (failures.length) {
+        summary.textContent = Messages.SeriesBulkCompletedWithFailures.replace("<count>", updated).replace("<failed>", failures.length);
+        failuresList.innerHTML = failures
+            .map(({ series, error }) => `<div class="listItem"><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(series.Title)}</h3><div class="listItemBodyText secondary">Shoko ${series.Id} | ${escapeHtml(error && error.status ? `${error.status} ${error.statusText || ""}`.trim() : (error && error.message) || String(error))}</div></div></div>`)
+            .join("");
+        failuresContainer.removeAttribute("hidden");
+    }
+    else {
+        summary.textContent = Messages.SeriesBulkCompleted.replace("<count>", updated);
+    }
+
+    renderSeriesOverrides(form);
+
+    // Reload the single series settings if the shown series was updated.
+    const seriesId = form.querySelector("#SeriesSelector").value;
+    if (seriesId && bulkSeriesSelection.has(seriesId) && !failures.some(({ series }) => series.Id.toString() === seriesId)) {
+        await applySeriesConfigToForm(form, seriesId);
+    }
+}
+
+/**
+ * Load the series with per series configuration overrides and render them in
+ * the view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function loadSeriesOverrides(form) {
+    seriesOverrides = null;
+    renderSeriesOverrides(form);
+    try {
+        seriesOverrides = await ShokoApiClient.getSeriesOverrides();
+    }
+    catch (error) {
+        console.log(error, "Got an error attempting to load the series with overrides.");
+        form.querySelector("#SeriesOverridesList .checkboxList").innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.SeriesOverridesLoadFailed}</h3></div></div>`;
+        return;
+    }
+    renderSeriesOverrides(form);
+}
+
+/**
+ * Reset all per series configuration overrides for a series back to the
+ * defaults, and update the list of series with overrides.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {string} seriesId - The series ID.
+ * @returns {Promise<void>}
+ */
+async function resetSeriesOverride(form, seriesId) {
+    const entry = (seriesOverrides || []).find((o) => o.Series.Id.toString() === seriesId);
+    if (!entry) return;
+
+    const confirmed = await Dashboard.confirm(Messages.SeriesOverridesReset.replace("<title>", entry.Series.Title), Messages.SeriesOverridesResetTitle)
+        .then(() => true, () => false);
+    if (!confirmed) return;
+
+    Dashboard.showLoadingMsg();
+    updateSeriesOverride(entry.Series, await ShokoApiClient.updateSeriesConfiguration(seriesId, DefaultSeriesConfiguration));
+    renderSeriesOverrides(form);
+
+    if (form.querySelector("#SeriesSelector").value === seriesId) {
+        await applySeriesConfigToForm(form, seriesId);
+    }
+    Dashboard.hideLoadingMsg();
+}
+
+/**
+ * Keep the SignalR status in the view up to date until stopped.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function watchSignalrStatus(form) {
+    let ticks = 0;
+    let fetching = false;
+    const interval = signalrStatusInterval = setInterval(async () => {
+        const transitioning = signalrStatus && (signalrStatus.State === "Connecting" || signalrStatus.State === "Reconnecting");
+        if (!fetching && (++ticks % SignalRStatusPollInterval === 0 || transitioning)) {
+            fetching = true;
+            try {
+                const status = await ShokoApiClient.getSignalrStatus();
+                if (interval !== signalrStatusInterval) return;
+                updateSignalrStatus(form, status);
+                return;
+            }
+            catch (err) {
+                console.error(err, "Failed to get the SignalR status.");
+            }
+            finally {
+                fetching = false;
+            }
+        }
+
+        renderSignalrStatusDetails(form);
+    }, 1000);
+}
+
+/**
+ * Stop keeping the SignalR status in the view up to date.
+ */
+function stopWatchingSignalrStatus() {
+    if (signalrStatusInterval) {
+        clearInterval(signalrStatusInterval);
+        signalrStatusInterval = null;
+    }
+}
+
+/**
+ * Poll the server for new SignalR events until stopped, and render them in the
+ * view.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function watchSignalrEvents(form) {
+    const poll = async () => {
+        if (!signalrEventsPaused) {
+            try {
+                const entries = await ShokoApiClient.getSignalrEvents(lastSignalrEventId);
+                if (timeout !== signalrEventsTimeout) return;
+                if (entries.length) {
+                    lastSignalrEventId = entries[entries.length - 1].Id;
+                    signalrEvents = entries.reverse().concat(signalrEvents).slice(0, MaxSignalREvents);
+                }
+            }
+            catch (err) {
+                console.error(err, "Failed to get the SignalR events.");
+                if (timeout !== signalrEventsTimeout) return;
+            }
+        }
+
+        renderSignalrEvents(form);
+        timeout = signalrEventsTimeout = setTimeout(poll, SignalREventsPollInterval);
+    };
+
+    let timeout = signalrEventsTimeout = setTimeout(poll, 0);
+}
+
+/**
+ * Stop polling the server for new SignalR events.
+ */
+function stopWatchingSignalrEvents() {
+    if (signalrEventsTimeout) {
+        clearTimeout(signalrEventsTimeout);
+        signalrEventsTimeout = null;
+    }
+}
+
+/**
+ * Remove a user from the configuration once confirmed, and offer to restore
+ * the user for a short while afterwards.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<PluginConfiguration | null>} The updated plugin configuration, or null if the removal was cancelled.
+ */
+async function removeUserConfig(form) {
+    const config = State.config || await ShokoApiClient.getConfiguration();
+    const userId = form.querySelector("#UserSelector").value;
+    if (!userId) return config;
+
+    const userName = form.querySelector("#UserSelector").selectedOptions[0]?.textContent || userId;
+    const confirmed = await Dashboard.confirm(Messages.UnlinkUserConfirm.replace("<user>", userName), Messages.UnlinkUserConfirmTitle).then(() => true, () => false);
+    if (!confirmed)
+        return null;
+
+    const index = config.UserList.findIndex(c => userId === c.UserId);
+    const [userConfig] = index !== -1 ? config.UserList.splice(index, 1) : [];
+
+    await ShokoApiClient.updateConfiguration(config);
+    Dashboard.processPluginConfigurationUpdateResult();
+
+    form.querySelector("#UserSelector").value = "";
+
+    if (userConfig) {
+        showUndoNotice(form, Messages.UnlinkUserUndo.replace("<user>", userName), {
+            restore(config) {
+                // The user has been linked again since.
+                if (config.UserList.some((c) => userId === c.UserId))
+                    return false;
+
+                config.UserList.splice(Math.min(index, config.UserList.length), 0, userConfig);
+                return true;
+            },
+            params: { user: userId },
+        });
+    }
+
+    return config;
+}
+
+/**
+ * Remove a library from the configuration once confirmed, and offer to
+ * restore the library for a short while afterwards.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<PluginConfiguration | null>} The updated plugin configuration, or null if the removal was cancelled.
+ */
+async function removeLibraryConfig(form) {
+    const config = State.config || await ShokoApiClient.getConfiguration();
+    const libraryId = form.querySelector("#MediaFolderSelector").value;
+    if (!libraryId) return config;
+
+    const mediaFolders = config.MediaFolders.filter((m) => m.LibraryId === libraryId);
+    const libraryName = mediaFolders.length ? mediaFolders[0].LibraryName : libraryId;
+    const confirmed = await Dashboard.confirm(
+        Messages.RemoveLibraryConfirm.replace("<library>", libraryName).replace("<count>", mediaFolders.length.toString()),
+        Messages.RemoveLibraryConfirmTitle
+    ).then(() => true, () => false);
+    if (!confirmed)
+        return null;
+
+    // Keep the original position of each removed media folder, so they can be
+    // put back in the same order. Since the first match is always removed, the
+    // ones removed before it were all placed before it.
+    /** @type {[number, import("./Common.js").MediaFolderConfig][]} */
+    const removed = [];
+    let index = config.MediaFolders.findIndex((m) => m.LibraryId === libraryId);
+    while (index !== -1) {
+        removed.push([index + removed.length, config.MediaFolders.splice(index, 1)[0]]);
+        index = config.MediaFolders.findIndex((m) => m.LibraryId === libraryId);
+    }
+
+    const libraries = config.MediaFolders
+        .reduce((acc, mediaFolder) => {
+            if (mediaFolder.IsVirtualRoot)
+                return acc;
+
+            if (acc.find((m) => m.LibraryId === mediaFolder.LibraryId))
+                return acc;
+
+            acc.push(mediaFolder);
+            return acc;
+        }, []);
+    form.querySelector("#MediaFolderSelector").value = "";
+    form.querySelector("#MediaFolderSelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
+                    .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}</option>`)
+                    .join("");
+    form.querySelector("#SignalRMediaFolderSelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
+                    .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}</option>`)
+                    .join("");
+
+    await ShokoApiClient.updateConfiguration(config);
+    Dashboard.processPluginConfigurationUpdateResult();
+
+    if (removed.length) {
+        showUndoNotice(form, Messages.RemoveLibraryUndo.replace("<library>", libraryName), {
+            restore(config) {
+                // The library has been set up again since.
+                if (config.MediaFolders.some((m) => m.LibraryId === libraryId))
+                    return false;
+
+                for (const [index, mediaFolder] of removed) {
+                    config.MediaFolders.splice(Math.min(index, config.MediaFolders.length), 0, mediaFolder);
+                }
+                return true;
+            },
+            params: { library: libraryId },
+        });
+    }
+
+    return config;
+}
+
+/**
+ * Show the undo notice for a destructive action, replacing the notice for
+ * any earlier action. The notice is hidden again once the grace period is
+ * over.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {string} message - The message describing what was done.
+ * @param {{ restore: (config: PluginConfiguration) => boolean; params: Record<string, string>; }} undo - How to restore the configuration, returning false if it can no longer be restored, and the view parameters to re-apply afterwards.
+ */
+function showUndoNotice(form, message, undo) {
+    hideUndoNotice(form);
+
+    const timeout = setTimeout(() => hideUndoNotice(form), UndoGracePeriodInSeconds * 1000);
+    pendingUndo = { ...undo, timeout };
+    form.querySelector("#UndoNoticeMessage").textContent = message;
+    form.querySelector("#UndoNotice").removeAttribute("hidden");
+}
+
+/**
+ * Hide the undo notice, ending the grace period of the last action.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function hideUndoNotice(form) {
+    if (pendingUndo) {
+        clearTimeout(pendingUndo.timeout);
+        pendingUndo = null;
+    }
+    form.querySelector("#UndoNotice").setAttribute("hidden", "");
+}
+
+/**
+ * Undo the last destructive action, if it's still within the grace period,
+ * and select the restored library or user again.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function undoLastAction(view, form) {
+    const undo = pendingUndo;
+    hideUndoNotice(form);
+    if (!undo) return;
+
+    Dashboard.showLoadingMsg();
+    const config = State.config || await ShokoApiClient.getConfiguration();
+    if (!undo.restore(config)) {
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert(Messages.UndoUnavailable);
+        return;
+    }
+
+    await ShokoApiClient.updateConfiguration(config);
+    Dashboard.processPluginConfigurationUpdateResult();
+
+    await updateView(view, form, markConfigAsSaved(form, config));
+    await applyViewParamsToForm(form, new URLSearchParams(undo.params));
+}
+
+/**
+ * Schedule a refresh of the title preview for the selected series, so quick
+ * successive changes only result in a single request.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {number} [delay] - How long to wait before refreshing, in milliseconds.
+ */
+function scheduleTitlePreview(form, delay = 500) {
+    if (titlePreviewTimeout) {
+        clearTimeout(titlePreviewTimeout);
+    }
+
+    const timeout = titlePreviewTimeout = setTimeout(async () => {
+        const seriesId = form.querySelector("#TitlePreviewSeries").value;
+        if (!seriesId) {
+            titlePreviewTimeout = null;
+            renderTitlePreview(form, null);
+            return;
+        }
+
+        // Preview the unsaved title settings in the form, without touching the
+        // configuration we're editing.
+        const config = JSON.parse(JSON.stringify(State.config));
+        applyFieldsToConfig(form, SettingsSchema.metadata.filter((field) => field.path.startsWith("Title.")), config);
+        config.Title.Default.AlternateTitles = [];
+        const alternateTitles = form.querySelectorAll("#TitleAlternateListContainer > fieldset");
+        for (let i = 1; i <= alternateTitles.length; i++) {
+            const [list, order] = retrieveSortableCheckboxList(form, `TitleAlternateList_${i}`);
+            config.Title.Default.AlternateTitles.push({
+                List: list,
+                Order: order,
+                AllowAny: form.querySelector(`#TitleAlternateAllowAny_${i}`).checked,
+            });
+        }
+
+        /** @type {import("./Common.js").TitlePreview | null} */
+        let preview;
+        try {
+            preview = await ShokoApiClient.previewSeriesTitles(seriesId, config.Title.Default);
+        }
+        catch (err) {
+            console.log(err, "Got an error attempting to preview the titles.");
+            preview = null;
+        }
+
+        if (titlePreviewTimeout !== timeout) return;
+        titlePreviewTimeout = null;
+        renderTitlePreview(form, preview, !preview);
+    }, delay);
+}
+
+/**
+ * Render the title preview, or hide it if no series is selected.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").TitlePreview | null} preview - The title preview.
+ * @param {boolean} [failed] - Whether the preview failed to load.
+ */
+function renderTitlePreview(form, preview, failed = false) {
+    const container = form.querySelector("#TitlePreviewResult");
+    if (failed) {
+        container.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.TitlePreviewFailed}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    if (!preview) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    /**
+     * @param {string} label
+     * @param {string | null} title
+     * @param {import("./Common.js").TitleProvider | null | undefined} provider
+     * @returns {string}
+     */
+    const renderEntry = (label, title, provider) => {
+        // Use the labels of the title sources as shown in the view.
+        const providerLabel = provider ? form.querySelector(`#TitleMainList [data-option="${provider}"]`)?.closest(".listItem").querySelector(".listItemBodyText").textContent || provider : null;
+        const details = provider === undefined ? label : `${label} | ${providerLabel ? Messages.TitlePreviewProvider.replace("<provider>", providerLabel) : Messages.TitlePreviewNoProvider}`;
+        const text = title ? escapeHtml(title) : `<span class="titlePreview-missing">${Messages.TitlePreviewNoTitle}</span>`;
+        return `<div class="listItem"><div class="listItemBody two-line"><h3 class="listItemBodyText">${text}</h3><div class="listItemBodyText secondary">${escapeHtml(details)}</div></div></div>`;
+    };
+    container.innerHTML = [
+        renderEntry(Messages.TitlePreviewMainTitle, preview.MainTitle.Title, preview.MainTitle.Provider),
+        ...preview.AlternateTitles.map((entry, index) => renderEntry(Messages.TitlePreviewAlternateTitle.replace("<number>", index + 1), entry.Title, entry.Provider)),
+        renderEntry(Messages.TitlePreviewJoinedTitle, preview.AlternateTitle, undefined),
+        preview.MetadataLanguage ? `<div class="listItem"><div class="listItemBody"><div class="listItemBodyText secondary">${escapeHtml(Messages.TitlePreviewMetadataLanguage.replace("<language>", preview.MetadataLanguage))}</div></div></div>` : "",
+    ].join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * Schedule a refresh of the description preview for the selected series, so
+ * quick successive changes only result in a single request.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {number} [delay] - How long to wait before refreshing, in milliseconds.
+ */
+function scheduleDescriptionPreview(form, delay = 500) {
+    if (descriptionPreviewTimeout) {
+        clearTimeout(descriptionPreviewTimeout);
+    }
+
+    const timeout = descriptionPreviewTimeout = setTimeout(async () => {
+        const seriesId = form.querySelector("#DescriptionPreviewSeries").value;
+        if (!seriesId) {
+            descriptionPreviewTimeout = null;
+            renderDescriptionPreview(form, null);
+            return;
+        }
+
+        // Preview the unsaved description settings in the form, without
+        // touching the configuration we're editing.
+        const config = JSON.parse(JSON.stringify(State.config));
+        applyFieldsToConfig(form, SettingsSchema.metadata.filter((field) => field.path.startsWith("Description.Default.") || field.path === "DescriptionConversionMode"), config);
+
+        /** @type {import("./Common.js").DescriptionPreview | null} */
+        let preview;
+        try {
+            preview = await ShokoApiClient.previewSeriesDescriptions(seriesId, config.Description.Default, config.DescriptionConversionMode);
+        }
+        catch (err) {
+            console.log(err, "Got an error attempting to preview the descriptions.");
+            preview = null;
+        }
+
+        if (descriptionPreviewTimeout !== timeout) return;
+        descriptionPreviewTimeout = null;
+        renderDescriptionPreview(form, preview, !preview);
+    }, delay);
+}
+
+/**
+ * Render the description preview, with the raw description from each provider
+ * next to the result of each conversion mode, or hide it if no series is
+ * selected.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").DescriptionPreview | null} preview - The description preview.
+ * @param {boolean} [failed] - Whether the preview failed to load.
+ */
+function renderDescriptionPreview(form, preview, failed = false) {
+    const container = form.querySelector("#DescriptionPreviewResult");
+    if (failed) {
+        container.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.DescriptionPreviewFailed}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    if (!preview) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    // Use the labels of the providers and conversion modes as shown in the
+    // view, without the explanation after the provider name.
+    /** @type {(provider: import("./Common.js").DescriptionProvider) => string} */
+    const getProviderLabel = (provider) => (form.querySelector(`#DescriptionSourceList [data-option="${provider}"]`)?.closest(".listItem").querySelector(".listItemBodyText").textContent || provider).split(" | ")[0];
+    /** @type {(mode: import("./Common.js").DescriptionConversionMode) => string} */
+    const getModeLabel = (mode) => form.querySelector(`#DescriptionConversionMode option[value="${mode}"]`)?.textContent || mode;
+    /** @type {(label: string, text: string | null, isCurrent?: boolean) => string} */
+    const renderColumn = (label, text, isCurrent = false) => `<div class="descriptionPreview-column${isCurrent ? " descriptionPreview-current" : ""}"><div class="listItemBodyText secondary">${escapeHtml(label)}</div><pre class="descriptionPreview-text">${text ? escapeHtml(text) : `<span class="descriptionPreview-missing">${Messages.DescriptionPreviewEmpty}</span>`}</pre></div>`;
+
+    const [enabled] = retrieveSortableCheckboxList(form, "DescriptionSourceList");
+    const modes = /** @type {import("./Common.js").DescriptionConversionMode[]} */ (["Disabled", "PlainText", "Markdown"]);
+    const summary = [
+        preview.SelectedProvider
+            ? Messages.DescriptionPreviewSelected.replace("<provider>", getProviderLabel(preview.SelectedProvider))
+            : Messages.DescriptionPreviewNoneSelected,
+        preview.MetadataLanguage ? Messages.DescriptionPreviewMetadataLanguage.replace("<language>", preview.MetadataLanguage) : "",
+    ].filter(s => s).join(" ");
+    container.innerHTML = [
+        `<div class="fieldDescription verticalSection-extrabottompadding">${escapeHtml(summary)}</div>`,
+        ...preview.Providers.map((entry) => {
+            const isSelected = entry.Provider === preview.SelectedProvider;
+            const status = isSelected
+                ? Messages.DescriptionPreviewUsed
+                : !entry.IsAvailable
+                    ? Messages.DescriptionPreviewUnavailable
+                    : enabled.includes(entry.Provider)
+                        ? Messages.DescriptionPreviewUnused
+                        : Messages.DescriptionPreviewNotSelected;
+            const title = `${getProviderLabel(entry.Provider)}${entry.LanguageCode ? ` (${entry.LanguageCode})` : ""} | ${status}`;
+            const columns = entry.IsConverted
+                ? [
+                    renderColumn(Messages.DescriptionPreviewRaw, entry.Raw),
+                    ...modes.map((mode) => renderColumn(getModeLabel(mode), entry.Converted[mode], mode === preview.ConversionMode)),
+                ]
+                : [renderColumn(Messages.DescriptionPreviewRaw, entry.Raw, true)];
+            const className = ["descriptionPreview-provider", entry.IsAvailable ? "descriptionPreview-available" : "", isSelected ? "descriptionPreview-selected" : ""].filter(s => s).join(" ");
+            return `<div class="${className}"><h3>${escapeHtml(title)}</h3>${entry.IsConverted ? "" : `<div class="fieldDescription">${Messages.DescriptionPreviewNotConverted}</div>`}<div class="descriptionPreview-columns">${columns.join("")}</div></div>`;
+        }),
+    ].join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * Schedule a refresh of the image preview for the selected series, so quick
+ * successive changes only result in a single request.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {number} [delay] - How long to wait before refreshing, in milliseconds.
+ */
+function scheduleImagePreview(form, delay = 500) {
+    if (imagePreviewTimeout) {
+        clearTimeout(imagePreviewTimeout);
+    }
+
+    const timeout = imagePreviewTimeout = setTimeout(async () => {
+        const seriesId = form.querySelector("#ImagePreviewSeries").value;
+        if (!seriesId) {
+            imagePreviewTimeout = null;
+            renderImagePreview(form, null);
+            return;
+        }
+
+        // Preview the unsaved image settings in the form, without touching the
+        // configuration we're editing.
+        const config = JSON.parse(JSON.stringify(State.config));
+        applyFieldsToConfig(form, SettingsSchema.metadata.filter((field) => field.path.startsWith("Image.Default.")), config);
+
+        /** @type {import("./Common.js").ImagePreview | null} */
+        let preview;
+        try {
+            preview = await ShokoApiClient.previewSeriesImages(seriesId, config.Image.Default);
+        }
+        catch (err) {
+            console.log(err, "Got an error attempting to preview the images.");
+            preview = null;
+        }
+
+        if (imagePreviewTimeout !== timeout) return;
+        imagePreviewTimeout = null;
+        renderImagePreview(form, preview, !preview);
+    }, delay);
+}
+
+/**
+ * Render the image preview, grouped by image type and language type, or hide
+ * it if no series is selected.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").ImagePreview | null} preview - The image preview.
+ * @param {boolean} [failed] - Whether the preview failed to load.
+ */
+function renderImagePreview(form, preview, failed = false) {
+    const container = form.querySelector("#ImagePreviewResult");
+    if (failed) {
+        container.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.ImagePreviewFailed}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    if (!preview) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    /**
+     * @param {import("./Common.js").ImagePreviewEntry} image
+     * @returns {string}
+     */
+    const renderImage = (image) => {
+        const isSelected = image.Position === 0;
+        const isExcluded = image.Position === null;
+        const details = [
+            image.Source,
+            image.LanguageCode || Messages.ImagePreviewNoLanguage,
+            image.Width && image.Height ? `${image.Width}×${image.Height}` : "",
+            image.CommunityRating !== null ? Messages.ImagePreviewRating.replace("<rating>", image.CommunityRating.toFixed(1)) : "",
+            image.IsPreferred ? Messages.ImagePreviewPreferred : "",
+            isSelected ? Messages.ImagePreviewSelected : isExcluded ? Messages.ImagePreviewExcluded : "",
+        ].filter(s => s).join(" | ");
+        const className = ["imagePreview-image", isSelected ? "imagePreview-selected" : "", isExcluded ? "imagePreview-excluded" : ""].filter(s => s).join(" ");
+        const content = image.IsAvailable
+            ? `<img loading="lazy" alt="" src="${escapeHtml(ShokoApiClient.getImageUrl(image))}" />`
+            : `<div class="imagePreview-unavailable">${Messages.ImagePreviewUnavailable}</div>`;
+        const position = isExcluded ? "" : `<span class="imagePreview-position">#${image.Position + 1}</span>`;
+        return `<div class="${className}" title="${escapeHtml(details)}">${content}${position}</div>`;
+    };
+
+    /**
+     * @param {"Posters" | "Logos" | "Backdrops"} kind
+     * @param {string} listId - The id of the sortable list for the image type.
+     * @param {string} label
+     * @returns {string}
+     */
+    const renderKind = (kind, listId, label) => {
+        const images = preview[kind];
+        const [enabled, order] = retrieveSortableCheckboxList(form, listId);
+        const parts = [`<h3>${escapeHtml(label)}</h3>`];
+        if (!images.length) {
+            parts.push(`<div class="fieldDescription">${Messages.ImagePreviewNoImages}</div>`);
+            return `<div data-kind="${kind}">${parts.join("")}</div>`;
+        }
+
+        if (!enabled.length) {
+            parts.push(`<div class="fieldDescription">${Messages.ImagePreviewUnfiltered}</div>`);
+        }
+
+        // Group the images by language type in the order of the list, as shown
+        // in the view.
+        for (const languageType of [...order, "Unknown"]) {
+            const group = images.filter((image) => image.LanguageType === languageType);
+            if (!group.length) continue;
+
+            const languageLabel = languageType === "Unknown"
+                ? Messages.ImagePreviewOtherLanguages
+                : form.querySelector(`#${listId} [data-option="${languageType}"]`)?.closest(".listItem").querySelector(".listItemBodyText").textContent || languageType;
+            parts.push(
+                `<div class="listItemBodyText secondary">${escapeHtml(Messages.ImagePreviewGroup.replace("<language>", languageLabel).replace("<count>", group.length))}</div>`,
+                `<div class="imagePreview-group">${group.map(renderImage).join("")}</div>`,
+            );
+        }
+        return `<div data-kind="${kind}">${parts.join("")}</div>`;
+    };
+
+    container.innerHTML = [
+        preview.MetadataLanguage ? `<div class="fieldDescription">${escapeHtml(Messages.ImagePreviewMetadataLanguage.replace("<language>", preview.MetadataLanguage))}</div>` : "",
+        renderKind("Posters", "Image_PosterList", Messages.ImagePreviewPosters),
+        renderKind("Logos", "Image_LogoList", Messages.ImagePreviewLogos),
+        renderKind("Backdrops", "Image_BackdropList", Messages.ImagePreviewBackdrops),
+    ].join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * Schedule a refresh of the season merging preview for the selected series, so
+ * quick successive changes only result in a single request.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {number} [delay] - How long to wait before refreshing, in milliseconds.
+ */
+function scheduleSeasonMergingPreview(form, delay = 500) {
+    if (seasonMergingPreviewTimeout) {
+        clearTimeout(seasonMergingPreviewTimeout);
+    }
+
+    const timeout = seasonMergingPreviewTimeout = setTimeout(async () => {
+        const seriesId = form.querySelector("#SeriesSelector").value;
+        if (!seriesId) {
+            seasonMergingPreviewTimeout = null;
+            renderSeasonMergingPreview(form, null);
+            return;
+        }
+
+        // Preview the unsaved series settings in the form.
+        /** @type {import("./Common.js").SeriesConfiguration} */
+        const seriesConfig = {};
+        applyFieldsToConfig(form, SeriesSettingsSchema, seriesConfig);
+
+        /** @type {import("./Common.js").SeasonMergingPreview | null} */
+        let preview;
+        try {
+            preview = await ShokoApiClient.previewSeasonMerging(seriesId, seriesConfig);
+        }
+        catch (err) {
+            console.log(err, "Got an error attempting to preview the season merging.");
+            preview = null;
+        }
+
+        if (seasonMergingPreviewTimeout !== timeout) return;
+        seasonMergingPreviewTimeout = null;
+        renderSeasonMergingPreview(form, preview, !preview);
+    }, delay);
+}
+
+/**
+ * Render the season merging preview, with the series grouped by the season
+ * they'll be merged into, or hide it if no series is selected.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").SeasonMergingPreview | null} preview - The season merging preview.
+ * @param {boolean} [failed] - Whether the preview failed to load.
+ */
+function renderSeasonMergingPreview(form, preview, failed = false) {
+    const container = form.querySelector("#SeasonMergingPreviewResult");
+    if (failed) {
+        container.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.SeasonMergingPreviewFailed}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    if (!preview) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    const currentId = Number(form.querySelector("#SeriesSelector").value);
+    const seriesMap = new Map(preview.Series.map((series) => [series.Id, series]));
+    const conflictingIds = new Set(preview.Conflicts.flatMap((conflict) => conflict.SeriesIds));
+    /**
+     * Use the labels of the series types as shown in the view.
+     *
+     * @param {import("./Common.js").SeriesType} type
+     * @returns {string}
+     */
+    const getTypeLabel = (type) => form.querySelector(`#SeasonMerging_SeriesTypes [data-option="${type}"]`)?.closest(".listItem").querySelector(".listItemBodyText").textContent || type;
+    /**
+     * @param {number} seriesId
+     * @returns {string}
+     */
+    const getTitle = (seriesId) => seriesMap.get(seriesId)?.Title || `${seriesId}`;
+    /**
+     * @param {import("./Common.js").SeasonMergingPreviewSeries} series
+     * @returns {number}
+     */
+    const getAirTime = (series) => series.AirDate ? new Date(series.AirDate).getTime() : Number.MAX_SAFE_INTEGER;
+
+    /**
+     * @param {import("./Common.js").SeasonMergingPreviewSeries} series
+     * @returns {string}
+     */
+    const renderSeries = (series) => {
+        const groups = series.MergeGroups
+            .map((group) => `<span class="seasonMergingPreview-group" data-role="${group.Role}">${escapeHtml(Messages[`SeasonMergingPreviewGroup${group.Role}`].replace("<group>", group.Group))}</span>`)
+            .join("");
+        const behaviors = splitFlags(series.Behavior)
+            .filter((flag) => flag === "MergeForward" || flag === "MergeBackward" || flag === "MergeWithMainStory")
+            .map((flag) => Messages[`SeasonMergingPreview${flag}`]);
+        const details = [
+            `a${series.AnidbId}`,
+            getTypeLabel(series.Type),
+            series.AirDate ? new Date(series.AirDate).toLocaleDateString() : Messages.SeasonMergingPreviewNoAirDate,
+            ...behaviors,
+        ].join(" | ");
+        const lines = [
+            `<h3 class="listItemBodyText">${escapeHtml(series.Title)}${groups}</h3>`,
+            `<div class="listItemBodyText secondary">${escapeHtml(details)}</div>`,
+        ];
+        if (series.IneligibleReasons.length) {
+            const reasons = series.IneligibleReasons.map((reason) => Messages[`SeasonMergingPreviewReason${reason}`]).join(", ");
+            lines.push(`<div class="listItemBodyText secondary">${escapeHtml(Messages.SeasonMergingPreviewIneligible.replace("<reasons>", reasons))}</div>`);
+        }
+        for (const relation of preview.Relations.filter((relation) => relation.FromId === series.Id)) {
+            const text = [
+                `→ ${Messages[`SeasonMergingPreview${relation.Type}`].replace("<title>", getTitle(relation.ToId))}`,
+                relation.DaysApart !== null ? Messages.SeasonMergingPreviewDaysApart.replace("<days>", relation.DaysApart) : "",
+                relation.IsWithinMergeWindow ? "" : Messages.SeasonMergingPreviewOutsideWindow,
+                relation.IsMerged ? Messages.SeasonMergingPreviewMerged : Messages.SeasonMergingPreviewNotMerged,
+            ].filter(s => s).join(" | ");
+            lines.push(`<div class="listItemBodyText secondary seasonMergingPreview-relation" data-merged="${relation.IsMerged}">${escapeHtml(text)}</div>`);
+        }
+        const className = [
+            "listItem",
+            series.Id === currentId ? "seasonMergingPreview-current" : "",
+            series.IneligibleReasons.length ? "seasonMergingPreview-ineligible" : "",
+            conflictingIds.has(series.Id) ? "seasonMergingPreview-conflicting" : "",
+        ].filter(s => s).join(" ");
+        return `<div class="${className}"><div class="listItemBody">${lines.join("")}</div></div>`;
+    };
+
+    // Group the series by the season they'll be merged into, with the main
+    // series of each season first.
+    /** @type {Map<number, import("./Common.js").SeasonMergingPreviewSeries[]>} */
+    const seasons = new Map();
+    for (const series of [...preview.Series].sort((a, b) => getAirTime(a) - getAirTime(b))) {
+        const list = seasons.get(series.SeasonId) || [];
+        if (series.Id === series.SeasonId) {
+            list.unshift(series);
+        }
+        else {
+            list.push(series);
+        }
+        seasons.set(series.SeasonId, list);
+    }
+
+    const mergeWindow = preview.MergeWindowInDays > 0
+        ? Messages.SeasonMergingPreviewWindow.replace("<days>", preview.MergeWindowInDays)
+        : Messages.SeasonMergingPreviewNoWindow;
+    const types = preview.SeriesTypes.map(getTypeLabel).join(", ") || Messages.SeasonMergingPreviewNone;
+    container.innerHTML = [
+        preview.IsEnabled ? "" : `<div class="fieldDescription">${escapeHtml(Messages.SeasonMergingPreviewDisabled)}</div>`,
+        `<div class="fieldDescription">${escapeHtml(Messages.SeasonMergingPreviewSettings.replace("<window>", mergeWindow).replace("<types>", types))}</div>`,
+        ...preview.Conflicts.map((conflict) => {
+            const series = conflict.SeriesIds.map(getTitle).join(", ");
+            return `<div class="fieldDescription seasonMergingPreview-conflict">${escapeHtml(Messages[`SeasonMergingPreviewConflict${conflict.Type}`].replace("<group>", conflict.Group).replace("<series>", series))}</div>`;
+        }),
+        ...Array.from(seasons.entries()).map(([seasonId, list]) => {
+            const title = list.length > 1
+                ? Messages.SeasonMergingPreviewSeason.replace("<title>", getTitle(seasonId))
+                : Messages.SeasonMergingPreviewStandalone;
+            return `<div class="seasonMergingPreview-season"><h3>${escapeHtml(title)}</h3><div class="paperList">${list.map(renderSeries).join("")}</div></div>`;
+        }),
+    ].join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * Preview the Jellyfin structure for the selected series with both the saved
+ * series settings and the unsaved series settings in the form.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {Promise<void>}
+ */
+async function previewSeriesStructure(form) {
+    const seriesId = form.querySelector("#SeriesSelector").value;
+    if (!seriesId) {
+        renderSeriesStructurePreview(form, null);
+        return;
+    }
+
+    /** @type {import("./Common.js").SeriesConfiguration} */
+    const seriesConfig = {};
+    applyFieldsToConfig(form, SeriesSettingsSchema, seriesConfig);
+
+    const preview = await ShokoApiClient.previewSeriesStructure(seriesId, seriesConfig);
+
+    // Another series may have been selected while we were waiting.
+    if (form.querySelector("#SeriesSelector").value !== seriesId) return;
+
+    renderSeriesStructurePreview(form, preview);
+}
+
+/**
+ * Render the structure preview, with the shows produced by the saved settings
+ * next to the ones produced by the unsaved settings, or hide it if no preview
+ * is given.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").SeriesStructurePreview | null} preview - The structure preview.
+ */
+function renderSeriesStructurePreview(form, preview) {
+    const container = form.querySelector("#SeriesStructurePreviewResult");
+    if (!preview) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    const currentId = form.querySelector("#SeriesSelector").value;
+    /**
+     * @param {number} seasonNumber
+     * @param {number} episodeNumber
+     * @returns {string}
+     */
+    const formatEpisode = (seasonNumber, episodeNumber) => `S${seasonNumber.toString().padStart(2, "0")}E${episodeNumber.toString().padStart(2, "0")}`;
+
+    /**
+     * Map each episode to where it's placed, so the placements can be
+     * compared between the saved and unsaved settings.
+     *
+     * @param {import("./Common.js").SeriesStructurePreviewShow[]} shows
+     * @returns {Map<string, string>}
+     */
+    const getPlacements = (shows) => {
+        /** @type {Map<string, string>} */
+        const placements = new Map();
+        for (const show of shows) {
+            for (const season of show.Seasons) {
+                for (const episode of season.Episodes) {
+                    placements.set(episode.Id, [show.Id, season.SeasonNumber, episode.EpisodeNumber, episode.AirsBeforeSeasonNumber, episode.AirsBeforeEpisodeNumber, episode.AirsAfterSeasonNumber, episode.Conversion].join(":"));
+                }
+            }
+            for (const episode of show.Extras) {
+                placements.set(episode.Id, [show.Id, "extra", episode.Conversion].join(":"));
+            }
+        }
+        return placements;
+    };
+    const savedPlacements = getPlacements(preview.Saved);
+    const unsavedPlacements = getPlacements(preview.Preview);
+    const isUnchanged = savedPlacements.size === unsavedPlacements.size &&
+        Array.from(savedPlacements).every(([episodeId, placement]) => unsavedPlacements.get(episodeId) === placement);
+
+    /**
+     * @param {import("./Common.js").SeriesStructurePreviewEpisode} episode
+     * @param {import("./Common.js").SeriesStructurePreviewSeason | null} season
+     * @param {Map<string, string>} placements
+     * @param {Map<string, string> | null} compareTo
+     * @returns {string}
+     */
+    const renderEpisode = (episode, season, placements, compareTo) => {
+        const badges = [];
+        if (episode.Conversion !== "None") {
+            badges.push(`<span class="seriesStructurePreview-badge" data-conversion="${episode.Conversion}">${escapeHtml(Messages[`SeriesStructurePreviewConversion${episode.Conversion}`])}</span>`);
+        }
+        if (!season && episode.ExtraType) {
+            badges.push(`<span class="seriesStructurePreview-badge">${escapeHtml(episode.ExtraType)}</span>`);
+        }
+        if (season && season.SeasonNumber === 0) {
+            const placement = episode.AirsBeforeEpisodeNumber !== null && episode.AirsBeforeSeasonNumber !== null
+                ? Messages.SeriesStructurePreviewAirsBeforeEpisode.replace("<episode>", formatEpisode(episode.AirsBeforeSeasonNumber, episode.AirsBeforeEpisodeNumber))
+                : episode.AirsBeforeSeasonNumber !== null
+                ? Messages.SeriesStructurePreviewAirsBeforeSeason.replace("<season>", episode.AirsBeforeSeasonNumber)
+                : episode.AirsAfterSeasonNumber !== null
+                ? Messages.SeriesStructurePreviewAirsAfterSeason.replace("<season>", episode.AirsAfterSeasonNumber)
+                : Messages.SeriesStructurePreviewSpecialsOnly;
+            badges.push(`<span class="seriesStructurePreview-badge">${escapeHtml(placement)}</span>`);
+        }
+        const isChanged = compareTo && compareTo.get(episode.Id) !== placements.get(episode.Id);
+        const className = [
+            episode.IsAvailable ? "" : "seriesStructurePreview-missing",
+            isChanged ? "seriesStructurePreview-changed" : "",
+        ].filter(s => s).join(" ");
+        const hints = [
+            episode.IsAvailable ? "" : Messages.SeriesStructurePreviewMissing,
+            isChanged ? Messages.SeriesStructurePreviewChanged : "",
+        ].filter(s => s).join(", ");
+        const label = season ? `${formatEpisode(season.SeasonNumber, episode.EpisodeNumber)} ${episode.Title}` : episode.Title;
+        return `<li${className ? ` class="${className}"` : ""}${hints ? ` title="${escapeHtml(hints)}"` : ""}>${escapeHtml(label)}${badges.join("")}</li>`;
+    };
+
+    /**
+     * @param {import("./Common.js").SeriesStructurePreviewShow} show
+     * @param {Map<string, string>} placements
+     * @param {Map<string, string> | null} compareTo
+     * @returns {string}
+     */
+    const renderShow = (show, placements, compareTo) => {
+        const seasons = show.Seasons.map((season) => {
+            const isCurrent = season.SeasonNumber === 0
+                ? season.Episodes.some((episode) => episode.SeasonId === currentId)
+                : season.SeasonId === currentId || season.ExtraIds.includes(currentId);
+            let title = season.SeasonNumber === 0
+                ? Messages.SeriesStructurePreviewSpecials
+                : Messages.SeriesStructurePreviewSeason.replace("<number>", season.SeasonNumber).replace("<title>", season.Title || "");
+            if (season.IsAlternate) {
+                title = Messages.SeriesStructurePreviewAlternate.replace("<title>", title);
+            }
+            const badges = [
+                `<span class="seriesStructurePreview-badge">${escapeHtml(Messages.SeriesStructurePreviewEpisodeCount.replace("<count>", season.Episodes.length))}</span>`,
+                season.ExtraIds.length ? `<span class="seriesStructurePreview-badge">${escapeHtml(Messages.SeriesStructurePreviewMerged.replace("<count>", season.ExtraIds.length))}</span>` : "",
+            ].join("");
+            const episodes = season.Episodes.map((episode) => renderEpisode(episode, season, placements, compareTo)).join("");
+            return `<li${isCurrent ? ` class="seriesStructurePreview-current"` : ""}><details${isCurrent ? " open" : ""}><summary>${escapeHtml(title)}${badges}</summary><ul>${episodes}</ul></details></li>`;
+        });
+        if (show.Extras.length) {
+            const extras = show.Extras.map((episode) => renderEpisode(episode, null, placements, compareTo)).join("");
+            seasons.push(`<li><details><summary>${escapeHtml(Messages.SeriesStructurePreviewExtras)}<span class="seriesStructurePreview-badge">${escapeHtml(Messages.SeriesStructurePreviewEpisodeCount.replace("<count>", show.Extras.length))}</span></summary><ul>${extras}</ul></details></li>`);
+        }
+        const standalone = show.IsStandalone ? `<span class="seriesStructurePreview-badge">${escapeHtml(Messages.SeriesStructurePreviewStandalone)}</span>` : "";
+        return `<div class="seriesStructurePreview-show"><h3>${escapeHtml(show.Title)}${standalone}</h3><ul>${seasons.join("")}</ul></div>`;
+    };
+
+    /**
+     * @param {string} title
+     * @param {import("./Common.js").SeriesStructurePreviewShow[]} shows
+     * @param {Map<string, string>} placements
+     * @param {Map<string, string> | null} compareTo
+     * @param {string} [note]
+     * @returns {string}
+     */
+    const renderColumn = (title, shows, placements, compareTo, note = "") => [
+        `<div class="seriesStructurePreview-column">`,
+        `<h3>${escapeHtml(title)}</h3>`,
+        note ? `<div class="fieldDescription">${escapeHtml(note)}</div>` : "",
+        shows.length
+            ? shows.map((show) => renderShow(show, placements, compareTo)).join("")
+            : `<div class="fieldDescription">${escapeHtml(Messages.SeriesStructurePreviewEmpty)}</div>`,
+        `</div>`,
+    ].join("");
+
+    container.innerHTML = [
+        renderColumn(Messages.SeriesStructurePreviewSaved, preview.Saved, savedPlacements, null),
+        renderColumn(Messages.SeriesStructurePreviewUnsaved, preview.Preview, unsavedPlacements, savedPlacements, isUnchanged ? Messages.SeriesStructurePreviewUnchanged : ""),
+    ].join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * The settings used by the tag preview.
+ */
+const TagPreviewPaths = [
+    "HideUnverifiedTags",
+    "TagSources",
+    "TagIncludeFilters",
+    "TagMinimumWeight",
+    "TagMaximumDepth",
+    "TagExcludeList",
+    "GenreSources",
+    "GenreIncludeFilters",
+    "GenreMinimumWeight",
+    "GenreMaximumDepth",
+    "GenreExcludeList",
+];
+
+/**
+ * Schedule a refresh of the tag preview for the selected series, so quick
+ * successive changes only result in a single request.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {number} [delay] - How long to wait before refreshing, in milliseconds.
+ */
+function scheduleTagPreview(form, delay = 500) {
+    if (tagPreviewTimeout) {
+        clearTimeout(tagPreviewTimeout);
+    }
+
+    const timeout = tagPreviewTimeout = setTimeout(async () => {
+        const seriesId = form.querySelector("#TagPreviewSeries").value;
+        if (!seriesId) {
+            tagPreviewTimeout = null;
+            tagPreview = null;
+            renderTagPreview(form);
+            return;
+        }
+
+        // Preview the unsaved tag settings in the form. The exclusion lists are
+        // read by hand, since applying them would also reformat the chips the
+        // user just added.
+        const fields = SettingsSchema.metadata.filter((field) => TagPreviewPaths.includes(field.path));
+        const config = JSON.parse(JSON.stringify(State.config));
+        applyFieldsToConfig(form, fields.filter((field) => field.type !== "tag-list"), config);
+        for (const field of fields.filter((field) => field.type === "tag-list")) {
+            setConfigValue(config, field.path, field.toConfig(form.querySelector(`#${field.id}`).value));
+        }
+
+        /** @type {import("./Common.js").TagFilterPreviewConfiguration} */
+        const previewConfig = Object.fromEntries(TagPreviewPaths.map((path) => [path, config[path]]));
+        previewConfig.TagMaximumDepth = previewConfig.TagMaximumDepth || 0;
+        previewConfig.GenreMaximumDepth = previewConfig.GenreMaximumDepth || 0;
+
+        /** @type {import("./Common.js").TagFilterPreview | null} */
+        let preview;
+        try {
+            preview = await ShokoApiClient.previewSeriesTags(seriesId, previewConfig);
+        }
+        catch (err) {
+            console.log(err, "Got an error attempting to preview the tags.");
+            preview = null;
+        }
+
+        if (tagPreviewTimeout !== timeout) return;
+        tagPreviewTimeout = null;
+        tagPreview = preview;
+        renderTagPreview(form, !preview);
+    }, delay);
+}
+
+/**
+ * Render the last tag preview, filtered as selected in the view, or hide it if
+ * no series is selected.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {boolean} [failed] - Whether the preview failed to load.
+ */
+function renderTagPreview(form, failed = false) {
+    const container = form.querySelector("#TagPreviewContainer");
+    const summary = form.querySelector("#TagPreviewSummary");
+    const list = form.querySelector("#TagPreviewList");
+    if (failed) {
+        summary.textContent = "";
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.TagPreviewFailed}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    if (!tagPreview) {
+        summary.textContent = "";
+        list.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
 
-            await ShokoApiClient.updateSeriesConfiguration(seriesId, seriesConfig);
+    summary.innerHTML = [
+        Messages.TagPreviewTags.replace("<list>", tagPreview.Tags.length ? tagPreview.Tags.join(", ") : Messages.TagPreviewNone),
+        Messages.TagPreviewGenres.replace("<list>", tagPreview.Genres.length ? tagPreview.Genres.join(", ") : Messages.TagPreviewNone),
+    ]
+        .map((line) => `<div>${escapeHtml(line)}</div>`)
+        .join("");
+    container.removeAttribute("hidden");
+
+    const filter = form.querySelector("#TagPreviewFilter").value;
+    const entries = tagPreview.Entries.filter((entry) => {
+        const isTag = entry.Tag.Reason === "Included";
+        const isGenre = entry.Genre.Reason === "Included";
+        switch (filter) {
+            case "Used": return isTag || isGenre;
+            case "Tags": return isTag;
+            case "Genres": return isGenre;
+            case "Unused": return !isTag && !isGenre;
+            default: return true;
         }
+    });
+    if (!entries.length) {
+        list.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${tagPreview.Entries.length ? Messages.TagPreviewNoMatches : Messages.TagPreviewEmpty}</h3></div></div>`;
+        return;
     }
 
-    config.UserList = config.UserList.filter((c) => c.Token);
-
-    await ShokoApiClient.updateConfiguration(config);
-    Dashboard.processPluginConfigurationUpdateResult();
+    /**
+     * @param {string} id - The id of the select to read the weight label from.
+     * @param {string | number} weight - The weight.
+     * @returns {string}
+     */
+    const getWeightLabel = (id, weight) => form.querySelector(`#${id} option[value="${weight}"]`)?.textContent || weight.toString();
 
-    return config;
+    /**
+     * @param {import("./Common.js").TagFilterPreviewResult} result - The result.
+     * @param {import("./Common.js").TagFilterPreviewEntry} entry - The tag.
+     * @param {"Tag" | "Genre"} kind - Whether the result is for the tags or genres.
+     * @returns {string}
+     */
+    const getReasonLabel = (result, entry, kind) => {
+        const label = TagFilterReasonLabels[result.Reason] || result.Reason;
+        switch (result.Reason) {
+            case "SourceNotEnabled":
+                return label.replace("<source>", getTagSourceLabel(form, kind, result.Source));
+            case "DepthAboveMaximum":
+                return label
+                    .replace("<depth>", result.Depth)
+                    .replace("<max>", form.querySelector(`#${kind}MaximumDepth`).value);
+            case "WeightBelowMinimum":
+                return label
+                    .replace("<weight>", getWeightLabel(`${kind}MinimumWeight`, entry.Weight))
+                    .replace("<minimum>", getWeightLabel(`${kind}MinimumWeight`, form.querySelector(`#${kind}MinimumWeight`).value));
+            default:
+                return label;
+        }
+    };
+
+    list.innerHTML = entries
+        .map((entry) => {
+            const details = [
+                entry.FullName,
+                entry.IsWeightless ? Messages.TagPreviewWeightless : Messages.TagPreviewWeight.replace("<weight>", getWeightLabel("TagMinimumWeight", entry.Weight)),
+            ].join(" | ");
+            const tagResult = Messages.TagPreviewAsTag.replace("<result>", getReasonLabel(entry.Tag, entry, "Tag"));
+            const genreResult = Messages.TagPreviewAsGenre.replace("<result>", getReasonLabel(entry.Genre, entry, "Genre"));
+            return `<div class="listItem tagPreviewEntry"><div class="listItemBody three-line"><h3 class="listItemBodyText">${escapeHtml(entry.Name)}</h3><div class="listItemBodyText secondary">${escapeHtml(details)}</div><div class="listItemBodyText secondary"><span data-reason="${entry.Tag.Reason}">${escapeHtml(tagResult)}</span> | <span data-reason="${entry.Genre.Reason}">${escapeHtml(genreResult)}</span></div></div></div>`;
+        })
+        .join("");
 }
 
 /**
- * Remove a user from the configuration.
+ * Get the label of a tag source as shown in the view.
  *
  * @param {HTMLFormElement} form - The form element.
- * @returns {Promise<PluginConfiguration>} The updated plugin configuration.
+ * @param {"Tag" | "Genre"} kind - Whether to use the tag or genre sources.
+ * @param {string} source - The tag source.
+ * @returns {string} The label of the tag source.
  */
-async function removeUserConfig(form) {
-    const config = State.config || await ShokoApiClient.getConfiguration();
-    const userId = form.querySelector("#UserSelector").value;
-    if (!userId) return config;
+function getTagSourceLabel(form, kind, source) {
+    return form.querySelector(`#${kind}Sources [data-option="${source}"]`)?.closest(".listItem").querySelector(".listItemBodyText").textContent || source;
+}
 
-    const index = config.UserList.findIndex(c => userId === c.UserId);
-    if (index !== -1) {
-        config.UserList.splice(index, 1);
+/**
+ * Turn the tag and genre exclusion lists into chip inputs, suggesting the
+ * tags known to Shoko.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ */
+function overrideTagListInputs(form) {
+    for (const field of SettingsSchema.metadata.filter((field) => field.type === "tag-list")) {
+        const kind = field.id.startsWith("Genre") ? "Genre" : "Tag";
+        overrideChipInput(form.querySelector(`#${field.id}`), {
+            getSuggestions(query, values) {
+                if (!tagList) return [];
+
+                const lowerQuery = query.toLowerCase();
+                const lowerValues = values.map((value) => value.toLowerCase());
+                return Array.from(tagList.entries())
+                    .filter(([name]) => name.includes(lowerQuery) && !lowerValues.includes(name))
+                    // Prefer names starting with the query, then the most used tags.
+                    .sort(([nameA, tagA], [nameB, tagB]) => Number(nameB.startsWith(lowerQuery)) - Number(nameA.startsWith(lowerQuery)) || (tagB.SeriesCount || 0) - (tagA.SeriesCount || 0))
+                    .map(([, tag]) => ({
+                        value: tag.Name,
+                        detail: [
+                            tag.Sources.map((source) => getTagSourceLabel(form, kind, source)).join(", "),
+                            tag.SeriesCount !== null ? Messages.TagListSeriesCount.replace("<count>", tag.SeriesCount) : "",
+                        ].filter(s => s).join(" | "),
+                    }));
+            },
+            describeChip(value) {
+                // Don't flag anything until we know which tags exist.
+                if (!tagList) return {};
+
+                const tag = tagList.get(value.toLowerCase());
+                if (!tag) return { unknown: true, title: Messages.TagListUnknown };
+
+                return {
+                    detail: tag.SeriesCount !== null ? tag.SeriesCount.toString() : "",
+                    title: [
+                        tag.SeriesCount !== null ? Messages.TagListSeriesCount.replace("<count>", tag.SeriesCount) : "",
+                        tag.Sources.length
+                            ? Messages.TagListSources.replace("<sources>", tag.Sources.map((source) => getTagSourceLabel(form, kind, source)).join(", "))
+                            : Messages.TagListNoSources,
+                    ].filter(s => s).join("\n"),
+                };
+            },
+        });
     }
-
-    await ShokoApiClient.updateConfiguration(config);
-    Dashboard.processPluginConfigurationUpdateResult();
-
-    form.querySelector("#UserSelector").value = "";
-
-    return config;
 }
 
 /**
- * Remove a library from the configuration.
+ * Load the tags known to Shoko, and update the chips in the tag and genre
+ * exclusion lists.
  *
  * @param {HTMLFormElement} form - The form element.
- * @returns {Promise<PluginConfiguration>} The updated plugin configuration.
+ * @returns {Promise<void>}
  */
-async function removeLibraryConfig(form) {
-    const config = State.config || await ShokoApiClient.getConfiguration();
-    const libraryId = form.querySelector("#MediaFolderSelector").value;
-    if (!libraryId) return config;
-
-    let index = config.MediaFolders.findIndex((m) => m.LibraryId === libraryId);
-    while (index !== -1) {
-        config.MediaFolders.splice(index, 1);
-        index = config.MediaFolders.findIndex((m) => m.LibraryId === libraryId);
+async function loadTagList(form) {
+    tagListLoading = true;
+    try {
+        const tags = await ShokoApiClient.getTagList();
+        tagList = new Map(tags.map((tag) => [tag.Name.toLowerCase(), tag]));
+    }
+    catch (error) {
+        console.log(error, "Got an error attempting to load the tag list.");
+        return;
+    }
+    finally {
+        tagListLoading = false;
     }
 
-    const libraries = config.MediaFolders
-        .reduce((acc, mediaFolder) => {
-            if (mediaFolder.IsVirtualRoot)
-                return acc;
-
-            if (acc.find((m) => m.LibraryId === mediaFolder.LibraryId))
-                return acc;
-
-            acc.push(mediaFolder);
-            return acc;
-        }, []);
-    form.querySelector("#MediaFolderSelector").value = "";
-    form.querySelector("#MediaFolderSelector").innerHTML = `<option value="">Click here to select a library</option>` + libraries
-                    .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}</option>`)
-                    .join("");
-    form.querySelector("#SignalRMediaFolderSelector").innerHTML = `<option value="">Click here to select a library</option>` + libraries
-                    .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}</option>`)
-                    .join("");
-
-    await ShokoApiClient.updateConfiguration(config);
-    Dashboard.processPluginConfigurationUpdateResult();
-
-    return config;
+    for (const field of SettingsSchema.metadata.filter((field) => field.type === "tag-list")) {
+        renderChipInput(form.querySelector(`#${field.id}`));
+    }
 }
 
 /**
@@ -1423,8 +3929,515 @@ async function toggleExpertMode(expertMode = false, debugMode = false) {
 
 //#endregion
 
+//#region Settings Search
+
+/**
+ * A searchable setting or section.
+ *
+ * @typedef {Object} SettingsSearchEntry
+ * @property {HTMLElement} container The container of the setting, or the section itself.
+ * @property {import("./Common.js").TabType} tab The tab the setting is shown in.
+ * @property {string} section The title of the section the setting is in.
+ * @property {string} label The label of the setting.
+ * @property {string} description The description of the setting.
+ */
+
+/**
+ * Index the labels and descriptions of the settings in all sections.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {SettingsSearchEntry[]} The searchable settings.
+ */
+function buildSettingsSearchIndex(form) {
+    /** @type {SettingsSearchEntry[]} */
+    const entries = [];
+    for (const sectionName of Sections) {
+        const container = form.querySelector(`#${sectionName}_Section`);
+        const section = container.querySelector("legend").textContent.trim();
+        const tab = SectionTabs[sectionName];
+        entries.push({ container, tab, section, label: section, description: "" });
+
+        for (const field of container.querySelectorAll(TrackedFieldSelector)) {
+            // Skip the fields in the alternate title template and any fields
+            // nested within other fields.
+            if (field.closest("#TitleAlternateListContainer") || field.parentElement.closest(TrackedFieldSelector)) continue;
+
+            const labelElement = field.querySelector(".checkboxListLabel, .selectLabel, .inputLabel, .checkboxLabel, label > span");
+            const inputWithLabel = field.querySelector("[label]");
+            const label = (labelElement ? labelElement.textContent : inputWithLabel ? inputWithLabel.getAttribute("label") : "").trim();
+            if (!label) continue;
+
+            const descriptionElement = field.querySelector(".fieldDescription");
+            const description = descriptionElement ? descriptionElement.textContent.replace(/\s+/g, " ").trim() : "";
+            entries.push({ container: field, tab, section, label, description });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Check if a searchable setting can be shown in the current mode.
+ *
+ * @param {SettingsSearchEntry} entry - The searchable setting.
+ * @param {import("./Common.js").ShokoTab[]} tabs - The visible tabs.
+ * @returns {boolean} True if the setting can be shown.
+ */
+function isSettingsSearchEntryVisible(entry, tabs) {
+    if (!tabs.some((tab) => tab.id === entry.tab))
+        return false;
+    if (!State.advancedMode && entry.container.closest(".advanced-only"))
+        return false;
+    if (!State.debugMode && entry.container.closest(".debug-only"))
+        return false;
+    return true;
+}
+
+/**
+ * Search the settings and render the matches below the search box. Matches in
+ * the label are listed before matches in the description or section title.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {string} query - The search query.
+ */
+function renderSettingsSearchResults(form, query) {
+    const container = form.querySelector("#SettingsSearchResults");
+    const terms = query.toLowerCase().split(" ").filter(s => s);
+    if (!terms.length) {
+        container.innerHTML = "";
+        container.setAttribute("hidden", "");
+        return;
+    }
+
+    if (!settingsSearchIndex) {
+        settingsSearchIndex = buildSettingsSearchIndex(form);
+    }
+
+    const tabs = getVisibleTabs();
+    const results = settingsSearchIndex
+        .map((entry, index) => {
+            const label = entry.label.toLowerCase();
+            const text = `${label} ${entry.description.toLowerCase()} ${entry.section.toLowerCase()}`;
+            const rank = terms.every((term) => label.includes(term)) ? 0 : terms.every((term) => text.includes(term)) ? 1 : -1;
+            return { entry, index, rank };
+        })
+        .filter(({ entry, rank }) => rank !== -1 && isSettingsSearchEntryVisible(entry, tabs))
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, 25);
+
+    if (!results.length) {
+        container.innerHTML = `<div class="listItem"><div class="listItemBody"><h3 class="listItemBodyText">${Messages.SettingsSearchNoResults}</h3></div></div>`;
+        container.removeAttribute("hidden");
+        return;
+    }
+
+    container.innerHTML = results
+        .map(({ entry, index }) => {
+            const tab = tabs.find((tab) => tab.id === entry.tab);
+            const location = Messages.SettingsSearchLocation.replace("<tab>", tab.name).replace("<section>", entry.section);
+            return `<button type="button" is="emby-button" class="listItem listItem-button" data-search-index="${index}"><div class="listItemBody two-line"><h3 class="listItemBodyText">${escapeHtml(entry.label)}</h3><div class="listItemBodyText secondary">${escapeHtml(location)}</div></div></button>`;
+        })
+        .join("");
+    container.removeAttribute("hidden");
+}
+
+/**
+ * Switch to the tab of the searchable setting, then scroll to and highlight
+ * it.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @param {SettingsSearchEntry} entry - The searchable setting.
+ * @returns {Promise<void>}
+ */
+async function jumpToSettingsSearchEntry(view, form, entry) {
+    form.querySelector("#SettingsSearch").value = "";
+    renderSettingsSearchResults(form, "");
+
+    if (entry.tab !== State.currentTab) {
+        Dashboard.showLoadingMsg();
+        await switchTab(view, form, entry.tab);
+        Dashboard.hideLoadingMsg();
+    }
+
+    // The setting may be inside a container that is only shown in some
+    // cases, e.g. after selecting a library or user, so fall back to the
+    // closest visible parent.
+    let target = entry.container;
+    let hidden;
+    while ((hidden = target.closest("[hidden]"))) {
+        target = hidden.parentElement;
+    }
+
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    target.classList.remove("search-highlight");
+    void target.offsetWidth;
+    target.classList.add("search-highlight");
+    target.addEventListener("animationend", () => target.classList.remove("search-highlight"), { once: true });
+
+    const input = target.querySelector("input:not([type=\"hidden\"]):not([hidden]):not([disabled]), select:not([disabled]), textarea:not([disabled])");
+    if (input) {
+        input.focus({ preventScroll: true });
+    }
+}
+
+//#endregion
+
+//#region Validation
+
+/**
+ * Validate the fields on the current tab and show the errors inline.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {boolean} Whether all fields are valid.
+ */
+function validateForm(form) {
+    /** @type {HTMLElement | null} */
+    let firstInvalid = null;
+    for (const field of SettingsSchema[State.currentTab] || []) {
+        if (!field.validate) continue;
+
+        const input = form.querySelector(`#${field.id}`);
+        const error = field.validate(input.value, form);
+        setFieldError(input.closest(".inputContainer"), error);
+        if (error && !firstInvalid) {
+            // Focus the entry of chip inputs, since the input itself is hidden.
+            firstInvalid = input.hidden && input.nextElementSibling?.querySelector("input") || input;
+        }
+    }
+
+    if (firstInvalid) {
+        firstInvalid.focus();
+        Dashboard.alert(Messages.ValidationFailed);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Show or clear the inline error for a field.
+ *
+ * @param {HTMLElement} container - The container of the field.
+ * @param {string | null} error - The error message, or null to clear it.
+ */
+function setFieldError(container, error) {
+    let element = container.querySelector(".fieldError");
+    if (!error) {
+        container.classList.remove("field-invalid");
+        container.querySelector("input")?.removeAttribute("aria-invalid");
+        element?.setAttribute("hidden", "");
+        return;
+    }
+
+    if (!element) {
+        element = document.createElement("div");
+        element.className = "fieldDescription fieldError";
+        element.setAttribute("role", "alert");
+        container.insertBefore(element, container.querySelector(".fieldDescription"));
+    }
+    element.textContent = error;
+    element.removeAttribute("hidden");
+    container.classList.add("field-invalid");
+    container.querySelector("input")?.setAttribute("aria-invalid", "true");
+}
+
+/**
+ * Map the errors from a `ValidationProblemDetails` response back onto the
+ * matching fields. Errors for fields not on the current tab are shown in an
+ * alert instead.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {any} err - The error thrown while saving.
+ * @returns {Promise<boolean>} Whether the error was a validation error.
+ */
+async function applyServerValidationErrors(form, err) {
+    if (!(err instanceof Response) || err.status !== 400)
+        return false;
+
+    let errors;
+    try {
+        ({ errors } = await err.json());
+    }
+    catch (jsonErr) {
+        return false;
+    }
+    if (!errors)
+        return false;
+
+    const fields = SettingsSchema[State.currentTab] || [];
+    const unmapped = [];
+    let handled = false;
+    for (const [key, messages] of Object.entries(errors)) {
+        // Keys are either property paths or JSON paths, e.g. "$.Image.Default.PosterList[0]".
+        const path = key.replace(/^\$\.?/, "").replace(/\[\d+\]/g, "").toLowerCase();
+        const field = fields.find((f) => f.path.toLowerCase() === path || f.orderPath?.toLowerCase() === path);
+        const container = field && form.querySelector(`#${field.id}`).closest(".inputContainer");
+        if (container) {
+            setFieldError(container, messages.join(" "));
+            handled = true;
+        }
+        else {
+            unmapped.push(...messages);
+        }
+    }
+
+    if (unmapped.length) {
+        Dashboard.alert(Messages.ValidationServerFailed.replace("<errors>", unmapped.join(" ")));
+    }
+    else if (handled) {
+        Dashboard.alert(Messages.ValidationFailed);
+    }
+    return true;
+}
+
+/**
+ * Validate a whole number within the bounds of the field.
+ *
+ * @param {string} value - The raw input value.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {string | null} The error message, if any.
+ * @this {SettingsField}
+ */
+function validateNumber(value, form) {
+    const { min = 0, max } = this;
+    const trimmed = value.trim();
+    if (!/^-?\d+$/.test(trimmed))
+        return Messages.ValidationWholeNumber;
+
+    const number = parseInt(trimmed, 10);
+    if (number < min || (max !== undefined && number > max))
+        return max !== undefined
+            ? Messages.ValidationNumberRange.replace("<min>", min).replace("<max>", max)
+            : Messages.ValidationNumberMin.replace("<min>", min);
+    return null;
+}
+
+/**
+ * Validate the SignalR reconnect intervals.
+ *
+ * @param {string} value - The raw input value.
+ * @returns {string | null} The error message, if any.
+ */
+function validateReconnectIntervals(value) {
+    if (!value.trim())
+        return null;
+
+    const invalid = value
+        .split(",")
+        .map(str => str.trim())
+        .filter(str => !/^\d+$/.test(str) || parseInt(str, 10) === 0);
+    if (invalid.length)
+        return Messages.ValidationReconnectIntervals.replace("<values>", invalid.map(str => `"${str}"`).join(", "));
+    return null;
+}
+
+/**
+ * Validate a comma separated list, rejecting empty and duplicate entries.
+ *
+ * @param {string} value - The raw input value.
+ * @returns {string | null} The error message, if any.
+ */
+function validateCommaList(value) {
+    if (!value.trim())
+        return null;
+
+    const entries = value.split(",").map(str => str.trim().toLowerCase());
+    if (entries.some(str => !str))
+        return Messages.ValidationEmptyEntry;
+
+    const duplicates = new Set(entries.filter((str, index) => entries.indexOf(str) !== index));
+    if (duplicates.size)
+        return Messages.ValidationDuplicateEntries.replace("<values>", Array.from(duplicates).join(", "));
+    return null;
+}
+
+/**
+ * Validate a comma separated list of folder names.
+ *
+ * @param {string} value - The raw input value.
+ * @returns {string | null} The error message, if any.
+ */
+function validateFolderNames(value) {
+    const error = validateCommaList(value);
+    if (error)
+        return error;
+
+    const invalid = value.split(",").map(str => str.trim()).filter(str => /[\\/]/.test(str));
+    if (invalid.length)
+        return Messages.ValidationFolderNames.replace("<values>", invalid.join(", "));
+    return null;
+}
+
+/**
+ * Validate the custom VFS root location.
+ *
+ * @param {string} value - The raw input value.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {string | null} The error message, if any.
+ */
+function validateCustomLocation(value, form) {
+    if (form.querySelector("#VFS_Location").value === "Custom" && !value.trim())
+        return Messages.ValidationCustomLocation;
+    return null;
+}
+
+//#endregion
+
+//#region Unsaved Changes
+
+/**
+ * Get the current state of a tracked field container, including the order of
+ * any sortable options.
+ *
+ * @param {HTMLElement} container - The field container.
+ * @returns {string} The serialized state.
+ */
+function getFieldState(container) {
+    return JSON.stringify(
+        Array.from(container.querySelectorAll("input, select, textarea"))
+            .filter((input) => !input.closest("[data-untracked]"))
+            .map((input) => [input.dataset.option || input.id, input.type === "checkbox" ? input.checked : input.value])
+    );
+}
+
+/**
+ * Record the current state of the tracked fields within the given element as
+ * their unchanged state.
+ *
+ * @param {HTMLElement} root - The element containing the fields.
+ */
+function snapshotFields(root) {
+    for (const container of root.querySelectorAll(TrackedFieldSelector)) {
+        fieldBaselines.set(container, getFieldState(container));
+    }
+}
+
+/**
+ * Mark the configuration as saved on the server, and reset the unsaved
+ * changes.
+ *
+ * @param {HTMLFormElement} form - The form element.
+ * @param {import("./Common.js").PluginConfiguration} config - The saved plugin configuration.
+ * @returns {import("./Common.js").PluginConfiguration} The saved plugin configuration.
+ */
+function markConfigAsSaved(form, config) {
+    State.savedConfig = JSON.stringify(config);
+    State.dirtyTabs = [];
+    snapshotFields(form);
+    return config;
+}
+
+/**
+ * Serialize the configuration for comparison, ignoring users which have not
+ * been linked or edited yet.
+ *
+ * @param {import("./Common.js").PluginConfiguration} config - The plugin configuration.
+ * @returns {string} The serialized configuration.
+ */
+function serializeConfigForComparison(config) {
+    return JSON.stringify({ ...config, UserList: config.UserList.filter((c) => c.Token || c.Username) });
+}
+
+/**
+ * Mark the changed fields in the form and the tab if it has unsaved changes.
+ *
+ * @param {HTMLDivElement} view - The view element.
+ * @param {HTMLFormElement} form - The form element.
+ * @returns {boolean} True if the current tab has unsaved changes.
+ */
+function updateDirtyState(view, form) {
+    if (!State.savedConfig) return false;
+
+    let hasChangedFields = false;
+    for (const container of form.querySelectorAll(TrackedFieldSelector)) {
+        if (container.closest("[data-untracked]")) continue;
+
+        const baseline = fieldBaselines.get(container);
+        const isChanged = baseline !== undefined && baseline !== getFieldState(container);
+        if (isChanged) {
+            container.classList.add("field-dirty");
+            if (!container.closest("fieldset[hidden]")) {
+                hasChangedFields = true;
+            }
+        }
+        else {
+            container.classList.remove("field-dirty");
+        }
+    }
+
+    // Apply the form on top of the saved configuration, so only changes made
+    // in the current tab are detected.
+    const savedConfig = JSON.parse(State.savedConfig);
+    const currentConfig = JSON.parse(State.savedConfig);
+    applyFormToConfig(form, currentConfig);
+
+    const isDirty = hasChangedFields || serializeConfigForComparison(currentConfig) !== serializeConfigForComparison(savedConfig);
+    const wasDirty = State.dirtyTabs.includes(State.currentTab);
+    if (isDirty !== wasDirty) {
+        State.dirtyTabs = isDirty
+            ? [...State.dirtyTabs, State.currentTab]
+            : State.dirtyTabs.filter((tab) => tab !== State.currentTab);
+        updateTabs(view);
+    }
+
+    return isDirty;
+}
+
+//#endregion
+
 //#region Helpers
 
+/**
+ * Get a value from a configuration object.
+ * @param {object} source - The configuration object.
+ * @param {string} path - Dot separated path to the value.
+ * @returns {any} The value, or undefined if any part of the path is missing.
+ */
+function getConfigValue(source, path) {
+    return path.split(".").reduce((obj, key) => obj == null ? undefined : obj[key], source);
+}
+
+/**
+ * Set a value in a configuration object.
+ * @param {object} target - The configuration object.
+ * @param {string} path - Dot separated path to the value.
+ * @param {any} value - The value to set.
+ */
+function setConfigValue(target, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    keys.reduce((obj, key) => obj[key], target)[last] = value;
+}
+
+/**
+ * Split a stringified flags value into a list of flags.
+ * @param {string} value - Comma separated flags.
+ * @returns {string[]} The flags.
+ */
+function splitFlags(value) {
+    return (value || "").split(",").map(s => s.trim()).filter(s => s);
+}
+
+/**
+ * Join a list of flags into a stringified flags value.
+ * @param {string[]} list - The flags.
+ * @returns {string} Comma separated flags.
+ */
+function joinFlags(list) {
+    return list.join(", ");
+}
+
+/**
+ * Enable or disable the user settings depending on whether synchronization is
+ * enabled for the user.
+ * @param {HTMLFormElement} form - The form element.
+ */
+function updateUserSynchronizationFields(form) {
+    const disabled = !form.querySelector("#UserEnableSynchronization").checked;
+    for (const field of UserSettingsSchema.slice(1)) {
+        form.querySelector(`#${field.id}`).disabled = disabled;
+    }
+}
+
 /**
  * Filter out duplicate values and sanitize list.
  * @param {string} value - Stringified list of values to filter.
@@ -1445,6 +4458,24 @@ function filterIgnoredFolders(value) {
     return Array.from(filteredSet);
 }
 
+/**
+ * Format a duration for display, e.g. "1d 2h 3m 4s".
+ * @param {number} milliseconds - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(milliseconds) {
+    let seconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const parts = [];
+    for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+        if (seconds >= size || parts.length) {
+            parts.push(`${Math.floor(seconds / size)}${unit}`);
+            seconds %= size;
+        }
+    }
+    parts.push(`${seconds}s`);
+    return parts.join(" ");
+}
+
 /**
  * Filter out non-integer values and sanitize list.
  * @param {string} value - Stringified list of values to filter.
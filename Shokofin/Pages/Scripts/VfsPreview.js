@@ -0,0 +1,87 @@
+export default function (view) {
+let show = false;
+let hide = false;
+view.addEventListener("viewshow", () => show = true);
+view.addEventListener("viewhide", () => hide = true);
+
+/**
+ * @type {import("./Common.js").ApiClientPrototype}
+ */
+const ApiClient = globalThis.ApiClient;
+
+/**
+ * @type {import("./Common.js").DashboardPrototype}
+ */
+const Dashboard = globalThis.Dashboard;
+
+/**
+ * @type {Promise<import("./Common.js")>}
+ */
+const promise = import(ApiClient.getUrl("/web/" + Dashboard.getPluginUrl("Shoko.Common.js")));
+promise.then(({ State, createControllerFactory, handleError, localizeMessages, previewVfs }) => {
+
+//#region Constants
+
+const Messages = localizeMessages("VfsPreview", {
+    SelectLibrary: "Click here to select a library",
+});
+
+//#endregion
+
+//#region Controller Logic
+
+createControllerFactory({
+    show,
+    hide,
+    initialTab: "utilities",
+    events: {
+        onInit() {
+            const form = this.querySelector("form");
+
+            form.querySelector("#ShowUnchanged").addEventListener("change", function () {
+                if (this.checked) {
+                    form.querySelector("#PreviewTree").classList.add("show-unchanged");
+                }
+                else {
+                    form.querySelector("#PreviewTree").classList.remove("show-unchanged");
+                }
+            });
+
+            form.addEventListener("submit", function (event) {
+                event.preventDefault();
+                Dashboard.showLoadingMsg();
+                previewVfs(form.querySelector("#PreviewContainer"), form.querySelector("#LibrarySelector").value)
+                    .then(() => Dashboard.hideLoadingMsg())
+                    .catch(handleError);
+                return false;
+            });
+        },
+
+        onShow() {
+            const form = this.querySelector("form");
+            const libraryId = form.querySelector("#LibrarySelector").value;
+            const libraries = State.config.MediaFolders
+                .reduce((acc, mediaFolder) => {
+                    if (mediaFolder.IsVirtualRoot || mediaFolder.LibraryOperationMode !== "VFS")
+                        return acc;
+
+                    if (acc.find((m) => m.LibraryId === mediaFolder.LibraryId))
+                        return acc;
+
+                    acc.push(mediaFolder);
+                    return acc;
+                }, []);
+
+            form.querySelector("#LibrarySelector").innerHTML = `<option value="">${Messages.SelectLibrary}</option>` + libraries
+                .map((library) => `<option value="${library.LibraryId}">${library.LibraryName}${State.advancedMode ? ` (${library.LibraryId})` : ""}</option>`)
+                .join("");
+            if (libraries.some((library) => library.LibraryId === libraryId)) {
+                form.querySelector("#LibrarySelector").value = libraryId;
+            }
+        },
+    },
+})(view);
+
+//#endregion
+
+}); }
@@ -374,9 +374,33 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages {
                 MenuSection = "Shoko",
             },
             new() {
-                Name = "Shoko.Utilities.Dummy",
-                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Dummy.html",
-                DisplayName = "Shoko - Dummy",
+                Name = "Shoko.Utilities.VFS",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.VfsPreview.html",
+                DisplayName = "Shoko - VFS Preview",
+                MenuSection = "Shoko",
+            },
+            new() {
+                Name = "Shoko.Utilities.Series",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.SeriesLookup.html",
+                DisplayName = "Shoko - Series Lookup",
+                MenuSection = "Shoko",
+            },
+            new() {
+                Name = "Shoko.Utilities.Cache",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.ClearCache.html",
+                DisplayName = "Shoko - Clear Plugin Cache",
+                MenuSection = "Shoko",
+            },
+            new() {
+                Name = "Shoko.Utilities.Connection",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.ConnectionDiagnostics.html",
+                DisplayName = "Shoko - Connection Diagnostics",
+                MenuSection = "Shoko",
+            },
+            new() {
+                Name = "Shoko.Utilities.Backup",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.ConfigBackup.html",
+                DisplayName = "Shoko - Export & Import Settings",
                 MenuSection = "Shoko",
             },
 
@@ -390,9 +414,43 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages {
                 EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.Settings.js",
             },
             new() {
-                Name = "Shoko.Utilities.Dummy.js",
-                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.Dummy.js",
+                Name = "Shoko.Utilities.VFS.js",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.VfsPreview.js",
             },
+            new() {
+                Name = "Shoko.Utilities.Series.js",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.SeriesLookup.js",
+            },
+            new() {
+                Name = "Shoko.Utilities.Cache.js",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.ClearCache.js",
+            },
+            new() {
+                Name = "Shoko.Utilities.Connection.js",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.ConnectionDiagnostics.js",
+            },
+            new() {
+                Name = "Shoko.Utilities.Backup.js",
+                EmbeddedResourcePath = $"{GetType().Namespace}.Pages.Scripts.ConfigBackup.js",
+            },
+
+            // Localization
+            .. GetLocalizationPages(),
         ];
     }
+
+    /// <summary>
+    /// Get the string catalogs embedded in the plugin, one per UI culture,
+    /// exposed as <c>Shoko.Localization.&lt;culture&gt;.json</c>.
+    /// </summary>
+    /// <returns>The string catalog pages.</returns>
+    private IEnumerable<PluginPageInfo> GetLocalizationPages() {
+        var prefix = $"{GetType().Namespace}.Pages.Localization.";
+        return GetType().Assembly.GetManifestResourceNames()
+            .Where(name => name.StartsWith(prefix, StringComparison.Ordinal) && name.EndsWith(".json", StringComparison.Ordinal))
+            .Select(name => new PluginPageInfo {
+                Name = $"Shoko.Localization.{name[prefix.Length..]}",
+                EmbeddedResourcePath = name,
+            });
+    }
 }
@@ -0,0 +1,83 @@
+using System;
+using System.Text.Json.Serialization;
+using Shokofin.Events.Interfaces;
+
+namespace Shokofin.SignalR.Models;
+
+/// <summary>
+/// An entry in the log of recently received SignalR events.
+/// </summary>
+public class SignalREventLogEntry {
+    /// <summary>
+    /// Sequential id of the entry, used to only fetch newer entries.
+    /// </summary>
+    public required long Id { get; init; }
+
+    /// <summary>
+    /// When the event was received.
+    /// </summary>
+    public required DateTime Timestamp { get; init; }
+
+    /// <summary>
+    /// The type of event received.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SignalREventType Type { get; init; }
+
+    /// <summary>
+    /// The metadata provider the event originated from, if it's a metadata
+    /// event.
+    /// </summary>
+    public ProviderName? Provider { get; init; }
+
+    /// <summary>
+    /// A short human readable summary of the event.
+    /// </summary>
+    public required string Summary { get; init; }
+
+    /// <summary>
+    /// What the plugin did with the event.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SignalREventOutcome Outcome { get; init; }
+}
+
+/// <summary>
+/// The type of a received SignalR event.
+/// </summary>
+public enum SignalREventType {
+    FileMatched = 0,
+    FileDeleted = 1,
+    FileMoved = 2,
+    FileRenamed = 3,
+    ReleaseSaved = 4,
+    EpisodeInfoUpdated = 5,
+    SeriesInfoUpdated = 6,
+    MovieInfoUpdated = 7,
+}
+
+/// <summary>
+/// What the plugin did with a received SignalR event.
+/// </summary>
+public enum SignalREventOutcome {
+    /// <summary>
+    /// The event was dispatched to the event dispatch service.
+    /// </summary>
+    Dispatched = 0,
+
+    /// <summary>
+    /// The event was skipped because the provider is not enabled in the
+    /// plugin settings.
+    /// </summary>
+    ProviderDisabled = 1,
+
+    /// <summary>
+    /// The event was skipped because a library scan was running.
+    /// </summary>
+    LibraryScanRunning = 2,
+
+    /// <summary>
+    /// The event was skipped because the file could not be found in Shoko.
+    /// </summary>
+    FileNotFound = 3,
+}
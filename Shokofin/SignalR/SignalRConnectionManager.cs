@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
 using Jellyfin.Data.Enums;
@@ -19,6 +20,8 @@ namespace Shokofin.SignalR;
 public class SignalRConnectionManager {
     private const string HubUrl = "/signalr/aggregate?feeds=shoko,metadata,file,release";
 
+    private const int MaxEventLogSize = 250;
+
     private readonly ILogger<SignalRConnectionManager> Logger;
 
     private readonly ShokoApiClient ApiClient;
@@ -33,6 +36,12 @@ public class SignalRConnectionManager {
 
     private string CachedKey = string.Empty;
 
+    private readonly object EventLogLock = new();
+
+    private readonly Queue<SignalREventLogEntry> EventLog = new();
+
+    private long LastEventLogId = 0;
+
 #pragma warning disable CA1822
     public bool IsUsable => CanConnect(Plugin.Instance.Configuration);
 #pragma warning restore CA1822
@@ -41,6 +50,32 @@ public class SignalRConnectionManager {
 
     public HubConnectionState State => Connection == null ? HubConnectionState.Disconnected : Connection.State;
 
+    /// <summary>
+    /// When the current connection was established, if connected.
+    /// </summary>
+    public DateTime? ConnectedAt { get; private set; }
+
+    /// <summary>
+    /// The message of the last error which caused the connection to drop or
+    /// fail, if any.
+    /// </summary>
+    public string? LastError { get; private set; }
+
+    /// <summary>
+    /// When the last error occurred, if any.
+    /// </summary>
+    public DateTime? LastErrorAt { get; private set; }
+
+    /// <summary>
+    /// The current reconnect attempt, or 0 if not reconnecting.
+    /// </summary>
+    public int ReconnectAttempt { get; private set; }
+
+    /// <summary>
+    /// When the next reconnect attempt is scheduled, if reconnecting.
+    /// </summary>
+    public DateTime? NextReconnectAt { get; private set; }
+
     public SignalRConnectionManager(
         ILogger<SignalRConnectionManager> logger,
         ShokoApiClient apiClient,
@@ -66,7 +101,7 @@ public class SignalRConnectionManager {
             .AddJsonProtocol();
 
         if (config.SignalR_AutoReconnectInSeconds.Length > 0)
-            builder = builder.WithAutomaticReconnect(new SignalrRetryPolicy([.. config.SignalR_AutoReconnectInSeconds.Select(seconds => TimeSpan.FromSeconds(seconds))]));
+            builder = builder.WithAutomaticReconnect(new SignalrRetryPolicy([.. config.SignalR_AutoReconnectInSeconds.Select(seconds => TimeSpan.FromSeconds(seconds))], OnRetryScheduled));
 
         var connection = Connection = builder.Build();
 
@@ -110,39 +145,68 @@ public class SignalRConnectionManager {
         try {
             await connection.StartAsync().ConfigureAwait(false);
 
+            ConnectedAt = DateTime.UtcNow;
+            ReconnectAttempt = 0;
+            NextReconnectAt = null;
             Logger.LogInformation("Connected to Shoko Server.");
         }
         catch (Exception ex) {
             Logger.LogError(ex, "Unable to connect to Shoko Server at this time. Please reconnect manually.");
+            SetLastError(ex);
             await DisconnectAsync().ConfigureAwait(false);
         }
     }
 
     private Task OnReconnected(string? connectionId) {
         Logger.LogInformation("Reconnected to Shoko Server. (Connection={ConnectionId})", connectionId);
+        ConnectedAt = DateTime.UtcNow;
+        ReconnectAttempt = 0;
+        NextReconnectAt = null;
         return Task.CompletedTask;
     }
 
     private Task OnReconnecting(Exception? exception) {
         Logger.LogWarning(exception, "Disconnected from Shoko Server. Attempting to reconnect…");
+        ConnectedAt = null;
+        if (exception != null)
+            SetLastError(exception);
         return Task.CompletedTask;
     }
 
     private Task OnDisconnected(Exception? exception) {
+        ConnectedAt = null;
+        ReconnectAttempt = 0;
+        NextReconnectAt = null;
+
         // Graceful disconnection.
         if (exception == null)
             Logger.LogInformation("Gracefully disconnected from Shoko Server.");
-        else
+        else {
             Logger.LogWarning(exception, "Abruptly disconnected from Shoko Server.");
+            SetLastError(exception);
+        }
         return Task.CompletedTask;
     }
 
+    private void OnRetryScheduled(int attempt, TimeSpan? delay) {
+        ReconnectAttempt = delay.HasValue ? attempt : 0;
+        NextReconnectAt = delay.HasValue ? DateTime.UtcNow + delay.Value : null;
+    }
+
+    private void SetLastError(Exception exception) {
+        LastError = exception.Message;
+        LastErrorAt = DateTime.UtcNow;
+    }
+
     public async Task DisconnectAsync() {
         if (Connection == null)
             return;
 
         var connection = Connection;
         Connection = null;
+        ConnectedAt = null;
+        ReconnectAttempt = 0;
+        NextReconnectAt = null;
 
         if (connection.State != HubConnectionState.Disconnected)
             await connection.StopAsync().ConfigureAwait(false);
@@ -217,20 +281,24 @@ public class SignalRConnectionManager {
                 eventArgs.FileId,
                 eventArgs.FileLocationId
             );
+            AddToEventLog(SignalREventType.FileMatched, GetFileSummary(eventArgs), SignalREventOutcome.LibraryScanRunning);
             return;
         }
 
+        AddToEventLog(SignalREventType.FileMatched, GetFileSummary(eventArgs), SignalREventOutcome.Dispatched);
         Events.AddFileEvent(eventArgs.FileId, UpdateReason.Updated, eventArgs.ManagedFolderId, eventArgs.RelativePath, eventArgs);
     }
 
     private async Task OnReleaseSaved(IReleaseSavedEventArgs eventArgs0) {
         if (await ApiClient.GetFile(eventArgs0.FileId.ToString()).ConfigureAwait(false) is not { } file) {
             Logger.LogDebug("File not found; {VideoId}", eventArgs0.FileId);
+            AddToEventLog(SignalREventType.ReleaseSaved, $"File={eventArgs0.FileId}", SignalREventOutcome.FileNotFound);
             return;
         }
         
         if ((file.Locations.FirstOrDefault(location => location.IsAccessible) ?? file.Locations.FirstOrDefault()) is not { } fileLocation) {
             Logger.LogDebug("File location not found; {VideoId}", eventArgs0.FileId);
+            AddToEventLog(SignalREventType.ReleaseSaved, $"File={eventArgs0.FileId}", SignalREventOutcome.FileNotFound);
             return;
         }
 
@@ -250,9 +318,11 @@ public class SignalRConnectionManager {
                 eventArgs.FileId,
                 eventArgs.FileLocationId
             );
+            AddToEventLog(SignalREventType.ReleaseSaved, GetFileSummary(eventArgs), SignalREventOutcome.LibraryScanRunning);
             return;
         }
 
+        AddToEventLog(SignalREventType.ReleaseSaved, GetFileSummary(eventArgs), SignalREventOutcome.Dispatched);
         Events.AddFileEvent(eventArgs.FileId, UpdateReason.Updated, eventArgs.ManagedFolderId, eventArgs.RelativePath, eventArgs);
     }
 
@@ -268,15 +338,19 @@ public class SignalRConnectionManager {
             eventArgs.HasCrossReferences
         );
 
+        var eventType = eventArgs is FileRenamedEventArgs ? SignalREventType.FileRenamed : SignalREventType.FileMoved;
+        var summary = $"{eventArgs.PreviousRelativePath} → {eventArgs.RelativePath} (File={eventArgs.FileId})";
         if (LibraryScanWatcher.IsScanRunning) {
             Logger.LogTrace(
                 "Library scan is running. Skipping emit of file event. (File={FileId},Location={LocationId})",
                 eventArgs.FileId,
                 eventArgs.FileLocationId
             );
+            AddToEventLog(eventType, summary, SignalREventOutcome.LibraryScanRunning);
             return;
         }
 
+        AddToEventLog(eventType, summary, SignalREventOutcome.Dispatched);
         Events.AddFileEvent(eventArgs.FileId, UpdateReason.Removed, eventArgs.PreviousManagedFolderId, eventArgs.PreviousRelativePath, eventArgs);
         Events.AddFileEvent(eventArgs.FileId, UpdateReason.Added, eventArgs.ManagedFolderId, eventArgs.RelativePath, eventArgs);
     }
@@ -297,17 +371,28 @@ public class SignalRConnectionManager {
                 eventArgs.FileId,
                 eventArgs.FileLocationId
             );
+            AddToEventLog(SignalREventType.FileDeleted, GetFileSummary(eventArgs), SignalREventOutcome.LibraryScanRunning);
             return;
         }
 
+        AddToEventLog(SignalREventType.FileDeleted, GetFileSummary(eventArgs), SignalREventOutcome.Dispatched);
         Events.AddFileEvent(eventArgs.FileId, UpdateReason.Removed, eventArgs.ManagedFolderId, eventArgs.RelativePath, eventArgs);
     }
 
+    private static string GetFileSummary(IFileEventArgs eventArgs)
+        => $"{eventArgs.RelativePath} (File={eventArgs.FileId})";
+
     #endregion
 
     #region Refresh Events
 
     private void OnInfoUpdated(IMetadataUpdatedEventArgs eventArgs) {
+        var eventType = eventArgs.Kind switch {
+            BaseItemKind.Episode => SignalREventType.EpisodeInfoUpdated,
+            BaseItemKind.Movie => SignalREventType.MovieInfoUpdated,
+            _ => SignalREventType.SeriesInfoUpdated,
+        };
+        var summary = $"{eventArgs.ProviderName} {eventArgs.Kind} {eventArgs.ProviderId} {eventArgs.Reason} (Series={eventArgs.SeriesIds.Select(id => id.ToString()).Join(',')})";
         if (!Plugin.Instance.Configuration.SignalR_EventSources.Contains(eventArgs.ProviderName)) {
             Logger.LogTrace(
                 "{ProviderName} {MetadataType} {ProviderId} ({ProviderParentId}) skipped event with {UpdateReason}; provider is not enabled in the plugin settings. (Episode={EpisodeId},Series={SeriesId})",
@@ -319,6 +404,7 @@ public class SignalRConnectionManager {
                 eventArgs.EpisodeIds,
                 eventArgs.SeriesIds
             );
+            AddToEventLog(eventType, summary, SignalREventOutcome.ProviderDisabled, eventArgs.ProviderName);
             return;
         }
 
@@ -339,9 +425,11 @@ public class SignalRConnectionManager {
                 eventArgs.EpisodeIds,
                 eventArgs.SeriesIds
             );
+            AddToEventLog(eventType, summary, SignalREventOutcome.LibraryScanRunning, eventArgs.ProviderName);
             return;
         }
 
+        AddToEventLog(eventType, summary, SignalREventOutcome.Dispatched, eventArgs.ProviderName);
         if (eventArgs.Kind is BaseItemKind.Episode or BaseItemKind.Series or BaseItemKind.Movie)
             Events.AddSeriesEvent(eventArgs.ProviderParentUId ?? eventArgs.ProviderUId, eventArgs);
     }
@@ -349,4 +437,33 @@ public class SignalRConnectionManager {
     #endregion
 
     #endregion
+
+    #region Event Log
+
+    /// <summary>
+    /// Get the most recently received events, oldest first.
+    /// </summary>
+    /// <param name="after">Only include entries with an id greater than this.</param>
+    /// <returns>The event log entries.</returns>
+    public IReadOnlyList<SignalREventLogEntry> GetEventLog(long after = 0) {
+        lock (EventLogLock)
+            return EventLog.Where(entry => entry.Id > after).ToList();
+    }
+
+    private void AddToEventLog(SignalREventType type, string summary, SignalREventOutcome outcome, ProviderName? provider = null) {
+        lock (EventLogLock) {
+            EventLog.Enqueue(new() {
+                Id = ++LastEventLogId,
+                Timestamp = DateTime.UtcNow,
+                Type = type,
+                Provider = provider,
+                Summary = summary,
+                Outcome = outcome,
+            });
+            while (EventLog.Count > MaxEventLogSize)
+                EventLog.Dequeue();
+        }
+    }
+
+    #endregion
 }
\ No newline at end of file
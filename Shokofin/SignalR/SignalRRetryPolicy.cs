@@ -3,13 +3,13 @@ using Microsoft.AspNetCore.SignalR.Client;
 
 namespace Shokofin.SignalR;
 
-public class SignalrRetryPolicy(TimeSpan[] delays) : IRetryPolicy
+public class SignalrRetryPolicy(TimeSpan[] delays, Action<int, TimeSpan?>? onRetryScheduled = null) : IRetryPolicy
 {
     public TimeSpan? NextRetryDelay(RetryContext retryContext)
     {
-        if (delays.Length == 0) return null;
         var count = retryContext.PreviousRetryCount;
-        var delayInSeconds = count >= delays.Length ? delays[^1] : delays[count];
+        TimeSpan? delayInSeconds = delays.Length == 0 ? null : count >= delays.Length ? delays[^1] : delays[count];
+        onRetryScheduled?.Invoke(count + 1, delayInSeconds);
         return delayInSeconds;
     }
 }
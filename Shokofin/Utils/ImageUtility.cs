@@ -184,6 +184,55 @@ public static class ImageUtility {
 
     #endregion
 
+    #region Preview
+
+    /// <summary>
+    /// Preview how the posters, logos and backdrops for a season would be
+    /// ordered using the given image configuration.
+    /// </summary>
+    /// <param name="seasonInfo">The season info.</param>
+    /// <param name="metadataLanguage">The metadata language to use.</param>
+    /// <param name="config">The image configuration to preview.</param>
+    /// <param name="cancellationToken">The cancellation token.</param>
+    /// <returns>All candidate images per image type, with their language type and their position in the automatic image search if they're not filtered out. The first available image with position 0 is the one selected.</returns>
+    public static async Task<(
+        IReadOnlyList<(API.Models.Image image, ImageLanguageType type, int? position)> posters,
+        IReadOnlyList<(API.Models.Image image, ImageLanguageType type, int? position)> logos,
+        IReadOnlyList<(API.Models.Image image, ImageLanguageType type, int? position)> backdrops
+    )> PreviewSeasonImages(SeasonInfo seasonInfo, string? metadataLanguage, ImageConfiguration config, CancellationToken cancellationToken) {
+        var images = await seasonInfo.GetImages(cancellationToken).ConfigureAwait(false);
+        var originLanguages = TextUtility.GuessOriginLanguage(seasonInfo);
+
+        // Set to english if not set to match Jellyfin's internal logic.
+        if (string.IsNullOrWhiteSpace(metadataLanguage))
+            metadataLanguage = "en";
+
+        return (
+            PreviewImages(images.Posters, ImageType.Primary, metadataLanguage, originLanguages, config, config.GetOrderedPosterTypes()),
+            PreviewImages(images.Logos, ImageType.Logo, metadataLanguage, originLanguages, config, config.GetOrderedLogoTypes()),
+            PreviewImages(images.Backdrops, ImageType.Backdrop, metadataLanguage, originLanguages, config, config.GetOrderedBackdropTypes())
+        );
+    }
+
+    private static IReadOnlyList<(API.Models.Image image, ImageLanguageType type, int? position)> PreviewImages(IReadOnlyList<API.Models.Image> images, ImageType imageType, string metadataLanguage, string[] originLanguages, ImageConfiguration config, IReadOnlyList<ImageLanguageType> orderedTypes) {
+        // Only available images are sent to Jellyfin, so skip the rest when
+        // numbering the images.
+        var orderedImages = OrderImages(images, imageType, metadataLanguage, originLanguages, orderedTypes.Count == 0, config, orderedTypes)
+            .Where(tuple => tuple.image.IsAvailable)
+            .Select((tuple, index) => (tuple.image, index))
+            .ToDictionary(tuple => tuple.image, tuple => tuple.index);
+        return images
+            .Select(image => (
+                image,
+                type: GetTypeForImage(image, metadataLanguage, originLanguages),
+                position: orderedImages.TryGetValue(image, out var index) ? index : (int?)null
+            ))
+            .OrderBy(tuple => tuple.position ?? int.MaxValue)
+            .ToList();
+    }
+
+    #endregion
+
     #region Process Images
 
     private const int Over9K = 9001;
@@ -214,17 +263,28 @@ public static class ImageUtility {
     }
 
     private static IEnumerable<RemoteImageInfo> ProcessImages(IReadOnlyList<API.Models.Image> images, ImageType imageType, string metadataLanguage, string[] originLanguages, bool displayMode, ImageConfiguration config,  IReadOnlyList<ImageLanguageType> orderedTypes) {
+        // Enable display mode if we're not going to filter the list.
+        if (!displayMode && orderedTypes.Count == 0)
+            displayMode = true;
+
+        var orderedImages = OrderImages(images, imageType, metadataLanguage, originLanguages, displayMode, config, orderedTypes);
+        var index = orderedImages.Count - 1;
+        foreach (var (image, _) in orderedImages) {
+            var remoteImage = SelectImage(image, imageType, metadataLanguage, displayMode, index);
+            if (remoteImage is not null)
+                yield return remoteImage;
+
+            index--;
+        }
+    }
+
+    private static List<(API.Models.Image image, ImageLanguageType type)> OrderImages(IReadOnlyList<API.Models.Image> images, ImageType imageType, string metadataLanguage, string[] originLanguages, bool displayMode, ImageConfiguration config, IReadOnlyList<ImageLanguageType> orderedTypes) {
         var filteredImages = images
             .Select(image => (image, type: GetTypeForImage(image, metadataLanguage, originLanguages)));
-        if (!displayMode) {
-            // Enable display mode if we're not going to filter the list.
-            if (orderedTypes.Count == 0)
-                displayMode = true;
-            // Else filter the list so we only have the images we're interested in.
-            else
-                filteredImages = filteredImages
-                    .Where(tuple => config.UsePreferred && tuple.image.IsPreferred || orderedTypes.Contains(tuple.type));
-        }
+        // Filter the list so we only have the images we're interested in.
+        if (!displayMode)
+            filteredImages = filteredImages
+                .Where(tuple => config.UsePreferred && tuple.image.IsPreferred || orderedTypes.Contains(tuple.type));
 
         var orderedImages = filteredImages
             .OrderByDescending(tuple => !config.UsePreferred || tuple.image.IsPreferred)
@@ -245,14 +305,7 @@ public static class ImageUtility {
         )
             orderedImages = [(images.First(image => image is { Source: API.Models.ImageSource.AniDB, Type: API.Models.ShokoImageType.Poster, IsAvailable: true }), ImageLanguageType.None)];
 
-        var index = orderedImages.Count - 1;
-        foreach (var (image, _) in orderedImages) {
-            var remoteImage = SelectImage(image, imageType, metadataLanguage, displayMode, index);
-            if (remoteImage is not null)
-                yield return remoteImage;
-
-            index--;
-        }
+        return orderedImages;
     }
 
     private static ImageLanguageType GetTypeForImage(API.Models.Image image, string metadataLanguage, string[] originLanguages) {
@@ -331,6 +331,85 @@ public static class TagFilter {
         Six = 600,
     }
 
+    /// <summary>
+    /// Why a tag was or wasn't included by the tag filter.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum TagFilterReason {
+        /// <summary>
+        /// The tag was included.
+        /// </summary>
+        Included = 0,
+
+        /// <summary>
+        /// The tag is not part of any tag source, e.g. the namespace tags.
+        /// </summary>
+        NoSource = 1,
+
+        /// <summary>
+        /// The tag is only part of tag sources that are not enabled.
+        /// </summary>
+        SourceNotEnabled = 2,
+
+        /// <summary>
+        /// The tag, or one of its parents, is not verified and unverified tags
+        /// are hidden.
+        /// </summary>
+        Unverified = 3,
+
+        /// <summary>
+        /// The tag is nested deeper than the maximum depth.
+        /// </summary>
+        DepthAboveMaximum = 4,
+
+        /// <summary>
+        /// The tag is a spoiler for the series and local spoilers are not
+        /// included.
+        /// </summary>
+        LocalSpoiler = 5,
+
+        /// <summary>
+        /// The tag is a spoiler for all series and global spoilers are not
+        /// included.
+        /// </summary>
+        GlobalSpoiler = 6,
+
+        /// <summary>
+        /// The tag is abstract and abstract tags are not included.
+        /// </summary>
+        Abstract = 7,
+
+        /// <summary>
+        /// The tag is weightless and weightless tags are not included.
+        /// </summary>
+        Weightless = 8,
+
+        /// <summary>
+        /// The tag is weighted and weighted tags are not included.
+        /// </summary>
+        Weighted = 9,
+
+        /// <summary>
+        /// The tag has children and parent tags are not included.
+        /// </summary>
+        Parent = 10,
+
+        /// <summary>
+        /// The tag has no children and child tags are not included.
+        /// </summary>
+        Child = 11,
+
+        /// <summary>
+        /// The weight of the tag is below the minimum weight.
+        /// </summary>
+        WeightBelowMinimum = 12,
+
+        /// <summary>
+        /// The tag is in the exclusion list.
+        /// </summary>
+        ExcludedByList = 13,
+    }
+
     private static ProviderName[] GetOrderedProductionLocationProviders()
         => Plugin.Instance.Configuration.ProductionLocationOrder.Where((t) => Plugin.Instance.Configuration.ProductionLocationList.Contains(t)).ToArray();
 
@@ -352,6 +431,13 @@ public static class TagFilter {
         return FilterInternal(tags, config.GenreSources, config.GenreIncludeFilters, config.GenreMinimumWeight, config.GenreMaximumDepth, config.GenreExcludeList);
     }
 
+    /// <summary>
+    /// Filter the tags using the given settings instead of the saved tag or
+    /// genre settings.
+    /// </summary>
+    public static string[] Filter(IReadOnlyDictionary<string, ResolvedTag> tags, TagSource source, TagIncludeFilter includeFilter, TagWeight minWeight, int maxDepth, IReadOnlyCollection<string> excludedTags)
+        => FilterInternal(tags, source, includeFilter, minWeight, maxDepth, excludedTags);
+
     private static readonly HashSet<TagSource> AllFlagsToUse = Enum.GetValues<TagSource>().Except([TagSource.CustomTags]).ToHashSet();
 
     private static readonly HashSet<TagSource> AllFlagsToUseForCustomTags = AllFlagsToUse.Except([TagSource.SourceMaterial, TagSource.TargetAudience]).ToHashSet();
@@ -383,6 +469,18 @@ public static class TagFilter {
             return [GetSourceMaterial(tags)];
 
         var tagSet = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var (relativeName, tag) in GetCandidateTagsFromSource(tags, source)) {
+            if (GetTagFilterReason(relativeName, tag, includeFilter, minWeight, maxDepth) is TagFilterReason.Included)
+                tagSet.Add(SelectTagName(tag));
+        }
+
+        if (excludedTags.Count > 0)
+            tagSet.ExceptWith(excludedTags);
+
+        return tagSet;
+    }
+
+    private static List<KeyValuePair<string, ResolvedTag>> GetCandidateTagsFromSource(IReadOnlyDictionary<string, ResolvedTag> tags, TagSource source) {
         var exceptTags = new List<ResolvedTag>();
         var includeTags = new List<KeyValuePair<string, ResolvedTag>>();
         var field = source.GetType().GetField(source.ToString())!;
@@ -410,35 +508,119 @@ public static class TagFilter {
                 if (tags.TryGetValue(tagName, out var tag))
                     exceptTags.Add(tag);
 
-        includeTags = includeTags
+        return includeTags
             .DistinctBy(pair => $"{pair.Value.Source}:{pair.Value.Id}")
             .ExceptBy(exceptTags, pair => pair.Value)
             .ToList();
-        foreach (var (relativeName, tag) in includeTags) {
-            var depth = relativeName[1..].Split('/').Length;
-            if (maxDepth > 0 && depth > maxDepth)
-                continue;
-            if (tag.IsLocalSpoiler && !includeFilter.HasFlag(TagIncludeFilter.LocalSpoiler))
-                continue;
-            if (tag.IsGlobalSpoiler && !includeFilter.HasFlag(TagIncludeFilter.GlobalSpoiler))
-                continue;
-            if (tag.IsAbstract && !includeFilter.HasFlag(TagIncludeFilter.Abstract))
-                continue;
-            if (tag.IsWeightless ? !includeFilter.HasFlag(TagIncludeFilter.Weightless) : !includeFilter.HasFlag(TagIncludeFilter.Weighted))
-                continue;
-            if (tag.IsParent ? !includeFilter.HasFlag(TagIncludeFilter.Parent) : !includeFilter.HasFlag(TagIncludeFilter.Child))
-                continue;
-            if (minWeight is > TagWeight.Weightless && !tag.IsWeightless && tag.Weight < minWeight)
+    }
+
+    private static int GetTagDepth(string relativeName)
+        => relativeName[1..].Split('/').Length;
+
+    private static TagFilterReason GetTagFilterReason(string relativeName, ResolvedTag tag, TagIncludeFilter includeFilter, TagWeight minWeight, int maxDepth) {
+        if (maxDepth > 0 && GetTagDepth(relativeName) > maxDepth)
+            return TagFilterReason.DepthAboveMaximum;
+        if (tag.IsLocalSpoiler && !includeFilter.HasFlag(TagIncludeFilter.LocalSpoiler))
+            return TagFilterReason.LocalSpoiler;
+        if (tag.IsGlobalSpoiler && !includeFilter.HasFlag(TagIncludeFilter.GlobalSpoiler))
+            return TagFilterReason.GlobalSpoiler;
+        if (tag.IsAbstract && !includeFilter.HasFlag(TagIncludeFilter.Abstract))
+            return TagFilterReason.Abstract;
+        if (tag.IsWeightless ? !includeFilter.HasFlag(TagIncludeFilter.Weightless) : !includeFilter.HasFlag(TagIncludeFilter.Weighted))
+            return tag.IsWeightless ? TagFilterReason.Weightless : TagFilterReason.Weighted;
+        if (tag.IsParent ? !includeFilter.HasFlag(TagIncludeFilter.Parent) : !includeFilter.HasFlag(TagIncludeFilter.Child))
+            return tag.IsParent ? TagFilterReason.Parent : TagFilterReason.Child;
+        if (minWeight is > TagWeight.Weightless && !tag.IsWeightless && tag.Weight < minWeight)
+            return TagFilterReason.WeightBelowMinimum;
+        return TagFilterReason.Included;
+    }
+
+    /// <summary>
+    /// Explain why each of the given tags would or would not be included by
+    /// the tag filter with the given settings. Mirrors <see cref="FilterTags"/>
+    /// and <see cref="FilterGenres"/>, but keeps track of the reason for every
+    /// tag instead of only returning the included tag names.
+    /// </summary>
+    /// <param name="tags">All namespaced tags for the series.</param>
+    /// <param name="source">The enabled tag sources.</param>
+    /// <param name="includeFilter">The include filters.</param>
+    /// <param name="minWeight">The minimum weight.</param>
+    /// <param name="maxDepth">The maximum depth, or 0 for no limit.</param>
+    /// <param name="excludedTags">The tag names to exclude.</param>
+    /// <returns>The reason, the tag source responsible and the depth within that source, by the full name of each tag.</returns>
+    public static IReadOnlyDictionary<string, (TagFilterReason reason, TagSource? source, int? depth)> ExplainFilter(IReadOnlyDictionary<string, ResolvedTag> tags, TagSource source, TagIncludeFilter includeFilter, TagWeight minWeight, int maxDepth, IReadOnlyCollection<string> excludedTags) {
+        var results = new Dictionary<string, (TagFilterReason reason, TagSource? source, int? depth)>(StringComparer.InvariantCultureIgnoreCase);
+        var excludedSet = excludedTags.ToHashSet(StringComparer.OrdinalIgnoreCase);
+        void explainSource(IReadOnlyDictionary<string, ResolvedTag> tagDict, TagSource flag) {
+            foreach (var (relativeName, tag) in GetCandidateTagsFromSource(tagDict, flag)) {
+                var reason = GetTagFilterReason(relativeName, tag, includeFilter, minWeight, maxDepth);
+                if (reason is TagFilterReason.Included && excludedSet.Contains(SelectTagName(tag)))
+                    reason = TagFilterReason.ExcludedByList;
+
+                // Keep the first reason found, unless a later source includes the tag.
+                if (!results.TryGetValue(tag.FullName, out var existing) || (reason is TagFilterReason.Included && existing.reason is not TagFilterReason.Included))
+                    results[tag.FullName] = (reason, flag, GetTagDepth(relativeName));
+            }
+        }
+
+        foreach (var flag in AllFlagsToUse.Where(flag => flag is not TagSource.SourceMaterial && source.HasFlag(flag)))
+            explainSource(tags, flag);
+
+        if (source.HasFlag(TagSource.CustomTags) && tags.TryGetValue("/custom user tags", out var customTags)) {
+            foreach (var tag in customTags.Children.Values.Where(tag => !tag.IsParent))
+                results[tag.FullName] = (TagFilterReason.Included, TagSource.CustomTags, 1);
+
+            foreach (var flag in AllFlagsToUseForCustomTags.Where(flag => flag is not TagSource.SourceMaterial && source.HasFlag(flag)))
+                explainSource(customTags.RecursiveNamespacedChildren, flag);
+        }
+
+        // Everything left is either only part of sources that are not enabled,
+        // or not part of any source at all.
+        var disabledSources = new Dictionary<string, TagSource>(StringComparer.InvariantCultureIgnoreCase);
+        foreach (var flag in AllFlagsToUse.Where(flag => flag is not TagSource.SourceMaterial && !source.HasFlag(flag)))
+            foreach (var (_, tag) in GetCandidateTagsFromSource(tags, flag))
+                disabledSources.TryAdd(tag.FullName, flag);
+        if (!source.HasFlag(TagSource.CustomTags) && tags.TryGetValue("/custom user tags", out customTags))
+            foreach (var tag in customTags.RecursiveNamespacedChildren.Values)
+                disabledSources.TryAdd(tag.FullName, TagSource.CustomTags);
+
+        foreach (var tag in tags.Values) {
+            if (results.ContainsKey(tag.FullName))
                 continue;
-            tagSet.Add(SelectTagName(tag));
+            results[tag.FullName] = disabledSources.TryGetValue(tag.FullName, out var flag)
+                ? (TagFilterReason.SourceNotEnabled, flag, null)
+                : (TagFilterReason.NoSource, null, null);
         }
 
-        if (excludedTags.Count > 0)
-            tagSet.ExceptWith(excludedTags);
+        return results;
+    }
 
-        return tagSet;
+    /// <summary>
+    /// Get the tag source each of the given tags belong to, if any.
+    /// </summary>
+    /// <param name="tags">All namespaced tags.</param>
+    /// <returns>The first tag source containing the tag, by the full name of each tag.</returns>
+    public static IReadOnlyDictionary<string, TagSource> GetTagSources(IReadOnlyDictionary<string, ResolvedTag> tags) {
+        var sources = new Dictionary<string, TagSource>(StringComparer.InvariantCultureIgnoreCase);
+        if (tags.TryGetValue("/custom user tags", out var customTags))
+            foreach (var tag in customTags.RecursiveNamespacedChildren.Values)
+                sources.TryAdd(tag.FullName, TagSource.CustomTags);
+
+        foreach (var flag in AllFlagsToUse.Where(flag => flag is not TagSource.SourceMaterial))
+            foreach (var (_, tag) in GetCandidateTagsFromSource(tags, flag))
+                sources.TryAdd(tag.FullName, flag);
+
+        return sources;
     }
 
+    /// <summary>
+    /// Get the name a tag will be shown with if included.
+    /// </summary>
+    /// <param name="tag">The tag.</param>
+    /// <returns>The name of the tag.</returns>
+    public static string GetTagName(ResolvedTag tag)
+        => SelectTagName(tag);
+
     private static string GetSourceMaterial(IReadOnlyDictionary<string, ResolvedTag> tags) {
         if (!tags.TryGetValue("/source material", out var sourceMaterial) || sourceMaterial.Children.ContainsKey("Original Work"))
             return "Original Work";
@@ -5,6 +5,7 @@ using System.Text.RegularExpressions;
 using Shokofin.API;
 using Shokofin.API.Info;
 using Shokofin.API.Models;
+using Shokofin.API.Models.Shoko;
 using Shokofin.Configuration;
 using Shokofin.Extensions;
 
@@ -316,11 +317,7 @@ public static partial class TextUtility {
             var overview = provider switch {
                 DescriptionProvider.Shoko =>
                     baseInfo.Overview,
-                DescriptionProvider.AniDB =>
-                    baseInfo.Overviews.Where(o => o.Source is "AniDB" && string.Equals(o.LanguageCode, metadataLanguage, StringComparison.InvariantCultureIgnoreCase)).FirstOrDefault()?.Value,
-                DescriptionProvider.TMDB =>
-                    baseInfo.Overviews.Where(o => o.Source is "TMDB" && string.Equals(o.LanguageCode, metadataLanguage, StringComparison.InvariantCultureIgnoreCase)).FirstOrDefault()?.Value,
-                _ => null
+                _ => GetOverviewForProvider(baseInfo, provider, metadataLanguage)?.Value,
             };
             if (!string.IsNullOrEmpty(overview))
                 return overview;
@@ -328,6 +325,15 @@ public static partial class TextUtility {
         return string.Empty;
     }
 
+    private static Text? GetOverviewForProvider(IBaseItemInfo baseInfo, DescriptionProvider provider, string? metadataLanguage)
+        => provider switch {
+            DescriptionProvider.AniDB =>
+                baseInfo.Overviews.Where(o => o.Source is "AniDB" && string.Equals(o.LanguageCode, metadataLanguage, StringComparison.InvariantCultureIgnoreCase)).FirstOrDefault(),
+            DescriptionProvider.TMDB =>
+                baseInfo.Overviews.Where(o => o.Source is "TMDB" && string.Equals(o.LanguageCode, metadataLanguage, StringComparison.InvariantCultureIgnoreCase)).FirstOrDefault(),
+            _ => null
+        };
+
     /// <summary>
     /// Sanitize the AniDB entry description to something usable by Jellyfin.
     /// </summary>
@@ -337,22 +343,38 @@ public static partial class TextUtility {
     /// <param name="summary">The raw AniDB description.</param>
     /// <returns>The sanitized AniDB description.</returns>
     public static string SanitizeAnidbDescription(string summary) {
+        var config = Plugin.Instance.Configuration;
+        return SanitizeAnidbDescription(summary, config.SynopsisEnableMarkdown, config.SynopsisCleanLinks, config.SynopsisCleanMiscLines, config.SynopsisRemoveSummary, config.SynopsisCleanMultiEmptyLines);
+    }
+
+    /// <summary>
+    /// Sanitize the AniDB entry description using the given conversion mode
+    /// instead of the saved configuration.
+    /// </summary>
+    /// <param name="summary">The raw AniDB description.</param>
+    /// <param name="mode">The conversion mode to use.</param>
+    /// <returns>The sanitized AniDB description.</returns>
+    public static string SanitizeAnidbDescription(string summary, DescriptionConversionMode mode) {
+        var clean = mode is not DescriptionConversionMode.Disabled;
+        return SanitizeAnidbDescription(summary, mode is DescriptionConversionMode.Markdown, clean, clean, clean, clean);
+    }
+
+    private static string SanitizeAnidbDescription(string summary, bool enableMarkdown, bool cleanLinks, bool cleanMiscLines, bool removeSummary, bool cleanMultiEmptyLines) {
         if (string.IsNullOrWhiteSpace(summary))
             return string.Empty;
 
-        var config = Plugin.Instance.Configuration;
-        if (config.SynopsisCleanLinks)
-            summary = summary.Replace(SynopsisCleanLinks, match => config.SynopsisEnableMarkdown ? $"[{match.Groups[2].Value}]({match.Groups[1].Value})" : match.Groups[2].Value);
+        if (cleanLinks)
+            summary = summary.Replace(SynopsisCleanLinks, match => enableMarkdown ? $"[{match.Groups[2].Value}]({match.Groups[1].Value})" : match.Groups[2].Value);
 
-        if (config.SynopsisCleanMiscLines)
+        if (cleanMiscLines)
             summary = summary.Replace(SynopsisCleanMiscLines, string.Empty);
 
-        if (config.SynopsisRemoveSummary)
+        if (removeSummary)
             summary = summary
-                .Replace(SynopsisRemoveSummary1, match => config.SynopsisEnableMarkdown ? $"**{match.Groups[1].Value}**: " : "")
+                .Replace(SynopsisRemoveSummary1, match => enableMarkdown ? $"**{match.Groups[1].Value}**: " : "")
                 .Replace(SynopsisRemoveSummary2, string.Empty);
 
-        if (config.SynopsisCleanMultiEmptyLines)
+        if (cleanMultiEmptyLines)
             summary = summary
                 .Replace(SynopsisConvertNewLines, "\n")
                 .Replace(SynopsisCleanMultiEmptyLines, "\n");
@@ -360,6 +382,52 @@ public static partial class TextUtility {
         return summary.Trim();
     }
 
+    /// <summary>
+    /// Preview the description from each provider for a series, both raw and
+    /// converted using each conversion mode, and which provider would be
+    /// selected using the given configuration instead of the saved
+    /// configuration.
+    /// </summary>
+    /// <param name="seasonInfo">The season info for the series.</param>
+    /// <param name="series">The Shoko series, to get the raw descriptions from.</param>
+    /// <param name="config">The description configuration to use.</param>
+    /// <param name="conversionMode">The conversion mode used to select the provider.</param>
+    /// <param name="metadataLanguage">The metadata language to use.</param>
+    /// <returns>The description from each provider, and the provider that would be selected, if any.</returns>
+    public static (
+        IReadOnlyList<(DescriptionProvider provider, string? languageCode, string? raw, bool isAvailable, bool isConverted, IReadOnlyDictionary<DescriptionConversionMode, string> converted)> providers,
+        DescriptionProvider? selectedProvider
+    ) PreviewSeriesDescriptions(SeasonInfo seasonInfo, ShokoSeries series, DescriptionConfiguration config, DescriptionConversionMode conversionMode, string? metadataLanguage) {
+        // Select the overviews the same way as when getting the description,
+        // but use the raw AniDB description so it can be converted using each
+        // conversion mode.
+        var anidbOverview = GetOverviewForProvider(seasonInfo, DescriptionProvider.AniDB, metadataLanguage);
+        var tmdbOverview = GetOverviewForProvider(seasonInfo, DescriptionProvider.TMDB, metadataLanguage);
+        var sources = new (DescriptionProvider provider, string? languageCode, string? raw, bool isAvailable, bool isConverted)[] {
+            // The Shoko description is only converted if it's the AniDB description.
+            (DescriptionProvider.Shoko, null, series.Description, true, series.Description == series.AniDB.Description),
+            (DescriptionProvider.AniDB, anidbOverview?.LanguageCode ?? metadataLanguage, anidbOverview is not null ? series.AniDB.Description : null, anidbOverview is not null, true),
+            (DescriptionProvider.TMDB, tmdbOverview?.LanguageCode ?? metadataLanguage, tmdbOverview?.Value, tmdbOverview is not null, false),
+        };
+        var providers = sources
+            .Select(source => (
+                source.provider,
+                source.languageCode,
+                source.raw,
+                isAvailable: source.isAvailable && !string.IsNullOrEmpty(source.raw),
+                source.isConverted,
+                converted: (IReadOnlyDictionary<DescriptionConversionMode, string>)Enum.GetValues<DescriptionConversionMode>()
+                    .ToDictionary(mode => mode, mode => source.isConverted ? SanitizeAnidbDescription(source.raw ?? string.Empty, mode) : source.raw ?? string.Empty)
+            ))
+            .ToList();
+        var selectedProvider = config.GetOrderedDescriptionProviders()
+            .Select(provider => providers.FirstOrDefault(tuple => tuple.provider == provider))
+            .Where(tuple => tuple.isAvailable && !string.IsNullOrEmpty(tuple.converted[conversionMode]))
+            .Select(tuple => (DescriptionProvider?)tuple.provider)
+            .FirstOrDefault();
+        return (providers, selectedProvider);
+    }
+
     #endregion
 
     #region Titles
@@ -470,7 +538,29 @@ public static partial class TextUtility {
         return (displayTitle, alternateTitle);
     }
 
-    private static string? GetSeriesTitleByType(IBaseItemInfo baseInfo, TitleConfiguration configuration, string? metadataLanguage) {
+    /// <summary>
+    /// Resolve the main and alternate titles for a series using the given
+    /// titles configuration instead of the saved configuration, along with the
+    /// provider each title was selected from.
+    /// </summary>
+    /// <param name="baseInfo">The series to resolve the titles for.</param>
+    /// <param name="config">The titles configuration to use.</param>
+    /// <param name="metadataLanguage">The metadata language to use.</param>
+    /// <returns>The main title, each alternate title, and the alternate titles joined as they would be saved.</returns>
+    public static ((string? title, TitleProvider? provider) mainTitle, IReadOnlyList<(string? title, TitleProvider? provider)> alternateTitles, string? alternateTitle) PreviewSeriesTitles(IBaseItemInfo baseInfo, TitlesConfiguration config, string? metadataLanguage) {
+        var mainTitle = GetSeriesTitleAndProviderByType(baseInfo, config.MainTitle, metadataLanguage);
+        var alternateTitles = config.AlternateTitles
+            .Select(t => GetSeriesTitleAndProviderByType(baseInfo, t, metadataLanguage))
+            .ToList();
+        var alternateTitle = JoinTitles(alternateTitles.Select(t => t.title), mainTitle.title, !config.RemoveDuplicates);
+
+        return (mainTitle, alternateTitles, alternateTitle);
+    }
+
+    private static string? GetSeriesTitleByType(IBaseItemInfo baseInfo, TitleConfiguration configuration, string? metadataLanguage)
+        => GetSeriesTitleAndProviderByType(baseInfo, configuration, metadataLanguage).title;
+
+    private static (string? title, TitleProvider? provider) GetSeriesTitleAndProviderByType(IBaseItemInfo baseInfo, TitleConfiguration configuration, string? metadataLanguage) {
         foreach (var provider in configuration.GetOrderedTitleProviders()) {
             var title = provider switch {
                 TitleProvider.Shoko_Default =>
@@ -490,9 +580,9 @@ public static partial class TextUtility {
                 _ => null,
             };
             if (!string.IsNullOrEmpty(title))
-                return title.Trim();
+                return (title.Trim(), provider);
         }
-        return null;
+        return (null, null);
     }
 
     #endregion
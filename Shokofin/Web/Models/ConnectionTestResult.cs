@@ -0,0 +1,81 @@
+using System.Text.Json.Serialization;
+using Shokofin.API.Models;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The result of testing the connection to a Shoko Server.
+/// </summary>
+public class ConnectionTestResult {
+    /// <summary>
+    /// The url which was tested.
+    /// </summary>
+    public required string Url { get; init; }
+
+    /// <summary>
+    /// Whether the server could be reached from the Jellyfin server.
+    /// </summary>
+    public bool IsReachable { get; set; }
+
+    /// <summary>
+    /// How long it took for the server to respond, in milliseconds.
+    /// </summary>
+    public long? ResponseTimeInMs { get; set; }
+
+    /// <summary>
+    /// Why the server could not be reached, if it could not be reached.
+    /// </summary>
+    public string? ReachableError { get; set; }
+
+    /// <summary>
+    /// The version of the server, if it could be reached.
+    /// </summary>
+    public ComponentVersion? Version { get; set; }
+
+    /// <summary>
+    /// Whether the version of the server is supported by the plugin.
+    /// </summary>
+    public bool IsVersionSupported { get; set; }
+
+    /// <summary>
+    /// The minimum server version supported by the plugin.
+    /// </summary>
+    public required string MinimumVersion { get; init; }
+
+    /// <summary>
+    /// The outcome of checking the credentials.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public ConnectionTestCredentialsStatus CredentialsStatus { get; set; }
+
+    /// <summary>
+    /// Why the credentials could not be checked, if they could not be checked.
+    /// </summary>
+    public string? CredentialsError { get; set; }
+}
+
+/// <summary>
+/// The outcome of checking the credentials during a connection test.
+/// </summary>
+public enum ConnectionTestCredentialsStatus {
+    /// <summary>
+    /// The credentials were not checked, either because no username was given
+    /// or because the server could not be reached.
+    /// </summary>
+    Skipped = 0,
+
+    /// <summary>
+    /// The credentials are valid.
+    /// </summary>
+    Valid = 1,
+
+    /// <summary>
+    /// The credentials are invalid.
+    /// </summary>
+    Invalid = 2,
+
+    /// <summary>
+    /// The credentials could not be checked because of an error.
+    /// </summary>
+    Failed = 3,
+}
@@ -0,0 +1,75 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+using DescriptionConversionMode = Shokofin.Utils.TextUtility.DescriptionConversionMode;
+using DescriptionProvider = Shokofin.Utils.TextUtility.DescriptionProvider;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The descriptions a series would get with a given description configuration
+/// and conversion mode.
+/// </summary>
+public class DescriptionPreview {
+    /// <summary>
+    /// The metadata language used to look up the descriptions.
+    /// </summary>
+    public required string? MetadataLanguage { get; init; }
+
+    /// <summary>
+    /// The conversion mode used to select the provider.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required DescriptionConversionMode ConversionMode { get; init; }
+
+    /// <summary>
+    /// The provider the description would be selected from, or null if none
+    /// of the selected providers had a description.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required DescriptionProvider? SelectedProvider { get; init; }
+
+    /// <summary>
+    /// The description from each provider.
+    /// </summary>
+    public required IReadOnlyList<DescriptionPreviewEntry> Providers { get; init; }
+}
+
+/// <summary>
+/// The description from a single provider in a <see cref="DescriptionPreview"/>.
+/// </summary>
+public class DescriptionPreviewEntry {
+    /// <summary>
+    /// The description provider.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required DescriptionProvider Provider { get; init; }
+
+    /// <summary>
+    /// The language of the description, if known.
+    /// </summary>
+    public required string? LanguageCode { get; init; }
+
+    /// <summary>
+    /// The raw description, before any conversion.
+    /// </summary>
+    public required string? Raw { get; init; }
+
+    /// <summary>
+    /// True if the provider has a description which can be used with the
+    /// metadata language.
+    /// </summary>
+    public required bool IsAvailable { get; init; }
+
+    /// <summary>
+    /// True if the description is an AniDB description, and thus affected by
+    /// the conversion mode.
+    /// </summary>
+    public required bool IsConverted { get; init; }
+
+    /// <summary>
+    /// The description converted using each conversion mode, by the name of the
+    /// mode.
+    /// </summary>
+    public required IReadOnlyDictionary<string, string> Converted { get; init; }
+}
@@ -0,0 +1,94 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using Shokofin.API.Models;
+using Shokofin.Configuration;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The images a series would get with a given image configuration.
+/// </summary>
+public class ImagePreview {
+    /// <summary>
+    /// The metadata language used to decide the language type of each image.
+    /// </summary>
+    public required string? MetadataLanguage { get; init; }
+
+    /// <summary>
+    /// All candidate posters, in the order they would be picked.
+    /// </summary>
+    public required IReadOnlyList<ImagePreviewEntry> Posters { get; init; }
+
+    /// <summary>
+    /// All candidate logos, in the order they would be picked.
+    /// </summary>
+    public required IReadOnlyList<ImagePreviewEntry> Logos { get; init; }
+
+    /// <summary>
+    /// All candidate backdrops, in the order they would be picked.
+    /// </summary>
+    public required IReadOnlyList<ImagePreviewEntry> Backdrops { get; init; }
+}
+
+/// <summary>
+/// A single candidate image in an <see cref="ImagePreview"/>.
+/// </summary>
+public class ImagePreviewEntry {
+    /// <summary>
+    /// AniDB, TMDB, etc.
+    /// </summary>
+    public required ImageSource Source { get; init; }
+
+    /// <summary>
+    /// Poster, Logo, etc.
+    /// </summary>
+    public required ShokoImageType Type { get; init; }
+
+    /// <summary>
+    /// The image's id.
+    /// </summary>
+    public required int Id { get; init; }
+
+    /// <summary>
+    /// The language code for the image, if available.
+    /// </summary>
+    public required string? LanguageCode { get; init; }
+
+    /// <summary>
+    /// The language type the image is grouped by when filtering and ordering
+    /// the images.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required ImageLanguageType LanguageType { get; init; }
+
+    /// <summary>
+    /// True if the image is marked as the preferred image in Shoko.
+    /// </summary>
+    public required bool IsPreferred { get; init; }
+
+    /// <summary>
+    /// True if the image is available, and thus can be picked.
+    /// </summary>
+    public required bool IsAvailable { get; init; }
+
+    /// <summary>
+    /// Width of the image, if available.
+    /// </summary>
+    public required int? Width { get; init; }
+
+    /// <summary>
+    /// Height of the image, if available.
+    /// </summary>
+    public required int? Height { get; init; }
+
+    /// <summary>
+    /// Community rating for the image on a scale from 0 to 10, if available.
+    /// </summary>
+    public required float? CommunityRating { get; init; }
+
+    /// <summary>
+    /// The position of the image in the automatic image search, where 0 is the
+    /// image that would be selected, or null if the image is filtered out.
+    /// </summary>
+    public required int? Position { get; init; }
+}
@@ -0,0 +1,239 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using Shokofin.API.Models;
+using Shokofin.Configuration;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// How the series in a Shoko group would be merged into seasons.
+/// </summary>
+public class SeasonMergingPreview {
+    /// <summary>
+    /// Whether season merging is currently enabled. The preview shows how the
+    /// series would be merged once enabled if it's not.
+    /// </summary>
+    public required bool IsEnabled { get; init; }
+
+    /// <summary>
+    /// The merge window used, in days, or 0 if release dates are ignored.
+    /// </summary>
+    public required int MergeWindowInDays { get; init; }
+
+    /// <summary>
+    /// The series types which are merged when no override is set.
+    /// </summary>
+    public required IReadOnlyList<SeriesType> SeriesTypes { get; init; }
+
+    /// <summary>
+    /// The series in the Shoko group, starting with the previewed series.
+    /// </summary>
+    public required IReadOnlyList<SeasonMergingPreviewSeries> Series { get; init; }
+
+    /// <summary>
+    /// The sequel and side story relations between the series in the group.
+    /// </summary>
+    public required IReadOnlyList<SeasonMergingPreviewRelation> Relations { get; init; }
+
+    /// <summary>
+    /// Any problems found with the merge groups in the Shoko group.
+    /// </summary>
+    public required IReadOnlyList<SeasonMergingPreviewConflict> Conflicts { get; init; }
+}
+
+/// <summary>
+/// A single series in a <see cref="SeasonMergingPreview"/>.
+/// </summary>
+public class SeasonMergingPreviewSeries {
+    /// <summary>
+    /// Shoko Series ID.
+    /// </summary>
+    public required int Id { get; init; }
+
+    /// <summary>
+    /// AniDB Anime ID.
+    /// </summary>
+    public required int AnidbId { get; init; }
+
+    /// <summary>
+    /// Preferred title of the series.
+    /// </summary>
+    public required string Title { get; init; }
+
+    /// <summary>
+    /// The series type, after applying any override.
+    /// </summary>
+    public required SeriesType Type { get; init; }
+
+    /// <summary>
+    /// When the series started airing, if known.
+    /// </summary>
+    public required DateTime? AirDate { get; init; }
+
+    /// <summary>
+    /// The season merging behavior, after applying the default behavior.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SeasonMergingBehavior Behavior { get; init; }
+
+    /// <summary>
+    /// Why the series can't be merged with any other series, if it can't.
+    /// </summary>
+    public required IReadOnlyList<SeasonMergingIneligibleReason> IneligibleReasons { get; init; }
+
+    /// <summary>
+    /// The merge groups the series belongs to.
+    /// </summary>
+    public required IReadOnlyList<SeasonMergingPreviewGroup> MergeGroups { get; init; }
+
+    /// <summary>
+    /// The Shoko Series ID of the series used for the season this series
+    /// would be merged into. Same as <see cref="Id"/> if this series is the
+    /// main series of the season.
+    /// </summary>
+    public required int SeasonId { get; init; }
+}
+
+/// <summary>
+/// A series' membership of a merge group in a
+/// <see cref="SeasonMergingPreviewSeries"/>.
+/// </summary>
+public class SeasonMergingPreviewGroup {
+    /// <summary>
+    /// The merge group letter, e.g. "A".
+    /// </summary>
+    public required string Group { get; init; }
+
+    /// <summary>
+    /// The role of the series in the merge group.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SeasonMergingGroupRole Role { get; init; }
+}
+
+/// <summary>
+/// A sequel or side story relation in a <see cref="SeasonMergingPreview"/>.
+/// </summary>
+public class SeasonMergingPreviewRelation {
+    /// <summary>
+    /// The Shoko Series ID of the prequel or main story.
+    /// </summary>
+    public required int FromId { get; init; }
+
+    /// <summary>
+    /// The Shoko Series ID of the sequel or side story.
+    /// </summary>
+    public required int ToId { get; init; }
+
+    /// <summary>
+    /// Either <see cref="RelationType.Sequel"/> or
+    /// <see cref="RelationType.SideStory"/>.
+    /// </summary>
+    public required RelationType Type { get; init; }
+
+    /// <summary>
+    /// The number of days between the release of the two series, if both are
+    /// known.
+    /// </summary>
+    public required int? DaysApart { get; init; }
+
+    /// <summary>
+    /// Whether the two series were released in order and within the merge
+    /// window, which is required unless an override is set.
+    /// </summary>
+    public required bool IsWithinMergeWindow { get; init; }
+
+    /// <summary>
+    /// Whether the two series would be merged into the same season.
+    /// </summary>
+    public required bool IsMerged { get; init; }
+}
+
+/// <summary>
+/// A problem with a merge group in a <see cref="SeasonMergingPreview"/>.
+/// </summary>
+public class SeasonMergingPreviewConflict {
+    /// <summary>
+    /// The type of problem.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SeasonMergingConflictType Type { get; init; }
+
+    /// <summary>
+    /// The merge group letter, e.g. "A".
+    /// </summary>
+    public required string Group { get; init; }
+
+    /// <summary>
+    /// The Shoko Series IDs of the series involved.
+    /// </summary>
+    public required IReadOnlyList<int> SeriesIds { get; init; }
+}
+
+/// <summary>
+/// The role of a series in a merge group.
+/// </summary>
+public enum SeasonMergingGroupRole {
+    /// <summary>
+    /// Other series in the group are merged into this series.
+    /// </summary>
+    Target = 0,
+
+    /// <summary>
+    /// This series is merged into the target series of the group.
+    /// </summary>
+    Source = 1,
+}
+
+/// <summary>
+/// Why a series can't be merged with any other series.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum SeasonMergingIneligibleReason {
+    /// <summary>
+    /// The series is set to never be merged.
+    /// </summary>
+    NoMerge = 0,
+
+    /// <summary>
+    /// The series doesn't use the Shoko group structure.
+    /// </summary>
+    StructureType = 1,
+
+    /// <summary>
+    /// The series type is not one of the series types to merge, and no
+    /// override is set.
+    /// </summary>
+    SeriesType = 2,
+
+    /// <summary>
+    /// The series has no release date.
+    /// </summary>
+    MissingAirDate = 3,
+}
+
+/// <summary>
+/// The type of problem with a merge group.
+/// </summary>
+public enum SeasonMergingConflictType {
+    /// <summary>
+    /// More than one series is the target of the merge group.
+    /// </summary>
+    MultipleTargets = 0,
+
+    /// <summary>
+    /// The merge group has sources but no target.
+    /// </summary>
+    MissingTarget = 1,
+
+    /// <summary>
+    /// A series in the merge group can't be merged with any other series.
+    /// </summary>
+    IneligibleMember = 2,
+
+    /// <summary>
+    /// A source in the merge group won't end up in the season of the target.
+    /// </summary>
+    NotMerged = 3,
+}
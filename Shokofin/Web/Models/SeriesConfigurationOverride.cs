@@ -0,0 +1,18 @@
+using Shokofin.Configuration;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// A series with one or more per series configuration overrides.
+/// </summary>
+public class SeriesConfigurationOverride {
+    /// <summary>
+    /// The series.
+    /// </summary>
+    public required SimpleSeries Series { get; init; }
+
+    /// <summary>
+    /// The raw per series configuration, without the global settings applied.
+    /// </summary>
+    public required SeriesConfiguration Configuration { get; init; }
+}
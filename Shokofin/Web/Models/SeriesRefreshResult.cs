@@ -0,0 +1,16 @@
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The result of refreshing the Jellyfin items backed by a Shoko series.
+/// </summary>
+public class SeriesRefreshResult {
+    /// <summary>
+    /// The number of files the VFS links were regenerated for.
+    /// </summary>
+    public required int FileCount { get; init; }
+
+    /// <summary>
+    /// The number of shows, seasons, episodes and movies refreshed.
+    /// </summary>
+    public required int ItemCount { get; init; }
+}
@@ -0,0 +1,190 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using MediaBrowser.Model.Entities;
+using Shokofin.API.Models;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The Jellyfin show, season and episode structure a series would be placed
+/// in, for both the saved and the previewed series configuration.
+/// </summary>
+public class SeriesStructurePreview {
+    /// <summary>
+    /// The shows produced by the saved series configuration.
+    /// </summary>
+    public required IReadOnlyList<SeriesStructurePreviewShow> Saved { get; init; }
+
+    /// <summary>
+    /// The shows produced by the previewed series configuration.
+    /// </summary>
+    public required IReadOnlyList<SeriesStructurePreviewShow> Preview { get; init; }
+}
+
+/// <summary>
+/// A single show in a <see cref="SeriesStructurePreview"/>.
+/// </summary>
+public class SeriesStructurePreviewShow {
+    /// <summary>
+    /// The show ID.
+    /// </summary>
+    public required string Id { get; init; }
+
+    /// <summary>
+    /// The show title.
+    /// </summary>
+    public required string Title { get; init; }
+
+    /// <summary>
+    /// Whether the show is made from a single season, instead of a Shoko
+    /// group or a TMDB show.
+    /// </summary>
+    public required bool IsStandalone { get; init; }
+
+    /// <summary>
+    /// The seasons in the show, including the specials season if the show has
+    /// any specials.
+    /// </summary>
+    public required IReadOnlyList<SeriesStructurePreviewSeason> Seasons { get; init; }
+
+    /// <summary>
+    /// The episodes which would be added as extras instead of episodes.
+    /// </summary>
+    public required IReadOnlyList<SeriesStructurePreviewEpisode> Extras { get; init; }
+}
+
+/// <summary>
+/// A single season in a <see cref="SeriesStructurePreviewShow"/>.
+/// </summary>
+public class SeriesStructurePreviewSeason {
+    /// <summary>
+    /// The season number, or 0 for the specials season.
+    /// </summary>
+    public required int SeasonNumber { get; init; }
+
+    /// <summary>
+    /// The season title, or <c>null</c> for the specials season.
+    /// </summary>
+    public required string? Title { get; init; }
+
+    /// <summary>
+    /// The ID of the season, or <c>null</c> for the specials season.
+    /// </summary>
+    public required string? SeasonId { get; init; }
+
+    /// <summary>
+    /// The IDs of any other series merged into the season.
+    /// </summary>
+    public required IReadOnlyList<string> ExtraIds { get; init; }
+
+    /// <summary>
+    /// Whether this season holds the alternate episodes of the season before
+    /// it.
+    /// </summary>
+    public required bool IsAlternate { get; init; }
+
+    /// <summary>
+    /// The episodes in the season.
+    /// </summary>
+    public required IReadOnlyList<SeriesStructurePreviewEpisode> Episodes { get; init; }
+}
+
+/// <summary>
+/// A single episode in a <see cref="SeriesStructurePreviewSeason"/>.
+/// </summary>
+public class SeriesStructurePreviewEpisode {
+    /// <summary>
+    /// The episode ID.
+    /// </summary>
+    public required string Id { get; init; }
+
+    /// <summary>
+    /// The ID of the season or series the episode belongs to.
+    /// </summary>
+    public required string SeasonId { get; init; }
+
+    /// <summary>
+    /// The episode title.
+    /// </summary>
+    public required string Title { get; init; }
+
+    /// <summary>
+    /// The original episode type.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required EpisodeType Type { get; init; }
+
+    /// <summary>
+    /// The original episode number.
+    /// </summary>
+    public required int Number { get; init; }
+
+    /// <summary>
+    /// The episode number in Jellyfin.
+    /// </summary>
+    public required int EpisodeNumber { get; init; }
+
+    /// <summary>
+    /// When the episode aired, if known.
+    /// </summary>
+    public required DateTime? AirDate { get; init; }
+
+    /// <summary>
+    /// Whether the episode has any files.
+    /// </summary>
+    public required bool IsAvailable { get; init; }
+
+    /// <summary>
+    /// How the episode type was converted by the episode conversion setting.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required SeriesStructureEpisodeConversion Conversion { get; init; }
+
+    /// <summary>
+    /// The extra type, if the episode is an extra.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required ExtraType? ExtraType { get; init; }
+
+    /// <summary>
+    /// The season the special airs before, if it's placed before a season or
+    /// episode.
+    /// </summary>
+    public required int? AirsBeforeSeasonNumber { get; init; }
+
+    /// <summary>
+    /// The episode the special airs before, if it's placed before an episode.
+    /// </summary>
+    public required int? AirsBeforeEpisodeNumber { get; init; }
+
+    /// <summary>
+    /// The season the special airs after, if it's placed after a season.
+    /// </summary>
+    public required int? AirsAfterSeasonNumber { get; init; }
+}
+
+/// <summary>
+/// How an episode type was converted by the episode conversion setting.
+/// </summary>
+public enum SeriesStructureEpisodeConversion {
+    /// <summary>
+    /// The episode was not converted.
+    /// </summary>
+    None = 0,
+
+    /// <summary>
+    /// A normal episode was converted to a special.
+    /// </summary>
+    EpisodeAsSpecial = 1,
+
+    /// <summary>
+    /// A special was converted to a normal episode.
+    /// </summary>
+    SpecialAsEpisode = 2,
+
+    /// <summary>
+    /// A special or other episode was converted to an extra featurette.
+    /// </summary>
+    SpecialAsExtra = 3,
+}
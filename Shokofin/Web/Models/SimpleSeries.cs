@@ -1,3 +1,5 @@
+using System.Collections.Generic;
+using Shokofin.API.Models;
 
 namespace Shokofin.Web.Models;
 
@@ -15,6 +17,16 @@ public class SimpleSeries {
     /// </summary>
     public required int AnidbId { get; init; }
 
+    /// <summary>
+    /// TMDB Show IDs linked to the series.
+    /// </summary>
+    public required IReadOnlyList<int> TmdbShowIds { get; init; }
+
+    /// <summary>
+    /// TMDB Movie IDs linked to the series.
+    /// </summary>
+    public required IReadOnlyList<int> TmdbMovieIds { get; init; }
+
     /// <summary>
     /// Preferred Title.
     /// </summary>
@@ -24,4 +36,40 @@ public class SimpleSeries {
     /// Default Title.
     /// </summary>
     public required string DefaultTitle { get; init; }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// The AniDB series type.
+    /// </summary>
+    public required SeriesType Type { get; init; }
+
+    /// <summary>
+    /// The year the series started airing, if known.
+    /// </summary>
+    public required int? Year { get; init; }
+
+    /// <summary>
+    /// The main poster, if the series has one.
+    /// </summary>
+    public required SimpleImage? Poster { get; init; }
+}
+
+/// <summary>
+/// A simple image model, with just enough to fetch the image through the
+/// plugin.
+/// </summary>
+public class SimpleImage {
+    /// <summary>
+    /// AniDB, TMDB, etc.
+    /// </summary>
+    public required ImageSource Source { get; init; }
+
+    /// <summary>
+    /// Poster, Banner, etc.
+    /// </summary>
+    public required ShokoImageType Type { get; init; }
+
+    /// <summary>
+    /// The image's id.
+    /// </summary>
+    public required int Id { get; init; }
+}
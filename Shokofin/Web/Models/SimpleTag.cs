@@ -0,0 +1,24 @@
+using System.Collections.Generic;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// A simple tag model, used to suggest tag names.
+/// </summary>
+public class SimpleTag {
+    /// <summary>
+    /// The name the tag is shown with, which is also the name to use in the
+    /// tag and genre exclusion lists.
+    /// </summary>
+    public required string Name { get; init; }
+
+    /// <summary>
+    /// The names of the tag sources the tags with this name belong to.
+    /// </summary>
+    public required IReadOnlyList<string> Sources { get; init; }
+
+    /// <summary>
+    /// How many series have a tag with this name, if known.
+    /// </summary>
+    public required int? SeriesCount { get; init; }
+}
@@ -0,0 +1,156 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+using TagFilterReason = Shokofin.Utils.TagFilter.TagFilterReason;
+using TagIncludeFilter = Shokofin.Utils.TagFilter.TagIncludeFilter;
+using TagSource = Shokofin.Utils.TagFilter.TagSource;
+using TagWeight = Shokofin.Utils.TagFilter.TagWeight;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The tag and genre settings to preview.
+/// </summary>
+public class TagFilterPreviewConfiguration {
+    /// <summary>
+    /// Hide unverified tags.
+    /// </summary>
+    public bool HideUnverifiedTags { get; set; }
+
+    /// <summary>
+    /// The tag sources to use for tags.
+    /// </summary>
+    public TagSource TagSources { get; set; }
+
+    /// <summary>
+    /// The include filters to use for tags.
+    /// </summary>
+    public TagIncludeFilter TagIncludeFilters { get; set; }
+
+    /// <summary>
+    /// The minimum weight of tags.
+    /// </summary>
+    public TagWeight TagMinimumWeight { get; set; }
+
+    /// <summary>
+    /// The maximum depth of tags, or 0 for no limit.
+    /// </summary>
+    [Range(0, 10)]
+    public int TagMaximumDepth { get; set; }
+
+    /// <summary>
+    /// The tag names to exclude from the tags.
+    /// </summary>
+    public string[] TagExcludeList { get; set; } = [];
+
+    /// <summary>
+    /// The tag sources to use for genres.
+    /// </summary>
+    public TagSource GenreSources { get; set; }
+
+    /// <summary>
+    /// The include filters to use for genres.
+    /// </summary>
+    public TagIncludeFilter GenreIncludeFilters { get; set; }
+
+    /// <summary>
+    /// The minimum weight of genres.
+    /// </summary>
+    public TagWeight GenreMinimumWeight { get; set; }
+
+    /// <summary>
+    /// The maximum depth of genres, or 0 for no limit.
+    /// </summary>
+    [Range(0, 10)]
+    public int GenreMaximumDepth { get; set; }
+
+    /// <summary>
+    /// The tag names to exclude from the genres.
+    /// </summary>
+    public string[] GenreExcludeList { get; set; } = [];
+}
+
+/// <summary>
+/// The tags and genres a series would get with a given set of tag and genre
+/// settings, and why each Shoko tag was or wasn't used.
+/// </summary>
+public class TagFilterPreview {
+    /// <summary>
+    /// The resulting tags.
+    /// </summary>
+    public required IReadOnlyList<string> Tags { get; init; }
+
+    /// <summary>
+    /// The resulting genres.
+    /// </summary>
+    public required IReadOnlyList<string> Genres { get; init; }
+
+    /// <summary>
+    /// Every Shoko tag for the series, ordered by their full name.
+    /// </summary>
+    public required IReadOnlyList<TagFilterPreviewEntry> Entries { get; init; }
+}
+
+/// <summary>
+/// A single Shoko tag in a <see cref="TagFilterPreview"/>.
+/// </summary>
+public class TagFilterPreviewEntry {
+    /// <summary>
+    /// The name the tag will be shown with.
+    /// </summary>
+    public required string Name { get; init; }
+
+    /// <summary>
+    /// The full namespaced name of the tag.
+    /// </summary>
+    public required string FullName { get; init; }
+
+    /// <summary>
+    /// The weight of the tag.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required TagWeight Weight { get; init; }
+
+    /// <summary>
+    /// Whether the tag is weightless.
+    /// </summary>
+    public required bool IsWeightless { get; init; }
+
+    /// <summary>
+    /// Whether the tag is verified, if known.
+    /// </summary>
+    public required bool? IsVerified { get; init; }
+
+    /// <summary>
+    /// Why the tag was or wasn't used as a tag.
+    /// </summary>
+    public required TagFilterPreviewResult Tag { get; init; }
+
+    /// <summary>
+    /// Why the tag was or wasn't used as a genre.
+    /// </summary>
+    public required TagFilterPreviewResult Genre { get; init; }
+}
+
+/// <summary>
+/// Why a tag was or wasn't used as a tag or genre.
+/// </summary>
+public class TagFilterPreviewResult {
+    /// <summary>
+    /// The reason.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required TagFilterReason Reason { get; init; }
+
+    /// <summary>
+    /// The tag source responsible for the reason, if any.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required TagSource? Source { get; init; }
+
+    /// <summary>
+    /// The depth of the tag within the tag source, if any.
+    /// </summary>
+    public required int? Depth { get; init; }
+}
@@ -0,0 +1,49 @@
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+
+using TitleProvider = Shokofin.Utils.TextUtility.TitleProvider;
+
+namespace Shokofin.Web.Models;
+
+/// <summary>
+/// The titles a series would get with a given titles configuration.
+/// </summary>
+public class TitlePreview {
+    /// <summary>
+    /// The metadata language used to resolve the titles.
+    /// </summary>
+    public required string? MetadataLanguage { get; init; }
+
+    /// <summary>
+    /// The resolved main title.
+    /// </summary>
+    public required TitlePreviewEntry MainTitle { get; init; }
+
+    /// <summary>
+    /// The resolved title for each alternate title slot, in order.
+    /// </summary>
+    public required IReadOnlyList<TitlePreviewEntry> AlternateTitles { get; init; }
+
+    /// <summary>
+    /// The alternate titles joined together as they will be saved, if any.
+    /// </summary>
+    public required string? AlternateTitle { get; init; }
+}
+
+/// <summary>
+/// A single resolved title in a <see cref="TitlePreview"/>.
+/// </summary>
+public class TitlePreviewEntry {
+    /// <summary>
+    /// The resolved title, or null if none of the selected providers had a
+    /// title.
+    /// </summary>
+    public required string? Title { get; init; }
+
+    /// <summary>
+    /// The provider the title was selected from, or null if no title was
+    /// found.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public required TitleProvider? Provider { get; init; }
+}
@@ -8,7 +8,7 @@ using Shokofin.Resolvers.Models;
 namespace Shokofin.Web.Models;
 
 public class VfsLibraryPreview(HashSet<string> filesBefore, HashSet<string> filesAfter, VirtualFolderInfo virtualFolder, LinkGenerationResult? result, string vfsPath) {
-    public string LibraryId = virtualFolder.ItemId;
+    public string LibraryId { get; } = virtualFolder.ItemId;
 
     public string LibraryName { get; } = virtualFolder.Name;
 
@@ -16,7 +16,7 @@ public class VfsLibraryPreview(HashSet<string> filesBefore, HashSet<string> file
 
     public string VfsRoot { get; } = Plugin.Instance.VirtualRoot;
 
-    public bool IsSuccess = result is not null;
+    public bool IsSuccess { get; } = result is not null;
 
     public IReadOnlyList<string> FilesBeforeChanges { get; } = filesBefore
         .Select(path => path.Replace(vfsPath, string.Empty).Replace(Path.DirectorySeparatorChar, '/'))
@@ -1,14 +1,18 @@
 using System;
 using System.ComponentModel.DataAnnotations;
+using System.Diagnostics;
 using System.Net.Http;
 using System.Net.Mime;
 using System.Text.Json.Serialization;
 using System.Threading.Tasks;
+using MediaBrowser.Common.Api;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using Shokofin.API;
 using Shokofin.API.Models;
+using Shokofin.Web.Models;
 
 namespace Shokofin.Web;
 
@@ -27,6 +31,11 @@ public class ShokofinHostController(ILogger<ShokofinHostController> logger, Shok
 
     private readonly ShokoApiClient APIClient = apiClient;
 
+    /// <summary>
+    /// The minimum version of Shoko Server supported by the plugin.
+    /// </summary>
+    private static readonly Version MinimumServerVersion = new(5, 0, 0);
+
     /// <summary>
     /// Try to get the version of the server.
     /// </summary>
@@ -69,6 +78,58 @@ public class ShokofinHostController(ILogger<ShokofinHostController> logger, Shok
         }
     }
 
+    /// <summary>
+    /// Test the connection to a Shoko Server without saving anything to the
+    /// plugin configuration. Restricted to administrators, since it lets the
+    /// caller make the server send requests to any url.
+    /// </summary>
+    /// <param name="body">The connection details to test.</param>
+    /// <returns>The result of each step of the test.</returns>
+    [Authorize(Policy = Policies.RequiresElevation)]
+    [HttpPost("TestConnection")]
+    public async Task<ActionResult<ConnectionTestResult>> TestConnectionAsync([FromBody] ConnectionTestRequest body) {
+        var url = body.Url.TrimEnd('/');
+        var result = new ConnectionTestResult() {
+            Url = url,
+            MinimumVersion = MinimumServerVersion.ToString(),
+        };
+        if (!Uri.TryCreate(url, UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps)) {
+            result.ReachableError = "The url is not a valid http or https url.";
+            return result;
+        }
+
+        Logger.LogDebug("Testing the connection to the remote Shoko server at {Url}.", url);
+        var stopwatch = Stopwatch.StartNew();
+        try {
+            var version = await APIClient.GetVersionForUrl(url).ConfigureAwait(false);
+            result.IsReachable = true;
+            result.ResponseTimeInMs = stopwatch.ElapsedMilliseconds;
+            result.Version = version;
+            result.IsVersionSupported = version.Version >= MinimumServerVersion;
+        }
+        catch (Exception ex) {
+            Logger.LogDebug(ex, "Unable to reach the remote Shoko server at {Url}.", url);
+            result.ReachableError = ex is TaskCanceledException ? "The request timed out." : ex.Message;
+            return result;
+        }
+
+        if (string.IsNullOrEmpty(body.Username))
+            return result;
+
+        try {
+            var isValid = await APIClient.CheckCredentials(url, body.Username, body.Password).ConfigureAwait(false);
+            result.CredentialsStatus = isValid ? ConnectionTestCredentialsStatus.Valid : ConnectionTestCredentialsStatus.Invalid;
+        }
+        catch (Exception ex) {
+            Logger.LogDebug(ex, "Unable to check the credentials for user {Username} at the remote Shoko server at {Url}.", body.Username, url);
+            result.CredentialsStatus = ConnectionTestCredentialsStatus.Failed;
+            result.CredentialsError = ex.Message;
+        }
+
+        Logger.LogDebug("Tested the connection to the remote Shoko server at {Url}. (Version={Version},Credentials={Credentials})", url, result.Version?.Version, result.CredentialsStatus);
+        return result;
+    }
+
     /// <summary>
     /// Simple forward to grab the image from Shoko Server.
     /// </summary>
@@ -108,4 +169,24 @@ public class ApiLoginRequest {
     /// </summary>
     [JsonPropertyName("userKey")]
     public bool UserKey { get; set; } = false;
+}
+
+public class ConnectionTestRequest {
+    /// <summary>
+    /// The url of the Shoko Server to test.
+    /// </summary>
+    [JsonPropertyName("url")]
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The username to test, if any.
+    /// </summary>
+    [JsonPropertyName("username")]
+    public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The password to test.
+    /// </summary>
+    [JsonPropertyName("password")]
+    public string Password { get; set; } = string.Empty;
 }
\ No newline at end of file
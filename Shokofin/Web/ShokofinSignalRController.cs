@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.Net.Mime;
 using System.Text.Json.Serialization;
 using System.Threading.Tasks;
@@ -7,6 +8,7 @@ using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.SignalR.Client;
 using Microsoft.Extensions.Logging;
 using Shokofin.SignalR;
+using Shokofin.SignalR.Models;
 
 namespace Shokofin.Web;
 
@@ -33,9 +35,24 @@ public class ShokofinSignalRController(ILogger<ShokofinSignalRController> logger
             IsUsable = ConnectionManager.IsUsable,
             IsActive = ConnectionManager.IsActive,
             State = ConnectionManager.State,
+            ConnectedAt = ConnectionManager.ConnectedAt,
+            LastError = ConnectionManager.LastError,
+            LastErrorAt = ConnectionManager.LastErrorAt,
+            ReconnectAttempt = ConnectionManager.ReconnectAttempt,
+            NextReconnectAt = ConnectionManager.NextReconnectAt,
+            ReconnectIntervals = Plugin.Instance.Configuration.SignalR_AutoReconnectInSeconds,
         };
     }
 
+    /// <summary>
+    /// Get the most recently received events from Shoko Server, oldest first.
+    /// </summary>
+    /// <param name="after">Only include events with an id greater than this.</param>
+    [HttpGet("Events")]
+    public IReadOnlyList<SignalREventLogEntry> GetEvents([FromQuery] long after = 0) {
+        return ConnectionManager.GetEventLog(after);
+    }
+
     /// <summary>
     /// Connect or reconnect to Shoko Server.
     /// </summary>
@@ -83,4 +100,34 @@ public class ShokoSignalRStatus {
     /// </summary>
     [JsonConverter(typeof(JsonStringEnumConverter))]
     public HubConnectionState State { get; set; }
+
+    /// <summary>
+    /// When the current connection was established, if connected.
+    /// </summary>
+    public DateTime? ConnectedAt { get; set; }
+
+    /// <summary>
+    /// The message of the last connection error, if any.
+    /// </summary>
+    public string? LastError { get; set; }
+
+    /// <summary>
+    /// When the last connection error occurred, if any.
+    /// </summary>
+    public DateTime? LastErrorAt { get; set; }
+
+    /// <summary>
+    /// The current reconnect attempt, or 0 if not reconnecting.
+    /// </summary>
+    public int ReconnectAttempt { get; set; }
+
+    /// <summary>
+    /// When the next reconnect attempt is scheduled, if reconnecting.
+    /// </summary>
+    public DateTime? NextReconnectAt { get; set; }
+
+    /// <summary>
+    /// The configured reconnect intervals, in seconds.
+    /// </summary>
+    public int[] ReconnectIntervals { get; set; } = [];
 }
\ No newline at end of file
@@ -4,16 +4,26 @@ using System.ComponentModel.DataAnnotations;
 using System.Linq;
 using System.Net.Mime;
 using System.Text.RegularExpressions;
+using System.Threading;
 using System.Threading.Tasks;
+using MediaBrowser.Controller.Configuration;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.ModelBinding;
 using Microsoft.Extensions.Logging;
 using Shokofin.API;
 using Shokofin.Configuration;
+using Shokofin.Events;
 using Shokofin.Resolvers;
 using Shokofin.Utils;
 using Shokofin.Web.Models;
 
+using EpisodeInfo = Shokofin.API.Info.EpisodeInfo;
+using EpisodeType = Shokofin.API.Models.EpisodeType;
+using RelationType = Shokofin.API.Models.RelationType;
+using SeasonInfo = Shokofin.API.Info.SeasonInfo;
+using ShokoSeries = Shokofin.API.Models.Shoko.ShokoSeries;
+using ShowInfo = Shokofin.API.Info.ShowInfo;
+
 namespace Shokofin.Web;
 
 /// <summary>
@@ -27,16 +37,28 @@ namespace Shokofin.Web;
 [Produces(MediaTypeNames.Application.Json)]
 public partial class ShokofinUtilityController(
     ILogger<ShokofinUtilityController> logger,
+    IServerConfigurationManager serverConfigurationManager,
     ShokoApiClient apiClient,
+    ShokoApiManager apiManager,
     SeriesConfigurationService seriesConfigurationService,
-    VirtualFileSystemService virtualFileSystemService
+    VirtualFileSystemService virtualFileSystemService,
+    EventDispatchService eventDispatchService,
+    LibraryScanWatcher libraryScanWatcher
 ) : ControllerBase {
     private readonly ILogger<ShokofinUtilityController> Logger = logger;
 
+    private readonly IServerConfigurationManager ServerConfigurationManager = serverConfigurationManager;
+
+    private readonly ShokoApiManager ApiManager = apiManager;
+
     private readonly SeriesConfigurationService SeriesConfigurationService = seriesConfigurationService;
 
     private readonly VirtualFileSystemService VirtualFileSystemService = virtualFileSystemService;
 
+    private readonly EventDispatchService EventDispatchService = eventDispatchService;
+
+    private readonly LibraryScanWatcher LibraryScanWatcher = libraryScanWatcher;
+
     private readonly GuardedMemoryCache Cache = new(logger, new() { ExpirationScanFrequency = TimeSpan.FromMinutes(25) }, new() { SlidingExpiration = new(0, 30, 0) });
 
     /// <summary>
@@ -59,9 +81,34 @@ public partial class ShokofinUtilityController(
         }
     }
 
+    /// <summary>
+    /// Forcefully clears the plugin cache. Refuses to run while a library scan
+    /// is running.
+    /// </summary>
+    /// <returns>No content, or a conflict if a library scan is running.</returns>
+    [HttpPost("Cache/Clear")]
+    public ActionResult ClearCache() {
+        if (LibraryScanWatcher.IsScanRunning)
+            return Conflict("Unable to clear the plugin cache while a library scan is running.");
+
+        Logger.LogInformation("Clearing the plugin cache.");
+        apiClient.Clear();
+        ApiManager.Clear();
+        VirtualFileSystemService.Clear();
+        EventDispatchService.Clear();
+        Cache.Clear();
+        return NoContent();
+    }
+
     /// <summary>
     /// Retrieves a simple series list.
     /// </summary>
+    /// <remarks>
+    /// The query is either matched against the titles, or used as an exact
+    /// lookup if it's an AniDB anime ID prefixed with 'a', e.g. 'a69', a Shoko
+    /// series ID prefixed with 's', e.g. 's123', or a TMDB ID prefixed with
+    /// 'tmdb:', optionally followed by 'tv:' or 'movie:', e.g. 'tmdb:tv:1234'.
+    /// </remarks>
     /// <param name="query">Query to filter the list.</param>
     /// <returns>The series list.</returns>
     [HttpGet("Series")]
@@ -71,14 +118,37 @@ public partial class ShokofinUtilityController(
         var list = await GetSeriesListInternal().ConfigureAwait(false);
         if (!string.IsNullOrWhiteSpace(query))
         {
-            if (AnidbIdRegex().Match(query) is { Success: true })
+            if (AnidbIdRegex().Match(query) is { Success: true } anidbMatch)
             {
-                var anidbId = int.Parse(AnidbIdRegex().Match(query).Groups["animeId"].Value);
+                if (!int.TryParse(anidbMatch.Groups["animeId"].Value, out var anidbId))
+                    return new List<SimpleSeries>();
                 return list
                     .Where(s => s.AnidbId == anidbId)
                     .ToList();
             }
 
+            if (ShokoIdRegex().Match(query) is { Success: true } shokoMatch)
+            {
+                if (!int.TryParse(shokoMatch.Groups["seriesId"].Value, out var seriesId))
+                    return new List<SimpleSeries>();
+                return list
+                    .Where(s => s.Id == seriesId)
+                    .ToList();
+            }
+
+            if (TmdbIdRegex().Match(query) is { Success: true } tmdbMatch)
+            {
+                if (!int.TryParse(tmdbMatch.Groups["tmdbId"].Value, out var tmdbId))
+                    return new List<SimpleSeries>();
+                var tmdbType = tmdbMatch.Groups["type"].Value.ToLowerInvariant();
+                return list
+                    .Where(s =>
+                        (tmdbType is "" or "tv" or "show" && s.TmdbShowIds.Contains(tmdbId)) ||
+                        (tmdbType is "" or "movie" && s.TmdbMovieIds.Contains(tmdbId))
+                    )
+                    .ToList();
+            }
+
             return list
                 .Where(s =>
                     s.Title.Contains(query, StringComparison.OrdinalIgnoreCase) ||
@@ -100,30 +170,16 @@ public partial class ShokofinUtilityController(
             var trackerId = Plugin.Instance.Tracker.Add($"Get Simple Series List");
             try {
                 const int PageSize = 100;
-                var firstPage = await apiClient.GetAllAnidbAnime(pageSize: PageSize);
-                foreach (var anime in firstPage.List) {
-                    if (anime.ShokoId.HasValue)
-                        simpleList.Add(new SimpleSeries() {
-                            Id = anime.ShokoId.Value,
-                            AnidbId = anime.Id,
-                            Title = anime.Title,
-                            DefaultTitle = anime.Titles?.FirstOrDefault(title => title.Type is API.Models.TitleType.Main)?.Value ?? anime.Title,
-                        });
-                }
+                var firstPage = await apiClient.GetAllShokoSeries(pageSize: PageSize);
+                foreach (var series in firstPage.List)
+                    simpleList.Add(ToSimpleSeries(series));
                 if (firstPage.Total > PageSize) {
-                    var total = firstPage.Total;
+                    var total = firstPage.Total - PageSize;
                     var page = 2;
                     while (total > 0) {
-                        var nextPage = await apiClient.GetAllAnidbAnime(page, PageSize);
-                        foreach (var anime in nextPage.List) {
-                            if (anime.ShokoId.HasValue)
-                                simpleList.Add(new SimpleSeries() {
-                                    Id = anime.ShokoId.Value,
-                                    AnidbId = anime.Id,
-                                    Title = anime.Title,
-                                    DefaultTitle = anime.Titles?.FirstOrDefault(title => title.Type is API.Models.TitleType.Main)?.Value ?? anime.Title,
-                                });
-                        }
+                        var nextPage = await apiClient.GetAllShokoSeries(page, PageSize);
+                        foreach (var series in nextPage.List)
+                            simpleList.Add(ToSimpleSeries(series));
                         total -= PageSize;
                         page++;
                     }
@@ -138,9 +194,101 @@ public partial class ShokofinUtilityController(
                 .ToList();
         });
 
-    [GeneratedRegex(@"^\s*a(?<animeId>\d+)\s*$")]
+    private static SimpleSeries ToSimpleSeries(ShokoSeries series)
+        => new() {
+            Id = series.IDs.Shoko,
+            AnidbId = series.IDs.AniDB,
+            TmdbShowIds = series.IDs.TMDB.Show,
+            TmdbMovieIds = series.IDs.TMDB.Movie,
+            Title = series.Name,
+            DefaultTitle = series.AniDB.Titles.FirstOrDefault(title => title.Type is API.Models.TitleType.Main)?.Value ?? series.AniDB.Title,
+            Type = series.AniDB.Type,
+            Year = series.AniDB.AirDate?.Year,
+            Poster = series.AniDB.Poster is { ID: > 0 } poster
+                ? new() { Source = poster.Source, Type = poster.Type, Id = poster.ID }
+                : null,
+        };
+
+    /// <summary>
+    /// Retrieves the names of all AniDB and custom tags known to Shoko, to use
+    /// in the tag and genre exclusion lists.
+    /// </summary>
+    /// <returns>The tag list, ordered by name.</returns>
+    [HttpGet("Tags")]
+    public Task<IReadOnlyList<SimpleTag>> GetTagList()
+        => Cache.GetOrCreateAsync<IReadOnlyList<SimpleTag>>("TagList", async () => {
+            var trackerId = Plugin.Instance.Tracker.Add("Get Simple Tag List");
+            try {
+                var tags = await ApiManager.GetAllNamespacedTags().ConfigureAwait(false);
+                var sources = TagFilter.GetTagSources(tags);
+                return tags.Values
+                    .Where(tag => sources.ContainsKey(tag.FullName))
+                    .GroupBy(tag => TagFilter.GetTagName(tag), StringComparer.OrdinalIgnoreCase)
+                    .Select(group => new SimpleTag() {
+                        Name = group.Key,
+                        Sources = group
+                            .Select(tag => sources[tag.FullName].ToString())
+                            .Distinct()
+                            .ToList(),
+                        SeriesCount = group.Any(tag => tag.Size.HasValue) ? group.Sum(tag => tag.Size ?? 0) : null,
+                    })
+                    .OrderBy(tag => tag.Name, StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+            }
+            finally {
+                Plugin.Instance.Tracker.Remove(trackerId);
+            }
+        });
+
+    [GeneratedRegex(@"^\s*a(?<animeId>\d+)\s*$", RegexOptions.IgnoreCase)]
     private static partial Regex AnidbIdRegex();
 
+    [GeneratedRegex(@"^\s*s(?<seriesId>\d+)\s*$", RegexOptions.IgnoreCase)]
+    private static partial Regex ShokoIdRegex();
+
+    [GeneratedRegex(@"^\s*tmdb:(?:(?<type>tv|show|movie):)?(?<tmdbId>\d+)\s*$", RegexOptions.IgnoreCase)]
+    private static partial Regex TmdbIdRegex();
+
+    /// <summary>
+    /// Retrieves all series with one or more per series configuration
+    /// overrides.
+    /// </summary>
+    /// <returns>The series with overrides, ordered by their AniDB id.</returns>
+    [HttpGet("Series/Overrides")]
+    public async Task<ActionResult<IReadOnlyList<SeriesConfigurationOverride>>> GetSeriesOverrides() {
+        var trackerId = Plugin.Instance.Tracker.Add("Get Series Configuration Overrides");
+        try {
+            var seriesDict = (await GetSeriesListInternal().ConfigureAwait(false)).ToDictionary(s => s.Id);
+            var seriesIds = await SeriesConfigurationService.GetSeriesIdsWithOverrides().ConfigureAwait(false);
+            var list = new List<SeriesConfigurationOverride>();
+            foreach (var seriesId in seriesIds.Distinct()) {
+                if (!seriesDict.TryGetValue(seriesId, out var series))
+                    continue;
+
+                var config = await ApiManager.GetInternalSeriesConfiguration(seriesId.ToString()).ConfigureAwait(false);
+                if (
+                    config.Type is API.Models.SeriesType.None &&
+                    config.StructureType is SeriesStructureType.None &&
+                    config.SeasonOrdering is Ordering.OrderType.None &&
+                    config.SpecialsPlacement is Ordering.SpecialOrderType.None &&
+                    config.SeasonMergingBehavior is SeasonMergingBehavior.None &&
+                    config.EpisodeConversion is SeriesEpisodeConversion.None &&
+                    !config.OrderByAirdate
+                )
+                    continue;
+
+                list.Add(new() { Series = series, Configuration = config });
+            }
+
+            return list
+                .OrderBy(o => o.Series.AnidbId)
+                .ToList();
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
     /// <summary>
     /// Retrieves the series configuration for the given series id.
     /// </summary>
@@ -163,6 +311,445 @@ public partial class ShokofinUtilityController(
         }
     }
 
+    /// <summary>
+    /// Previews the main and alternate titles for the given series using the
+    /// given titles configuration instead of the saved configuration.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="titlesConfiguration">The titles configuration to preview.</param>
+    /// <param name="metadataLanguage">The metadata language to use. Defaults to the preferred metadata language of the server.</param>
+    /// <returns>The resolved titles, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/Titles/Preview")]
+    public async Task<ActionResult<TitlePreview>> PreviewSeriesTitles(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Disallow)] TitlesConfiguration titlesConfiguration,
+        [FromQuery] string? metadataLanguage = null
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Series Titles for {seriesId}");
+        try {
+            var seasonInfo = await ApiManager.GetSeasonInfo(seriesId.ToString()).ConfigureAwait(false);
+            if (seasonInfo is null)
+                return NotFound("Unable to find series with the given id.");
+
+            if (string.IsNullOrWhiteSpace(metadataLanguage))
+                metadataLanguage = ServerConfigurationManager.Configuration.PreferredMetadataLanguage;
+
+            var (mainTitle, alternateTitles, alternateTitle) = TextUtility.PreviewSeriesTitles(seasonInfo, titlesConfiguration, metadataLanguage);
+            return new TitlePreview() {
+                MetadataLanguage = metadataLanguage,
+                MainTitle = new() { Title = mainTitle.title, Provider = mainTitle.provider },
+                AlternateTitles = alternateTitles
+                    .Select(t => new TitlePreviewEntry() { Title = t.title, Provider = t.provider })
+                    .ToList(),
+                AlternateTitle = alternateTitle,
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    /// <summary>
+    /// Previews the description from each provider for the given series, both
+    /// raw and converted using each conversion mode, and which provider would
+    /// be selected using the given description configuration instead of the
+    /// saved configuration.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="descriptionConfiguration">The description configuration to preview.</param>
+    /// <param name="conversionMode">The conversion mode to preview.</param>
+    /// <param name="metadataLanguage">The metadata language to use. Defaults to the preferred metadata language of the server.</param>
+    /// <returns>The description preview, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/Descriptions/Preview")]
+    public async Task<ActionResult<DescriptionPreview>> PreviewSeriesDescriptions(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Disallow)] DescriptionConfiguration descriptionConfiguration,
+        [FromQuery] TextUtility.DescriptionConversionMode conversionMode = TextUtility.DescriptionConversionMode.Markdown,
+        [FromQuery] string? metadataLanguage = null
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Series Descriptions for {seriesId}");
+        try {
+            var series = await apiClient.GetShokoSeries(seriesId.ToString()).ConfigureAwait(false);
+            var seasonInfo = await ApiManager.GetSeasonInfo(seriesId.ToString()).ConfigureAwait(false);
+            if (series is null || seasonInfo is null)
+                return NotFound("Unable to find series with the given id.");
+
+            if (string.IsNullOrWhiteSpace(metadataLanguage))
+                metadataLanguage = ServerConfigurationManager.Configuration.PreferredMetadataLanguage;
+
+            var (providers, selectedProvider) = TextUtility.PreviewSeriesDescriptions(seasonInfo, series, descriptionConfiguration, conversionMode, metadataLanguage);
+            return new DescriptionPreview() {
+                MetadataLanguage = metadataLanguage,
+                ConversionMode = conversionMode,
+                SelectedProvider = selectedProvider,
+                Providers = providers
+                    .Select(p => new DescriptionPreviewEntry() {
+                        Provider = p.provider,
+                        LanguageCode = p.languageCode,
+                        Raw = p.raw,
+                        IsAvailable = p.isAvailable,
+                        IsConverted = p.isConverted,
+                        Converted = p.converted.ToDictionary(pair => pair.Key.ToString(), pair => pair.Value),
+                    })
+                    .ToList(),
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    /// <summary>
+    /// Previews which posters, logos and backdrops would be picked for the
+    /// given series using the given image configuration instead of the saved
+    /// configuration.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="imageConfiguration">The image configuration to preview.</param>
+    /// <param name="metadataLanguage">The metadata language to use. Defaults to the preferred metadata language of the server.</param>
+    /// <returns>All candidate images, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/Images/Preview")]
+    public async Task<ActionResult<ImagePreview>> PreviewSeriesImages(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Disallow)] ImageConfiguration imageConfiguration,
+        [FromQuery] string? metadataLanguage = null
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Series Images for {seriesId}");
+        try {
+            var seasonInfo = await ApiManager.GetSeasonInfo(seriesId.ToString()).ConfigureAwait(false);
+            if (seasonInfo is null)
+                return NotFound("Unable to find series with the given id.");
+
+            if (string.IsNullOrWhiteSpace(metadataLanguage))
+                metadataLanguage = ServerConfigurationManager.Configuration.PreferredMetadataLanguage;
+
+            var (posters, logos, backdrops) = await ImageUtility.PreviewSeasonImages(seasonInfo, metadataLanguage, imageConfiguration, CancellationToken.None).ConfigureAwait(false);
+            return new ImagePreview() {
+                MetadataLanguage = metadataLanguage,
+                Posters = posters.Select(ToImagePreviewEntry).ToList(),
+                Logos = logos.Select(ToImagePreviewEntry).ToList(),
+                Backdrops = backdrops.Select(ToImagePreviewEntry).ToList(),
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    private static ImagePreviewEntry ToImagePreviewEntry((API.Models.Image image, ImageLanguageType type, int? position) tuple)
+        => new() {
+            Source = tuple.image.Source,
+            Type = tuple.image.Type,
+            Id = tuple.image.ID,
+            LanguageCode = tuple.image.LanguageCode,
+            LanguageType = tuple.type,
+            IsPreferred = tuple.image.IsPreferred,
+            IsAvailable = tuple.image.IsAvailable,
+            Width = tuple.image.Width,
+            Height = tuple.image.Height,
+            CommunityRating = tuple.image.CommunityRating?.ToFloat(10),
+            Position = tuple.position,
+        };
+
+    /// <summary>
+    /// Previews the tags and genres for the given series using the given tag
+    /// and genre settings instead of the saved configuration, explaining why
+    /// each Shoko tag was or wasn't used.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="configuration">The tag and genre settings to preview.</param>
+    /// <returns>The tag and genre preview, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/Tags/Preview")]
+    public async Task<ActionResult<TagFilterPreview>> PreviewSeriesTags(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Disallow)] TagFilterPreviewConfiguration configuration
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Series Tags for {seriesId}");
+        try {
+            if (await apiClient.GetShokoSeries(seriesId.ToString()).ConfigureAwait(false) is null)
+                return NotFound("Unable to find series with the given id.");
+
+            // The unverified tags are removed while building the tag tree, so
+            // compare against the full tree to know which ones were hidden.
+            var allTags = await ApiManager.GetNamespacedTagsForSeries(seriesId.ToString(), false).ConfigureAwait(false);
+            var tags = configuration.HideUnverifiedTags
+                ? await ApiManager.GetNamespacedTagsForSeries(seriesId.ToString(), true).ConfigureAwait(false)
+                : allTags;
+            var tagReasons = TagFilter.ExplainFilter(tags, configuration.TagSources, configuration.TagIncludeFilters, configuration.TagMinimumWeight, configuration.TagMaximumDepth, configuration.TagExcludeList);
+            var genreReasons = TagFilter.ExplainFilter(tags, configuration.GenreSources, configuration.GenreIncludeFilters, configuration.GenreMinimumWeight, configuration.GenreMaximumDepth, configuration.GenreExcludeList);
+            TagFilterPreviewResult getResult(IReadOnlyDictionary<string, (TagFilter.TagFilterReason reason, TagFilter.TagSource? source, int? depth)> reasons, string fullName)
+                => reasons.TryGetValue(fullName, out var result)
+                    ? new() { Reason = result.reason, Source = result.source, Depth = result.depth }
+                    : new() { Reason = TagFilter.TagFilterReason.Unverified, Source = null, Depth = null };
+
+            return new TagFilterPreview() {
+                Tags = TagFilter.Filter(tags, configuration.TagSources, configuration.TagIncludeFilters, configuration.TagMinimumWeight, configuration.TagMaximumDepth, configuration.TagExcludeList),
+                Genres = TagFilter.Filter(tags, configuration.GenreSources, configuration.GenreIncludeFilters, configuration.GenreMinimumWeight, configuration.GenreMaximumDepth, configuration.GenreExcludeList),
+                Entries = allTags.Values
+                    .OrderBy(tag => tag.FullName, StringComparer.InvariantCultureIgnoreCase)
+                    .Select(tag => new TagFilterPreviewEntry() {
+                        Name = TagFilter.GetTagName(tag),
+                        FullName = tag.FullName,
+                        Weight = tag.Weight,
+                        IsWeightless = tag.IsWeightless,
+                        IsVerified = tag.IsVerified,
+                        Tag = getResult(tagReasons, tag.FullName),
+                        Genre = getResult(genreReasons, tag.FullName),
+                    })
+                    .ToList(),
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    /// <summary>
+    /// Previews how the series in the same Shoko group as the given series
+    /// would be merged into seasons, optionally using the given series
+    /// configuration for the series instead of the saved configuration.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="seriesConfiguration">The series configuration to preview, if any.</param>
+    /// <returns>The season merging preview, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/SeasonMerging/Preview")]
+    public async Task<ActionResult<SeasonMergingPreview>> PreviewSeasonMerging(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] SeriesConfiguration? seriesConfiguration = null
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Season Merging for {seriesId}");
+        try {
+            if (await apiClient.GetShokoSeries(seriesId.ToString()).ConfigureAwait(false) is not { } series)
+                return NotFound("Unable to find series with the given id.");
+
+            var config = Plugin.Instance.Configuration;
+            var entries = await ApiManager.PreviewSeasonMerging(series, seriesConfiguration).ConfigureAwait(false);
+            var seriesList = entries
+                .Select(entry => new SeasonMergingPreviewSeries() {
+                    Id = entry.series.IDs.Shoko,
+                    AnidbId = entry.series.IDs.AniDB,
+                    Title = entry.series.Name,
+                    Type = entry.seriesConfig.Type,
+                    AirDate = entry.series.AniDB.AirDate,
+                    Behavior = entry.seriesConfig.SeasonMergingBehavior,
+                    IneligibleReasons = GetSeasonMergingIneligibleReasons(entry.series, entry.seriesConfig, config),
+                    MergeGroups = SeasonMergingGroups
+                        .Where(group => entry.seriesConfig.SeasonMergingBehavior.HasFlag(group.target) || entry.seriesConfig.SeasonMergingBehavior.HasFlag(group.source))
+                        .Select(group => new SeasonMergingPreviewGroup() {
+                            Group = group.name,
+                            Role = entry.seriesConfig.SeasonMergingBehavior.HasFlag(group.target) ? SeasonMergingGroupRole.Target : SeasonMergingGroupRole.Source,
+                        })
+                        .ToList(),
+                    SeasonId = int.Parse(entry.primaryId),
+                })
+                .ToList();
+            var seriesDict = seriesList.ToDictionary(s => s.Id);
+
+            // Only keep one direction of each relation, going from the prequel
+            // or main story to the sequel or side story.
+            var relations = entries
+                .SelectMany(entry => entry.relations)
+                .Where(relation => relation.RelatedIDs.Shoko.HasValue && relation.IDs.Shoko.HasValue && seriesDict.ContainsKey(relation.IDs.Shoko.Value) && seriesDict.ContainsKey(relation.RelatedIDs.Shoko.Value))
+                .Select(relation => relation.Type switch {
+                    RelationType.Sequel or RelationType.SideStory => (fromId: relation.IDs.Shoko!.Value, toId: relation.RelatedIDs.Shoko!.Value, type: relation.Type),
+                    RelationType.Prequel => (fromId: relation.RelatedIDs.Shoko!.Value, toId: relation.IDs.Shoko!.Value, type: RelationType.Sequel),
+                    RelationType.MainStory => (fromId: relation.RelatedIDs.Shoko!.Value, toId: relation.IDs.Shoko!.Value, type: RelationType.SideStory),
+                    _ => (fromId: 0, toId: 0, type: relation.Type),
+                })
+                .Where(tuple => tuple.fromId != 0)
+                .Distinct()
+                .Select(tuple => {
+                    var from = seriesDict[tuple.fromId];
+                    var to = seriesDict[tuple.toId];
+                    int? daysApart = from.AirDate.HasValue && to.AirDate.HasValue ? (int)Math.Floor((to.AirDate.Value - from.AirDate.Value).TotalDays) : null;
+                    return new SeasonMergingPreviewRelation() {
+                        FromId = tuple.fromId,
+                        ToId = tuple.toId,
+                        Type = tuple.type,
+                        DaysApart = daysApart,
+                        IsWithinMergeWindow = daysApart is { } days &&
+                            (tuple.type is RelationType.SideStory || days >= 0) &&
+                            (config.SeasonMerging_MergeWindowInDays <= 0 || days <= config.SeasonMerging_MergeWindowInDays),
+                        IsMerged = from.SeasonId == to.SeasonId,
+                    };
+                })
+                .ToList();
+
+            return new SeasonMergingPreview() {
+                IsEnabled = config.SeasonMerging_Enabled,
+                MergeWindowInDays = config.SeasonMerging_MergeWindowInDays,
+                SeriesTypes = config.SeasonMerging_SeriesTypes.Distinct().ToList(),
+                Series = seriesList,
+                Relations = relations,
+                Conflicts = GetSeasonMergingConflicts(seriesList),
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    private static readonly IReadOnlyList<(string name, SeasonMergingBehavior target, SeasonMergingBehavior source)> SeasonMergingGroups = [
+        ("A", SeasonMergingBehavior.MergeGroupATarget, SeasonMergingBehavior.MergeGroupASource),
+        ("B", SeasonMergingBehavior.MergeGroupBTarget, SeasonMergingBehavior.MergeGroupBSource),
+        ("C", SeasonMergingBehavior.MergeGroupCTarget, SeasonMergingBehavior.MergeGroupCSource),
+        ("D", SeasonMergingBehavior.MergeGroupDTarget, SeasonMergingBehavior.MergeGroupDSource),
+    ];
+
+    /// <summary>
+    /// Mirrors the checks done before merging a series in
+    /// <see cref="ShokoApiManager"/>.
+    /// </summary>
+    private static IReadOnlyList<SeasonMergingIneligibleReason> GetSeasonMergingIneligibleReasons(ShokoSeries series, SeriesConfiguration seriesConfig, PluginConfiguration config) {
+        var reasons = new List<SeasonMergingIneligibleReason>();
+        if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.NoMerge)
+            reasons.Add(SeasonMergingIneligibleReason.NoMerge);
+        if (seriesConfig.StructureType is not SeriesStructureType.Shoko_Groups)
+            reasons.Add(SeasonMergingIneligibleReason.StructureType);
+        if (seriesConfig.SeasonMergingBehavior is SeasonMergingBehavior.None && !config.SeasonMerging_SeriesTypes.Contains(seriesConfig.Type))
+            reasons.Add(SeasonMergingIneligibleReason.SeriesType);
+        if (series.AniDB.AirDate is null)
+            reasons.Add(SeasonMergingIneligibleReason.MissingAirDate);
+        return reasons;
+    }
+
+    private static IReadOnlyList<SeasonMergingPreviewConflict> GetSeasonMergingConflicts(IReadOnlyList<SeasonMergingPreviewSeries> seriesList) {
+        var conflicts = new List<SeasonMergingPreviewConflict>();
+        foreach (var (name, _, _) in SeasonMergingGroups) {
+            var targets = seriesList.Where(s => s.MergeGroups.Any(g => g.Group == name && g.Role is SeasonMergingGroupRole.Target)).ToList();
+            var sources = seriesList.Where(s => s.MergeGroups.Any(g => g.Group == name && g.Role is SeasonMergingGroupRole.Source)).ToList();
+            if (targets.Count > 1)
+                conflicts.Add(new() { Type = SeasonMergingConflictType.MultipleTargets, Group = name, SeriesIds = targets.Select(s => s.Id).ToList() });
+            else if (targets.Count == 0 && sources.Count > 0)
+                conflicts.Add(new() { Type = SeasonMergingConflictType.MissingTarget, Group = name, SeriesIds = sources.Select(s => s.Id).ToList() });
+
+            var ineligible = targets.Concat(sources).Where(s => s.IneligibleReasons.Count > 0).ToList();
+            if (ineligible.Count > 0)
+                conflicts.Add(new() { Type = SeasonMergingConflictType.IneligibleMember, Group = name, SeriesIds = ineligible.Select(s => s.Id).ToList() });
+
+            if (targets.Count == 1) {
+                var notMerged = sources.Where(s => s.IneligibleReasons.Count == 0 && s.SeasonId != targets[0].SeasonId).ToList();
+                if (notMerged.Count > 0)
+                    conflicts.Add(new() { Type = SeasonMergingConflictType.NotMerged, Group = name, SeriesIds = notMerged.Select(s => s.Id).ToList() });
+            }
+        }
+        return conflicts;
+    }
+
+    /// <summary>
+    /// Previews the Jellyfin show, season and episode structure the given
+    /// series would be placed in, using both the saved series configuration
+    /// and the given series configuration.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <param name="seriesConfiguration">The series configuration to preview, if any.</param>
+    /// <returns>The structure preview, if the series was found.</returns>
+    [HttpPost("Series/{seriesId}/Structure/Preview")]
+    public async Task<ActionResult<SeriesStructurePreview>> PreviewSeriesStructure(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] SeriesConfiguration? seriesConfiguration = null
+    ) {
+        var trackerId = Plugin.Instance.Tracker.Add($"Preview Series Structure for {seriesId}");
+        try {
+            if (await apiClient.GetShokoSeries(seriesId.ToString()).ConfigureAwait(false) is not { } series)
+                return NotFound("Unable to find series with the given id.");
+
+            var saved = (await ApiManager.PreviewShowInfosForShokoSeries(series).ConfigureAwait(false))
+                .Select(ToSeriesStructurePreviewShow)
+                .ToList();
+            var preview = seriesConfiguration is not null
+                ? (await ApiManager.PreviewShowInfosForShokoSeries(series, seriesConfiguration).ConfigureAwait(false))
+                    .Select(ToSeriesStructurePreviewShow)
+                    .ToList()
+                : saved;
+            return new SeriesStructurePreview() {
+                Saved = saved,
+                Preview = preview,
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
+
+    private static SeriesStructurePreviewShow ToSeriesStructurePreviewShow(ShowInfo showInfo) {
+        var seasons = showInfo.SeasonOrderDictionary
+            .OrderBy(pair => pair.Key)
+            .Select(pair => {
+                var (seasonNumber, seasonInfo) = pair;
+                var isAlternate = showInfo.GetBaseSeasonNumberForSeasonInfo(seasonInfo) != seasonNumber;
+                return new SeriesStructurePreviewSeason() {
+                    SeasonNumber = seasonNumber,
+                    Title = seasonInfo.Title,
+                    SeasonId = seasonInfo.Id,
+                    ExtraIds = seasonInfo.ExtraIds,
+                    IsAlternate = isAlternate,
+                    Episodes = (isAlternate ? seasonInfo.AlternateEpisodesList : seasonInfo.EpisodeList)
+                        .Select(episodeInfo => ToSeriesStructurePreviewEpisode(showInfo, seasonInfo, episodeInfo))
+                        .ToList(),
+                };
+            })
+            .ToList();
+        var specials = showInfo.SeasonList
+            .SelectMany(seasonInfo => seasonInfo.SpecialsList
+                .Where(showInfo.IsSpecial)
+                .Select(episodeInfo => ToSeriesStructurePreviewEpisode(showInfo, seasonInfo, episodeInfo))
+            )
+            .OrderBy(episode => episode.EpisodeNumber)
+            .ToList();
+        if (specials.Count > 0)
+            seasons.Insert(0, new() {
+                SeasonNumber = 0,
+                Title = null,
+                SeasonId = null,
+                ExtraIds = [],
+                IsAlternate = false,
+                Episodes = specials,
+            });
+
+        return new() {
+            Id = showInfo.Id,
+            Title = showInfo.Title,
+            IsStandalone = showInfo.IsStandalone,
+            Seasons = seasons,
+            Extras = showInfo.SeasonList
+                .SelectMany(seasonInfo => seasonInfo.ExtrasList.Select(episodeInfo => ToSeriesStructurePreviewEpisode(showInfo, seasonInfo, episodeInfo)))
+                .ToList(),
+        };
+    }
+
+    /// <summary>
+    /// Uses the same numbering and specials placement as the episode provider.
+    /// </summary>
+    private static SeriesStructurePreviewEpisode ToSeriesStructurePreviewEpisode(ShowInfo showInfo, SeasonInfo seasonInfo, EpisodeInfo episodeInfo) {
+        var isExtra = seasonInfo.IsExtraEpisode(episodeInfo);
+        var isSpecial = !isExtra && showInfo.IsSpecial(episodeInfo);
+        var (airsBeforeEpisodeNumber, airsBeforeSeasonNumber, airsAfterSeasonNumber, _) = isSpecial
+            ? Ordering.GetSpecialPlacement(showInfo, seasonInfo, episodeInfo)
+            : (null, null, null, false);
+        var conversion = episodeInfo.Type switch {
+            _ when isExtra => episodeInfo.ExtraType is null ? SeriesStructureEpisodeConversion.SpecialAsExtra : SeriesStructureEpisodeConversion.None,
+            EpisodeType.Normal when isSpecial => SeriesStructureEpisodeConversion.EpisodeAsSpecial,
+            EpisodeType.Special when !isSpecial => SeriesStructureEpisodeConversion.SpecialAsEpisode,
+            _ => SeriesStructureEpisodeConversion.None,
+        };
+        return new() {
+            Id = episodeInfo.Id,
+            SeasonId = episodeInfo.SeasonId,
+            Title = episodeInfo.Title,
+            Type = episodeInfo.Type,
+            Number = episodeInfo.EpisodeNumber,
+            EpisodeNumber = Ordering.GetEpisodeNumber(showInfo, seasonInfo, episodeInfo),
+            AirDate = episodeInfo.AiredAt,
+            IsAvailable = episodeInfo.IsAvailable,
+            Conversion = conversion,
+            ExtraType = episodeInfo.ExtraType,
+            AirsBeforeSeasonNumber = airsBeforeSeasonNumber,
+            AirsBeforeEpisodeNumber = airsBeforeEpisodeNumber,
+            AirsAfterSeasonNumber = airsAfterSeasonNumber,
+        };
+    }
+
     /// <summary>
     /// Updates the series configuration for the given series id.
     /// </summary>
@@ -202,4 +789,40 @@ public partial class ShokofinUtilityController(
             Plugin.Instance.Tracker.Remove(trackerId);
         }
     }
+
+    /// <summary>
+    /// Regenerates the VFS links and refreshes the metadata for the Jellyfin
+    /// items backed by the given series, e.g. after updating the series
+    /// configuration. Only the cached data for the series and the other series
+    /// in its group is cleared. Refuses to run while a library scan is running.
+    /// </summary>
+    /// <param name="seriesId">Shoko series ID.</param>
+    /// <returns>A <see cref="SeriesRefreshResult"/>, or a conflict if a library scan is running.</returns>
+    [HttpPost("Series/{seriesId}/Refresh")]
+    public async Task<ActionResult<SeriesRefreshResult>> RefreshSeries(
+        [FromRoute, Range(1, int.MaxValue)] int seriesId
+    ) {
+        if (LibraryScanWatcher.IsScanRunning)
+            return Conflict("Unable to refresh the series while a library scan is running.");
+
+        var trackerId = Plugin.Instance.Tracker.Add($"Refresh Series {seriesId}");
+        try {
+            if (await SeriesConfigurationService.GetSeriesConfigurationForId(seriesId).ConfigureAwait(false) is null)
+                return NotFound("Unable to find series with the given id.");
+
+            // The series configuration is cached along with everything built
+            // from it, so clear the cached data for the series before building
+            // the new structure.
+            await ApiManager.ClearSeries(seriesId.ToString()).ConfigureAwait(false);
+
+            var (fileCount, itemCount) = await EventDispatchService.RefreshSeries(seriesId.ToString()).ConfigureAwait(false);
+            return new SeriesRefreshResult {
+                FileCount = fileCount,
+                ItemCount = itemCount,
+            };
+        }
+        finally {
+            Plugin.Instance.Tracker.Remove(trackerId);
+        }
+    }
 }